@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * fabric command-line tool, see src/js/CommandLine.js or `fabric --help`
+ */
+
+import { runCommandLine } from '../src/js/CommandLine.js';
+
+process.exitCode = await runCommandLine(process.argv.slice(2));
@@ -12,7 +12,9 @@ if ! command -v em++ &> /dev/null; then
     exit 1
 fi
 
-# Navigate to source directory
+# Navigate to source directory (dist/ is not in git, so create it first)
+cd "$(dirname "$0")"
+mkdir -p dist
 cd src/cpp
 
 # Compile with Emscripten
@@ -23,6 +25,8 @@ em++ --bind -o ../../dist/periodic_delaunay.js \
     -s MODULARIZE=1 \
     -s EXPORT_NAME="PeriodicDelaunayModule" \
     -s ASSERTIONS=1 \
+    -s EXPORTED_FUNCTIONS="['_malloc','_free']" \
+    -s EXPORTED_RUNTIME_METHODS="['HEAPF64']" \
     -std=c++17 \
     -O3 \
     -s MAXIMUM_MEMORY=512MB
@@ -5,7 +5,11 @@
 #include <memory>
 #include <vector>
 #include <set>
+#include <map>
 #include <algorithm>
+#include <array>
+#include <cmath>
+#include <cstdint>
 
 // Global initialization flag
 static bool g_geogram_initialized = false;
@@ -20,8 +24,20 @@ void initialize_geogram() {
     }
 }
 
-// Wrapper function that uses Emscripten's val for easier JavaScript interaction
-emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+// Lattice image of a tetrahedron vertex, in units of the cell vectors
+typedef std::array<int, 3> Image;
+typedef std::array<Image, 4> TetImages;
+
+// Triangulate points and collect the unique tetrahedra as original point indices.
+// In periodic mode the points must already lie inside [0, period).
+// Optional weights give the regular (power) triangulation: point i has power
+// |x - p_i|^2 - weights[i], so a sphere of radius r has weight r^2.
+// In periodic mode, images (if given) receives the periodic image [i, j, k] of
+// every tetrahedron vertex, in periods, relative to the given positions.
+// Returns false if Geogram failed.
+static bool triangulate(const std::vector<double>& vertices, int num_points, bool is_periodic,
+                        const GEO::vec3& period, std::vector<std::array<int, 4>>& tetrahedra,
+                        const double* weights = nullptr, std::vector<TetImages>* images = nullptr) {
     // --- 1. Initialize ---
     initialize_geogram();
     std::cout << "Starting Delaunay computation..." << std::endl;
@@ -30,29 +46,17 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     std::unique_ptr<GEO::PeriodicDelaunay3d> delaunay;
     
     if (is_periodic) {
-        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(GEO::vec3(1.0, 1.0, 1.0));
+        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(period);
     } else {
         delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(false);
     }
     
     delaunay->set_stores_cicl(false);
 
-    std::cout << "Delaunay object created. Periodic mode: " << is_periodic << std::endl;
+    std::cout << "Delaunay object created. Periodic mode: " << is_periodic
+              << ", period: (" << period.x << ", " << period.y << ", " << period.z << ")" << std::endl;
     std::cout << "Processing " << num_points << " points." << std::endl;
 
-    // --- 3. Get points from JavaScript array ---
-    std::vector<double> vertices;
-    vertices.reserve(num_points * 3);
-    
-    // Extract points from JavaScript Float64Array
-    for (int i = 0; i < num_points * 3; i++) {
-        double coord = points_array[i].as<double>();
-        // Ensure coordinates are in [0,1) range
-        while (coord < 0.0) coord += 1.0;
-        while (coord >= 1.0) coord -= 1.0;
-        vertices.push_back(coord);
-    }
-    
     // Print first few points for debugging
     std::cout << "First 3 points:" << std::endl;
     for (int i = 0; i < std::min(3, num_points); i++) {
@@ -62,23 +66,35 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
                   << vertices[i*3+2] << ")" << std::endl;
     }
 
-    // --- 4. Set vertices ---
+    // --- 3. Set vertices ---
     delaunay->set_vertices(num_points, vertices.data());
     std::cout << "Vertices set. Actual vertex count: " << delaunay->nb_vertices() << std::endl;
+    if (weights != nullptr) {
+        delaunay->set_weights(weights);
+        std::cout << "Weights set (power diagram)." << std::endl;
+    }
 
-    // --- 5. Compute ---
+    // --- 4. Compute ---
     try {
         delaunay->compute();
         std::cout << "Delaunay computation successful." << std::endl;
     } catch (const std::exception& e) {
         std::cerr << "Exception during compute: " << e.what() << std::endl;
-        return emscripten::val::null();
+        return false;
     } catch (...) {
         std::cerr << "Unknown exception during compute." << std::endl;
-        return emscripten::val::null();
+        return false;
+    }
+
+    // Geogram stops early when a weighted point has an empty power cell and
+    // leaves the triangulation unfinished
+    if (delaunay->has_empty_cells()) {
+        std::cerr << "Weighted points with empty power cells are not supported: "
+                  << "every point needs a non-empty cell (reduce the largest weights)." << std::endl;
+        return false;
     }
 
-    // --- 6. Get results ---
+    // --- 5. Get results ---
     int num_tets = delaunay->nb_cells();
     std::cout << "Found " << num_tets << " tetrahedra." << std::endl;
     
@@ -94,15 +110,9 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
         std::cout << "This might indicate degenerate point configuration." << std::endl;
     }
     
-    if (num_tets == 0) {
-        return emscripten::val::array();
-    }
-    
-    // Create JavaScript array for results
-    emscripten::val result = emscripten::val::array();
-    
-    // In periodic mode, Geogram creates 27 copies of each vertex (3^3 for 3D)
-    // We need to map the vertex indices back to the original range [0, num_points)
+    // In periodic mode, Geogram creates 27 copies of each vertex (3^3 for 3D):
+    // vertex v is copy v / num_points of point v % num_points, translated by
+    // Periodic::translation[copy] periods.
     const int nb_vertices_non_periodic = num_points;
     
     // Debug first few tetrahedra
@@ -117,57 +127,544 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
         }
     }
     
-    // Use a set to track unique tetrahedra
-    std::set<std::vector<int>> unique_tets;
+    // A periodic tetrahedron is stored once per copy that has a vertex in the
+    // primary box. Translates are recognised by their vertex images relative to a
+    // reference vertex (lowest point index, ties broken by image); tetrahedra that
+    // share their points but not their images are distinct and all kept.
+    std::set<std::array<int, 16>> unique_tets;
     int duplicate_count = 0;
+    int missing_count = 0;
     
     for (int t = 0; t < num_tets; ++t) {
-        std::vector<int> tet_indices(4);
+        std::array<int, 4> tet_indices;
+        TetImages tet_images;
+        bool valid = true;
         
         for (int v = 0; v < 4; ++v) {
-            int vertex_index = delaunay->cell_vertex(t, v);
+            const GEO::signed_index_t vertex = delaunay->cell_vertex(t, v);
             
-            // In periodic mode, map back to original vertex
-            if (is_periodic && vertex_index >= nb_vertices_non_periodic) {
-                vertex_index = vertex_index % nb_vertices_non_periodic;
+            // Guard against unused cells (none are expected after compute())
+            if (vertex < 0 || (!is_periodic && vertex >= nb_vertices_non_periodic)) {
+                valid = false;
+                break;
             }
             
-            // Ensure the index is valid
-            if (vertex_index < 0 || vertex_index >= nb_vertices_non_periodic) {
-                std::cerr << "Invalid vertex index " << vertex_index 
-                          << " in tetrahedron " << t << std::endl;
-                vertex_index = 0; // Fallback to prevent crashes
+            const GEO::index_t index = static_cast<GEO::index_t>(vertex);
+            tet_images[v] = {0, 0, 0};
+            if (is_periodic) {
+                delaunay->periodic_vertex_get_T(index, tet_images[v][0], tet_images[v][1], tet_images[v][2]);
+                tet_indices[v] = static_cast<int>(delaunay->periodic_vertex_real(index));
+            } else {
+                tet_indices[v] = static_cast<int>(index);
             }
-            
-            tet_indices[v] = vertex_index;
         }
         
-        // Sort the indices to create a canonical representation
-        std::vector<int> sorted_indices = tet_indices;
-        std::sort(sorted_indices.begin(), sorted_indices.end());
+        if (!valid) {
+            missing_count++;
+            continue;
+        }
         
-        // Check if this tetrahedron is unique
-        if (unique_tets.insert(sorted_indices).second) {
-            // This is a new unique tetrahedron, add it to results
-            emscripten::val tet = emscripten::val::array();
-            for (int v = 0; v < 4; ++v) {
-                tet.set(v, tet_indices[v]);
+        int ref = 0;
+        for (int v = 1; v < 4; ++v) {
+            if (tet_indices[v] < tet_indices[ref] ||
+                (tet_indices[v] == tet_indices[ref] && tet_images[v] < tet_images[ref])) {
+                ref = v;
+            }
+        }
+        
+        std::array<std::array<int, 4>, 4> relative;
+        for (int v = 0; v < 4; ++v) {
+            relative[v] = {
+                tet_indices[v],
+                tet_images[v][0] - tet_images[ref][0],
+                tet_images[v][1] - tet_images[ref][1],
+                tet_images[v][2] - tet_images[ref][2]
+            };
+        }
+        std::sort(relative.begin(), relative.end());
+        std::array<int, 16> key;
+        for (int v = 0; v < 4; ++v) {
+            std::copy(relative[v].begin(), relative[v].end(), key.begin() + 4 * v);
+        }
+        
+        if (unique_tets.insert(key).second) {
+            tetrahedra.push_back(tet_indices);
+            if (images != nullptr) {
+                images->push_back(tet_images);
             }
-            result.set(result["length"].as<int>(), tet);
         } else {
             duplicate_count++;
         }
     }
     
+    if (missing_count > 0) {
+        std::cerr << "Skipped " << missing_count << " tetrahedra with invalid vertices." << std::endl;
+    }
     if (is_periodic && duplicate_count > 0) {
         std::cout << "Filtered out " << duplicate_count << " duplicate tetrahedra." << std::endl;
         std::cout << "Returning " << unique_tets.size() << " unique tetrahedra." << std::endl;
     }
+    return true;
+}
+
+// Convert tetrahedra to a JavaScript array of [v0, v1, v2, v3] arrays
+static emscripten::val tetrahedra_to_js(const std::vector<std::array<int, 4>>& tetrahedra) {
+    emscripten::val result = emscripten::val::array();
+    for (size_t t = 0; t < tetrahedra.size(); ++t) {
+        emscripten::val tet = emscripten::val::array();
+        for (int v = 0; v < 4; ++v) {
+            tet.set(v, tetrahedra[t][v]);
+        }
+        result.set(t, tet);
+    }
+    return result;
+}
+
+// Wrap a coordinate into [0, period); shift (if given) receives the number of
+// periods subtracted
+static double wrap_coordinate(double coord, double period, int* shift = nullptr) {
+    int periods = static_cast<int>(std::floor(coord / period));
+    coord -= period * periods;
+    if (coord >= period) {
+        coord = 0.0;
+        periods++;
+    }
+    if (shift != nullptr) *shift = periods;
+    return coord;
+}
+
+// Wrapper function that uses Emscripten's val for easier JavaScript interaction.
+// Legacy entry point: the domain is always the unit cube, and only the point
+// indices of the tetrahedra are returned; compute_delaunay_ex also returns the
+// periodic image of every tetrahedron vertex.
+emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+    // Extract points from JavaScript Float64Array
+    std::vector<double> vertices;
+    vertices.reserve(num_points * 3);
+    for (int i = 0; i < num_points * 3; i++) {
+        double coord = points_array[i].as<double>();
+        // Ensure coordinates are in [0,1) range
+        vertices.push_back(wrap_coordinate(coord, 1.0));
+    }
+
+    std::vector<std::array<int, 4>> tetrahedra;
+    if (!triangulate(vertices, num_points, is_periodic, GEO::vec3(1.0, 1.0, 1.0), tetrahedra)) {
+        return emscripten::val::null();
+    }
+    return tetrahedra_to_js(tetrahedra);
+}
+
+// Convert per-vertex images to a JavaScript array of [[i, j, k] x 4] arrays
+static emscripten::val images_to_js(const std::vector<TetImages>& images) {
+    emscripten::val result = emscripten::val::array();
+    for (size_t t = 0; t < images.size(); ++t) {
+        emscripten::val tet = emscripten::val::array();
+        for (int v = 0; v < 4; ++v) {
+            emscripten::val image = emscripten::val::array();
+            for (int d = 0; d < 3; ++d) {
+                image.set(d, images[t][v][d]);
+            }
+            tet.set(v, image);
+        }
+        result.set(t, tet);
+    }
+    return result;
+}
+
+// Periodic triangulation of a triclinic cell (lattice vectors as rows of cell),
+// or of a cell that is only periodic along some axes.
+// Geogram's periodic mode only supports orthorhombic periods, so the points are
+// wrapped into the cell using fractional coordinates, replicated into the 26
+// neighbouring cells in Cartesian space and triangulated as one non-periodic
+// block. A periodic tetrahedron appears once per translate; the translate whose
+// reference vertex (lowest point index, ties broken by image) lies in the
+// primary cell is kept, which selects exactly one of them.
+// Along a non-periodic axis the neighbouring images are mirror images across the
+// walls (-1: lower wall, +1: upper wall), which clips the cells at the walls; the
+// walled lattice vector must be perpendicular to the other two. Mirror vertices
+// are never the reference, and tetrahedra made only of mirror vertices are dropped.
+// Images are reported relative to the input positions (before wrapping).
+static bool triangulate_images(const std::vector<double>& points, int num_points, const double cell[3][3],
+                               const bool periodic[3],
+                               std::vector<std::array<int, 4>>& tetrahedra, std::vector<TetImages>& images,
+                               const double* weights = nullptr) {
+    // Inverse of the cell matrix for fractional coordinates
+    const double a = cell[0][0], b = cell[0][1], c = cell[0][2];
+    const double d = cell[1][0], e = cell[1][1], f = cell[1][2];
+    const double g = cell[2][0], h = cell[2][1], i = cell[2][2];
+    const double det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (std::abs(det) < 1e-300) {
+        std::cerr << "Invalid cell: lattice vectors are linearly dependent." << std::endl;
+        return false;
+    }
+    const double inv[3][3] = {
+        { (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det },
+        { (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det },
+        { (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det }
+    };
+
+    // Shift taking each point into the primary cell, and its fractional coordinates
+    std::vector<Image> wrap_shift(num_points);
+    std::vector<double> fractional(num_points * 3);
+    for (int p = 0; p < num_points; ++p) {
+        for (int k = 0; k < 3; ++k) {
+            double frac = points[p*3] * inv[0][k] + points[p*3+1] * inv[1][k] + points[p*3+2] * inv[2][k];
+            if (periodic[k]) {
+                wrap_shift[p][k] = -static_cast<int>(std::floor(frac));
+            } else if (frac < -1e-12 || frac > 1.0 + 1e-12) {
+                std::cerr << "Point " << p << " lies outside the walls of non-periodic axis " << k << "." << std::endl;
+                return false;
+            } else {
+                wrap_shift[p][k] = 0;
+            }
+            fractional[p*3+k] = frac + wrap_shift[p][k];
+        }
+    }
+
+    // Mirror images change the fractional coordinate f along a walled axis
+    // to -f (lower wall) or 2 - f (upper wall)
+    auto image_shift = [&](const Image& offset, int p, int l) -> double {
+        if (periodic[l]) return offset[l] + wrap_shift[p][l];
+        if (offset[l] == 0) return 0.0;
+        const double f = fractional[p*3+l];
+        return offset[l] < 0 ? -2.0 * f : 2.0 - 2.0 * f;
+    };
+    auto is_mirror = [&](const Image& offset) {
+        for (int l = 0; l < 3; ++l) {
+            if (!periodic[l] && offset[l] != 0) return true;
+        }
+        return false;
+    };
+
+    std::vector<Image> offsets;
+    for (int x = -1; x <= 1; ++x) {
+        for (int y = -1; y <= 1; ++y) {
+            for (int z = -1; z <= 1; ++z) {
+                offsets.push_back({x, y, z});
+            }
+        }
+    }
+
+    std::vector<double> block;
+    block.reserve(offsets.size() * num_points * 3);
+    for (const Image& offset : offsets) {
+        for (int p = 0; p < num_points; ++p) {
+            for (int k = 0; k < 3; ++k) {
+                double coord = points[p*3+k];
+                for (int l = 0; l < 3; ++l) {
+                    coord += image_shift(offset, p, l) * cell[l][k];
+                }
+                block.push_back(coord);
+            }
+        }
+    }
+
+    const int block_size = static_cast<int>(offsets.size()) * num_points;
+
+    // Every image carries the weight of its point
+    std::vector<double> block_weights;
+    if (weights != nullptr) {
+        block_weights.reserve(block_size);
+        for (size_t o = 0; o < offsets.size(); ++o) {
+            block_weights.insert(block_weights.end(), weights, weights + num_points);
+        }
+    }
+
+    std::vector<std::array<int, 4>> block_tets;
+    if (!triangulate(block, block_size, false, GEO::vec3(1.0, 1.0, 1.0), block_tets,
+                     weights != nullptr ? block_weights.data() : nullptr)) {
+        return false;
+    }
+
+    for (const std::array<int, 4>& tet : block_tets) {
+        std::array<int, 4> tet_points;
+        TetImages tet_images;
+        int ref_point = num_points;
+        Image ref_image = {0, 0, 0};
+
+        for (int v = 0; v < 4; ++v) {
+            const int point = tet[v] % num_points;
+            const Image& offset = offsets[tet[v] / num_points];
+            tet_points[v] = point;
+            for (int k = 0; k < 3; ++k) {
+                tet_images[v][k] = offset[k] + wrap_shift[point][k];
+            }
+            if (is_mirror(offset)) continue;
+            if (point < ref_point || (point == ref_point && offset < ref_image)) {
+                ref_point = point;
+                ref_image = offset;
+            }
+        }
+
+        if (ref_point < num_points && ref_image[0] == 0 && ref_image[1] == 0 && ref_image[2] == 0) {
+            tetrahedra.push_back(tet_points);
+            images.push_back(tet_images);
+        }
+    }
+
+    std::cout << "Image triangulation: kept " << tetrahedra.size() << " of "
+              << block_tets.size() << " block tetrahedra." << std::endl;
+    return true;
+}
+
+// Neighbouring tetrahedron across the face opposite each vertex, 4 per
+// tetrahedron, or -1 on the convex hull and beyond the walls. Faces are matched
+// by their point indices and, when images are given, by the images relative to
+// the face's reference vertex (lowest real point index, ties broken by image)
+// along periodic axes; mirror images along walled axes are compared as they are.
+static std::vector<int> tetrahedron_adjacency(const std::vector<std::array<int, 4>>& tetrahedra,
+                                              const std::vector<TetImages>* images, const bool periodic[3]) {
+    std::vector<int> adjacency(tetrahedra.size() * 4, -1);
+    std::map<std::array<int, 12>, int> open_faces;
+    auto is_mirror = [&](const Image& image) {
+        for (int k = 0; k < 3; ++k) {
+            if (!periodic[k] && image[k] != 0) return true;
+        }
+        return false;
+    };
+
+    for (size_t t = 0; t < tetrahedra.size(); ++t) {
+        for (int opposite = 0; opposite < 4; ++opposite) {
+            std::array<std::array<int, 4>, 3> corners;
+            int ref = -1;
+            int c = 0;
+            for (int v = 0; v < 4; ++v) {
+                if (v == opposite) continue;
+                corners[c] = { tetrahedra[t][v], 0, 0, 0 };
+                if (images != nullptr) {
+                    const Image& image = (*images)[t][v];
+                    std::copy(image.begin(), image.end(), corners[c].begin() + 1);
+                    if (!is_mirror(image) && (ref < 0 || corners[c] < corners[ref])) {
+                        ref = c;
+                    }
+                }
+                c++;
+            }
+            if (images != nullptr) {
+                // Faces made only of mirror vertices lie beyond the walls
+                if (ref < 0) continue;
+                const std::array<int, 4> reference = corners[ref];
+                for (std::array<int, 4>& corner : corners) {
+                    for (int k = 0; k < 3; ++k) {
+                        if (periodic[k]) corner[k + 1] -= reference[k + 1];
+                    }
+                }
+            }
+            std::sort(corners.begin(), corners.end());
+            std::array<int, 12> key;
+            for (int v = 0; v < 3; ++v) {
+                std::copy(corners[v].begin(), corners[v].end(), key.begin() + 4 * v);
+            }
+
+            const int face = static_cast<int>(t) * 4 + opposite;
+            auto found = open_faces.find(key);
+            if (found == open_faces.end()) {
+                open_faces.emplace(key, face);
+            } else {
+                adjacency[face] = found->second / 4;
+                adjacency[found->second] = static_cast<int>(t);
+                open_faces.erase(found);
+            }
+        }
+    }
+    return adjacency;
+}
 
+// Copy a buffer out of the WASM heap into a new JavaScript typed array
+// (the heap may move when memory grows, so views into it must not escape)
+static emscripten::val to_typed_array(const char* type, const int* data, size_t length) {
+    emscripten::val view(emscripten::typed_memory_view(length, data));
+    return emscripten::val::global(type).new_(view);
+}
+
+// Triangulation behind both extended entry points. Options:
+//   { periodic: bool | [px, py, pz], box: [Lx, Ly, Lz], weights?: [w0, w1, ...] }
+//   { periodic: bool | [px, py, pz], cell: [[ax, ay, az], [bx, by, bz], [cx, cy, cz]], weights?: [...] }
+// With weights the result is the regular triangulation dual to the power diagram.
+// With clip: true, non-periodic cells are clipped at the box faces, which are
+// walls like those of the non-periodic axes in mixed mode.
+// Periodic and clipped results also fill images: the lattice image [i, j, k] of
+// every tetrahedron vertex relative to its input position (mirror images along
+// non-periodic axes). Non-periodic input is used as-is; periodic input is
+// wrapped into the box. Returns false on failure.
+static bool compute_delaunay_options(const double* points, int num_points, emscripten::val options,
+                                     std::vector<std::array<int, 4>>& tetrahedra,
+                                     std::vector<TetImages>& images, bool& has_images, bool periodic[3]) {
+    periodic[0] = periodic[1] = periodic[2] = true;
+    bool is_triclinic = false;
+    bool clip = false;
+    GEO::vec3 period(1.0, 1.0, 1.0);
+    double cell[3][3] = { {1.0, 0.0, 0.0}, {0.0, 1.0, 0.0}, {0.0, 0.0, 1.0} };
+    std::vector<double> weights;
+    has_images = false;
+
+    if (!options.isUndefined() && !options.isNull()) {
+        if (!options["weights"].isUndefined() && !options["weights"].isNull()) {
+            weights = emscripten::convertJSArrayToNumberVector<double>(options["weights"]);
+            if (static_cast<int>(weights.size()) != num_points) {
+                std::cerr << "Invalid weights: expected one weight per point." << std::endl;
+                return false;
+            }
+        }
+        emscripten::val periodic_option = options["periodic"];
+        if (!periodic_option.isUndefined() && !periodic_option["length"].isUndefined()) {
+            for (int k = 0; k < 3; ++k) {
+                periodic[k] = periodic_option[k].as<bool>();
+            }
+        } else if (!periodic_option.isUndefined()) {
+            periodic[0] = periodic[1] = periodic[2] = periodic_option.as<bool>();
+        }
+        if (!options["clip"].isUndefined() && !options["clip"].isNull()) {
+            clip = options["clip"].as<bool>();
+        }
+        if (!options["box"].isUndefined() && !options["box"].isNull()) {
+            period = GEO::vec3(
+                options["box"][0].as<double>(),
+                options["box"][1].as<double>(),
+                options["box"][2].as<double>()
+            );
+        }
+        if (!options["cell"].isUndefined() && !options["cell"].isNull()) {
+            is_triclinic = true;
+            for (int r = 0; r < 3; ++r) {
+                for (int k = 0; k < 3; ++k) {
+                    cell[r][k] = options["cell"][r][k].as<double>();
+                }
+            }
+        }
+    }
+
+    if (!is_triclinic && (period.x <= 0.0 || period.y <= 0.0 || period.z <= 0.0)) {
+        std::cerr << "Invalid box: all lengths must be positive." << std::endl;
+        return false;
+    }
+    if (!is_triclinic) {
+        for (int k = 0; k < 3; ++k) {
+            cell[k][k] = period[k];
+        }
+    }
+
+    const bool is_periodic = periodic[0] && periodic[1] && periodic[2];
+    const bool is_mixed = !is_periodic && (periodic[0] || periodic[1] || periodic[2]);
+    const bool has_walls = is_mixed || (!is_periodic && clip);
+    if (has_walls) {
+        for (int k = 0; k < 3; ++k) {
+            if (periodic[k]) continue;
+            for (int l = 0; l < 3; ++l) {
+                if (l == k) continue;
+                const double dot = cell[k][0] * cell[l][0] + cell[k][1] * cell[l][1] + cell[k][2] * cell[l][2];
+                const double norms = std::sqrt((cell[k][0] * cell[k][0] + cell[k][1] * cell[k][1] + cell[k][2] * cell[k][2]) *
+                                               (cell[l][0] * cell[l][0] + cell[l][1] * cell[l][1] + cell[l][2] * cell[l][2]));
+                if (std::abs(dot) > 1e-12 * norms) {
+                    std::cerr << "Invalid cell: non-periodic axis " << k
+                              << " must be perpendicular to the other lattice vectors." << std::endl;
+                    return false;
+                }
+            }
+        }
+    }
+
+    std::vector<double> vertices(points, points + num_points * 3);
+    std::vector<int> wrap_shift(num_points * 3, 0);
+    if (is_periodic && !is_triclinic) {
+        for (int i = 0; i < num_points * 3; i++) {
+            vertices[i] = wrap_coordinate(vertices[i], period[i % 3], &wrap_shift[i]);
+        }
+    }
+
+    const double* weights_ptr = weights.empty() ? nullptr : weights.data();
+
+    if ((is_periodic && is_triclinic) || has_walls) {
+        if (!triangulate_images(vertices, num_points, cell, periodic, tetrahedra, images, weights_ptr)) {
+            return false;
+        }
+        has_images = true;
+    } else {
+        if (!triangulate(vertices, num_points, is_periodic, period, tetrahedra, weights_ptr,
+                         is_periodic ? &images : nullptr)) {
+            return false;
+        }
+        if (is_periodic) {
+            // Geogram's images are relative to the wrapped points
+            for (size_t t = 0; t < tetrahedra.size(); ++t) {
+                for (int v = 0; v < 4; ++v) {
+                    for (int k = 0; k < 3; ++k) {
+                        images[t][v][k] -= wrap_shift[tetrahedra[t][v] * 3 + k];
+                    }
+                }
+            }
+            has_images = true;
+        }
+    }
+    return true;
+}
+
+// Extended entry point taking the points as a JavaScript array (or typed array)
+// and an options object (see compute_delaunay_options).
+// Returns { tetrahedra: [[v0, v1, v2, v3], ...], images?: [[[i, j, k] x 4], ...] }
+// or null on failure.
+emscripten::val compute_delaunay_ex_js(emscripten::val points_array, int num_points, emscripten::val options) {
+    const std::vector<double> points = emscripten::convertJSArrayToNumberVector<double>(points_array);
+    if (static_cast<int>(points.size()) < num_points * 3) {
+        std::cerr << "Invalid points: expected " << num_points * 3 << " coordinates." << std::endl;
+        return emscripten::val::null();
+    }
+
+    std::vector<std::array<int, 4>> tetrahedra;
+    std::vector<TetImages> images;
+    bool has_images = false;
+    bool periodic[3];
+    if (!compute_delaunay_options(points.data(), num_points, options, tetrahedra, images, has_images, periodic)) {
+        return emscripten::val::null();
+    }
+
+    emscripten::val result = emscripten::val::object();
+    result.set("tetrahedra", tetrahedra_to_js(tetrahedra));
+    if (has_images) {
+        result.set("images", images_to_js(images));
+    }
+    return result;
+}
+
+// Typed-array entry point for large inputs. The points are read in place from
+// the WASM heap (points_ptr: byte address of num_points * 3 doubles, allocated
+// with _malloc), and the results come back as flat typed arrays:
+//   { tetrahedra: Int32Array(4 * m), images?: Int32Array(12 * m), adjacency?: Int32Array(4 * m) }
+// images holds [i, j, k] for each of the four vertices of every tetrahedron.
+// adjacency is returned when options.adjacency is true: the neighbouring
+// tetrahedron across the face opposite each vertex, or -1.
+// Takes the same options as compute_delaunay_ex; returns null on failure.
+emscripten::val compute_delaunay_typed_js(uintptr_t points_ptr, int num_points, emscripten::val options) {
+    static_assert(sizeof(std::array<int, 4>) == 4 * sizeof(int), "tetrahedra must be contiguous");
+    static_assert(sizeof(TetImages) == 12 * sizeof(int), "images must be contiguous");
+
+    const double* points = reinterpret_cast<const double*>(points_ptr);
+    std::vector<std::array<int, 4>> tetrahedra;
+    std::vector<TetImages> images;
+    bool has_images = false;
+    bool periodic[3];
+    if (!compute_delaunay_options(points, num_points, options, tetrahedra, images, has_images, periodic)) {
+        return emscripten::val::null();
+    }
+
+    emscripten::val result = emscripten::val::object();
+    result.set("tetrahedra", to_typed_array("Int32Array", tetrahedra.empty() ? nullptr : tetrahedra[0].data(),
+                                            tetrahedra.size() * 4));
+    if (has_images) {
+        result.set("images", to_typed_array("Int32Array", images.empty() ? nullptr : images[0][0].data(),
+                                            images.size() * 12));
+    }
+    if (!options.isUndefined() && !options.isNull() &&
+        !options["adjacency"].isUndefined() && options["adjacency"].as<bool>()) {
+        const std::vector<int> adjacency = tetrahedron_adjacency(tetrahedra, has_images ? &images : nullptr, periodic);
+        result.set("adjacency", to_typed_array("Int32Array", adjacency.data(), adjacency.size()));
+    }
     return result;
 }
 
-// --- 7. Embind module ---
+// --- 6. Embind module ---
 EMSCRIPTEN_BINDINGS(my_module) {
     emscripten::function("compute_delaunay", &compute_periodic_delaunay_js);
+    emscripten::function("compute_delaunay_ex", &compute_delaunay_ex_js);
+    emscripten::function("compute_delaunay_typed", &compute_delaunay_typed_js);
 } 
\ No newline at end of file
@@ -20,6 +20,49 @@ function calculateSquaredDistance(p1, p2) {
     return dx * dx + dy * dy + dz * dz;
 }
 
+/**
+ * Bring p2 to the periodic image closest to p1.
+ * Mirrors PeriodicDomain.minimumImage() (classic workers cannot import modules).
+ * @param {Array} p1 - Reference point [x, y, z]
+ * @param {Array} p2 - Point to move [x, y, z]
+ * @param {Object|null} lattice - {cell, inverseCell, periodic} of the periodic domain, or null when not periodic
+ * @returns {Array} Corrected p2 position
+ */
+function minimumImage(p1, p2, lattice) {
+    if (!lattice) return p2;
+    
+    const { cell, inverseCell, periodic = [true, true, true] } = lattice;
+    const delta = [p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]];
+    
+    // Round the displacement in fractional coordinates (periodic axes only)
+    const rounded = [0, 1, 2].map(j => periodic[j]
+        ? Math.round(delta[0] * inverseCell[0][j] + delta[1] * inverseCell[1][j] + delta[2] * inverseCell[2][j])
+        : 0
+    );
+    const offsets = axis => periodic[axis] ? [-1, 0, 1] : [0];
+    
+    // Sheared cells may need a neighbouring translate to reach the shortest image
+    let best = delta;
+    let bestLengthSq = Infinity;
+    for (const i of offsets(0)) {
+        for (const j of offsets(1)) {
+            for (const k of offsets(2)) {
+                const n = [rounded[0] + i, rounded[1] + j, rounded[2] + k];
+                const candidate = [0, 1, 2].map(d =>
+                    delta[d] - (n[0] * cell[0][d] + n[1] * cell[1][d] + n[2] * cell[2][d])
+                );
+                const lengthSq = candidate[0] ** 2 + candidate[1] ** 2 + candidate[2] ** 2;
+                if (lengthSq < bestLengthSq) {
+                    bestLengthSq = lengthSq;
+                    best = candidate;
+                }
+            }
+        }
+    }
+    
+    return [p1[0] + best[0], p1[1] + best[1], p1[2] + best[2]];
+}
+
 /**
  * Calculate the angle between two vectors in radians
  * @param {Array} vec1 - First vector [x, y, z]
@@ -49,14 +92,19 @@ function calculateAngle(vec1, vec2) {
  * @param {Array} cellChunk - Array of cell data {cellIdx, cellVertices}
  * @param {number} maxScore - Early termination threshold
  * @param {number} searchRadius - Radius for spatial neighbor search
+ * @param {Object|null} lattice - {cell, inverseCell, periodic} of the periodic domain, or null when not periodic
  * @returns {Object} Results object with scores and metrics
  */
-function processCellChunk(cellChunk, maxScore, searchRadius) {
+function processCellChunk(cellChunk, maxScore, searchRadius, lattice = null) {
     const scores = [];
     let totalAngleCalculations = 0;
     const startTime = performance.now();
     
-    for (const {cellIdx, cellVertices} of cellChunk) {
+    for (const cell of cellChunk) {
+        const cellIdx = cell.cellIdx;
+        // Unwrap the cell around its first vertex
+        const cellVertices = cell.cellVertices.map(v => minimumImage(cell.cellVertices[0], v, lattice));
+        
         if (cellVertices.length < 4) {
             scores.push({cellIdx, score: 0});
             continue;
@@ -214,16 +262,18 @@ function processFaceChunk(faceChunk, maxScore) {
  * @param {Array} tetraChunk - Array of tetrahedra data
  * @param {Array} points - Array of input points
  * @param {number} maxScore - Early termination threshold
+ * @param {Object|null} lattice - {cell, inverseCell, periodic} of the periodic domain, or null when not periodic
  * @returns {Object} Results object with scores and metrics
  */
-function processTetraChunk(tetraChunk, points, maxScore) {
+function processTetraChunk(tetraChunk, points, maxScore, lattice = null) {
     const scores = [];
     let totalAngleCalculations = 0;
     const startTime = performance.now();
     
     for (let i = 0; i < tetraChunk.length; i++) {
         const tet = tetraChunk[i];
-        const vertices = tet.map(idx => points[idx]);
+        const reference = points[tet[0]];
+        const vertices = tet.map(idx => minimumImage(reference, points[idx], lattice));
         
         let acuteAngles = 0;
         
@@ -283,7 +333,7 @@ self.onmessage = function(e) {
         
         switch (type) {
             case 'CELL_ACUTENESS':
-                result = processCellChunk(data.cellChunk, data.maxScore, data.searchRadius);
+                result = processCellChunk(data.cellChunk, data.maxScore, data.searchRadius, data.lattice);
                 break;
                 
             case 'FACE_ACUTENESS':
@@ -291,7 +341,7 @@ self.onmessage = function(e) {
                 break;
                 
             case 'VERTEX_ACUTENESS':
-                result = processTetraChunk(data.tetraChunk, data.points, data.maxScore);
+                result = processTetraChunk(data.tetraChunk, data.points, data.maxScore, data.lattice);
                 break;
                 
             default:
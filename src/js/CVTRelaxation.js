@@ -0,0 +1,328 @@
+/**
+ * CVTRelaxation.js
+ *
+ * Relaxes generator points towards a centroidal Voronoi tessellation (CVT), where
+ * every generator sits at the centroid of its own cell, by minimizing the CVT energy
+ *
+ *   E = sum_i  integral over cell i of |x - p_i|^2 dx
+ *
+ * whose gradient is dE/dp_i = 2 m_i (p_i - c_i) (m_i volume, c_i centroid of cell i).
+ * - 'lloyd': Lloyd iterations move every generator to its cell centroid; the energy
+ *   never increases
+ * - 'lbfgs': quasi-Newton (L-BFGS) steps preconditioned by the Lloyd step, after Liu
+ *   et al., "On centroidal Voronoi tessellation - energy smoothness and fast
+ *   computation" (2009). A step that raises the energy is taken back and replaced by
+ *   a Lloyd step, so the energy decreases in both methods.
+ * Centroids and energies come from the true (circumcenter) Voronoi cells, measured
+ * in one piece across the periodic boundary (see DelaunayComputation.getCellMeasures).
+ * Every cell must be bounded: in non-periodic mode the cells have to be clipped to
+ * the box (the clip option), since cells on the convex hull have no centroid.
+ */
+
+import { DelaunayComputation } from './DelaunayComputation.js';
+
+/**
+ * Supported relaxation methods
+ */
+export const CVT_METHODS = ['lloyd', 'lbfgs'];
+
+/**
+ * CVT energy and its gradient for the current tessellation
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @returns {{energy: number, gradient: Float64Array, offsets: Float64Array,
+ *           masses: Float64Array, numFixed: number}}
+ *          gradient and offsets (centroid minus generator, minimum image) are flat
+ *          [x0, y0, z0, x1, ...]; masses are the cell volumes; generators without a
+ *          bounded cell count as fixed and have zero gradient
+ */
+export function measureCVT(computation) {
+    const measures = computation.getCellMeasures();
+    const points = computation.pointsArray;
+    const numPoints = computation.numPoints;
+    const gradient = new Float64Array(3 * numPoints);
+    const offsets = new Float64Array(3 * numPoints);
+    const masses = new Float64Array(numPoints);
+    let energy = 0;
+    let numFixed = 0;
+
+    for (let i = 0; i < numPoints; i++) {
+        const measure = measures[i];
+        if (!measure) {
+            numFixed++;
+            continue;
+        }
+        const p = points[i];
+        const offset = computation.domain.minimumImageVector([
+            measure.centroid[0] - p[0], measure.centroid[1] - p[1], measure.centroid[2] - p[2]
+        ]);
+        energy += measure.secondMoment;
+        masses[i] = measure.volume;
+        for (let axis = 0; axis < 3; axis++) {
+            offsets[3 * i + axis] = offset[axis];
+            gradient[3 * i + axis] = -2 * measure.volume * offset[axis];
+        }
+    }
+
+    return { energy, gradient, offsets, masses, numFixed };
+}
+
+function dotFlat(u, v) {
+    let sum = 0;
+    for (let k = 0; k < u.length; k++) sum += u[k] * v[k];
+    return sum;
+}
+
+export class CVTRelaxation {
+    /**
+     * @param {Object} config - Relaxation settings
+     * @param {string} config.method - One of CVT_METHODS (default 'lloyd')
+     * @param {number} config.memory - Number of L-BFGS correction pairs (default 7)
+     * @param {number} config.maxStep - Largest L-BFGS move of a generator, in mean point
+     *        spacings (default 0.5)
+     * @param {number} config.tolerance - relax() stops once the RMS distance between the
+     *        generators and their centroids is below this many mean spacings (default 1e-4)
+     * @param {number} config.maxIterations - relax() stops after this many steps (default 100)
+     */
+    constructor(config = {}) {
+        this.config = {
+            method: config.method || 'lloyd',
+            memory: config.memory || 7,
+            maxStep: config.maxStep || 0.5,
+            tolerance: config.tolerance || 1e-4,
+            maxIterations: config.maxIterations || 100
+        };
+        if (!CVT_METHODS.includes(this.config.method)) {
+            throw new Error(`Unknown CVT method '${this.config.method}' (expected one of: ${CVT_METHODS.join(', ')})`);
+        }
+
+        // One entry per step: {iteration, energy, residual, step, maxDisplacement}
+        this.history = [];
+
+        // L-BFGS correction pairs and the state the last step started from
+        this._pairs = [];
+        this._previous = null;
+        this._warnings = new Set();
+    }
+
+    /**
+     * One relaxation step from the tessellation of the current points. Records the
+     * energy of the current points in history.
+     * @param {Array} points - Current generator points [[x,y,z], ...]; must be the points
+     *        the computation was built for
+     * @param {DelaunayComputation} computation - Tessellation of the points
+     * @returns {Array} New points; unchanged copies while the computation is stale
+     *          (its points differ from the given ones)
+     */
+    step(points, computation) {
+        const numPoints = points.length;
+        if (computation.numPoints !== numPoints || !this._matchesComputation(points, computation)) {
+            return points.map(p => [...p]);
+        }
+        if (!computation.domain.periodic.some(Boolean) && !computation.domain.hasWalls) {
+            this._warnOnce('CVT relaxation needs bounded cells: make an axis periodic or clip the cells to the box');
+            return points.map(p => [...p]);
+        }
+        if (computation.voronoiVertexMode !== 'circumcenter') {
+            this._warnOnce('CVT relaxation on barycentric cells: use voronoiVertexMode \'circumcenter\' for true Voronoi centroids');
+        }
+        if (this._previous && this._previous.points.length !== numPoints) {
+            this.reset();
+        }
+
+        const domain = computation.domain;
+        const spacing = Math.cbrt(domain.getVolume() / numPoints);
+        const measured = measureCVT(computation);
+        const residual = Math.sqrt(dotFlat(measured.offsets, measured.offsets) / numPoints) / spacing;
+        const iteration = this.history.length;
+
+        // A quasi-Newton step that raised the energy is replaced by the Lloyd step
+        // from where it started
+        const previous = this._previous;
+        if (previous && previous.method === 'lbfgs' && measured.energy > previous.energy) {
+            this._pairs = [];
+            this._previous = { ...previous, method: 'lloyd' };
+            const { newPoints, maxDisplacement } = this._move(previous.points, previous.offsets, domain, Infinity);
+            this.history.push({ iteration, energy: measured.energy, residual, step: 'rejected', maxDisplacement });
+            console.log(`CVT step ${iteration}: energy ${measured.energy.toExponential(6)} rose, falling back to Lloyd`);
+            return newPoints;
+        }
+
+        // Curvature pair from the previous accepted step
+        if (previous && this.config.method === 'lbfgs') {
+            const s = new Float64Array(3 * numPoints);
+            for (let i = 0; i < numPoints; i++) {
+                const delta = domain.minimumImageVector([
+                    points[i][0] - previous.points[i][0], points[i][1] - previous.points[i][1], points[i][2] - previous.points[i][2]
+                ]);
+                s.set(delta, 3 * i);
+            }
+            const y = measured.gradient.map((g, k) => g - previous.gradient[k]);
+            const sy = dotFlat(s, y);
+            if (sy > 1e-12 * Math.sqrt(dotFlat(s, s) * dotFlat(y, y))) {
+                this._pairs.push({ s, y, rho: 1 / sy });
+                if (this._pairs.length > this.config.memory) this._pairs.shift();
+            }
+        }
+
+        const method = this.config.method;
+        let direction = measured.offsets;
+        if (method === 'lbfgs' && this._pairs.length > 0) {
+            direction = this._quasiNewtonDirection(measured);
+            // Not a descent direction: start over from the Lloyd step
+            if (dotFlat(direction, measured.gradient) >= 0) {
+                this._pairs = [];
+                direction = measured.offsets;
+            }
+        }
+
+        const limit = method === 'lbfgs' ? this.config.maxStep * spacing : Infinity;
+        const { newPoints, maxDisplacement } = this._move(points, direction, domain, limit);
+        this._previous = {
+            points: points.map(p => [...p]),
+            gradient: measured.gradient,
+            offsets: measured.offsets,
+            energy: measured.energy,
+            method
+        };
+        this.history.push({ iteration, energy: measured.energy, residual, step: method, maxDisplacement });
+        console.log(`CVT step ${iteration} (${method}): energy ${measured.energy.toExponential(6)}, residual ${residual.toExponential(3)}`);
+
+        return newPoints;
+    }
+
+    /**
+     * Relax a point set headless: triangulate, step and update the triangulation until
+     * the generators are within tolerance of their centroids
+     * @param {Object} wasmModule - Loaded WASM module
+     * @param {Array} points - Generator points [[x,y,z], ...]
+     * @param {boolean|Array<boolean>} isPeriodic - Periodicity, as for DelaunayComputation
+     * @param {Object} options - DelaunayComputation options (box, cell, clip, ...), plus
+     *        maxIterations, tolerance and onIteration(entry, computation), called after
+     *        every step
+     * @returns {Promise<{points: Array, computation: DelaunayComputation, history: Array,
+     *           converged: boolean}>} The relaxed points with their tessellation
+     */
+    async relax(wasmModule, points, isPeriodic = true, options = {}) {
+        const {
+            maxIterations = this.config.maxIterations,
+            tolerance = this.config.tolerance,
+            onIteration = null,
+            ...computationOptions
+        } = options;
+
+        this.reset();
+        const computation = new DelaunayComputation(points, isPeriodic, { ...computationOptions, voronoiVertexMode: 'circumcenter' });
+        if (!computation.domain.periodic.some(Boolean) && !computation.domain.hasWalls) {
+            throw new Error('CVT relaxation needs bounded cells: make an axis periodic or set clip');
+        }
+        await computation.compute(wasmModule);
+
+        let current = computation.pointsArray.map(p => [...p]);
+        let converged = false;
+        for (let iteration = 0; ; iteration++) {
+            const next = this.step(current, computation);
+            const entry = this.history[this.history.length - 1];
+            if (onIteration) {
+                onIteration(entry, computation);
+            }
+            if (entry.step !== 'rejected' && entry.residual <= tolerance) {
+                converged = true;
+                break;
+            }
+            if (iteration >= maxIterations) break;
+            await computation.updatePoints(wasmModule, null, next);
+            current = next;
+        }
+
+        const last = this.history[this.history.length - 1];
+        console.log(`CVT relaxation ${converged ? 'converged' : 'stopped'} after ${last.iteration} steps: energy ${last.energy.toExponential(6)}`);
+        return { points: current, computation, history: this.history, converged };
+    }
+
+    /**
+     * L-BFGS two-loop recursion with the Lloyd step as initial inverse Hessian
+     * (1 / (2 m_i) per generator)
+     * @private
+     */
+    _quasiNewtonDirection(measured) {
+        const q = Float64Array.from(measured.gradient);
+        const alphas = [];
+        for (let k = this._pairs.length - 1; k >= 0; k--) {
+            const { s, y, rho } = this._pairs[k];
+            const alpha = rho * dotFlat(s, q);
+            alphas[k] = alpha;
+            for (let j = 0; j < q.length; j++) q[j] -= alpha * y[j];
+        }
+        for (let j = 0; j < q.length; j++) {
+            const mass = measured.masses[Math.floor(j / 3)];
+            q[j] = mass > 0 ? q[j] / (2 * mass) : 0;
+        }
+        for (let k = 0; k < this._pairs.length; k++) {
+            const { s, y, rho } = this._pairs[k];
+            const beta = rho * dotFlat(y, q);
+            for (let j = 0; j < q.length; j++) q[j] += s[j] * (alphas[k] - beta);
+        }
+        return q.map(x => -x);
+    }
+
+    /**
+     * Move every generator along its direction, at most limit far, and wrap it back
+     * into the domain (only with periodic axes or walls)
+     * @private
+     */
+    _move(points, direction, domain, limit) {
+        const wrap = domain.periodic.some(Boolean) || domain.hasWalls;
+        let maxDisplacement = 0;
+        const newPoints = points.map((p, i) => {
+            let d = [direction[3 * i], direction[3 * i + 1], direction[3 * i + 2]];
+            const length = Math.hypot(d[0], d[1], d[2]);
+            if (length > limit) {
+                d = d.map(x => x * limit / length);
+            }
+            maxDisplacement = Math.max(maxDisplacement, Math.min(length, limit));
+            const q = [p[0] + d[0], p[1] + d[1], p[2] + d[2]];
+            return wrap ? domain.wrap(q) : q;
+        });
+        return { newPoints, maxDisplacement };
+    }
+
+    /**
+     * Log a warning the first time it comes up
+     * @private
+     */
+    _warnOnce(message) {
+        if (this._warnings.has(message)) return;
+        this._warnings.add(message);
+        console.warn(message);
+    }
+
+    /**
+     * Whether the computation was built for exactly these points
+     * @private
+     */
+    _matchesComputation(points, computation) {
+        const flat = computation.points;
+        for (let i = 0; i < points.length; i++) {
+            if (flat[3 * i] !== points[i][0] || flat[3 * i + 1] !== points[i][1] || flat[3 * i + 2] !== points[i][2]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Energy, residual and step of the last iteration, or null before the first
+     */
+    getStats() {
+        return this.history.length > 0 ? { ...this.history[this.history.length - 1] } : null;
+    }
+
+    /**
+     * Forget the history and the quasi-Newton memory
+     */
+    reset() {
+        this.history = [];
+        this._pairs = [];
+        this._previous = null;
+    }
+}
@@ -0,0 +1,571 @@
+/**
+ * CommandLine.js
+ *
+ * The fabric command-line tool (bin/fabric.js) for batch processing:
+ *
+ *   fabric triangulate [input] [options]   triangulation snapshot (JSON, binary) or tetrahedra (CSV)
+ *   fabric analyze [input] [options]       acuteness scores, cell measures and topology (JSON, CSV)
+ *   fabric grow [input] --steps 500        growth run, final points (XYZ, CSV, JSON)
+ *   fabric export [input] --format vtu     Voronoi cells (OBJ, PLY, STL, VTU)
+ *
+ * The input is a point file (CSV, XYZ or LAMMPS dump, see PointImporter), a snapshot
+ * written by `fabric triangulate` (.json or .fsxd; no WASM needed to analyze or export
+ * it), or nothing, in which case points are generated as in index.html.
+ * Every setting of the index.html controls is an option (--num-points 500,
+ * --no-poisson-sampling, --box 2,1,1, --periodic xy, ...) and can also be given in a
+ * JSON config file (--config run.json, same names in camelCase); options given on
+ * the command line override the config file.
+ * Runs are reproducible: --seed drives point generation, growth and jitter. Without
+ * it the seed of an input snapshot, or else a fresh one, is used and reported; every
+ * output records it.
+ *
+ * Results go to --output (format from its extension unless --format is given) or
+ * to stdout. Invalid input ends with a message on stderr and exit code 1, usage
+ * errors (unknown options, bad values) with exit code 2.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { DelaunayComputation, VORONOI_VERTEX_MODES } from './DelaunayComputation.js';
+import { analyzeAcuteness, summarizeScores } from './GeometryAnalysis.js';
+import { GrowthSystem, GROWTH_MODES } from './GrowthSystem.js';
+import { loadWasmModule, triangulate, grow } from './Headless.js';
+import { exportCells, parseCellSelection, MESH_FORMATS } from './MeshExporter.js';
+import { generatePoints } from './PointGeneration.js';
+import { parsePoints, IMPORT_FORMATS } from './PointImporter.js';
+import { randomSeed, MAX_SEED } from './SeededRandom.js';
+import { topologyStatistics } from './TopologyStatistics.js';
+import { exportVTU, VTU_KINDS } from './VTKExporter.js';
+
+/**
+ * Output formats of every command; the first one is the default
+ */
+export const COMMANDS = {
+    triangulate: { formats: ['json', 'fsxd', 'csv'], summary: 'Triangulate the points and write the snapshot (or tetrahedra)' },
+    analyze: { formats: ['json', 'csv'], summary: 'Acuteness scores, cell measures and topology statistics' },
+    grow: { formats: ['xyz', 'csv', 'json'], summary: 'Run growth steps and write the final points' },
+    export: { formats: [...MESH_FORMATS, 'vtu'], summary: 'Export the Voronoi cells as a mesh or ParaView file' }
+};
+
+/**
+ * Settings with their defaults (those of index.html), grouped as in its control panel
+ */
+export const OPTIONS = {
+    // Points (generated when no input file is given)
+    numPoints: { type: 'integer', min: 4, default: 250, help: 'Number of generated points' },
+    minDistance: { type: 'number', min: 0, default: 0.05, help: 'Minimum distance between generated points' },
+    poissonSampling: { type: 'boolean', default: true, help: 'Poisson disk sampling (uniform otherwise)' },
+    seed: { type: 'integer', min: 0, max: MAX_SEED, default: null, help: 'Random seed of points, growth and jitter (default: a fresh one)' },
+    // Domain
+    box: { type: 'vector', positive: true, default: [1, 1, 1], help: 'Box lengths Lx,Ly,Lz' },
+    tilt: { type: 'vector', default: [0, 0, 0], help: 'Tilt factors xy,xz,yz of a triclinic cell' },
+    periodic: { type: 'axes', default: [true, true, true], help: 'Periodic axes: xyz, xy, ..., or none (walls otherwise)' },
+    clip: { type: 'boolean', default: true, help: 'Without periodic axes, clip the cells at the box faces' },
+    voronoiVertexMode: { type: 'choice', choices: VORONOI_VERTEX_MODES, default: 'barycenter', help: 'Voronoi vertices' },
+    // Import
+    importFormat: { type: 'choice', choices: IMPORT_FORMATS, default: null, help: 'Point file format (default from the file)' },
+    frame: { type: 'integer', default: 0, help: 'Frame of a trajectory file (negative counts from the end)' },
+    scale: { type: 'number', min: 0, exclusive: true, default: 1, help: 'Multiply the imported coordinates (and box)' },
+    fit: { type: 'boolean', default: true, help: 'Fit files without a box into the box' },
+    // Growth
+    steps: { type: 'integer', min: 0, default: 100, help: 'Growth steps' },
+    growthMode: { type: 'choice', choices: GROWTH_MODES, default: 'more_grow_both', help: 'Growth mode' },
+    threshold: { type: 'number', min: 0, default: 5, help: 'Acuteness threshold between growth and shrinkage' },
+    rate: { type: 'number', min: 0, default: 0.001, help: 'Growth rate k' },
+    damping: { type: 'number', min: 0, max: 1, default: 0.7, help: 'Momentum damping' },
+    maxDelta: { type: 'number', min: 0, default: 0.02, help: 'Maximum displacement per step' },
+    growthPower: { type: 'number', min: 0, exclusive: true, default: 1.5, help: 'Power of the growth rate' },
+    normalize: { type: 'boolean', default: true, help: 'Normalize the growth rates' },
+    // Export
+    kind: { type: 'choice', choices: VTU_KINDS, default: 'cells', help: 'VTU contents' },
+    exportPeriodic: { type: 'choice', choices: ['unwrapped', 'clipped'], default: 'unwrapped', help: 'Cells crossing the box faces' },
+    cells: { type: 'string', default: '', help: 'Cells to export, e.g. 0-9,42 (default all)' },
+    shrink: { type: 'number', min: 0, max: 0.9, default: 0, help: 'Shrink every cell towards its center' },
+    // Output
+    output: { type: 'string', default: null, help: 'Output file (default stdout)' },
+    format: { type: 'string', default: null, help: 'Output format (default from the output file name)' },
+    verbose: { type: 'boolean', default: false, help: 'Log progress to stderr' }
+};
+
+/**
+ * Error in the command line or config file (exit code 2)
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+const kebabCase = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * Check a setting (from the config file, or converted from the command line)
+ * @returns The value, unchanged
+ */
+function checkSetting(key, value, source) {
+    const option = OPTIONS[key];
+    const fail = expected => usageError(`Invalid ${source}: expected ${expected}, got ${JSON.stringify(value)}`);
+    if (value === null && option.default === null) {
+        return value;
+    }
+    switch (option.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') throw fail('true or false');
+            break;
+        case 'string':
+            if (typeof value !== 'string') throw fail('a string');
+            break;
+        case 'choice':
+            if (!option.choices.includes(value)) throw fail(`one of ${option.choices.join(', ')}`);
+            break;
+        case 'vector':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite) ||
+                (option.positive && !value.every(x => x > 0))) {
+                throw fail(`three ${option.positive ? 'positive ' : ''}numbers`);
+            }
+            break;
+        case 'axes':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(flag => typeof flag === 'boolean')) {
+                throw fail('three booleans');
+            }
+            break;
+        default: {
+            const integer = option.type === 'integer';
+            if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+                throw fail(integer ? 'an integer' : 'a number');
+            }
+            if (option.min !== undefined && (value < option.min || (option.exclusive && value === option.min))) {
+                throw fail(`a number ${option.exclusive ? '>' : '>='} ${option.min}`);
+            }
+            if (option.max !== undefined && value > option.max) {
+                throw fail(`a number <= ${option.max}`);
+            }
+        }
+    }
+    return value;
+}
+
+/**
+ * Convert a command-line value to the type of its setting
+ */
+function parseValue(key, text) {
+    const option = OPTIONS[key];
+    const source = `value for --${kebabCase(key)}`;
+    switch (option.type) {
+        case 'boolean':
+            if (/^(true|yes|1)$/i.test(text)) return true;
+            if (/^(false|no|0)$/i.test(text)) return false;
+            throw usageError(`Invalid ${source}: expected true or false, got '${text}'`);
+        case 'integer':
+        case 'number':
+            return checkSetting(key, text.trim() === '' ? NaN : Number(text), source);
+        case 'vector':
+            return checkSetting(key, text.split(',').map(x => x.trim() === '' ? NaN : Number(x)), source);
+        case 'axes': {
+            const axes = text.toLowerCase();
+            if (axes === 'none') return [false, false, false];
+            if (axes === 'all') return [true, true, true];
+            if (!/^[xyz]+$/.test(axes)) {
+                throw usageError(`Invalid ${source}: expected axes such as xyz or xy, or none, got '${text}'`);
+            }
+            return ['x', 'y', 'z'].map(axis => axes.includes(axis));
+        }
+        default:
+            return checkSetting(key, text, source);
+    }
+}
+
+/**
+ * Split the command line into command, input file and options
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {{command: string|null, input: string|null, config: string|null, options: Object, help: boolean}}
+ */
+export function parseArguments(argv) {
+    const parsed = { command: null, input: null, config: null, options: {}, help: false };
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        if (arg === '-h' || arg === '--help') {
+            parsed.help = true;
+            continue;
+        }
+        if (arg === '-o' || arg === '-c' || arg.startsWith('--')) {
+            const [flag, inlineValue] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [arg === '-o' ? 'output' : 'config'];
+            const takeValue = () => {
+                const value = inlineValue !== undefined ? inlineValue : argv[++k];
+                if (value === undefined) {
+                    throw usageError(`Option ${arg} needs a value`);
+                }
+                return value;
+            };
+            if (flag === 'config') {
+                parsed.config = takeValue();
+                continue;
+            }
+            const key = camelCase(flag);
+            const negated = flag.startsWith('no-') ? camelCase(flag.slice(3)) : null;
+            if (negated && OPTIONS[negated] && OPTIONS[negated].type === 'boolean' && inlineValue === undefined) {
+                parsed.options[negated] = false;
+            } else if (OPTIONS[key] && OPTIONS[key].type === 'boolean' && inlineValue === undefined) {
+                parsed.options[key] = true;
+            } else if (OPTIONS[key]) {
+                parsed.options[key] = parseValue(key, takeValue());
+            } else {
+                throw usageError(`Unknown option ${arg.split('=')[0]} (see fabric --help)`);
+            }
+        } else if (!parsed.command) {
+            parsed.command = arg;
+        } else if (!parsed.input) {
+            parsed.input = arg;
+        } else {
+            throw usageError(`Unexpected argument '${arg}': only one input file is read`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Settings from a JSON config file
+ * @param {string} file - Path of the config file
+ * @returns {Promise<Object>} Checked settings
+ */
+export async function loadConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        throw usageError(`Cannot read config file ${file}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw usageError(`Config file ${file} must contain a JSON object`);
+    }
+    for (const [key, value] of Object.entries(config)) {
+        if (!OPTIONS[key]) {
+            throw usageError(`Unknown setting '${key}' in ${file} (settings: ${Object.keys(OPTIONS).join(', ')})`);
+        }
+        checkSetting(key, value, `setting '${key}' in ${file}`);
+    }
+    return config;
+}
+
+/**
+ * Domain options ({box} or {cell}) of the settings, as the box and tilt controls give them
+ */
+function domainOptions(settings) {
+    const [lx, ly, lz] = settings.box;
+    const [xy, xz, yz] = settings.tilt;
+    return xy === 0 && xz === 0 && yz === 0
+        ? { box: [lx, ly, lz] }
+        : { cell: [[lx, 0, 0], [xy, ly, 0], [xz, yz, lz]] };
+}
+
+/**
+ * Seed of the run: --seed, else the one recorded in the input, else a fresh one.
+ * Kept in the settings, so that every output records it
+ */
+function resolveSeed(settings, recorded = null) {
+    if (settings.seed === null) {
+        settings.seed = recorded ?? randomSeed();
+        console.warn(`Seed: ${settings.seed}`);
+    }
+    return settings.seed;
+}
+
+/**
+ * Points and computation options of the input: a snapshot, a point file or generated points
+ * @returns {Promise<{computation: DelaunayComputation|null, points: Array|null, computationOptions: Object}>}
+ */
+async function readInput(input, settings) {
+    const computationOptions = {
+        isPeriodic: settings.periodic,
+        ...domainOptions(settings),
+        clip: settings.clip,
+        voronoiVertexMode: settings.voronoiVertexMode
+    };
+
+    if (!input) {
+        computationOptions.seed = resolveSeed(settings);
+        const points = generatePoints(domainOptions(settings), settings);
+        if (points.length < 4) {
+            throw new Error(`Only ${points.length} points fit at minimum distance ${settings.minDistance}: lower --min-distance`);
+        }
+        if (points.length < settings.numPoints) {
+            console.warn(`Generated ${points.length} of ${settings.numPoints} points: no room for more at minimum distance ${settings.minDistance}`);
+        }
+        return { computation: null, points, computationOptions };
+    }
+
+    let data;
+    try {
+        data = await readFile(input);
+    } catch (error) {
+        throw new Error(`Cannot read ${input}: ${error.message}`);
+    }
+
+    // Snapshots of `fabric triangulate` are used as they are
+    const extension = path.extname(input).toLowerCase();
+    if (extension === '.fsxd') {
+        const computation = DelaunayComputation.fromBinary(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        resolveSeed(settings, computation.seed);
+        return { computation, points: null, computationOptions };
+    }
+    const text = data.toString('utf8');
+    if (extension === '.json') {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${input} is not valid JSON: ${error.message}`);
+        }
+        if (!snapshot || snapshot.format !== 'DelaunayComputation') {
+            throw new Error(`${input} is not a snapshot written by fabric triangulate`);
+        }
+        const computation = DelaunayComputation.fromJSON(snapshot);
+        resolveSeed(settings, computation.seed);
+        return { computation, points: null, computationOptions };
+    }
+
+    const imported = parsePoints(text, {
+        format: settings.importFormat,
+        filename: input,
+        frame: settings.frame,
+        scale: settings.scale,
+        fit: settings.fit ? domainOptions(settings) : null
+    });
+    if (imported.rejected.length > 0) {
+        const shown = imported.rejected.slice(0, 5).map(({ line, reason }) => `line ${line}: ${reason}`);
+        console.warn(`${input}: ${imported.rejected.length} rows rejected (${shown.join('; ')}${imported.rejected.length > 5 ? '; ...' : ''})`);
+    }
+    if (imported.points.length < 4) {
+        throw new Error(`${input} has ${imported.points.length} usable points (at least 4 needed)`);
+    }
+    computationOptions.seed = resolveSeed(settings, imported.seed);
+
+    // A box in the file replaces the box, tilt and periodicity settings, as in index.html
+    if (imported.domain) {
+        const { periodic, ...domain } = imported.domain;
+        delete computationOptions.box;
+        delete computationOptions.cell;
+        Object.assign(computationOptions, domain, { isPeriodic: periodic, clip: settings.clip || !periodic.some(Boolean) });
+    }
+    return { computation: null, points: imported.points, computationOptions };
+}
+
+/**
+ * Computation of the input, triangulated with WASM unless it is a snapshot
+ */
+async function computeInput(input, settings) {
+    const { computation, points, computationOptions } = await readInput(input, settings);
+    if (computation) {
+        return computation;
+    }
+    const wasmModule = await loadWasmModule({ quiet: !settings.verbose });
+    return triangulate(wasmModule, points, computationOptions);
+}
+
+/**
+ * Extended XYZ with the lattice and periodicity, so that the file reads back into
+ * the same domain (see PointImporter)
+ */
+function formatXYZ(points, domain, comment = '', seed = null) {
+    const lattice = domain.cell.flat().join(' ');
+    const pbc = domain.periodic.map(flag => flag ? 'T' : 'F').join(' ');
+    const lines = [
+        String(points.length),
+        `Lattice="${lattice}" Properties=species:S:1:pos:R:3 pbc="${pbc}"${seed !== null ? ` seed=${seed}` : ''}${comment ? ` Comment="${comment}"` : ''}`,
+        ...points.map(p => `X ${p[0]} ${p[1]} ${p[2]}`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * CSV with the seed as a leading comment line (skipped by PointImporter)
+ */
+function formatCSV(header, rows, seed = null) {
+    return [...(seed !== null ? [`# seed ${seed}`] : []), header.join(','), ...rows.map(row => row.join(','))].join('\n') + '\n';
+}
+
+/**
+ * Run one command
+ * @returns {Promise<string|Uint8Array>} Contents of the result
+ */
+async function runCommand(command, input, settings, format) {
+    switch (command) {
+        case 'triangulate': {
+            const computation = await computeInput(input, settings);
+            console.warn(`Triangulated ${computation.numPoints} points: ${computation.numTetrahedra} tetrahedra`);
+            if (format === 'fsxd') return new Uint8Array(computation.toBinary());
+            if (format === 'csv') return formatCSV(['v0', 'v1', 'v2', 'v3'], computation.tetrahedra, computation.seed);
+            return JSON.stringify(computation);
+        }
+
+        case 'analyze': {
+            const computation = await computeInput(input, settings);
+            const analysis = analyzeAcuteness(computation);
+            const topology = topologyStatistics(computation);
+            const summary = Object.fromEntries(['vertexScores', 'faceScores', 'cellScores', 'edgeScores']
+                .map(key => [key, summarizeScores(analysis[key])]));
+            console.warn(`Analyzed ${computation.numPoints} cells: mean cell score ${summary.cellScores.mean.toFixed(3)}, ` +
+                `mean faces per cell ${topology.facesPerCell.mean.toFixed(3)}`);
+            if (format === 'csv') {
+                return formatCSV(['cell', 'x', 'y', 'z', 'cellScore', 'volume', 'surfaceArea', 'faces'],
+                    computation.pointsArray.map((p, i) => [i, ...p, analysis.cellScores[i] ?? '',
+                        analysis.cellVolumes?.[i] ?? '', analysis.cellSurfaceAreas?.[i] ?? '', topology.faceCounts[i] ?? '']),
+                    computation.seed);
+            }
+            return JSON.stringify({ seed: computation.seed, stats: computation.getStats(), summary, analysis, topology });
+        }
+
+        case 'grow': {
+            const { computation: snapshot, points, computationOptions } = await readInput(input, settings);
+            let options = computationOptions;
+            if (snapshot) {
+                const { periodic, ...domain } = snapshot.domain.toJSON();
+                // Power diagrams keep the weights of their points
+                options = {
+                    isPeriodic: snapshot.periodicAxes,
+                    ...domain,
+                    voronoiVertexMode: snapshot.voronoiVertexMode,
+                    seed: settings.seed,
+                    ...(snapshot.weights ? { weights: snapshot.weights } : {})
+                };
+            }
+            // CVT relaxation moves the points to the centroids of the true Voronoi cells
+            if (settings.growthMode.startsWith('cvt_') && options.voronoiVertexMode !== 'circumcenter') {
+                console.warn(`Using circumcenter Voronoi vertices for ${settings.growthMode} (not ${options.voronoiVertexMode})`);
+                options = { ...options, voronoiVertexMode: 'circumcenter' };
+            }
+
+            // Set like the sliders do: the constructor would replace zeros by defaults
+            const growthSystem = new GrowthSystem({ seed: settings.seed });
+            growthSystem.updateConfig({
+                mode: settings.growthMode,
+                threshold: settings.threshold,
+                k: settings.rate,
+                damping: settings.damping,
+                maxDelta: settings.maxDelta,
+                growthPower: settings.growthPower,
+                normalize: settings.normalize
+            });
+
+            const wasmModule = await loadWasmModule({ quiet: !settings.verbose });
+            const history = [];
+            const result = await grow(wasmModule, snapshot ? snapshot.pointsArray : points, {
+                ...options,
+                steps: settings.steps,
+                growthSystem,
+                onStep: ({ step, stats }) => {
+                    history.push({ step, ...stats });
+                    if (settings.verbose && step % 10 === 0) {
+                        console.warn(`Step ${step}/${settings.steps}: max displacement ${stats.maxDisplacement.toFixed(5)}`);
+                    }
+                }
+            });
+            console.warn(`Grew ${result.points.length} points for ${result.steps} steps (${settings.growthMode})`);
+            if (format === 'csv') return formatCSV(['x', 'y', 'z'], result.points, settings.seed);
+            if (format === 'json') {
+                return JSON.stringify({ seed: settings.seed, steps: result.steps, settings, history, points: result.points });
+            }
+            return formatXYZ(result.points, result.computation.domain, `fabric grow ${settings.growthMode} ${result.steps} steps`, settings.seed);
+        }
+
+        case 'export': {
+            const computation = await computeInput(input, settings);
+            const options = {
+                cells: parseCellSelection(settings.cells, computation.numPoints),
+                periodic: settings.exportPeriodic,
+                shrink: settings.shrink,
+                analysis: analyzeAcuteness(computation)
+            };
+            const text = format === 'vtu' ? exportVTU(computation, settings.kind, options) : exportCells(computation, format, options);
+            console.warn(`Exported ${format.toUpperCase()}${format === 'vtu' ? ` ${settings.kind}` : ''} (${(text.length / 1024).toFixed(0)} KB)`);
+            return text;
+        }
+    }
+}
+
+/**
+ * Help text: commands and options with their defaults
+ */
+export function usage() {
+    const lines = [
+        'Usage: fabric <command> [input] [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, { formats, summary }]) =>
+            `  ${name.padEnd(12)} ${summary} (${formats.join(', ')})`),
+        '',
+        'Input: a CSV, XYZ or LAMMPS dump file, a snapshot of fabric triangulate (.json, .fsxd),',
+        'or nothing to generate points.',
+        '',
+        'Options:',
+        '  -c, --config <file>            JSON file with any of the settings below (camelCase names)',
+        '  -o, --output <file>            Output file (default stdout)'
+    ];
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        if (key === 'output') continue;
+        const value = option.type === 'boolean' ? '' : ` <${option.type === 'choice' ? option.choices.join('|') : option.type}>`;
+        const flag = `  --${option.type === 'boolean' ? '[no-]' : ''}${kebabCase(key)}${value}`;
+        const shown = option.type === 'axes' ? 'xyz' : option.default;
+        const defaultValue = option.default === null || option.default === '' || option.default === false ? '' : ` (default ${shown})`;
+        lines.push(`${flag.length < 33 ? flag.padEnd(33) : `${flag}\n${''.padEnd(33)}`}${option.help}${defaultValue}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Run the fabric tool
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} io - stdout and stderr streams (default those of the process)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on invalid input or failed
+ *          computations, 2 on usage errors
+ */
+export async function runCommandLine(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr } = io;
+    const log = console.log;
+    const warn = console.warn;
+    let settings = null;
+
+    try {
+        const parsed = parseArguments(argv);
+        if (parsed.help || !parsed.command) {
+            (parsed.help ? stdout : stderr).write(usage());
+            return parsed.help ? 0 : 2;
+        }
+        if (!COMMANDS[parsed.command]) {
+            throw usageError(`Unknown command '${parsed.command}' (expected one of: ${Object.keys(COMMANDS).join(', ')})`);
+        }
+
+        const defaults = Object.fromEntries(Object.entries(OPTIONS).map(([key, option]) => [key, option.default]));
+        settings = { ...defaults, ...(parsed.config ? await loadConfig(parsed.config) : {}), ...parsed.options };
+
+        const { formats } = COMMANDS[parsed.command];
+        const extension = settings.output ? path.extname(settings.output).slice(1).toLowerCase() : '';
+        const format = settings.format || (formats.includes(extension) ? extension : formats[0]);
+        if (!formats.includes(format)) {
+            throw usageError(`Unknown format '${format}' for ${parsed.command} (expected one of: ${formats.join(', ')})`);
+        }
+
+        // The modules log freely; only results go to stdout
+        console.log = settings.verbose ? (...args) => stderr.write(args.join(' ') + '\n') : () => {};
+        console.warn = (...args) => stderr.write(args.join(' ') + '\n');
+
+        const result = await runCommand(parsed.command, parsed.input, settings, format);
+        if (settings.output) {
+            await writeFile(settings.output, result);
+            console.warn(`Wrote ${settings.output}`);
+        } else {
+            stdout.write(result);
+        }
+        return 0;
+    } catch (error) {
+        stderr.write(`fabric: ${error.message}\n`);
+        if (settings && settings.verbose && !error.usage) {
+            stderr.write(`${error.stack}\n`);
+        }
+        return error.usage ? 2 : 1;
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
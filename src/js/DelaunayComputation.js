@@ -5,49 +5,350 @@
  * and provides a clean API for Delaunay triangulation and Voronoi diagram computation.
  */
 
+import { PeriodicDomain } from './PeriodicDomain.js';
+import { SeededRandom } from './SeededRandom.js';
+
+// Relative volume below which a tetrahedron is treated as flat
+const DEGENERACY_TOLERANCE = 1e-10;
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function squaredDistance(p1, p2) {
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const dz = p2[2] - p1[2];
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Six times the signed volume of a tetrahedron given by four positions
+ */
+function orientation(vertices) {
+    const p0 = vertices[0];
+    const a = [vertices[1][0] - p0[0], vertices[1][1] - p0[1], vertices[1][2] - p0[2]];
+    const b = [vertices[2][0] - p0[0], vertices[2][1] - p0[1], vertices[2][2] - p0[2]];
+    const c = [vertices[3][0] - p0[0], vertices[3][1] - p0[1], vertices[3][2] - p0[2]];
+    return dot(a, cross(b, c));
+}
+
+// Gap kept between rescaled input and the unit cube faces for the legacy binding
+const IMAGE_BLOCK_MARGIN = 1e-3;
+
+// Legacy WASM modules already warned about, so that live updates do not repeat it
+const warnedLegacyModules = new WeakSet();
+
+/**
+ * Lexicographic order of integer image offsets
+ */
+function compareImages(a, b) {
+    return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+// Vertices after the first one of every even permutation of a tetrahedron, in
+// cyclic order: [first, ...EVEN_REST[first] rotated] keeps the orientation
+const EVEN_REST = [[1, 2, 3], [0, 3, 2], [0, 1, 3], [0, 2, 1]];
+
+/**
+ * Canonical order of a triangulation: every tetrahedron starts at its smallest vertex
+ * (by point index, then image) with an even permutation, and the tetrahedra are sorted.
+ * Geogram inserts the points in random order, so the same points come back in a
+ * different order on every run, and periodic tetrahedra in any lattice translate; the
+ * images are first shifted (along the periodic axes) so that the smallest point of
+ * each tetrahedron lies in the primary cell. Ordered, runs with the same seed give
+ * the same results.
+ * @returns {{tetrahedra: Int32Array, images: Int32Array|null, adjacency: Int32Array|null}}
+ */
+function canonicalTriangulation(tetrahedra, images, adjacency, periodicAxes) {
+    const count = tetrahedra.length / 4;
+    if (images) images = canonicalTranslates(tetrahedra, images, periodicAxes);
+    const compareVertices = (s, t) => (tetrahedra[s] - tetrahedra[t]) ||
+        (images ? compareImages(images.subarray(3 * s, 3 * s + 3), images.subarray(3 * t, 3 * t + 3)) : 0);
+
+    // Vertex order of every tetrahedron
+    const order = new Uint8Array(count * 4);
+    for (let t = 0; t < count; t++) {
+        const base = 4 * t;
+        let first = 0;
+        for (let v = 1; v < 4; v++) {
+            if (compareVertices(base + v, base + first) < 0) first = v;
+        }
+        const rest = EVEN_REST[first];
+        let start = 0;
+        for (let k = 1; k < 3; k++) {
+            if (compareVertices(base + rest[k], base + rest[start]) < 0) start = k;
+        }
+        order.set([first, rest[start], rest[(start + 1) % 3], rest[(start + 2) % 3]], base);
+    }
+
+    const sorted = Array.from({ length: count }, (_, t) => t).sort((s, t) => {
+        for (let k = 0; k < 4; k++) {
+            const c = compareVertices(4 * s + order[4 * s + k], 4 * t + order[4 * t + k]);
+            if (c !== 0) return c;
+        }
+        return 0;
+    });
+    const newIndex = new Int32Array(count);
+    sorted.forEach((t, j) => { newIndex[t] = j; });
+
+    const result = {
+        tetrahedra: new Int32Array(count * 4),
+        images: images ? new Int32Array(count * 12) : null,
+        adjacency: adjacency ? new Int32Array(count * 4) : null
+    };
+    sorted.forEach((t, j) => {
+        for (let k = 0; k < 4; k++) {
+            const v = order[4 * t + k];
+            result.tetrahedra[4 * j + k] = tetrahedra[4 * t + v];
+            if (images) result.images.set(images.subarray(12 * t + 3 * v, 12 * t + 3 * v + 3), 12 * j + 3 * k);
+            if (adjacency) {
+                const other = adjacency[4 * t + v];
+                result.adjacency[4 * j + k] = other < 0 ? -1 : newIndex[other];
+            }
+        }
+    });
+    return result;
+}
+
+/**
+ * Copy of the vertex images with every tetrahedron translated (along the periodic
+ * axes) so that its smallest point has image 0. When that point occurs more than once,
+ * the translate giving the smallest sorted vertex list is taken.
+ */
+function canonicalTranslates(tetrahedra, images, periodicAxes) {
+    const result = new Int32Array(images.length);
+    const candidate = new Int32Array(12);
+    const best = new Int32Array(12);
+    // Vertices of a translate as sorted (point, image) keys, for comparing translates
+    const sortedKeys = (base, shiftedImages) => [0, 1, 2, 3]
+        .map(v => [tetrahedra[base + v], ...shiftedImages.subarray(3 * v, 3 * v + 3)])
+        .sort((a, b) => (a[0] - b[0]) || compareImages(a.slice(1), b.slice(1)))
+        .flat();
+
+    for (let t = 0; t < tetrahedra.length / 4; t++) {
+        const base = 4 * t;
+        const smallest = Math.min(tetrahedra[base], tetrahedra[base + 1], tetrahedra[base + 2], tetrahedra[base + 3]);
+        const copies = [0, 1, 2, 3].filter(v => tetrahedra[base + v] === smallest);
+        let bestKeys = null;
+        for (const v of copies) {
+            for (let k = 0; k < 12; k++) {
+                const axis = k % 3;
+                candidate[k] = images[12 * t + k] - (periodicAxes[axis] ? images[12 * t + 3 * v + axis] : 0);
+            }
+            if (copies.length === 1) {
+                best.set(candidate);
+                break;
+            }
+            const keys = sortedKeys(base, candidate);
+            const difference = bestKeys ? keys.findIndex((key, i) => key !== bestKeys[i]) : -1;
+            if (!bestKeys || (difference >= 0 && keys[difference] < bestKeys[difference])) {
+                bestKeys = keys;
+                best.set(candidate);
+            }
+        }
+        result.set(best, 12 * t);
+    }
+    return result;
+}
+
+/**
+ * Supported ways of placing the Voronoi vertex dual to each tetrahedron.
+ * - 'barycenter':   average of the four tetrahedron vertices (approximate diagram)
+ * - 'circumcenter': center of the circumscribed sphere (true Voronoi diagram); for
+ *                   weighted points the power center (power / Laguerre diagram)
+ */
+export const VORONOI_VERTEX_MODES = ['barycenter', 'circumcenter'];
+
+/**
+ * Bindings exported by the WASM module built from src/cpp/periodic_delaunay.cpp.
+ * dist/ is built by build.sh and not kept in git; a module without the extended
+ * bindings was built from older sources and only has the legacy compute_delaunay.
+ */
+export const WASM_BINDINGS = ['compute_delaunay', 'compute_delaunay_ex', 'compute_delaunay_typed'];
+
+/**
+ * Check whether a WASM module was built from the current C++ sources
+ * @param {Object} wasmModule - The loaded WASM module
+ * @returns {{current: boolean, missing: Array<string>}} missing lists the bindings
+ *          (of WASM_BINDINGS) the module does not export
+ */
+export function wasmModuleStatus(wasmModule) {
+    const missing = WASM_BINDINGS.filter(name => typeof wasmModule[name] !== 'function');
+    return { current: missing.length === 0, missing };
+}
+
+/**
+ * Error for a feature the stale WASM module cannot run
+ */
+function staleWasmError(binding, feature) {
+    return new Error(`The WASM module is stale: it has no ${binding}, which ${feature} need. Rebuild dist/ with ./build.sh`);
+}
+
+/**
+ * Snapshot format written by toJSON() and toBinary(). The version goes up when
+ * the layout changes; fromJSON() and fromBinary() keep reading older versions.
+ */
+export const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_FORMAT = 'DelaunayComputation';
+const SNAPSHOT_MAGIC = 'FSXD';
+
+// Numeric arrays of a snapshot and their element types
+const SNAPSHOT_ARRAYS = {
+    points: Float64Array,
+    weights: Float64Array,
+    tetrahedra: Int32Array,
+    tetImages: Int32Array,
+    tetNeighbors: Int32Array,
+    voronoiVertices: Float64Array,
+    unwrappedVertices: Float64Array,
+    edgeTetrahedra: Int32Array,
+    edgeReferences: Int32Array,
+    edgePeriodic: Uint8Array
+};
+
+// Binary snapshots are little-endian; typed arrays use the platform byte order
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+/**
+ * Write a typed array in little-endian byte order (big-endian platforms only)
+ */
+function writeLittleEndian(view, offset, data) {
+    const setter = { 8: 'setFloat64', 4: 'setInt32', 1: 'setUint8' }[data.BYTES_PER_ELEMENT];
+    for (let k = 0; k < data.length; k++) {
+        view[setter](offset + k * data.BYTES_PER_ELEMENT, data[k], true);
+    }
+}
+
+/**
+ * Read a little-endian typed array (big-endian platforms only)
+ */
+function readLittleEndian(view, offset, type, length) {
+    const getter = { 8: 'getFloat64', 4: 'getInt32', 1: 'getUint8' }[type.BYTES_PER_ELEMENT];
+    return type.from({ length }, (_, k) => view[getter](offset + k * type.BYTES_PER_ELEMENT, true));
+}
+
 export class DelaunayComputation {
-    constructor(points, isPeriodic = true) {
-        // Convert points to flat array if needed
+    /**
+     * @param {Array|Float64Array|Float32Array} points - Points as [[x,y,z], ...] or a flat array
+     * @param {boolean|Array<boolean>} isPeriodic - Whether to use periodic boundary conditions,
+     *        either for all axes or per axis as [px, py, pz]; cells are clipped at the
+     *        walls of non-periodic axes
+     * @param {Object} options - Additional options
+     * @param {string} options.voronoiVertexMode - 'barycenter' or 'circumcenter' (default
+     *        'barycenter', or 'circumcenter' for weighted points)
+     * @param {Array<number>|Float64Array} options.weights - Per-point weights for a power
+     *        (Laguerre) diagram: point i has power |x - p_i|^2 - weights[i]
+     * @param {Array<number>|Float64Array} options.radii - Per-point sphere radii; shorthand
+     *        for weights = radii^2 (radical tessellation of a sphere packing)
+     * @param {Array<number>} options.box - Periodic box lengths [Lx, Ly, Lz] (default [1, 1, 1])
+     * @param {Array<Array<number>>} options.cell - Triclinic cell as three lattice vectors
+     *        [a, b, c] (rows of a 3x3 matrix); replaces box
+     * @param {boolean} options.adjacency - Have the WASM triangulation return tetrahedron
+     *        adjacency along with the tetrahedra (default false; see getTetrahedronNeighbors)
+     * @param {boolean} options.clip - In non-periodic mode, clip the cells at the faces of
+     *        the box (or cell), so that boundary cells are closed polyhedra too; the points
+     *        must lie inside the box (default false: cells on the convex hull are unbounded)
+     * @param {number} options.seed - Seed of the run that produced the points (see
+     *        SeededRandom); kept in snapshots and exports, and seeds the jitter of validate().
+     *        With a seed, compute() also puts the tetrahedra in a canonical order, so that
+     *        results do not depend on the random insertion order of the triangulation
+     */
+    constructor(points, isPeriodic = true, options = {}) {
+        // Points are stored flat; the nested [[x, y, z], ...] view is built on first use
         if (Array.isArray(points) && Array.isArray(points[0])) {
             // Points provided as [[x,y,z], [x,y,z], ...]
-            this.pointsArray = points;
+            this._pointsArray = points;
             this.points = new Float64Array(points.flat());
-        } else if (points instanceof Float64Array || points instanceof Float32Array) {
-            // Points provided as flat typed array
-            this.points = new Float64Array(points);
-            this.pointsArray = [];
-            for (let i = 0; i < this.points.length; i += 3) {
-                this.pointsArray.push([
-                    this.points[i],
-                    this.points[i + 1],
-                    this.points[i + 2]
-                ]);
-            }
         } else {
-            // Points provided as flat array
+            // Points provided as a flat (typed) array
             this.points = new Float64Array(points);
-            this.pointsArray = [];
-            for (let i = 0; i < this.points.length; i += 3) {
-                this.pointsArray.push([
-                    this.points[i],
-                    this.points[i + 1],
-                    this.points[i + 2]
-                ]);
+            this._pointsArray = null;
+        }
+        
+        this.numPoints = this.points.length / 3;
+        
+        // Per-point weights of the power diagram, or null for the ordinary Voronoi diagram
+        this.weights = null;
+        const weights = options.weights || (options.radii ? Array.from(options.radii, r => r * r) : null);
+        if (weights) {
+            if (weights.length !== this.numPoints || !Array.prototype.every.call(weights, Number.isFinite)) {
+                throw new Error(`Invalid ${options.weights ? 'weights' : 'radii'}: expected ${this.numPoints} finite numbers, one per point`);
             }
+            this.weights = new Float64Array(weights);
+        }
+        
+        const { voronoiVertexMode = this.weights ? 'circumcenter' : 'barycenter' } = options;
+        if (!VORONOI_VERTEX_MODES.includes(voronoiVertexMode)) {
+            throw new Error(`Unknown voronoiVertexMode '${voronoiVertexMode}' (expected one of: ${VORONOI_VERTEX_MODES.join(', ')})`);
         }
+        this.voronoiVertexMode = voronoiVertexMode;
+        
+        // Seed of the run, or null when the points did not come from a seeded run
+        this.seed = options.seed ?? null;
         
-        this.isPeriodic = isPeriodic;
-        this.numPoints = this.pointsArray.length;
+        // Box geometry used by every minimum-image and wrapping operation
+        this.domain = new PeriodicDomain({ box: options.box, cell: options.cell, periodic: isPeriodic, clip: options.clip });
+        this.box = this.domain.box;
+        this.cell = this.domain.cell;
         
-        // Results will be stored here
-        this.tetrahedra = [];
+        // Periodicity per axis; isPeriodic is true as soon as one axis is periodic
+        this.periodicAxes = this.domain.periodic;
+        this.isPeriodic = this.periodicAxes.some(Boolean);
+        
+        // Results will be stored here. The triangulation is kept in flat typed arrays:
+        // tetrahedronData holds 4 point indices per tetrahedron, tetImageData (when the
+        // triangulation provides them) the lattice image [i, j, k] of each vertex, 12 per
+        // tetrahedron; otherwise periodic tetrahedra are unwrapped by minimum image.
+        // The nested tetrahedra / tetImages arrays are built from them on first use.
+        this.tetrahedronData = new Int32Array(0);
+        this.tetImageData = null;
+        // Neighbouring tetrahedron across the face opposite each vertex, 4 per
+        // tetrahedron (see getTetrahedronNeighbors)
+        this.tetNeighbors = null;
+        this._tetrahedraView = null;
+        this._tetImagesView = null;
+        // Ask the WASM triangulation for tetrahedron adjacency as well
+        this.requestAdjacency = options.adjacency === true;
+        // Binding the last compute() went through: 'typed' (compute_delaunay_typed),
+        // 'extended' (compute_delaunay_ex), 'legacy' (compute_delaunay) or 'images'
+        // (compute_delaunay on periodic images); null until compute() has run
+        this.transport = null;
         this.voronoiEdges = [];
         this.voronoiCells = [];
-        this.barycenters = [];
+        this.voronoiVertices = [];
+        // Historical name for the Voronoi vertices, kept for existing callers
+        this.barycenters = this.voronoiVertices;
+        
+        // Number of tetrahedra whose circumcenter could not be computed reliably
+        this.numDegenerateTetrahedra = 0;
+        // Tetrahedra the last compute() discarded for invalid vertex indices, and
+        // how many the triangulation returned (null until compute() has run)
+        this.numDroppedTetrahedra = 0;
+        this._rawTetrahedronCount = null;
         
         // Simple caching for performance
         this._facesCache = null;
         this._cellsCache = null;
+        this._incidenceCache = null;
+        this._measuresCache = null;
+        this._neighborGraphCache = null;
+        this._delaunayGraphCache = null;
+        // Generator found by the last locate(), where the next walk starts
+        this._lastLocated = -1;
+        
+        // Voronoi vertices before wrapping, in the frame of their tetrahedron's vertices
+        this._unwrappedVertices = [];
+        // Reference corners of the face dual to each Voronoi edge
+        this._edgeReferences = [];
     }
 
     /**
@@ -57,6 +358,93 @@ export class DelaunayComputation {
     _invalidateCaches() {
         this._facesCache = null;
         this._cellsCache = null;
+        this._incidenceCache = null;
+        this._measuresCache = null;
+        this._neighborGraphCache = null;
+        this._delaunayGraphCache = null;
+    }
+
+    /**
+     * Input points as [[x, y, z], ...], built from the flat points on first use
+     */
+    get pointsArray() {
+        if (!this._pointsArray) {
+            this._pointsArray = [];
+            for (let i = 0; i < this.points.length; i += 3) {
+                this._pointsArray.push([this.points[i], this.points[i + 1], this.points[i + 2]]);
+            }
+        }
+        return this._pointsArray;
+    }
+
+    /**
+     * Tetrahedra as [[v0, v1, v2, v3], ...], built from tetrahedronData on first use.
+     * Assigning nested arrays (or a flat array of indices) replaces the triangulation.
+     */
+    get tetrahedra() {
+        if (!this._tetrahedraView) {
+            const data = this.tetrahedronData;
+            this._tetrahedraView = [];
+            for (let i = 0; i < data.length; i += 4) {
+                this._tetrahedraView.push([data[i], data[i + 1], data[i + 2], data[i + 3]]);
+            }
+        }
+        return this._tetrahedraView;
+    }
+
+    set tetrahedra(tetrahedra) {
+        const nested = tetrahedra.length > 0 && typeof tetrahedra[0] !== 'number';
+        this.tetrahedronData = nested ? Int32Array.from(tetrahedra.flat()) : Int32Array.from(tetrahedra);
+        this._tetrahedraView = nested ? tetrahedra : null;
+        this.tetNeighbors = null;
+        this._invalidateCaches();
+    }
+
+    /**
+     * Vertex images as [[[i, j, k] x 4], ...] (or null), built from tetImageData on first use
+     */
+    get tetImages() {
+        if (!this._tetImagesView && this.tetImageData) {
+            const data = this.tetImageData;
+            this._tetImagesView = [];
+            for (let i = 0; i < data.length; i += 12) {
+                this._tetImagesView.push([
+                    [data[i], data[i + 1], data[i + 2]],
+                    [data[i + 3], data[i + 4], data[i + 5]],
+                    [data[i + 6], data[i + 7], data[i + 8]],
+                    [data[i + 9], data[i + 10], data[i + 11]]
+                ]);
+            }
+        }
+        return this._tetImagesView;
+    }
+
+    set tetImages(tetImages) {
+        const nested = tetImages && tetImages.length > 0 && typeof tetImages[0] !== 'number';
+        this.tetImageData = tetImages ? Int32Array.from(nested ? tetImages.flat(2) : tetImages) : null;
+        this._tetImagesView = nested ? tetImages : null;
+        this.tetNeighbors = null;
+        this._invalidateCaches();
+    }
+
+    /**
+     * Number of tetrahedra in the triangulation
+     */
+    get numTetrahedra() {
+        return this.tetrahedronData.length / 4;
+    }
+
+    /**
+     * Replace the triangulation with flat typed arrays
+     * @private
+     */
+    _setTriangulation(tetrahedronData, tetImageData = null, tetNeighbors = null) {
+        this.tetrahedronData = tetrahedronData;
+        this.tetImageData = tetImageData;
+        this.tetNeighbors = tetNeighbors;
+        this._tetrahedraView = null;
+        this._tetImagesView = null;
+        this._invalidateCaches();
     }
 
     /**
@@ -69,7 +457,10 @@ export class DelaunayComputation {
             throw new Error('WASM module not provided');
         }
         
-        console.log(`Computing Delaunay triangulation for ${this.numPoints} points (${this.isPeriodic ? 'periodic' : 'non-periodic'})...`);
+        const periodicity = this.domain.isMixed
+            ? `periodic in ${[0, 1, 2].filter(axis => this.periodicAxes[axis]).map(axis => 'xyz'[axis]).join('')}`
+            : (this.isPeriodic ? 'periodic' : (this.domain.clip ? 'non-periodic, clipped to the box' : 'non-periodic'));
+        console.log(`Computing Delaunay triangulation for ${this.numPoints} points (${periodicity})...`);
         
         // Clear caches since we're recomputing
         this._invalidateCaches();
@@ -78,27 +469,42 @@ export class DelaunayComputation {
         console.log('First 3 points:', this.pointsArray.slice(0, 3));
         
         try {
-            // Call the WASM compute_delaunay function
+            // Call the WASM triangulation
             console.log('Calling WASM with:', {
                 pointsLength: this.points.length,
                 numPoints: this.numPoints,
-                isPeriodic: this.isPeriodic
+                isPeriodic: this.isPeriodic,
+                periodicAxes: this.periodicAxes,
+                weighted: this.weights !== null,
+                domain: this.domain.toJSON()
             });
             
-            const rawResult = wasmModule.compute_delaunay(this.points, this.numPoints, this.isPeriodic);
+            const { tetrahedra: rawResult, images: rawImages, adjacency: rawAdjacency } = this._triangulate(wasmModule);
+            // Typed results are flat, 4 indices per tetrahedron
+            const rawCount = rawResult ? (ArrayBuffer.isView(rawResult) ? rawResult.length / 4 : rawResult.length) : 0;
             
-            console.log('WASM returned:', rawResult ? `${rawResult.length} tetrahedra` : 'null/undefined');
+            console.log(`WASM returned (${this.transport}):`, rawResult ? `${rawCount} tetrahedra` : 'null/undefined');
+            this._rawTetrahedronCount = rawCount;
+            this.numDroppedTetrahedra = 0;
             
-            if (rawResult && rawResult.length > 0) {
+            if (rawCount > 0) {
                 // Filter and convert the raw results
-                this.tetrahedra = this._filterTetrahedra(rawResult);
-                console.log(`Computed ${this.tetrahedra.length} valid tetrahedra (filtered from ${rawResult.length})`);
+                const { tetrahedra: filtered, images: filteredImages, numInvalid } = this._filterTetrahedra(rawResult, rawImages);
+                this.numDroppedTetrahedra = numInvalid;
+                // Adjacency refers to the unfiltered tetrahedra
+                const filteredAdjacency = numInvalid === 0 && rawAdjacency ? rawAdjacency : null;
+                // Seeded runs must not depend on Geogram's insertion order
+                const { tetrahedra, images, adjacency } = this.seed !== null
+                    ? canonicalTriangulation(filtered, filteredImages, filteredAdjacency, this.periodicAxes)
+                    : { tetrahedra: filtered, images: filteredImages, adjacency: filteredAdjacency };
+                this._setTriangulation(tetrahedra, images, adjacency);
+                console.log(`Computed ${this.numTetrahedra} valid tetrahedra (filtered from ${rawCount})`);
                 
                 // Compute Voronoi diagram from Delaunay
-                this._computeVoronoiBarycentric();
+                this._computeVoronoi();
             } else {
                 console.warn('No tetrahedra generated');
-                this.tetrahedra = [];
+                this._setTriangulation(new Int32Array(0));
                 this.voronoiEdges = [];
             }
         } catch (error) {
@@ -110,203 +516,1736 @@ export class DelaunayComputation {
     }
 
     /**
-     * Filter out tetrahedra with invalid vertex indices
-     * @private
+     * Move points and update the triangulation in place, so that one computation
+     * can be kept alive across animation frames.
+     * Geogram cannot remove or relocate vertices, so small moves are handled here:
+     * as long as no tetrahedron around a moved point is inverted, the Delaunay
+     * (for weighted points, regular) property is restored by 2-3 and 3-2 flips,
+     * and only the Voronoi vertices and edges of the tetrahedra that changed are
+     * recomputed. Larger moves, moves on the convex hull (non-periodic) or next to
+     * a wall (mixed periodicity), and degenerate configurations rebuild the WASM
+     * triangulation and compare it with the previous one.
+     * @param {Object} wasmModule - The loaded WASM module (only used to rebuild)
+     * @param {Array<number>|Int32Array|null} indices - Indices of the moved points,
+     *        or null for all points
+     * @param {Array|Float64Array} positions - New positions, one per index, as
+     *        [[x, y, z], ...] or a flat array
+     * @returns {Promise<Object>} What changed:
+     *   - topologyChanged: whether tetrahedra were created or deleted
+     *   - rebuilt: whether the WASM triangulation was recomputed
+     *   - previousIndex: Int32Array, index of each tetrahedron in the previous
+     *     triangulation, or -1 for new ones
+     *   - addedTetrahedra / removedTetrahedra: new tetrahedra (current indices) and
+     *     deleted ones (previous indices)
+     *   - movedTetrahedra: surviving tetrahedra with a moved vertex (current indices)
+     *   - affectedPoints: points whose Voronoi cell changed
+     *   - topologyChangedPoints: points whose cell gained or lost faces, edges or vertices
      */
-    _filterTetrahedra(rawResult) {
-        const filtered = [];
-        let invalidCount = 0;
+    async updatePoints(wasmModule, indices, positions) {
+        const count = indices ? indices.length : this.numPoints;
+        const nested = positions.length > 0 && typeof positions[0] !== 'number';
+        if (positions.length !== (nested ? count : 3 * count)) {
+            throw new Error(nested
+                ? `Expected ${count} positions, got ${positions.length}`
+                : `Expected ${3 * count} coordinates (${count} positions), got ${positions.length}`);
+        }
         
-        for (const tet of rawResult) {
-            // Check if all vertex indices are valid (non-negative and within bounds)
-            const v0 = tet[0];
-            const v1 = tet[1];
-            const v2 = tet[2];
-            const v3 = tet[3];
-            
-            if (v0 >= 0 && v0 < this.numPoints &&
-                v1 >= 0 && v1 < this.numPoints &&
-                v2 >= 0 && v2 < this.numPoints &&
-                v3 >= 0 && v3 < this.numPoints) {
-                // Convert to nested array format
-                filtered.push([v0, v1, v2, v3]);
-            } else {
-                invalidCount++;
+        // Validate every entry before moving any point, so that a bad one leaves them all alone
+        const targets = [];
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
+            if (!(i >= 0 && i < this.numPoints)) {
+                throw new Error(`Invalid point index ${i}`);
+            }
+            const q = nested ? positions[k] : [positions[3 * k], positions[3 * k + 1], positions[3 * k + 2]];
+            if (!q || q.length !== 3 || !Array.prototype.every.call(q, Number.isFinite)) {
+                throw new Error(`Invalid position for point ${i}: [${q}]`);
             }
+            targets.push(q);
         }
         
-        if (invalidCount > 0) {
-            console.log(`Filtered out ${invalidCount} tetrahedra with invalid vertex indices`);
+        // Keep only the points that actually move
+        const moved = [];
+        const oldPositions = [];
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
+            const q = targets[k];
+            const p = this.points.subarray(3 * i, 3 * i + 3);
+            if (p[0] === q[0] && p[1] === q[1] && p[2] === q[2]) continue;
+            moved.push(i);
+            oldPositions.push([p[0], p[1], p[2]]);
+            p.set(q);
+        }
+        if (moved.length === 0) {
+            return this._updateResult(false, null, moved, []);
+        }
+        this._pointsArray = null;
+        this._followWrappedPoints(moved, oldPositions);
+        
+        const previousData = this.tetrahedronData;
+        const relocated = this.numTetrahedra > 0 ? this._relocatePoints(moved, oldPositions) : null;
+        if (relocated) {
+            console.log(`Updated ${moved.length} point positions: ${relocated.removed.length} tetrahedra flipped away`);
+            return this._updateResult(false, relocated.previousIndex, moved, relocated.removed, previousData);
+        }
+        
+        // Rebuild, and match the new tetrahedra with the previous ones
+        const previousKeys = new Map();
+        for (let t = 0; t < this.numTetrahedra; t++) {
+            const key = this._tetrahedronKey(t);
+            if (!previousKeys.has(key)) previousKeys.set(key, []);
+            previousKeys.get(key).push(t);
+        }
+        
+        await this.compute(wasmModule);
+        
+        const previousIndex = new Int32Array(this.numTetrahedra).fill(-1);
+        for (let t = 0; t < this.numTetrahedra; t++) {
+            const match = previousKeys.get(this._tetrahedronKey(t));
+            if (match && match.length > 0) {
+                previousIndex[t] = match.pop();
+            }
         }
+        const removed = [];
+        for (const match of previousKeys.values()) removed.push(...match);
         
-        return filtered;
+        console.log(`Updated ${moved.length} point positions: triangulation rebuilt`);
+        return this._updateResult(true, previousIndex, moved, removed, previousData);
     }
 
     /**
-     * Compute Voronoi diagram using tetrahedra barycenters
+     * Summary of an updatePoints() call (see there)
      * @private
+     * @param {boolean} rebuilt - Whether the WASM triangulation was recomputed
+     * @param {Int32Array|null} previousIndex - Previous index of each tetrahedron (null: unchanged)
+     * @param {Array<number>} moved - Moved points
+     * @param {Array<number>} removed - Previous indices of the deleted tetrahedra
+     * @param {Int32Array} previousData - Previous tetrahedronData
      */
-    _computeVoronoiBarycentric() {
-        if (this.tetrahedra.length === 0) return;
+    _updateResult(rebuilt, previousIndex, moved, removed, previousData = null) {
+        previousIndex = previousIndex || Int32Array.from({ length: this.numTetrahedra }, (_, t) => t);
+        const movedPoints = new Set(moved);
+        const added = [];
+        const movedTetrahedra = [];
+        for (let t = 0; t < this.numTetrahedra; t++) {
+            if (previousIndex[t] < 0) {
+                added.push(t);
+            } else if (this._tetrahedronPoints(t).some(point => movedPoints.has(point))) {
+                movedTetrahedra.push(t);
+            }
+        }
+        
+        // Points of the tetrahedra that appeared or disappeared change topology;
+        // points of the moved ones only change shape
+        const topologyChangedPoints = new Set();
+        for (const t of added) {
+            this._tetrahedronPoints(t).forEach(point => topologyChangedPoints.add(point));
+        }
+        for (const t of removed) {
+            for (let v = 0; v < 4; v++) topologyChangedPoints.add(previousData[t * 4 + v]);
+        }
+        const affectedPoints = new Set(topologyChangedPoints);
+        for (const t of movedTetrahedra) {
+            this._tetrahedronPoints(t).forEach(point => affectedPoints.add(point));
+        }
+        moved.forEach(point => affectedPoints.add(point));
+        
+        const sorted = values => Int32Array.from(values).sort();
+        return {
+            topologyChanged: added.length > 0 || removed.length > 0,
+            rebuilt,
+            previousIndex,
+            addedTetrahedra: sorted(added),
+            removedTetrahedra: sorted(removed),
+            movedTetrahedra: sorted(movedTetrahedra),
+            affectedPoints: sorted(affectedPoints),
+            topologyChangedPoints: sorted(topologyChangedPoints)
+        };
+    }
 
-        console.log("Computing Voronoi diagram using barycenters...");
+    /**
+     * Point indices of the real (non-mirror) vertices of a tetrahedron
+     * @private
+     */
+    _tetrahedronPoints(t) {
+        const points = [];
+        for (let v = 0; v < 4; v++) {
+            if (!this.isMirrorVertex(t, v)) points.push(this.tetrahedronData[t * 4 + v]);
+        }
+        return points;
+    }
 
-        // 1. Calculate the barycenter for each valid tetrahedron
-        this.barycenters = [];
-        for (let i = 0; i < this.tetrahedra.length; i++) {
-            const tetraIndices = this.tetrahedra[i];
-            const p0 = this.pointsArray[tetraIndices[0]];
-            const p1 = this.pointsArray[tetraIndices[1]];
-            const p2 = this.pointsArray[tetraIndices[2]];
-            const p3 = this.pointsArray[tetraIndices[3]];
-
-            // For periodic mode, we need to handle wrap-around when computing barycenters
-            if (this.isPeriodic) {
-                // Use the first point as reference
-                const ref = p0;
-                
-                // Adjust other points to be in the same periodic image
-                const adjustPoint = (p) => {
-                    const adjusted = [...p];
-                    for (let dim = 0; dim < 3; dim++) {
-                        const diff = p[dim] - ref[dim];
-                        if (diff > 0.5) adjusted[dim] -= 1.0;
-                        else if (diff < -0.5) adjusted[dim] += 1.0;
-                    }
-                    return adjusted;
-                };
-                
-                const p1adj = adjustPoint(p1);
-                const p2adj = adjustPoint(p2);
-                const p3adj = adjustPoint(p3);
-                
-                let centerX = (ref[0] + p1adj[0] + p2adj[0] + p3adj[0]) / 4;
-                let centerY = (ref[1] + p1adj[1] + p2adj[1] + p3adj[1]) / 4;
-                let centerZ = (ref[2] + p1adj[2] + p2adj[2] + p3adj[2]) / 4;
-                
-                // Wrap the center back into [0,1]
-                while (centerX < 0) centerX += 1.0;
-                while (centerX >= 1) centerX -= 1.0;
-                while (centerY < 0) centerY += 1.0;
-                while (centerY >= 1) centerY -= 1.0;
-                while (centerZ < 0) centerZ += 1.0;
-                while (centerZ >= 1) centerZ -= 1.0;
-                
-                this.barycenters.push([centerX, centerY, centerZ]);
-            } else {
-                // Non-periodic case - simple average
-                const centerX = (p0[0] + p1[0] + p2[0] + p3[0]) / 4;
-                const centerY = (p0[1] + p1[1] + p2[1] + p3[1]) / 4;
-                const centerZ = (p0[2] + p1[2] + p2[2] + p3[2]) / 4;
-                this.barycenters.push([centerX, centerY, centerZ]);
+    /**
+     * Key identifying a tetrahedron independently of its index and vertex order:
+     * its point indices and, with images, the images relative to its reference vertex
+     * @private
+     */
+    _tetrahedronKey(t) {
+        return this._cornerKeys(t, [0, 1, 2, 3]).sort().join('/');
+    }
+
+    /**
+     * Points given on the other side of a periodic boundary than where they came
+     * from keep their place in the tetrahedra: their vertex images absorb the
+     * lattice shift, so the images stay relative to the new positions.
+     * @private
+     */
+    _followWrappedPoints(moved, oldPositions) {
+        if (!this.tetImageData) return;
+        
+        const shifts = new Map();
+        moved.forEach((i, k) => {
+            const q = this.points.subarray(3 * i, 3 * i + 3);
+            const continued = this.domain.minimumImage(oldPositions[k], q);
+            const f = this.domain.toFractional([continued[0] - q[0], continued[1] - q[1], continued[2] - q[2]]);
+            const shift = f.map((x, axis) => this.periodicAxes[axis] ? Math.round(x) : 0);
+            if (shift.some(x => x !== 0)) shifts.set(i, shift);
+        });
+        if (shifts.size === 0) return;
+        
+        for (let corner = 0; corner < this.tetrahedronData.length; corner++) {
+            const shift = shifts.get(this.tetrahedronData[corner]);
+            if (!shift) continue;
+            for (let axis = 0; axis < 3; axis++) {
+                this.tetImageData[corner * 3 + axis] += shift[axis];
             }
         }
+        this._tetImagesView = null;
+    }
 
-        // 2. Build face-to-tetra adjacency map
-        const faceToTetraMap = new Map();
-        for (let i = 0; i < this.tetrahedra.length; i++) {
-            const tetra = this.tetrahedra[i];
-            // All 4 faces of a tetrahedron
-            const faces = [
-                [tetra[0], tetra[1], tetra[2]],
-                [tetra[0], tetra[1], tetra[3]],
-                [tetra[0], tetra[2], tetra[3]],
-                [tetra[1], tetra[2], tetra[3]]
-            ];
-            
-            faces.forEach(face => {
-                // Create a canonical key for the face
-                const key = face.slice().sort((a, b) => a - b).join('-');
-                if (!faceToTetraMap.has(key)) {
-                    faceToTetraMap.set(key, []);
+    /**
+     * Restore the Delaunay property after some points moved (their new positions
+     * are already in this.points, their images in tetImageData follow them) by
+     * flipping the faces that are no longer locally Delaunay. A face is flipped
+     * 2-3 when the segment between the two opposite vertices crosses it, or 3-2
+     * when it passes beyond an edge of degree three. Faces that cannot be flipped
+     * yet may become flippable later; any that remain make the update fail.
+     * On success the triangulation, the Voronoi vertices and edges and the caches
+     * are updated; on failure nothing but the images has changed.
+     * @private
+     * @param {Array<number>} moved - Indices of the moved points
+     * @param {Array<Array<number>>} oldPositions - Their previous positions
+     * @returns {{previousIndex: Int32Array, removed: Array<number>}|null} Previous index of
+     *          each tetrahedron (-1 for new ones) and the deleted ones, or null
+     */
+    _relocatePoints(moved, oldPositions) {
+        // Without images, periodic tetrahedra are only known up to minimum image
+        if (this.isPeriodic && !this.tetImageData) return null;
+        
+        const hasImages = this.tetImageData !== null;
+        const originalCount = this.numTetrahedra;
+        const movedSet = new Set(moved);
+        const data = Array.from(this.tetrahedronData);
+        const images = hasImages ? Array.from(this.tetImageData) : null;
+        const neighbors = Array.from(this.getTetrahedronNeighbors());
+        const dead = new Set();
+        
+        // A corner is a point with its image in the frame of one tetrahedron
+        const corner = (t, v) => ({
+            point: data[t * 4 + v],
+            image: hasImages ? images.slice(t * 12 + v * 3, t * 12 + v * 3 + 3) : [0, 0, 0]
+        });
+        const position = c => {
+            const p = this.points.subarray(3 * c.point, 3 * c.point + 3);
+            return hasImages ? this.domain.applyImage(p, c.image) : [p[0], p[1], p[2]];
+        };
+        const volume = corners => orientation(corners.map(position));
+        const isMirror = c => this.domain.hasWalls && this.domain.isMirrorImage(c.image);
+        const faceOf = (t, opposite) => [0, 1, 2, 3].filter(v => v !== opposite).map(v => corner(t, v));
+        // Lowest point index, ties broken by image: the same vertex in every frame
+        const referenceOf = corners => corners.reduce((best, c) =>
+            (c.point < best.point || (c.point === best.point && compareImages(c.image, best.image) < 0)) ? c : best);
+        const keyOf = corners => {
+            const reference = referenceOf(corners);
+            return corners.map(c => `${c.point}@${c.image.map((x, axis) =>
+                this.periodicAxes[axis] ? x - reference.image[axis] : x).join(',')}`).sort().join('/');
+        };
+        // Face of tetrahedron u that is face `opposite` of t (-1 if none)
+        const matchFace = (t, opposite, u) => {
+            const key = keyOf(faceOf(t, opposite));
+            for (let w = 0; w < 4; w++) {
+                if (neighbors[u * 4 + w] === t && keyOf(faceOf(u, w)) === key) return w;
+            }
+            return -1;
+        };
+        // Corner of u moved into the frame of t, across their shared face
+        const intoFrame = (c, t, opposite, u, w) => {
+            const from = referenceOf(faceOf(u, w)).image;
+            const to = referenceOf(faceOf(t, opposite)).image;
+            return { point: c.point, image: c.image.map((x, axis) => this.periodicAxes[axis] ? x + to[axis] - from[axis] : x) };
+        };
+        // Whether apex lies outside the (power) sphere of the four corners:
+        // 1 outside, -1 inside, 0 too close to tell
+        const sphereSide = (corners, apex) => {
+            const vertices = corners.map(position);
+            const weights = this.weights ? corners.map(c => this.weights[c.point]) : null;
+            const center = this._circumcenter(vertices, weights);
+            if (!center) return 0;
+            const radiusSq = squaredDistance(center, vertices[0]);
+            const power = radiusSq - (weights ? weights[0] : 0);
+            const apexPower = squaredDistance(center, position(apex)) - (this.weights ? this.weights[apex.point] : 0);
+            const tolerance = 1e-9 * radiusSq;
+            return apexPower > power + tolerance ? 1 : (apexPower < power - tolerance ? -1 : 0);
+        };
+        
+        // Replace some tetrahedra by new ones covering the same region, reconnecting
+        // the faces on its boundary by their keys
+        const replace = (oldTets, newTets) => {
+            const boundary = new Map();
+            for (const u of oldTets) {
+                for (let o = 0; o < 4; o++) {
+                    const m = neighbors[u * 4 + o];
+                    if (oldTets.includes(m)) continue;
+                    const w = m < 0 ? -1 : matchFace(u, o, m);
+                    if (m >= 0 && w < 0) return false;
+                    boundary.set(keyOf(faceOf(u, o)), [m, w]);
+                }
+            }
+            const created = newTets.map(corners => {
+                const t = data.length / 4;
+                for (const c of corners) {
+                    data.push(c.point);
+                    if (hasImages) images.push(...c.image);
                 }
-                faceToTetraMap.get(key).push(i);
+                neighbors.push(-1, -1, -1, -1);
+                return t;
             });
+            const inner = new Map();
+            for (const t of created) {
+                for (let o = 0; o < 4; o++) {
+                    const key = keyOf(faceOf(t, o));
+                    if (boundary.has(key)) {
+                        const [m, w] = boundary.get(key);
+                        neighbors[t * 4 + o] = m;
+                        if (m >= 0) neighbors[m * 4 + w] = t;
+                        boundary.delete(key);
+                    } else if (inner.has(key)) {
+                        const face = inner.get(key);
+                        neighbors[t * 4 + o] = Math.floor(face / 4);
+                        neighbors[face] = t;
+                        inner.delete(key);
+                    } else {
+                        inner.set(key, t * 4 + o);
+                    }
+                }
+            }
+            oldTets.forEach(u => dead.add(u));
+            return boundary.size === 0 && inner.size === 0 ? created : false;
+        };
+        
+        // Tetrahedra around the moved points must not have been turned inside out
+        const incidence = this._getIncidentCorners();
+        const around = new Set();
+        moved.forEach(i => incidence[i].forEach(([t]) => around.add(t)));
+        const movedIndex = new Map(moved.map((i, k) => [i, k]));
+        for (const t of around) {
+            const corners = [0, 1, 2, 3].map(v => corner(t, v));
+            if (corners.some(isMirror)) return null;
+            const before = orientation(corners.map(c => {
+                const p = position(c);
+                if (!movedIndex.has(c.point)) return p;
+                const q = this.points.subarray(3 * c.point, 3 * c.point + 3);
+                const old = oldPositions[movedIndex.get(c.point)];
+                const d = this.domain.minimumImageVector([q[0] - old[0], q[1] - old[1], q[2] - old[2]]);
+                return [p[0] - d[0], p[1] - d[1], p[2] - d[2]];
+            }));
+            const after = volume(corners);
+            if (Math.sign(before) !== Math.sign(after) || this._circumcenter(corners.map(position)) === null) return null;
         }
         
-        // 3. Create Voronoi edges by connecting barycenters of adjacent tetrahedra
-        this.voronoiEdges = [];
-        const edgeSet = new Set(); // To avoid duplicates
+        const queue = [];
+        around.forEach(t => queue.push([t, 0], [t, 1], [t, 2], [t, 3]));
+        const touched = new Set(around);
+        const maxFlips = 50 * moved.length + 100;
+        let flips = 0;
         
-        for (const [faceKey, tetraIndices] of faceToTetraMap.entries()) {
-            if (tetraIndices.length === 2) {
-                // This face is shared by exactly 2 tetrahedra
-                const idx1 = tetraIndices[0];
-                const idx2 = tetraIndices[1];
-                
-                // Create edge key to avoid duplicates
-                const edgeKey = idx1 < idx2 ? `${idx1}-${idx2}` : `${idx2}-${idx1}`;
-                if (!edgeSet.has(edgeKey)) {
-                    edgeSet.add(edgeKey);
-                    const center1 = this.barycenters[idx1];
-                    const center2 = this.barycenters[idx2];
-                    this.voronoiEdges.push({
-                        start: center1,
-                        end: center2,
-                        tetraIndices: [idx1, idx2],
-                        isPeriodic: this._isPeriodicEdge(center1, center2)
-                    });
-                }
+        // Classify face `opposite` of t: 'ok', 'flip' (with the data needed) or 'fail'
+        const inspect = (t, opposite) => {
+            const u = neighbors[t * 4 + opposite];
+            if (u < 0) {
+                // The convex hull moves with its points, which needs a rebuild
+                return faceOf(t, opposite).some(c => movedSet.has(c.point)) ? 'fail' : 'ok';
+            }
+            const w = matchFace(t, opposite, u);
+            if (w < 0) return 'fail';
+            const corners = [0, 1, 2, 3].map(v => corner(t, v));
+            const apex = intoFrame(corner(u, w), t, opposite, u, w);
+            if (corners.some(isMirror) || isMirror(apex)) return 'fail';
+            const side = sphereSide(corners, apex);
+            return side > 0 ? 'ok' : (side < 0 ? { u, w, corners, apex } : 'fail');
+        };
+        
+        while (queue.length > 0) {
+            const [t, opposite] = queue.pop();
+            if (dead.has(t)) continue;
+            const state = inspect(t, opposite);
+            if (state === 'ok') continue;
+            if (state === 'fail' || ++flips > maxFlips) return null;
+            
+            const { u, corners, apex } = state;
+            const top = corners[opposite];
+            const face = corners.filter((c, v) => v !== opposite);
+            const sign = Math.sign(volume(corners));
+            // Where the segment from top to apex passes the plane of the face, seen
+            // from each edge: the sign is that of the face itself unless it passes
+            // beyond the edge
+            const inside = Math.sign(volume([top, face[0], face[1], face[2]]));
+            const sides = [[0, 1, 2], [1, 2, 0], [2, 0, 1]].map(([i, j, k]) => ({
+                edge: [face[i], face[j]],
+                other: face[k],
+                side: Math.sign(volume([top, apex, face[i], face[j]]))
+            }));
+            if (sides.some(s => s.side === 0)) return null;
+            const beyond = sides.filter(s => s.side !== inside);
+            
+            let oldTets;
+            let newTets;
+            if (beyond.length === 0) {
+                // 2-3 flip: three tetrahedra around the new edge top-apex
+                oldTets = [t, u];
+                newTets = sides.map(s => [s.edge[0], s.edge[1], top, apex]);
+            } else if (beyond.length === 1) {
+                // 3-2 flip, if the edge is shared by exactly one more tetrahedron,
+                // made of the edge, top and apex
+                const [x, y] = beyond[0].edge;
+                const z = beyond[0].other;
+                const zIndex = corners.indexOf(z);
+                const m = neighbors[t * 4 + zIndex];
+                const mw = m < 0 ? -1 : matchFace(t, zIndex, m);
+                if (mw < 0) continue;
+                const third = intoFrame(corner(m, mw), t, zIndex, m, mw);
+                if (third.point !== apex.point || compareImages(third.image, apex.image) !== 0) continue;
+                oldTets = [t, u, m];
+                newTets = [[z, top, apex, x], [z, top, apex, y]];
+            } else {
+                // Not flippable yet
+                continue;
+            }
+            
+            // The new tetrahedra must fill the same region with the same orientation
+            const oldVolume = oldTets.reduce((sum, s) => sum + Math.abs(volume([0, 1, 2, 3].map(v => corner(s, v)))), 0);
+            newTets = newTets.map(c => Math.sign(volume(c)) === sign ? c : [c[1], c[0], c[2], c[3]]);
+            const newVolumes = newTets.map(c => volume(c));
+            const newVolume = newVolumes.reduce((sum, x) => sum + Math.abs(x), 0);
+            if (newVolumes.some(x => Math.sign(x) !== sign) || Math.abs(newVolume - oldVolume) > 1e-9 * oldVolume) continue;
+            if (newTets.some(c => c.some(isMirror))) return null;
+            
+            const created = replace(oldTets, newTets);
+            if (!created) return null;
+            for (const s of created) {
+                touched.add(s);
+                queue.push([s, 0], [s, 1], [s, 2], [s, 3]);
             }
         }
         
-        console.log(`Computed ${this.voronoiEdges.length} Voronoi edges.`);
+        // Every face around the change must be locally Delaunay now
+        for (const t of touched) {
+            if (dead.has(t)) continue;
+            for (let opposite = 0; opposite < 4; opposite++) {
+                if (inspect(t, opposite) !== 'ok') return null;
+            }
+        }
         
-        // ACUTENESS ANALYSIS: Log data structure exploration
-        console.log('=== ACUTENESS ANALYSIS DATA STRUCTURE EXPLORATION ===');
-        console.log('Available data structures:');
-        console.log('- getPoints():', this.getPoints());
-        console.log('- getVertices():', this.getVertices());
-        console.log('- getCells():', this.getCells());
-        console.log('- getFaces():', this.getFaces());
-        console.log('- getDelaunayTetrahedra():', this.getDelaunayTetrahedra());
-        console.log('- First 3 tetrahedra:', this.tetrahedra.slice(0, 3));
-        console.log('- First 3 barycenters:', this.barycenters.slice(0, 3));
-        console.log('- First 3 voronoi edges:', this.voronoiEdges.slice(0, 3));
-        console.log('==================================================');
+        return this._applyRelocation(originalCount, data, images, neighbors, dead, touched, movedSet);
+    }
+
+    /**
+     * Store the triangulation after _relocatePoints() and update the Voronoi
+     * vertices and edges of the tetrahedra that changed. Deleted tetrahedra leave
+     * holes that are filled with the new ones (and, if there are fewer, with the
+     * last tetrahedra), so most tetrahedra keep their index.
+     * @private
+     */
+    _applyRelocation(originalCount, data, images, neighbors, dead, touched, movedSet) {
+        const workingCount = data.length / 4;
+        const created = [];
+        for (let t = originalCount; t < workingCount; t++) {
+            if (!dead.has(t)) created.push(t);
+        }
+        const removed = Array.from(dead).filter(t => t < originalCount).sort((a, b) => a - b);
+        const count = originalCount - removed.length + created.length;
+        
+        // Final index of every live tetrahedron
+        const finalIndex = new Int32Array(workingCount).fill(-1);
+        for (let t = 0; t < originalCount; t++) {
+            if (!dead.has(t)) finalIndex[t] = t;
+        }
+        const holes = removed.filter(t => t < count);
+        let next = originalCount;
+        for (const t of created) {
+            finalIndex[t] = holes.length > 0 ? holes.shift() : next++;
+        }
+        for (let t = originalCount - 1; t >= count && holes.length > 0; t--) {
+            if (!dead.has(t)) finalIndex[t] = holes.shift();
+        }
+        
+        const tetrahedronData = new Int32Array(count * 4);
+        const tetImageData = images ? new Int32Array(count * 12) : null;
+        const tetNeighbors = new Int32Array(count * 4);
+        const previousIndex = new Int32Array(count).fill(-1);
+        const voronoiVertices = new Array(count);
+        const unwrappedVertices = new Array(count);
+        for (let t = 0; t < workingCount; t++) {
+            const j = finalIndex[t];
+            if (j < 0) continue;
+            for (let v = 0; v < 4; v++) {
+                tetrahedronData[j * 4 + v] = data[t * 4 + v];
+                const other = neighbors[t * 4 + v];
+                tetNeighbors[j * 4 + v] = other < 0 ? -1 : finalIndex[other];
+            }
+            if (images) tetImageData.set(images.slice(t * 12, t * 12 + 12), j * 12);
+            if (t < originalCount) {
+                previousIndex[j] = t;
+                voronoiVertices[j] = this.voronoiVertices[t];
+                unwrappedVertices[j] = this._unwrappedVertices[t];
+            }
+        }
+        
+        const incidence = this._incidenceCache;
+        this._setTriangulation(tetrahedronData, tetImageData, tetNeighbors);
+        this.voronoiVertices = voronoiVertices;
+        this.barycenters = voronoiVertices;
+        this._unwrappedVertices = unwrappedVertices;
+        if (removed.length === 0 && created.length === 0) {
+            this._incidenceCache = incidence;
+        }
+        
+        // Voronoi vertices of the new tetrahedra and of those with a moved vertex
+        const changed = new Set();
+        for (const t of touched) {
+            const j = finalIndex[t];
+            if (j < 0) continue;
+            if (t >= originalCount || this._tetrahedronPoints(j).some(point => movedSet.has(point))) changed.add(j);
+        }
+        for (const j of changed) {
+            const center = this._computeVoronoiVertex(this.tetrahedra[j], j);
+            if (previousIndex[j] >= 0) {
+                // Edges hold on to the vertex arrays
+                voronoiVertices[j][0] = center[0];
+                voronoiVertices[j][1] = center[1];
+                voronoiVertices[j][2] = center[2];
+            } else {
+                voronoiVertices[j] = center;
+            }
+        }
+        
+        // Voronoi edges: drop those of deleted tetrahedra, add those of new ones
+        const edges = [];
+        const references = [];
+        const edgeSet = new Set();
+        const edgePeriodicity = (idx1, ref1, idx2, ref2) => this.tetImages
+            ? this._voronoiEdgeCrossesBoundary(idx1, ref1, idx2, ref2)
+            : this._isPeriodicEdge(this.voronoiVertices[idx1], this.voronoiVertices[idx2]);
+        this.voronoiEdges.forEach((edge, e) => {
+            const idx1 = finalIndex[edge.tetraIndices[0]];
+            const idx2 = finalIndex[edge.tetraIndices[1]];
+            if (idx1 < 0 || idx2 < 0) return;
+            const [ref1, ref2] = this._edgeReferences[e];
+            edge.tetraIndices = [idx1, idx2];
+            if (changed.has(idx1) || changed.has(idx2)) {
+                edge.isPeriodic = edgePeriodicity(idx1, ref1, idx2, ref2);
+            }
+            edges.push(edge);
+            references.push([ref1, ref2]);
+        });
+        for (const t of created) {
+            const idx1 = finalIndex[t];
+            for (let opposite = 0; opposite < 4; opposite++) {
+                const idx2 = tetNeighbors[idx1 * 4 + opposite];
+                if (idx2 < 0) continue;
+                const edgeKey = idx1 < idx2 ? `${idx1}-${idx2}` : `${idx2}-${idx1}`;
+                if (edgeSet.has(edgeKey)) continue;
+                edgeSet.add(edgeKey);
+                
+                const corners = [0, 1, 2, 3].filter(v => v !== opposite);
+                const key = this._cornerKeys(idx1, corners).sort().join('/');
+                const otherCorners = [0, 1, 2, 3].map(w => [0, 1, 2, 3].filter(v => v !== w))
+                    .find((c, w) => tetNeighbors[idx2 * 4 + w] === idx1 && this._cornerKeys(idx2, c).sort().join('/') === key);
+                const ref1 = this._referenceCorner(idx1, corners);
+                const ref2 = this._referenceCorner(idx2, otherCorners);
+                edges.push({
+                    start: this.voronoiVertices[idx1],
+                    end: this.voronoiVertices[idx2],
+                    tetraIndices: [idx1, idx2],
+                    isPeriodic: edgePeriodicity(idx1, ref1, idx2, ref2)
+                });
+                references.push([ref1, ref2]);
+            }
+        }
+        this.voronoiEdges = edges;
+        this._edgeReferences = references;
+        
+        return { previousIndex, removed };
+    }
+
+    /**
+     * Run the WASM triangulation for the current domain.
+     * Builds that export compute_delaunay_ex handle any box or cell natively.
+     * With older builds every periodic domain, the unit cube included, is
+     * triangulated from explicit periodic images: the periodic mode of their
+     * compute_delaunay returns no images, and unwrapping its tetrahedra by
+     * minimum image breaks down for small point sets (cells that do not close,
+     * volumes that do not add up to the box).
+     *
+     * Triclinic cells are triangulated from Cartesian images: Delaunay
+     * triangulations are not invariant under shear, so triangulating the
+     * fractional coordinates would not give the Voronoi diagram of the crystal.
+     * Mixed periodicity also uses images, with the points mirrored across the
+     * walls so that the cells are clipped there; so does clipping in non-periodic
+     * mode (every axis has walls).
+     * Weighted points are only supported by compute_delaunay_ex.
+     * Builds that also export compute_delaunay_typed (and _malloc / HEAPF64) are
+     * preferred: they exchange flat typed arrays instead of nested JS arrays.
+     * @private
+     * @returns {{tetrahedra: Array|Int32Array|null, images: Array|Int32Array|null, adjacency?: Int32Array|null}}
+     *          Raw tetrahedra as point index quadruples (flat when typed), the lattice
+     *          image of each vertex when known, and adjacency when requested
+     */
+    _triangulate(wasmModule) {
+        const options = {
+            ...this.domain.toJSON(),
+            periodic: this.domain.isMixed ? this.periodicAxes : this.isPeriodic,
+            ...(this.weights ? { weights: this.weights } : {})
+        };
+
+        if (typeof wasmModule.compute_delaunay_typed === 'function' && wasmModule._malloc && wasmModule.HEAPF64) {
+            this.transport = 'typed';
+            const result = this._triangulateTyped(wasmModule, options);
+            if (!result && this.weights) {
+                console.warn('Weighted triangulation failed: every point needs a non-empty power cell (points hidden by larger neighbours are not supported)');
+            }
+            return {
+                tetrahedra: result ? result.tetrahedra : null,
+                images: result && result.images ? result.images : null,
+                adjacency: result && result.adjacency ? result.adjacency : null
+            };
+        }
+
+        if (typeof wasmModule.compute_delaunay_ex === 'function') {
+            this.transport = 'extended';
+            const result = wasmModule.compute_delaunay_ex(this.points, this.numPoints, options);
+            if (!result && this.weights) {
+                console.warn('Weighted triangulation failed: every point needs a non-empty power cell (points hidden by larger neighbours are not supported)');
+            }
+            return {
+                tetrahedra: result ? result.tetrahedra : null,
+                images: result && result.images ? result.images : null
+            };
+        }
+
+        if (this.weights) {
+            throw staleWasmError('compute_delaunay_ex', 'weighted points');
+        }
+
+        if (!this.isPeriodic && !this.domain.clip) {
+            this.transport = 'legacy';
+            return {
+                tetrahedra: wasmModule.compute_delaunay(this._pointsInUnitCube(), this.numPoints, false),
+                images: null
+            };
+        }
+
+        if (!warnedLegacyModules.has(wasmModule)) {
+            warnedLegacyModules.add(wasmModule);
+            console.warn('The WASM module is stale (no compute_delaunay_ex): triangulating periodic and clipped cells from images. Rebuild dist/ with ./build.sh');
+        }
+        this.transport = 'images';
+        return this._triangulateWithImages(wasmModule);
+    }
+
+    /**
+     * Typed-array transport: the points are copied once into the WASM heap and the
+     * results come back as flat Int32Arrays.
+     * @private
+     */
+    _triangulateTyped(wasmModule, options) {
+        const pointer = wasmModule._malloc(this.points.length * Float64Array.BYTES_PER_ELEMENT);
+        if (!pointer) {
+            throw new Error(`Could not allocate WASM memory for ${this.numPoints} points`);
+        }
+        try {
+            // Look HEAPF64 up after _malloc, which may have grown (and replaced) the heap
+            wasmModule.HEAPF64.set(this.points, pointer / Float64Array.BYTES_PER_ELEMENT);
+            return wasmModule.compute_delaunay_typed(pointer, this.numPoints, {
+                ...options,
+                adjacency: this.requestAdjacency
+            });
+        } finally {
+            wasmModule._free(pointer);
+        }
+    }
+
+    /**
+     * The legacy binding wraps every coordinate into [0,1), even in non-periodic
+     * mode. Points outside the unit cube are shrunk into it first.
+     * @private
+     */
+    _pointsInUnitCube() {
+        const inside = this.points.every(x => x >= 0 && x < 1);
+        if (inside) return this.points;
+
+        const min = [Infinity, Infinity, Infinity];
+        let extent = 0;
+        for (const p of this.pointsArray) {
+            for (let dim = 0; dim < 3; dim++) min[dim] = Math.min(min[dim], p[dim]);
+        }
+        for (const p of this.pointsArray) {
+            for (let dim = 0; dim < 3; dim++) extent = Math.max(extent, p[dim] - min[dim]);
+        }
+
+        const scale = extent > 0 ? (1 - 2 * IMAGE_BLOCK_MARGIN) / extent : 1;
+        return this.points.map((x, i) => IMAGE_BLOCK_MARGIN + (x - min[i % 3]) * scale);
+    }
+
+    /**
+     * Periodic triangulation through the non-periodic legacy binding: the
+     * primary cell and its 26 neighbouring images are triangulated as one
+     * block, then each periodic tetrahedron is kept exactly once.
+     * Along walled axes the neighbouring images are mirror images (see
+     * PeriodicDomain.applyImage), which clip the cells at the walls.
+     * @private
+     */
+    _triangulateWithImages(wasmModule) {
+        const n = this.numPoints;
+        const images = [[0, 0, 0], ...this.domain.neighborImages(true)];
+        const block = new Float64Array(n * images.length * 3);
+
+        // Work with the points wrapped into the primary cell; wrapShift[i] is the
+        // image that takes point i there
+        const wrapShift = this.pointsArray.map((p, i) => this.domain.toFractional(p).map((f, axis) => {
+            if (this.periodicAxes[axis]) return -Math.floor(f);
+            if (f < -1e-12 || f > 1 + 1e-12) {
+                throw new Error(`Point ${i} [${p}] lies outside the walls of non-periodic axis ${'xyz'[axis]}`);
+            }
+            return 0;
+        }));
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        images.forEach((image, k) => {
+            for (let i = 0; i < n; i++) {
+                const q = this.domain.applyImage(this.domain.translate(this.pointsArray[i], wrapShift[i]), image);
+                for (let dim = 0; dim < 3; dim++) {
+                    block[(k * n + i) * 3 + dim] = q[dim];
+                    min[dim] = Math.min(min[dim], q[dim]);
+                    max[dim] = Math.max(max[dim], q[dim]);
+                }
+            }
+        });
+
+        // Shrink the block uniformly into the unit cube
+        const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+        const scale = (1 - 2 * IMAGE_BLOCK_MARGIN) / extent;
+        for (let i = 0; i < block.length; i++) {
+            block[i] = IMAGE_BLOCK_MARGIN + (block[i] - min[i % 3]) * scale;
+        }
+
+        const rawResult = wasmModule.compute_delaunay(block, n * images.length, false);
+        if (!rawResult) return { tetrahedra: rawResult, images: null };
+
+        // A periodic tetrahedron appears once per translate. Keep the translate whose
+        // reference vertex (lowest point index, ties broken by image) lies in the
+        // primary cell - the choice is translation-invariant, so exactly one survives.
+        // Mirror vertices are never the reference, and tetrahedra made only of
+        // mirror vertices lie beyond the walls and are dropped.
+        const tetrahedra = [];
+        const tetImages = [];
+        for (const tet of rawResult) {
+            let refPoint = Infinity;
+            let refImage = null;
+            const tetPoints = [];
+            const vertexImages = [];
+            for (let v = 0; v < 4; v++) {
+                const point = tet[v] % n;
+                const image = images[Math.floor(tet[v] / n)];
+                tetPoints.push(point);
+                vertexImages.push([
+                    image[0] + wrapShift[point][0],
+                    image[1] + wrapShift[point][1],
+                    image[2] + wrapShift[point][2]
+                ]);
+                if (this.domain.isMirrorImage(image)) continue;
+                if (point < refPoint || (point === refPoint && compareImages(image, refImage) < 0)) {
+                    refPoint = point;
+                    refImage = image;
+                }
+            }
+            if (refImage && refImage[0] === 0 && refImage[1] === 0 && refImage[2] === 0) {
+                tetrahedra.push(tetPoints);
+                tetImages.push(vertexImages);
+            }
+        }
+
+        console.log(`Image triangulation: kept ${tetrahedra.length} of ${rawResult.length} block tetrahedra`);
+        return { tetrahedra, images: tetImages };
+    }
+
+    /**
+     * Filter out tetrahedra with invalid vertex indices.
+     * Raw results are either nested ([[v0, v1, v2, v3], ...] and [[[i, j, k] x 4], ...])
+     * or flat typed arrays; both are converted to flat Int32Arrays. Flat input
+     * without invalid tetrahedra is used as it is.
+     * @private
+     * @returns {{tetrahedra: Int32Array, images: Int32Array|null, numInvalid: number}}
+     */
+    _filterTetrahedra(rawResult, rawImages = null) {
+        const flat = ArrayBuffer.isView(rawResult);
+        if (flat && rawResult.every(v => v >= 0 && v < this.numPoints)) {
+            return { tetrahedra: rawResult, images: rawImages, numInvalid: 0 };
+        }
+        
+        const count = flat ? rawResult.length / 4 : rawResult.length;
+        const tetrahedra = new Int32Array(count * 4);
+        const images = rawImages ? new Int32Array(count * 12) : null;
+        let kept = 0;
+        let invalidCount = 0;
+        
+        for (let t = 0; t < count; t++) {
+            const tet = flat ? rawResult.subarray(t * 4, t * 4 + 4) : rawResult[t];
+            // Check if all vertex indices are valid (non-negative and within bounds)
+            const v0 = tet[0];
+            const v1 = tet[1];
+            const v2 = tet[2];
+            const v3 = tet[3];
+            
+            if (v0 >= 0 && v0 < this.numPoints &&
+                v1 >= 0 && v1 < this.numPoints &&
+                v2 >= 0 && v2 < this.numPoints &&
+                v3 >= 0 && v3 < this.numPoints) {
+                tetrahedra.set([v0, v1, v2, v3], kept * 4);
+                if (images && ArrayBuffer.isView(rawImages)) {
+                    images.set(rawImages.subarray(t * 12, t * 12 + 12), kept * 12);
+                } else if (images) {
+                    for (let v = 0; v < 4; v++) {
+                        const image = rawImages[t][v];
+                        images.set([image[0], image[1], image[2]], kept * 12 + v * 3);
+                    }
+                }
+                kept++;
+            } else {
+                invalidCount++;
+            }
+        }
+        
+        if (invalidCount > 0) {
+            console.log(`Filtered out ${invalidCount} tetrahedra with invalid vertex indices`);
+        }
+        
+        return {
+            tetrahedra: kept < count ? tetrahedra.slice(0, kept * 4) : tetrahedra,
+            images: images && kept < count ? images.slice(0, kept * 12) : images,
+            numInvalid: invalidCount
+        };
+    }
+
+    /**
+     * Compute Voronoi diagram from the Delaunay tetrahedra.
+     * Voronoi vertices are placed according to this.voronoiVertexMode.
+     * @private
+     */
+    _computeVoronoi() {
+        if (this.numTetrahedra === 0) return;
+
+        console.log(`Computing Voronoi diagram using ${this.voronoiVertexMode}s...`);
+
+        // 1. Calculate the Voronoi vertex for each valid tetrahedron
+        this.voronoiVertices = [];
+        this.barycenters = this.voronoiVertices;
+        this._unwrappedVertices = [];
+        this.numDegenerateTetrahedra = 0;
+        for (let i = 0; i < this.tetrahedra.length; i++) {
+            this.voronoiVertices.push(this._computeVoronoiVertex(this.tetrahedra[i], i));
+        }
+        
+        if (this.numDegenerateTetrahedra > 0) {
+            console.log(`${this.numDegenerateTetrahedra} near-degenerate tetrahedra used a fallback Voronoi vertex`);
+        }
+
+        // 2. Build face-to-tetra adjacency map
+        const faceToTetraMap = new Map();
+        for (let i = 0; i < this.tetrahedra.length; i++) {
+            const tetra = this.tetrahedra[i];
+            // All 4 faces of a tetrahedron
+            const faces = [
+                [tetra[0], tetra[1], tetra[2]],
+                [tetra[0], tetra[1], tetra[3]],
+                [tetra[0], tetra[2], tetra[3]],
+                [tetra[1], tetra[2], tetra[3]]
+            ];
+            
+            const faceCorners = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+            
+            faces.forEach((face, f) => {
+                // Create a canonical key for the face; with images, translates of a face
+                // only match each other and mirror vertices get their own keys
+                const key = this._cornerKeys(i, faceCorners[f]).sort().join('/');
+                if (!faceToTetraMap.has(key)) {
+                    faceToTetraMap.set(key, []);
+                }
+                faceToTetraMap.get(key).push([i, this._referenceCorner(i, faceCorners[f])]);
+            });
+        }
+        
+        // 3. Create Voronoi edges by connecting the Voronoi vertices of adjacent tetrahedra
+        this.voronoiEdges = [];
+        // Reference corners of the shared face in both tetrahedra, per edge
+        this._edgeReferences = [];
+        const edgeSet = new Set(); // To avoid duplicates
+        
+        for (const [faceKey, sharing] of faceToTetraMap.entries()) {
+            // A face with two mirror vertices is the mirror image of a face with one;
+            // both are dual to the same edge on the wall, so only the latter is used
+            if (faceKey.split('/').filter(key => key.includes('~')).length >= 2) continue;
+            
+            if (sharing.length === 2) {
+                // This face is shared by exactly 2 tetrahedra
+                const [idx1, ref1] = sharing[0];
+                const [idx2, ref2] = sharing[1];
+                
+                // Create edge key to avoid duplicates
+                const edgeKey = idx1 < idx2 ? `${idx1}-${idx2}` : `${idx2}-${idx1}`;
+                if (!edgeSet.has(edgeKey)) {
+                    edgeSet.add(edgeKey);
+                    const center1 = this.voronoiVertices[idx1];
+                    const center2 = this.voronoiVertices[idx2];
+                    this.voronoiEdges.push({
+                        start: center1,
+                        end: center2,
+                        tetraIndices: [idx1, idx2],
+                        isPeriodic: this.tetImages
+                            ? this._voronoiEdgeCrossesBoundary(idx1, ref1, idx2, ref2)
+                            : this._isPeriodicEdge(center1, center2)
+                    });
+                    this._edgeReferences.push([ref1, ref2]);
+                }
+            }
+        }
+        
+        console.log(`Computed ${this.voronoiEdges.length} Voronoi edges.`);
+        
+        // ACUTENESS ANALYSIS: Log data structure exploration
+        console.log('=== ACUTENESS ANALYSIS DATA STRUCTURE EXPLORATION ===');
+        console.log('Available data structures:');
+        console.log('- getPoints():', this.getPoints());
+        console.log('- getVertices():', this.getVertices());
+        console.log('- getCells():', this.getCells());
+        console.log('- getFaces():', this.getFaces());
+        console.log('- getDelaunayTetrahedra():', this.getDelaunayTetrahedra());
+        console.log('- First 3 tetrahedra:', this.tetrahedra.slice(0, 3));
+        console.log('- First 3 Voronoi vertices:', this.voronoiVertices.slice(0, 3));
+        console.log('- First 3 voronoi edges:', this.voronoiEdges.slice(0, 3));
+        console.log('==================================================');
+    }
+
+    /**
+     * Compute the Voronoi vertex dual to a tetrahedron
+     * @private
+     * @param {Array<number>} tetraIndices - The four point indices of the tetrahedron
+     * @param {number} tetIndex - Index of the tetrahedron (to look up vertex images)
+     * @returns {Array<number>} [x, y, z] Voronoi vertex (wrapped into the box in periodic mode)
+     */
+    _computeVoronoiVertex(tetraIndices, tetIndex) {
+        const vertices = this._tetVertexPositions(tetraIndices, tetIndex);
+
+        // Weights are unchanged by periodic and mirror images
+        const weights = this.weights ? tetraIndices.map(idx => this.weights[idx]) : null;
+
+        let center;
+        if (this.voronoiVertexMode === 'circumcenter') {
+            center = this._circumcenter(vertices, weights);
+            if (!center) {
+                this.numDegenerateTetrahedra++;
+                center = this._sliverCenter(vertices, weights);
+            }
+        } else {
+            center = this._barycenter(vertices);
+        }
+
+        this._unwrappedVertices[tetIndex] = center;
+
+        // Wrap the center back into the box
+        if (this.isPeriodic) {
+            center = this.domain.wrap(center);
+        }
+
+        return center;
+    }
+
+    /**
+     * Positions of the four vertices of a tetrahedron as one connected
+     * tetrahedron (periodic images resolved)
+     * @private
+     */
+    _tetVertexPositions(tetraIndices, tetIndex) {
+        const p0 = this.pointsArray[tetraIndices[0]];
+        let vertices = tetraIndices.map(idx => this.pointsArray[idx]);
+
+        // For periodic mode, we need to handle wrap-around before combining the vertices
+        if (this.tetImages) {
+            // Exact images from the triangulation (translations, and mirrors across walls)
+            const images = this.tetImages[tetIndex];
+            vertices = vertices.map((p, index) => this.domain.applyImage(p, images[index]));
+        } else if (this.isPeriodic) {
+            // Use the first point as reference and adjust the others to the same periodic image
+            vertices = vertices.map((p, index) => index === 0 ? p : this.domain.minimumImage(p0, p));
+        }
+
+        return vertices;
+    }
+
+    /**
+     * Whether vertex v of a tetrahedron is a mirror image across a wall rather
+     * than the point itself. Tetrahedra with mirror vertices only serve to clip the
+     * cells at the walls; edges to mirror vertices are not edges between points.
+     * @param {number} tetIndex - Tetrahedron index
+     * @param {number} v - Local vertex index (0-3)
+     * @returns {boolean} Always false without walls
+     */
+    isMirrorVertex(tetIndex, v) {
+        return this.domain.hasWalls && this.tetImages !== null && this.domain.isMirrorImage(this.tetImages[tetIndex][v]);
+    }
+
+    /**
+     * Reference vertex among some corners of a tetrahedron (a face or an edge):
+     * the real vertex with the lowest point index, ties broken by image. The
+     * same face seen from two tetrahedra has the same reference vertex.
+     * @private
+     * @returns {number} Local vertex index, or -1 if all corners are mirror vertices
+     */
+    _referenceCorner(tetIndex, corners) {
+        const tet = this.tetrahedra[tetIndex];
+        let reference = -1;
+        for (const v of corners) {
+            if (this.isMirrorVertex(tetIndex, v)) continue;
+            if (reference < 0 || tet[v] < tet[reference] ||
+                (tet[v] === tet[reference] && this.tetImages && compareImages(this.tetImages[tetIndex][v], this.tetImages[tetIndex][reference]) < 0)) {
+                reference = v;
+            }
+        }
+        return reference;
+    }
+
+    /**
+     * Keys of some corners of a tetrahedron: the point index, plus (when images are
+     * known) the image relative to the reference corner along periodic axes and the
+     * mirror offset along walled axes. Mirror vertices are marked with '~'.
+     * Sorted, they identify a face or an edge independently of the tetrahedron.
+     * @private
+     */
+    _cornerKeys(tetIndex, corners) {
+        const tet = this.tetrahedra[tetIndex];
+        if (!this.tetImages) return corners.map(v => `${tet[v]}`);
+        
+        const images = this.tetImages[tetIndex];
+        const reference = this._referenceCorner(tetIndex, corners);
+        return corners.map(v => {
+            const image = [0, 1, 2].map(axis => this.periodicAxes[axis] && reference >= 0
+                ? images[v][axis] - images[reference][axis]
+                : images[v][axis]);
+            return `${tet[v]}${this.isMirrorVertex(tetIndex, v) ? '~' : '@'}${image.join(',')}`;
+        });
+    }
+
+    /**
+     * Translation taking the frame of one tetrahedron onto the frame of another,
+     * given the local index of a vertex they share in each
+     * @private
+     */
+    _frameShift(fromTet, fromCorner, toTet, toCorner) {
+        const point = this.pointsArray[this.tetrahedra[fromTet][fromCorner]];
+        const from = this.domain.applyImage(point, this.tetImages[fromTet][fromCorner]);
+        const to = this.domain.applyImage(point, this.tetImages[toTet][toCorner]);
+        return [to[0] - from[0], to[1] - from[1], to[2] - from[2]];
+    }
+
+    /**
+     * Whether the Voronoi edge between the vertices of two adjacent tetrahedra
+     * leaves the box, i.e. its wrapped end points are not joined by the true edge.
+     * Uses the vertex images of the shared face (reference corners ref1, ref2).
+     * @private
+     */
+    _voronoiEdgeCrossesBoundary(idx1, ref1, idx2, ref2) {
+        const shift = this._frameShift(idx2, ref2, idx1, ref1);
+        const u1 = this._unwrappedVertices[idx1];
+        const u2 = this._unwrappedVertices[idx2];
+        const start = this.voronoiVertices[idx1];
+        const end = [0, 1, 2].map(axis => start[axis] + u2[axis] + shift[axis] - u1[axis]);
+        const tolerance = this.getLengthTolerance();
+        return squaredDistance(end, this.voronoiVertices[idx2]) > tolerance * tolerance;
+    }
+
+    /**
+     * Whether the Delaunay edge between vertices u and v of a tetrahedron crosses a
+     * periodic boundary. Exact with vertex images, otherwise judged by distance.
+     * @param {number} tetIndex - Tetrahedron index
+     * @param {number} u - Local index of the first vertex (0-3)
+     * @param {number} v - Local index of the second vertex (0-3)
+     * @returns {boolean}
+     */
+    isPeriodicTetEdge(tetIndex, u, v) {
+        if (!this.isPeriodic) return false;
+        if (!this.tetImages) {
+            const tet = this.tetrahedra[tetIndex];
+            return this._isPeriodicEdge(this.pointsArray[tet[u]], this.pointsArray[tet[v]]);
+        }
+        const images = this.tetImages[tetIndex];
+        return [0, 1, 2].some(axis => this.periodicAxes[axis] && images[u][axis] !== images[v][axis]);
+    }
+
+    /**
+     * Distance below which two positions (e.g. Voronoi vertices of neighbouring
+     * cells) are considered the same: 1e-9 of the mean point spacing
+     * @returns {number} Tolerance in the units of the box
+     */
+    getLengthTolerance() {
+        return 1e-9 * Math.cbrt(this.domain.getVolume() / Math.max(1, this.numPoints));
+    }
+
+    /**
+     * Average of the tetrahedron vertices
+     * @private
+     */
+    _barycenter(vertices) {
+        return [
+            (vertices[0][0] + vertices[1][0] + vertices[2][0] + vertices[3][0]) / 4,
+            (vertices[0][1] + vertices[1][1] + vertices[2][1] + vertices[3][1]) / 4,
+            (vertices[0][2] + vertices[1][2] + vertices[2][2] + vertices[3][2]) / 4
+        ];
+    }
+
+    /**
+     * Center of the sphere through the four tetrahedron vertices, or with weights
+     * the power center (the point of equal power |x - p_i|^2 - w_i)
+     * @private
+     * @param {Array<Array<number>>} vertices - The four vertices
+     * @param {Array<number>|null} weights - Weights of the four vertices
+     * @returns {Array<number>|null} The circumcenter, or null if the tetrahedron is too flat
+     *                               for the result to be numerically meaningful
+     */
+    _circumcenter(vertices, weights = null) {
+        const p0 = vertices[0];
+        const a = [vertices[1][0] - p0[0], vertices[1][1] - p0[1], vertices[1][2] - p0[2]];
+        const b = [vertices[2][0] - p0[0], vertices[2][1] - p0[1], vertices[2][2] - p0[2]];
+        const c = [vertices[3][0] - p0[0], vertices[3][1] - p0[1], vertices[3][2] - p0[2]];
+
+        const bxc = cross(b, c);
+        const cxa = cross(c, a);
+        const axb = cross(a, b);
+        const det = dot(a, bxc);
+
+        // Compare the volume against the cube of the longest edge so the test is scale-invariant
+        const edgeLengthsSq = [
+            dot(a, a), dot(b, b), dot(c, c),
+            squaredDistance(vertices[1], vertices[2]),
+            squaredDistance(vertices[1], vertices[3]),
+            squaredDistance(vertices[2], vertices[3])
+        ];
+        const maxEdge = Math.sqrt(Math.max(...edgeLengthsSq));
+        if (!(Math.abs(det) > DEGENERACY_TOLERANCE * maxEdge * maxEdge * maxEdge)) {
+            return null;
+        }
+
+        // Weights shift each bisector plane towards the lighter point
+        const aa = dot(a, a) - (weights ? weights[1] - weights[0] : 0);
+        const bb = dot(b, b) - (weights ? weights[2] - weights[0] : 0);
+        const cc = dot(c, c) - (weights ? weights[3] - weights[0] : 0);
+        const scale = 1 / (2 * det);
+        return [
+            p0[0] + (aa * bxc[0] + bb * cxa[0] + cc * axb[0]) * scale,
+            p0[1] + (aa * bxc[1] + bb * cxa[1] + cc * axb[1]) * scale,
+            p0[2] + (aa * bxc[2] + bb * cxa[2] + cc * axb[2]) * scale
+        ];
+    }
+
+    /**
+     * Fallback Voronoi vertex for slivers. The four vertices of a flat Delaunay
+     * tetrahedron are (nearly) co-circular, so the circumcenter of its best-shaped
+     * face is a stable estimate of the circumcenter. Collinear input falls back
+     * to the barycenter.
+     * @private
+     */
+    _sliverCenter(vertices, weights = null) {
+        const faces = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+        let best = null;
+        let bestArea = 0;
+
+        for (const [i, j, k] of faces) {
+            const p0 = vertices[i];
+            const a = [vertices[j][0] - p0[0], vertices[j][1] - p0[1], vertices[j][2] - p0[2]];
+            const b = [vertices[k][0] - p0[0], vertices[k][1] - p0[1], vertices[k][2] - p0[2]];
+            const axb = cross(a, b);
+            const areaSq = dot(axb, axb);
+            if (areaSq <= bestArea) continue;
+
+            // Circumcenter of triangle: p0 + ((|a|^2 b - |b|^2 a) x (a x b)) / (2 |a x b|^2)
+            const aa = dot(a, a) - (weights ? weights[j] - weights[i] : 0);
+            const bb = dot(b, b) - (weights ? weights[k] - weights[i] : 0);
+            const w = [aa * b[0] - bb * a[0], aa * b[1] - bb * a[1], aa * b[2] - bb * a[2]];
+            const offset = cross(w, axb);
+            best = [
+                p0[0] + offset[0] / (2 * areaSq),
+                p0[1] + offset[1] / (2 * areaSq),
+                p0[2] + offset[2] / (2 * areaSq)
+            ];
+            bestArea = areaSq;
+        }
+
+        const maxEdgeSq = Math.max(
+            squaredDistance(vertices[0], vertices[1]),
+            squaredDistance(vertices[0], vertices[2]),
+            squaredDistance(vertices[0], vertices[3])
+        );
+        if (!best || bestArea <= DEGENERACY_TOLERANCE * maxEdgeSq * maxEdgeSq) {
+            return this._barycenter(vertices);
+        }
+        return best;
+    }
+
+    /**
+     * Create a computation with a copy of this triangulation that places its Voronoi
+     * vertices with a different mode. No WASM call is needed, which makes it cheap
+     * to compare analyses of the barycentric and the true Voronoi diagram. The two
+     * are independent: updatePoints() on one leaves the other alone.
+     * @param {string} voronoiVertexMode - 'barycenter' or 'circumcenter'
+     * @returns {DelaunayComputation} A new computation with the same points and tetrahedra
+     */
+    withVoronoiVertexMode(voronoiVertexMode) {
+        const other = new DelaunayComputation(this.points, this.periodicAxes, {
+            voronoiVertexMode,
+            weights: this.weights,
+            seed: this.seed,
+            ...this.domain.toJSON()
+        });
+        // Copies: incremental updates change the arrays in place
+        other._setTriangulation(
+            this.tetrahedronData.slice(),
+            this.tetImageData ? this.tetImageData.slice() : null,
+            this.tetNeighbors ? this.tetNeighbors.slice() : null
+        );
+        other._computeVoronoi();
+        return other;
+    }
+
+    /**
+     * Snapshot of the computation as a plain object (used by JSON.stringify): the
+     * points, domain and options, the triangulation and the Voronoi vertices and
+     * edges. fromJSON() restores it without a WASM module.
+     * @returns {Object} Snapshot with format and version fields; numeric arrays are flat
+     */
+    toJSON() {
+        const { header, arrays } = this._snapshot();
+        for (const [name, data] of Object.entries(arrays)) {
+            header[name] = data ? Array.from(data) : null;
+        }
+        return header;
+    }
+
+    /**
+     * Restore a computation from a toJSON() snapshot (as an object or a JSON string)
+     * @param {Object|string} json - Snapshot
+     * @returns {DelaunayComputation} The restored computation
+     */
+    static fromJSON(json) {
+        const snapshot = typeof json === 'string' ? JSON.parse(json) : json;
+        const arrays = {};
+        for (const [name, type] of Object.entries(SNAPSHOT_ARRAYS)) {
+            arrays[name] = Array.isArray(snapshot[name]) ? type.from(snapshot[name]) : null;
+        }
+        return DelaunayComputation._fromSnapshot(snapshot, arrays);
+    }
+
+    /**
+     * Compact binary form of toJSON(): a 'FSXD' magic number, the format version,
+     * the byte length of a JSON header, the header, then the numeric arrays as raw
+     * little-endian typed arrays (8-byte aligned, in the order listed by the header)
+     * @returns {ArrayBuffer} The snapshot
+     */
+    toBinary() {
+        const { header, arrays } = this._snapshot();
+        const sections = Object.entries(arrays).filter(([, data]) => data);
+        header.arrays = sections.map(([name, data]) => [name, data.length]);
+        
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+        const align = offset => Math.ceil(offset / 8) * 8;
+        let offset = align(12 + headerBytes.length);
+        const offsets = sections.map(([, data]) => {
+            const start = offset;
+            offset = align(offset + data.byteLength);
+            return start;
+        });
+        
+        const buffer = new ArrayBuffer(offset);
+        const view = new DataView(buffer);
+        new Uint8Array(buffer).set(new TextEncoder().encode(SNAPSHOT_MAGIC), 0);
+        view.setUint32(4, SNAPSHOT_VERSION, true);
+        view.setUint32(8, headerBytes.length, true);
+        new Uint8Array(buffer).set(headerBytes, 12);
+        sections.forEach(([name, data], k) => {
+            const target = new SNAPSHOT_ARRAYS[name](buffer, offsets[k], data.length);
+            if (LITTLE_ENDIAN) {
+                target.set(data);
+            } else {
+                writeLittleEndian(view, offsets[k], data);
+            }
+        });
+        return buffer;
+    }
+
+    /**
+     * Restore a computation from a toBinary() snapshot
+     * @param {ArrayBuffer|Uint8Array} buffer - Snapshot (e.g. a file read in Node)
+     * @returns {DelaunayComputation} The restored computation
+     */
+    static fromBinary(buffer) {
+        const bytes = ArrayBuffer.isView(buffer) ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) : new Uint8Array(buffer);
+        // Copy so that every section starts on an aligned offset
+        const data = bytes.slice().buffer;
+        const view = new DataView(data);
+        if (data.byteLength < 12 || new TextDecoder().decode(bytes.subarray(0, 4)) !== SNAPSHOT_MAGIC) {
+            throw new Error('Not a DelaunayComputation binary snapshot');
+        }
+        const headerLength = view.getUint32(8, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+        
+        const arrays = {};
+        let offset = Math.ceil((12 + headerLength) / 8) * 8;
+        for (const [name, length] of header.arrays || []) {
+            const type = SNAPSHOT_ARRAYS[name];
+            if (!type) {
+                throw new Error(`Unknown array '${name}' in snapshot`);
+            }
+            arrays[name] = LITTLE_ENDIAN
+                ? new type(data, offset, length)
+                : readLittleEndian(view, offset, type, length);
+            offset = Math.ceil((offset + length * type.BYTES_PER_ELEMENT) / 8) * 8;
+        }
+        return DelaunayComputation._fromSnapshot(header, arrays);
+    }
+
+    /**
+     * Scalar fields and typed arrays of a snapshot
+     * @private
+     */
+    _snapshot() {
+        const numEdges = this.voronoiEdges.length;
+        const flatten = (items, width) => {
+            const flat = new Float64Array(items.length * width);
+            items.forEach((item, k) => flat.set(item, k * width));
+            return flat;
+        };
+        
+        const header = {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            periodic: [...this.periodicAxes],
+            domain: this.domain.toJSON(),
+            voronoiVertexMode: this.voronoiVertexMode,
+            seed: this.seed,
+            adjacency: this.requestAdjacency,
+            triangulated: this._rawTetrahedronCount !== null,
+            transport: this.transport,
+            numDegenerateTetrahedra: this.numDegenerateTetrahedra,
+            numDroppedTetrahedra: this.numDroppedTetrahedra
+        };
+        const arrays = {
+            points: this.points,
+            weights: this.weights,
+            tetrahedra: this.tetrahedronData,
+            tetImages: this.tetImageData,
+            tetNeighbors: this.tetNeighbors,
+            voronoiVertices: flatten(this.voronoiVertices, 3),
+            unwrappedVertices: flatten(this._unwrappedVertices, 3),
+            edgeTetrahedra: Int32Array.from(this.voronoiEdges.flatMap(edge => edge.tetraIndices)),
+            edgeReferences: Int32Array.from(this._edgeReferences.flat()),
+            edgePeriodic: Uint8Array.from({ length: numEdges }, (_, k) => this.voronoiEdges[k].isPeriodic ? 1 : 0)
+        };
+        return { header, arrays };
+    }
+
+    /**
+     * Computation from snapshot fields (see _snapshot)
+     * @private
+     */
+    static _fromSnapshot(header, arrays) {
+        if (!header || header.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a DelaunayComputation snapshot');
+        }
+        if (!(header.version >= 1 && header.version <= SNAPSHOT_VERSION)) {
+            throw new Error(`Unsupported snapshot version ${header.version} (this build reads versions 1 to ${SNAPSHOT_VERSION})`);
+        }
+        if (!arrays.points || !arrays.tetrahedra) {
+            throw new Error('Snapshot is missing points or tetrahedra');
+        }
+        
+        const computation = new DelaunayComputation(arrays.points, header.periodic, {
+            ...header.domain,
+            voronoiVertexMode: header.voronoiVertexMode,
+            weights: arrays.weights,
+            seed: header.seed,
+            adjacency: header.adjacency
+        });
+        computation._setTriangulation(arrays.tetrahedra, arrays.tetImages, arrays.tetNeighbors);
+        computation._rawTetrahedronCount = header.triangulated ? computation.numTetrahedra + header.numDroppedTetrahedra : null;
+        computation.numDroppedTetrahedra = header.numDroppedTetrahedra;
+        computation.transport = header.transport || null;
+        
+        const numTetrahedra = computation.numTetrahedra;
+        const { voronoiVertices, unwrappedVertices, edgeTetrahedra, edgeReferences, edgePeriodic } = arrays;
+        if (!voronoiVertices || voronoiVertices.length !== 3 * numTetrahedra ||
+            !unwrappedVertices || !edgeTetrahedra || !edgeReferences || !edgePeriodic) {
+            // Nothing to restore the diagram from: rebuild it from the triangulation
+            computation._computeVoronoi();
+            return computation;
+        }
+        
+        const nest = flat => Array.from({ length: flat.length / 3 }, (_, k) => [flat[3 * k], flat[3 * k + 1], flat[3 * k + 2]]);
+        computation.voronoiVertices = nest(voronoiVertices);
+        computation.barycenters = computation.voronoiVertices;
+        computation._unwrappedVertices = nest(unwrappedVertices);
+        computation.numDegenerateTetrahedra = header.numDegenerateTetrahedra;
+        computation.voronoiEdges = [];
+        computation._edgeReferences = [];
+        for (let k = 0; k < edgePeriodic.length; k++) {
+            const idx1 = edgeTetrahedra[2 * k];
+            const idx2 = edgeTetrahedra[2 * k + 1];
+            computation.voronoiEdges.push({
+                start: computation.voronoiVertices[idx1],
+                end: computation.voronoiVertices[idx2],
+                tetraIndices: [idx1, idx2],
+                isPeriodic: edgePeriodic[k] === 1
+            });
+            computation._edgeReferences.push([edgeReferences[2 * k], edgeReferences[2 * k + 1]]);
+        }
+        
+        console.log(`Restored snapshot: ${computation.numPoints} points, ${numTetrahedra} tetrahedra, ${computation.voronoiEdges.length} Voronoi edges`);
+        return computation;
+    }
+
+    /**
+     * Check if an edge crosses periodic boundaries
+     * @private
+     */
+    _isPeriodicEdge(p1, p2) {
+        if (!this.isPeriodic) return false;
+        
+        // If any dimension spans more than half the box, it crosses the periodic boundary
+        return this.domain.crossesBoundary(p1, p2);
+    }
+
+    /**
+     * Get the minimum image distance between two points in periodic space
+     */
+    getPeriodicDistance(p1, p2) {
+        if (!this.isPeriodic) {
+            const dx = p2[0] - p1[0];
+            const dy = p2[1] - p1[1];
+            const dz = p2[2] - p1[2];
+            return Math.sqrt(dx*dx + dy*dy + dz*dz);
+        }
+        
+        // Apply periodic boundary conditions
+        return this.domain.distance(p1, p2);
+    }
+
+    /**
+     * Check the points before triangulating (and the triangulation after compute()).
+     * Geogram returns null or silently drops vertices on degenerate input, so the
+     * problems are reported here, each with a machine-readable code:
+     *   - NON_FINITE (error): NaN or infinite coordinates
+     *   - OUT_OF_DOMAIN (error): outside the box along a periodic or walled axis
+     *   - DUPLICATE (error): same position (minimum image) as a lower-numbered point
+     *   - NEAR_COINCIDENT (warning): closer than the tolerance to a lower-numbered point
+     *   - TOO_FEW_POINTS / COPLANAR (error): without periodic axes or walls, fewer than
+     *     four points, or all points in one plane, on one line or at one position
+     *   - NO_TETRAHEDRA (error): compute() produced no tetrahedra
+     *   - MISSING_POINT (error): a point that no tetrahedron uses
+     *   - DROPPED_TETRAHEDRA (warning): tetrahedra discarded for invalid vertex indices
+     *   - DEGENERATE_TETRAHEDRA (warning): tetrahedra that needed a fallback Voronoi vertex
+     * Duplicate and near-coincident points can be fixed on the way: 'merge' removes
+     * them (point indices change, see fixed.indexMap), 'jitter' moves them apart by
+     * a small random offset, the same for the same seed. Either discards the current
+     * triangulation.
+     * @param {Object} options - Validation options
+     * @param {number} options.tolerance - Distance below which points count as
+     *        near-coincident (default 1e-6 of the mean point spacing)
+     * @param {string} options.fix - 'merge' or 'jitter' (default: report only)
+     * @param {number} options.jitter - Size of the jitter offsets (default 10 tolerances)
+     * @param {SeededRandom} options.random - Jitter directions (default: the 'jitter'
+     *        stream of the computation's seed, or of seed 0 without one)
+     * @returns {Object} Report:
+     *   - ok: whether there are no errors
+     *   - errors / warnings: number of issues of each severity
+     *   - issues: [{code, severity, message, points}], points being the offending
+     *     point indices; DUPLICATE and NEAR_COINCIDENT also list pairs [earlier, later]
+     *   - fixed (with options.fix): {action, points}, plus for 'merge' indexMap, the
+     *     new index of every old point (merged points map to the point they merged into)
+     */
+    validate(options = {}) {
+        const spacing = Math.cbrt(this.domain.getVolume() / Math.max(this.numPoints, 1));
+        const { tolerance = 1e-6 * spacing, fix = null, jitter = 10 * tolerance } = options;
+        if (fix !== null && fix !== 'merge' && fix !== 'jitter') {
+            throw new Error(`Unknown fix '${fix}' (expected 'merge' or 'jitter')`);
+        }
+        
+        let fixed = null;
+        if (fix === 'merge') {
+            fixed = this._mergeCoincidentPoints(tolerance);
+        } else if (fix === 'jitter') {
+            const random = options.random || new SeededRandom(this.seed ?? 0).stream('jitter');
+            fixed = this._jitterCoincidentPoints(tolerance, jitter, random);
+        }
+        
+        const issues = [];
+        const report = (code, severity, message, points, extra = {}) => {
+            if (points.length > 0) issues.push({ code, severity, message, points, ...extra });
+        };
+        
+        const points = this.pointsArray;
+        const finite = points.map(p => p.every(Number.isFinite));
+        report('NON_FINITE', 'error', 'Points with NaN or infinite coordinates',
+            points.flatMap((p, i) => finite[i] ? [] : [i]));
+        
+        // Only points that are not pinned inside the box by periodicity or walls may lie outside
+        if (this.isPeriodic || this.domain.hasWalls) {
+            const boxAxes = [0, 1, 2].filter(axis => this.periodicAxes[axis] || this.domain.hasWalls);
+            report('OUT_OF_DOMAIN', 'error', `Points outside the box along ${boxAxes.map(axis => 'xyz'[axis]).join('')}`,
+                points.flatMap((p, i) => {
+                    if (!finite[i]) return [];
+                    const f = this.domain.toFractional(p);
+                    return boxAxes.some(axis => f[axis] < -1e-12 || f[axis] > 1 + 1e-12) ? [i] : [];
+                }));
+        }
+        
+        const { duplicates, nearPairs } = this._findCoincidentPoints(tolerance);
+        report('DUPLICATE', 'error', 'Points at the same position as another point',
+            duplicates.map(pair => pair[1]), { pairs: duplicates });
+        report('NEAR_COINCIDENT', 'warning', `Points closer than ${tolerance} to another point`,
+            nearPairs.map(pair => pair[1]), { pairs: nearPairs });
+        
+        // Without periodic images or mirror images the points themselves must span 3D
+        if (!this.isPeriodic && !this.domain.hasWalls) {
+            const usable = points.flatMap((p, i) => finite[i] ? [i] : []);
+            const dimension = this._affineDimension(usable, tolerance);
+            if (usable.length < 4) {
+                report('TOO_FEW_POINTS', 'error', `A non-periodic triangulation needs at least 4 points, got ${usable.length}`, usable);
+            } else if (dimension < 3) {
+                report('COPLANAR', 'error', `All points ${['coincide', 'lie on a line', 'lie in a plane'][dimension]}`,
+                    usable, { dimension });
+            }
+        }
+        
+        // The triangulation, once compute() has run
+        if (this._rawTetrahedronCount !== null) {
+            if (this.numTetrahedra === 0) {
+                issues.push({ code: 'NO_TETRAHEDRA', severity: 'error', points: [], message: 'The triangulation returned no tetrahedra' });
+            } else {
+                const used = new Uint8Array(this.numPoints);
+                for (let t = 0; t < this.numTetrahedra; t++) {
+                    this._tetrahedronPoints(t).forEach(point => { used[point] = 1; });
+                }
+                report('MISSING_POINT', 'error', 'Points missing from the triangulation',
+                    points.flatMap((p, i) => used[i] ? [] : [i]));
+            }
+            if (this.numDroppedTetrahedra > 0) {
+                issues.push({ code: 'DROPPED_TETRAHEDRA', severity: 'warning', points: [], count: this.numDroppedTetrahedra,
+                    message: `${this.numDroppedTetrahedra} tetrahedra with invalid vertex indices were dropped` });
+            }
+            if (this.numDegenerateTetrahedra > 0) {
+                issues.push({ code: 'DEGENERATE_TETRAHEDRA', severity: 'warning', points: [], count: this.numDegenerateTetrahedra,
+                    message: `${this.numDegenerateTetrahedra} near-degenerate tetrahedra needed a fallback Voronoi vertex` });
+            }
+        }
+        
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const result = { ok: errors === 0, errors, warnings: issues.length - errors, issues };
+        if (fixed) result.fixed = fixed;
+        
+        if (issues.length > 0) {
+            console.log(`Validation found ${errors} errors and ${result.warnings} warnings: ` +
+                issues.map(issue => `${issue.code} (${issue.points.length || issue.count || 1})`).join(', '));
+        }
+        return result;
+    }
+
+    /**
+     * Pairs [i, j] (i < j) of points at the same position, or closer than the tolerance,
+     * under the minimum image convention. Points are binned on a grid in fractional
+     * coordinates whose bins are at least one tolerance thick, so only neighbouring
+     * bins need to be compared.
+     * @private
+     * @returns {{duplicates: Array<Array<number>>, nearPairs: Array<Array<number>>}}
+     */
+    _findCoincidentPoints(tolerance) {
+        const duplicates = [];
+        const nearPairs = [];
+        const points = this.pointsArray;
+        
+        // Bins per axis: the layer thickness along an axis is 1 / |column of the inverse cell|
+        const maxBins = Math.max(1, Math.round(Math.cbrt(this.numPoints)));
+        const bins = [0, 1, 2].map(axis => {
+            const height = 1 / Math.hypot(...this.domain.inverseCell.map(row => row[axis]));
+            return Math.max(1, Math.min(maxBins, Math.floor(height / tolerance)));
+        });
+        const binOf = p => this.domain.toFractional(this.domain.wrap(p)).map((f, axis) => {
+            const b = Math.floor(f * bins[axis]);
+            return this.periodicAxes[axis] ? ((b % bins[axis]) + bins[axis]) % bins[axis] : b;
+        });
+        
+        const grid = new Map();
+        for (let i = 0; i < this.numPoints; i++) {
+            if (!points[i].every(Number.isFinite)) continue;
+            const bin = binOf(points[i]);
+            
+            // Compare with the lower-numbered points already binned around it
+            const visited = new Set();
+            let duplicateOf = -1;
+            let nearest = -1;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const key = [dx, dy, dz].map((d, axis) => {
+                            const b = bin[axis] + d;
+                            return this.periodicAxes[axis] ? ((b % bins[axis]) + bins[axis]) % bins[axis] : b;
+                        }).join(',');
+                        if (visited.has(key) || !grid.has(key)) continue;
+                        visited.add(key);
+                        for (const j of grid.get(key)) {
+                            const d = this.domain.distance(points[j], points[i]);
+                            if (d === 0 && (duplicateOf < 0 || j < duplicateOf)) duplicateOf = j;
+                            else if (d > 0 && d < tolerance && (nearest < 0 || j < nearest)) nearest = j;
+                        }
+                    }
+                }
+            }
+            if (duplicateOf >= 0) duplicates.push([duplicateOf, i]);
+            else if (nearest >= 0) nearPairs.push([nearest, i]);
+            
+            const key = bin.join(',');
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        }
+        
+        return { duplicates, nearPairs };
     }
 
     /**
-     * Check if an edge crosses periodic boundaries
+     * Dimension of the affine hull of some points (0 to 3), up to the tolerance
      * @private
      */
-    _isPeriodicEdge(p1, p2) {
-        if (!this.isPeriodic) return false;
-        
-        const dx = Math.abs(p1[0] - p2[0]);
-        const dy = Math.abs(p1[1] - p2[1]);
-        const dz = Math.abs(p1[2] - p2[2]);
+    _affineDimension(indices, tolerance) {
+        if (indices.length === 0) return 0;
+        const points = this.pointsArray;
+        const p0 = points[indices[0]];
+        const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+        const farthest = distanceTo => {
+            let best = -1;
+            let bestDistance = tolerance;
+            for (const i of indices) {
+                const d = distanceTo(points[i]);
+                if (d > bestDistance) {
+                    best = i;
+                    bestDistance = d;
+                }
+            }
+            return best;
+        };
         
-        // If any dimension has a distance > 0.5, it crosses the periodic boundary
-        return dx > 0.5 || dy > 0.5 || dz > 0.5;
+        const i1 = farthest(p => Math.sqrt(squaredDistance(p, p0)));
+        if (i1 < 0) return 0;
+        const u = sub(points[i1], p0);
+        const i2 = farthest(p => Math.sqrt(dot(cross(u, sub(p, p0)), cross(u, sub(p, p0)))) / Math.sqrt(dot(u, u)));
+        if (i2 < 0) return 1;
+        const n = cross(u, sub(points[i2], p0));
+        const i3 = farthest(p => Math.abs(dot(n, sub(p, p0))) / Math.sqrt(dot(n, n)));
+        return i3 < 0 ? 2 : 3;
     }
 
     /**
-     * Get the minimum image distance between two points in periodic space
+     * Remove points that duplicate (or nearly duplicate) a lower-numbered point
+     * @private
      */
-    getPeriodicDistance(p1, p2) {
-        if (!this.isPeriodic) {
-            const dx = p2[0] - p1[0];
-            const dy = p2[1] - p1[1];
-            const dz = p2[2] - p1[2];
-            return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    _mergeCoincidentPoints(tolerance) {
+        const { duplicates, nearPairs } = this._findCoincidentPoints(tolerance);
+        const target = Int32Array.from({ length: this.numPoints }, (_, i) => i);
+        // Pairs are found in increasing order of the later point, so chains resolve forwards
+        for (const [earlier, later] of [...duplicates, ...nearPairs].sort((a, b) => a[1] - b[1])) {
+            target[later] = target[earlier];
         }
         
-        let dx = p2[0] - p1[0];
-        let dy = p2[1] - p1[1];
-        let dz = p2[2] - p1[2];
-        
-        // Apply periodic boundary conditions
-        if (dx > 0.5) dx -= 1.0;
-        else if (dx < -0.5) dx += 1.0;
-        
-        if (dy > 0.5) dy -= 1.0;
-        else if (dy < -0.5) dy += 1.0;
+        const indexMap = new Int32Array(this.numPoints);
+        const kept = [];
+        const removed = [];
+        for (let i = 0; i < this.numPoints; i++) {
+            if (target[i] === i) {
+                indexMap[i] = kept.length;
+                kept.push(i);
+            } else {
+                indexMap[i] = indexMap[target[i]];
+                removed.push(i);
+            }
+        }
         
-        if (dz > 0.5) dz -= 1.0;
-        else if (dz < -0.5) dz += 1.0;
+        if (removed.length > 0) {
+            const points = new Float64Array(3 * kept.length);
+            kept.forEach((i, k) => points.set(this.points.subarray(3 * i, 3 * i + 3), 3 * k));
+            if (this.weights) {
+                this.weights = Float64Array.from(kept, i => this.weights[i]);
+            }
+            this._replacePoints(points);
+            console.log(`Merged ${removed.length} coincident points`);
+        }
+        return { action: 'merge', points: removed, indexMap };
+    }
+
+    /**
+     * Move points that duplicate (or nearly duplicate) a lower-numbered point by a
+     * random offset, repeating while the offsets land too close to other points
+     * @private
+     */
+    _jitterCoincidentPoints(tolerance, jitter, random) {
+        const moved = new Set();
+        for (let pass = 0; pass < 10; pass++) {
+            const { duplicates, nearPairs } = this._findCoincidentPoints(tolerance);
+            if (duplicates.length === 0 && nearPairs.length === 0) break;
+            
+            const points = new Float64Array(this.points);
+            for (const [, i] of [...duplicates, ...nearPairs]) {
+                // Random direction, uniform on the sphere
+                const z = 2 * random.next() - 1;
+                const phi = 2 * Math.PI * random.next();
+                const r = Math.sqrt(1 - z * z);
+                const q = [points[3 * i] + jitter * r * Math.cos(phi), points[3 * i + 1] + jitter * r * Math.sin(phi), points[3 * i + 2] + jitter * z];
+                // Stay inside the box where the points have to
+                points.set(this.isPeriodic || this.domain.hasWalls ? this.domain.wrap(q) : q, 3 * i);
+                moved.add(i);
+            }
+            this._replacePoints(points);
+        }
         
-        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+        if (moved.size > 0) {
+            console.log(`Jittered ${moved.size} coincident points`);
+        }
+        return { action: 'jitter', points: Array.from(moved).sort((a, b) => a - b) };
+    }
+
+    /**
+     * Replace the points, discarding the triangulation built from the old ones
+     * @private
+     */
+    _replacePoints(points) {
+        this.points = points;
+        this.numPoints = points.length / 3;
+        this._pointsArray = null;
+        this._lastLocated = -1;
+        this._setTriangulation(new Int32Array(0));
+        this.voronoiVertices = [];
+        this.barycenters = this.voronoiVertices;
+        this._unwrappedVertices = [];
+        this._edgeReferences = [];
+        this.voronoiEdges = [];
+        this._rawTetrahedronCount = null;
+        this.numDroppedTetrahedra = 0;
+        this.numDegenerateTetrahedra = 0;
     }
 
     /**
@@ -315,9 +2254,18 @@ export class DelaunayComputation {
     getStats() {
         return {
             numPoints: this.numPoints,
-            numTetrahedra: this.tetrahedra.length,
+            numTetrahedra: this.numTetrahedra,
             numVoronoiEdges: this.voronoiEdges.length,
-            isPeriodic: this.isPeriodic
+            isPeriodic: this.isPeriodic,
+            periodicAxes: this.periodicAxes,
+            isClipped: this.domain.hasWalls,
+            box: this.box,
+            cell: this.cell,
+            voronoiVertexMode: this.voronoiVertexMode,
+            isWeighted: this.weights !== null,
+            transport: this.transport,
+            numDegenerateTetrahedra: this.numDegenerateTetrahedra,
+            numDroppedTetrahedra: this.numDroppedTetrahedra
         };
     }
 
@@ -329,10 +2277,10 @@ export class DelaunayComputation {
     }
 
     /**
-     * Get the Voronoi vertices (barycenter of tetrahedra)
+     * Get the Voronoi vertices (one per tetrahedron, placed according to voronoiVertexMode)
      */
     getVertices() {
-        return this.barycenters;
+        return this.voronoiVertices;
     }
 
     /**
@@ -346,16 +2294,18 @@ export class DelaunayComputation {
         
         const cells = new Map();
         
-        // Map each original vertex to the barycenters of tetrahedra that contain it
+        // Map each original vertex to the Voronoi vertices of tetrahedra that contain it
+        // (mirror vertices beyond the walls have no cell)
         this.tetrahedra.forEach((tet, index) => {
-            const barycenter = this.barycenters[index];
-            if (!barycenter) return;
+            const voronoiVertex = this.voronoiVertices[index];
+            if (!voronoiVertex) return;
 
-            tet.forEach(vertexIndex => {
+            tet.forEach((vertexIndex, v) => {
+                if (this.isMirrorVertex(index, v)) return;
                 if (!cells.has(vertexIndex)) {
                     cells.set(vertexIndex, []);
                 }
-                cells.get(vertexIndex).push(barycenter);
+                cells.get(vertexIndex).push(voronoiVertex);
             });
         });
         
@@ -365,34 +2315,28 @@ export class DelaunayComputation {
     }
 
     /**
-     * Build edge-to-tetrahedra mapping (simple version)
+     * Build edge-to-tetrahedra mapping (simple version).
+     * Each entry lists [tetIndex, referenceCorner] for the tetrahedra around one
+     * Delaunay edge; with images, translates of an edge get separate entries.
      * @private
      */
     _getEdgeToTetraMap() {
         const edgeToTetraMap = new Map();
         
         // For each tetrahedron, record which input point pairs share edges
+        const edgeCorners = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
         for (let i = 0; i < this.tetrahedra.length; i++) {
-            const tetra = this.tetrahedra[i];
-            
-            // All edges of the tetrahedron
-            const edges = [
-                [tetra[0], tetra[1]],
-                [tetra[0], tetra[2]],
-                [tetra[0], tetra[3]],
-                [tetra[1], tetra[2]],
-                [tetra[1], tetra[3]],
-                [tetra[2], tetra[3]]
-            ];
-            
-            edges.forEach(edge => {
+            for (const corners of edgeCorners) {
+                // Edges to mirror vertices are dual to wall faces, not to faces between cells
+                if (this.isMirrorVertex(i, corners[0]) || this.isMirrorVertex(i, corners[1])) continue;
+                
                 // Create a canonical key for the edge
-                const key = edge[0] < edge[1] ? `${edge[0]}-${edge[1]}` : `${edge[1]}-${edge[0]}`;
+                const key = this._cornerKeys(i, corners).sort().join('/');
                 if (!edgeToTetraMap.has(key)) {
                     edgeToTetraMap.set(key, []);
                 }
-                edgeToTetraMap.get(key).push(i);
-            });
+                edgeToTetraMap.get(key).push([i, this._referenceCorner(i, corners)]);
+            }
         }
         
         return edgeToTetraMap;
@@ -412,55 +2356,49 @@ export class DelaunayComputation {
         // Build edge-to-tetrahedra mapping
         const edgeToTetraMap = this._getEdgeToTetraMap();
         
-        // For each pair of input points that share tetrahedra, create a Voronoi face
-        const processedPairs = new Set();
-        
-        for (const [edgeKey, tetraIndices] of edgeToTetraMap.entries()) {
-            if (tetraIndices.length < 2) continue;
-            
-            const [p1, p2] = edgeKey.split('-').map(Number);
-            const pairKey = `${p1}-${p2}`;
+        // For each Delaunay edge shared by tetrahedra, create a Voronoi face
+        for (const [edgeKey, sharing] of edgeToTetraMap.entries()) {
+            if (sharing.length < 2) continue;
             
-            if (processedPairs.has(pairKey)) continue;
-            processedPairs.add(pairKey);
+            const [p1, p2] = edgeKey.split('/').map(key => parseInt(key, 10)).sort((a, b) => a - b);
             
-            // Collect all Voronoi vertices (barycenters) for tetrahedra containing both p1 and p2
+            // Collect all Voronoi vertices for tetrahedra containing both p1 and p2
             const voronoiVertices = [];
             const usedTetraIndices = new Set();
+            const members = [];
             
-            for (const tetraIdx of tetraIndices) {
+            for (const member of sharing) {
+                const tetraIdx = member[0];
                 if (usedTetraIndices.has(tetraIdx)) continue;
-                
-                const tetra = this.tetrahedra[tetraIdx];
-                // Check if this tetrahedron contains both p1 and p2
-                if (tetra.includes(p1) && tetra.includes(p2)) {
-                    voronoiVertices.push(this.barycenters[tetraIdx]);
-                    usedTetraIndices.add(tetraIdx);
-                }
+                voronoiVertices.push(this.voronoiVertices[tetraIdx]);
+                usedTetraIndices.add(tetraIdx);
+                members.push(member);
             }
             
             // We need at least 3 vertices to form a face
             if (voronoiVertices.length >= 3) {
-                // Apply MIC correction for periodic mode
                 let correctedVertices = voronoiVertices;
-                if (this.isPeriodic && voronoiVertices.length > 0) {
+                if (this.isPeriodic && this.tetImages) {
+                    // Exact: move every vertex into the frame of the first tetrahedron
+                    // through the edge's reference vertex, then place the face next to
+                    // the first (wrapped) vertex
+                    const [first, firstRef] = members[0];
+                    const origin = this._unwrappedVertices[first];
+                    const anchor = this.voronoiVertices[first];
+                    correctedVertices = members.map(([tetraIdx, ref]) => {
+                        const shift = this._frameShift(tetraIdx, ref, first, firstRef);
+                        const u = this._unwrappedVertices[tetraIdx];
+                        return [0, 1, 2].map(axis => anchor[axis] + u[axis] + shift[axis] - origin[axis]);
+                    });
+                } else if (this.isPeriodic && voronoiVertices.length > 0) {
+                    // Apply MIC correction for periodic mode
                     // Use first vertex as reference for MIC
                     const reference = voronoiVertices[0];
                     correctedVertices = voronoiVertices.map((vertex, index) => {
                         if (index === 0) return vertex;
                         
                         // Apply MIC to bring vertex to same periodic image as reference
-                        const corrected = [...vertex];
-                        for (let i = 0; i < 3; i++) {
-                            const delta = vertex[i] - reference[i];
-                            // If distance > 0.5, we're crossing a periodic boundary
-                            if (delta > 0.5) {
-                                corrected[i] -= 1.0;
-                            } else if (delta < -0.5) {
-                                corrected[i] += 1.0;
-                            }
-                        }
-                        return corrected;
+                        return this.domain.minimumImage(reference, vertex);
                     });
                 }
                 
@@ -489,6 +2427,640 @@ export class DelaunayComputation {
         return faces;
     }
     
+    /**
+     * Tetrahedron corners incident to each point, as [tetIndex, localVertex]
+     * pairs (mirror vertices excluded) - CACHED
+     * @private
+     */
+    _getIncidentCorners() {
+        if (this._incidenceCache) {
+            return this._incidenceCache;
+        }
+        
+        const incidence = Array.from({ length: this.numPoints }, () => []);
+        this.tetrahedra.forEach((tet, t) => {
+            for (let v = 0; v < 4; v++) {
+                if (!this.isMirrorVertex(t, v)) {
+                    incidence[tet[v]].push([t, v]);
+                }
+            }
+        });
+        
+        this._incidenceCache = incidence;
+        return incidence;
+    }
+
+    /**
+     * The Voronoi cell of one generator as a polyhedron.
+     * Vertices are unwrapped into the periodic image around the generator, so the
+     * cell is one connected solid even when it straddles the box boundary. Faces are
+     * vertex loops ordered counter-clockwise seen from outside the cell. Each face
+     * records the neighbouring generator across it and the periodic image offset of
+     * that neighbour: the neighbour sits at domain.translate(points[neighbor], image).
+     * Faces on the walls of non-periodic axes have neighbor -1 and the mirror offset
+     * (see PeriodicDomain.applyImage) as image.
+     * In non-periodic mode, cells on the convex hull are unbounded unless the cells
+     * are clipped to the box (options.clip): only their closed faces are returned,
+     * the neighbours across the unbounded ones are listed in unboundedNeighbors, and
+     * closed is false.
+     * @param {number} index - Generator index
+     * @returns {{index: number, position: Array<number>, vertices: Array<Array<number>>,
+     *           vertexTetrahedra: Array<number>, faces: Array<{vertices: Array<number>,
+     *           neighbor: number, image: Array<number>}>, unboundedNeighbors: Array<number>,
+     *           closed: boolean}|null}
+     *          The cell, or null if the generator has no cell (hidden weighted point)
+     */
+    getCellPolyhedron(index) {
+        const corners = this._getIncidentCorners()[index];
+        if (!corners || corners.length === 0) return null;
+        
+        const generator = this.pointsArray[index];
+        const tolerance = this.getLengthTolerance();
+        const vertices = [];
+        const vertexTetrahedra = [];
+        const cornerVertex = [];
+        const rings = new Map();
+        
+        corners.forEach(([t, v], c) => {
+            // Translate the tetrahedron so that this corner sits on the generator itself
+            const positions = this._tetVertexPositions(this.tetrahedra[t], t);
+            const shift = [generator[0] - positions[v][0], generator[1] - positions[v][1], generator[2] - positions[v][2]];
+            const center = this._unwrappedVertices[t];
+            const vertex = [center[0] + shift[0], center[1] + shift[1], center[2] + shift[2]];
+            
+            // Coincident Voronoi vertices (co-spherical points, mirror images) are merged
+            let vertexIndex = vertices.findIndex(other => squaredDistance(other, vertex) <= tolerance * tolerance);
+            if (vertexIndex < 0) {
+                vertexIndex = vertices.length;
+                vertices.push(vertex);
+                vertexTetrahedra.push(t);
+            }
+            cornerVertex.push(vertexIndex);
+            
+            // Key every other vertex of the tetrahedron by point index and image relative to the generator
+            const keys = [];
+            for (let u = 0; u < 4; u++) {
+                if (u === v) continue;
+                const point = this.tetrahedra[t][u];
+                const position = [positions[u][0] + shift[0], positions[u][1] + shift[1], positions[u][2] + shift[2]];
+                let image;
+                if (this.isMirrorVertex(t, u)) {
+                    const images = this.tetImages[t];
+                    image = [0, 1, 2].map(axis => images[u][axis] - (this.periodicAxes[axis] ? images[v][axis] : 0));
+                } else {
+                    const offset = this.domain.toFractional([
+                        position[0] - this.pointsArray[point][0],
+                        position[1] - this.pointsArray[point][1],
+                        position[2] - this.pointsArray[point][2]
+                    ]);
+                    image = offset.map(Math.round);
+                }
+                keys.push({ key: `${point}:${image.join(',')}`, point, image, position, mirror: this.isMirrorVertex(t, u) });
+            }
+            
+            // Each neighbour of the corner spans one face; the two remaining vertices link
+            // this corner to the previous and next corners around that face
+            for (let k = 0; k < 3; k++) {
+                const neighbor = keys[k];
+                if (!rings.has(neighbor.key)) {
+                    rings.set(neighbor.key, { neighbor, links: [] });
+                }
+                rings.get(neighbor.key).links.push({ corner: c, a: keys[(k + 1) % 3].key, b: keys[(k + 2) % 3].key });
+            }
+        });
+        
+        const faces = [];
+        const unboundedNeighbors = [];
+        let closed = true;
+        // Barycentric cells have no planar wall faces: the rings around the edges to
+        // mirror vertices close them instead
+        const ringWalls = this.voronoiVertexMode !== 'circumcenter';
+        for (const { neighbor, links } of rings.values()) {
+            // Mirror neighbours meet the cell only on a wall, where co-spherical mirror
+            // pairs leave their rings incomplete; wall faces are rebuilt below instead
+            if (neighbor.mirror && !ringWalls) continue;
+            
+            // Walk around the Delaunay edge from corner to corner through shared vertices
+            const loop = [];
+            let current = links[0];
+            let previousKey = current.b;
+            let complete = false;
+            for (let step = 0; step < links.length; step++) {
+                loop.push(cornerVertex[current.corner]);
+                const nextKey = current.a === previousKey ? current.b : current.a;
+                const next = links.find(link => link !== current && (link.a === nextKey || link.b === nextKey));
+                if (!next) break;
+                if (next === links[0]) {
+                    complete = true;
+                    break;
+                }
+                previousKey = nextKey;
+                current = next;
+            }
+            let face;
+            if (complete) {
+                // Drop repeats left by merged vertices
+                face = loop.filter((vertex, i) => vertex !== loop[(i + 1) % loop.length]);
+            } else if (neighbor.mirror) {
+                closed = false;
+                continue;
+            } else if (this.isPeriodic || this.domain.hasWalls) {
+                // Near walls the mirrored points are co-spherical and neighbouring copies of
+                // the image block may break the ties differently, so the ring can have gaps
+                // at coincident vertices; the face is convex, so order its vertices by angle
+                face = this._convexLoop([...new Set(links.map(link => cornerVertex[link.corner]))], vertices);
+            } else {
+                // Delaunay edge on the convex hull: the face is unbounded
+                unboundedNeighbors.push(neighbor.point);
+                closed = false;
+                continue;
+            }
+            if (face.length < 3) continue;
+            
+            faces.push({
+                vertices: this._orientFace(face, vertices, generator, neighbor.position),
+                neighbor: neighbor.mirror ? -1 : neighbor.point,
+                image: neighbor.image
+            });
+        }
+        
+        // Wall faces: the cell vertices lying on a wall, which is the bisector plane
+        // between the generator and its own mirror image
+        for (let axis = 0; axis < 3 && !ringWalls; axis++) {
+            if (this.periodicAxes[axis]) continue;
+            for (const side of [-1, 1]) {
+                const wall = side < 0 ? 0 : 1;
+                const onWall = [];
+                vertices.forEach((vertex, v) => {
+                    if (Math.abs(this.domain.toFractional(vertex)[axis] - wall) <= 1e-9) onWall.push(v);
+                });
+                if (onWall.length < 3) continue;
+                
+                const image = [0, 0, 0];
+                image[axis] = side;
+                const mirror = this.domain.applyImage(generator, image);
+                const face = this._convexLoop(onWall, vertices);
+                faces.push({
+                    vertices: this._orientFace(face, vertices, generator, mirror),
+                    neighbor: -1,
+                    image
+                });
+            }
+        }
+        
+        return {
+            index,
+            position: [...generator],
+            vertices,
+            vertexTetrahedra,
+            faces,
+            unboundedNeighbors,
+            closed: closed && this._isClosedSurface(faces)
+        };
+    }
+
+    /**
+     * Order the vertex indices of a convex planar polygon into a loop
+     * @private
+     */
+    _convexLoop(indices, vertices) {
+        const centroid = [0, 1, 2].map(k => indices.reduce((sum, v) => sum + vertices[v][k], 0) / indices.length);
+        const sorted = this._sortVerticesByAngle(indices.map(v => vertices[v]), centroid);
+        return sorted.map(vertex => indices.find(v => vertices[v] === vertex));
+    }
+
+    /**
+     * Reverse a face loop if needed so that its Newell normal points from the
+     * generator towards the neighbouring generator
+     * @private
+     */
+    _orientFace(face, vertices, generator, neighborPosition) {
+        const normal = [0, 0, 0];
+        for (let i = 0; i < face.length; i++) {
+            const p = vertices[face[i]];
+            const q = vertices[face[(i + 1) % face.length]];
+            normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+            normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+            normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+        }
+        const direction = [
+            neighborPosition[0] - generator[0],
+            neighborPosition[1] - generator[1],
+            neighborPosition[2] - generator[2]
+        ];
+        return dot(normal, direction) < 0 ? face.reverse() : face;
+    }
+
+    /**
+     * Whether every edge of a set of face loops is shared by exactly two faces
+     * @private
+     */
+    _isClosedSurface(faces) {
+        const edgeCounts = new Map();
+        for (const face of faces) {
+            for (let i = 0; i < face.vertices.length; i++) {
+                const a = face.vertices[i];
+                const b = face.vertices[(i + 1) % face.vertices.length];
+                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+                edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+            }
+        }
+        for (const count of edgeCounts.values()) {
+            if (count !== 2) return false;
+        }
+        return edgeCounts.size > 0;
+    }
+
+    /**
+     * Volume, surface area, volume-weighted centroid and second moment (the integral
+     * of |x - generator|^2 over the cell, its term of the CVT energy) of every
+     * Voronoi cell - CACHED.
+     * Cells are measured as closed polyhedra (see getCellPolyhedron), so cells that
+     * straddle the periodic boundary are measured in one piece; centroids are wrapped
+     * back into the domain like the Voronoi vertices.
+     * @returns {Array<{volume: number, surfaceArea: number, centroid: Array<number>,
+     *           secondMoment: number}|null>}
+     *          One entry per generator, null for unbounded (convex hull) cells and
+     *          generators without a cell
+     */
+    getCellMeasures() {
+        if (this._measuresCache) {
+            return this._measuresCache;
+        }
+        
+        const measures = [];
+        for (let i = 0; i < this.numPoints; i++) {
+            const cell = this.getCellPolyhedron(i);
+            measures.push(cell && cell.closed ? this._measurePolyhedron(cell) : null);
+        }
+        
+        this._measuresCache = measures;
+        return measures;
+    }
+
+    /**
+     * Integrate volume, area, centroid and second moment of a closed cell by splitting every face
+     * into triangles fanned from its first vertex and coning them to the generator
+     * @private
+     */
+    _measurePolyhedron(cell) {
+        // Work relative to the generator to keep the products small
+        const origin = cell.position;
+        const local = cell.vertices.map(v => [v[0] - origin[0], v[1] - origin[1], v[2] - origin[2]]);
+        let volume = 0;
+        let surfaceArea = 0;
+        const moment = [0, 0, 0];
+        let secondMoment = 0;
+        
+        for (const face of cell.faces) {
+            surfaceArea += this._faceArea(face.vertices, local);
+            const a = local[face.vertices[0]];
+            for (let k = 1; k + 1 < face.vertices.length; k++) {
+                const b = local[face.vertices[k]];
+                const c = local[face.vertices[k + 1]];
+                
+                // Signed volume of the tetrahedron (generator, a, b, c); its centroid is
+                // (a + b + c) / 4 since the generator is the origin
+                const tetVolume = dot(a, cross(b, c)) / 6;
+                volume += tetVolume;
+                for (let axis = 0; axis < 3; axis++) {
+                    moment[axis] += tetVolume * (a[axis] + b[axis] + c[axis]) / 4;
+                }
+                // Integral of |x|^2 over the tetrahedron: V / 20 * (sum of |v|^2 + |sum of v|^2)
+                const s = [a[0] + b[0] + c[0], a[1] + b[1] + c[1], a[2] + b[2] + c[2]];
+                secondMoment += tetVolume / 20 * (dot(a, a) + dot(b, b) + dot(c, c) + dot(s, s));
+            }
+        }
+        
+        let centroid = [0, 1, 2].map(axis => origin[axis] + (volume > 0 ? moment[axis] / volume : 0));
+        if (this.isPeriodic) {
+            centroid = this.domain.wrap(centroid);
+        }
+        
+        return { volume, surfaceArea, centroid, secondMoment };
+    }
+
+    /**
+     * Area of a face loop, as the sum of the triangles fanned from its first vertex
+     * (barycentric faces are not planar)
+     * @private
+     */
+    _faceArea(loop, vertices) {
+        const a = vertices[loop[0]];
+        let area = 0;
+        for (let k = 1; k + 1 < loop.length; k++) {
+            const b = vertices[loop[k]];
+            const c = vertices[loop[k + 1]];
+            const n = cross([b[0] - a[0], b[1] - a[1], b[2] - a[2]], [c[0] - a[0], c[1] - a[1], c[2] - a[2]]);
+            area += Math.sqrt(dot(n, n)) / 2;
+        }
+        return area;
+    }
+
+    /**
+     * Sanity check of the cell measures: in periodic mode (including per-axis
+     * periodicity with walls) and with cells clipped to the box, the cells tile the
+     * domain, so their volumes must add up to the domain volume. Only exact for circumcenter (true Voronoi or
+     * power) cells; barycentric cells have warped faces and are off by a little.
+     * @param {number} tolerance - Allowed relative deviation
+     * @returns {{totalVolume: number, expectedVolume: number|null, relativeError: number|null, ok: boolean}}
+     *          expectedVolume is null in non-periodic mode without clipping, where the
+     *          union of the bounded cells has no fixed volume
+     */
+    checkCellVolumes(tolerance = 1e-6) {
+        const measures = this.getCellMeasures();
+        const totalVolume = measures.reduce((sum, measure) => sum + (measure ? measure.volume : 0), 0);
+        
+        if (!this.isPeriodic && !this.domain.hasWalls) {
+            return { totalVolume, expectedVolume: null, relativeError: null, ok: true };
+        }
+        
+        const expectedVolume = this.domain.getVolume();
+        const relativeError = Math.abs(totalVolume - expectedVolume) / expectedVolume;
+        const ok = relativeError <= tolerance;
+        if (!ok) {
+            console.warn(`Cell volumes add up to ${totalVolume}, expected the domain volume ${expectedVolume} (relative error ${relativeError.toExponential(2)})`);
+        }
+        
+        return { totalVolume, expectedVolume, relativeError, ok };
+    }
+
+    /**
+     * Adjacency of the Voronoi cells in compressed sparse row form - CACHED.
+     * The neighbours of cell i are entries offsets[i] to offsets[i + 1] - 1; entry k
+     * is cell neighbors[k], across a face of area areas[k], in the periodic image
+     * shifted by images[3k..3k+2] (the neighbour sits at
+     * domain.translate(points[neighbors[k]], image)). A pair of cells can touch
+     * through several images in small periodic systems, each giving its own entry.
+     * Faces on the walls of non-periodic axes are not adjacencies and are left out;
+     * faces of unbounded cells (non-periodic convex hull) have area Infinity.
+     * @returns {{offsets: Int32Array, neighbors: Int32Array, areas: Float64Array, images: Int32Array}}
+     */
+    getNeighborGraph() {
+        if (this._neighborGraphCache) {
+            return this._neighborGraphCache;
+        }
+        
+        const rows = [];
+        let numEntries = 0;
+        for (let i = 0; i < this.numPoints; i++) {
+            const cell = this.getCellPolyhedron(i);
+            const row = [];
+            if (cell) {
+                for (const face of cell.faces) {
+                    if (face.neighbor < 0) continue;
+                    row.push({ neighbor: face.neighbor, area: this._faceArea(face.vertices, cell.vertices), image: face.image });
+                }
+                for (const neighbor of cell.unboundedNeighbors) {
+                    row.push({ neighbor, area: Infinity, image: [0, 0, 0] });
+                }
+            }
+            rows.push(row);
+            numEntries += row.length;
+        }
+        
+        const offsets = new Int32Array(this.numPoints + 1);
+        const neighbors = new Int32Array(numEntries);
+        const areas = new Float64Array(numEntries);
+        const images = new Int32Array(3 * numEntries);
+        let k = 0;
+        rows.forEach((row, i) => {
+            offsets[i] = k;
+            for (const entry of row) {
+                neighbors[k] = entry.neighbor;
+                areas[k] = entry.area;
+                images.set(entry.image, 3 * k);
+                k++;
+            }
+        });
+        offsets[this.numPoints] = k;
+        
+        console.log(`Built neighbor graph: ${numEntries} adjacencies for ${this.numPoints} cells`);
+        
+        this._neighborGraphCache = { offsets, neighbors, areas, images };
+        return this._neighborGraphCache;
+    }
+
+    /**
+     * Neighbours of one cell, as views into the neighbor graph (see getNeighborGraph)
+     * @param {number} index - Generator index
+     * @returns {{neighbors: Int32Array, areas: Float64Array, images: Int32Array}}
+     *          images holds three integers per neighbour
+     */
+    getNeighbors(index) {
+        const { offsets, neighbors, areas, images } = this.getNeighborGraph();
+        const start = offsets[index];
+        const end = offsets[index + 1];
+        return {
+            neighbors: neighbors.subarray(start, end),
+            areas: areas.subarray(start, end),
+            images: images.subarray(3 * start, 3 * end)
+        };
+    }
+
+    /**
+     * Generator whose cell contains a point, found by walking the Delaunay graph:
+     * from a starting generator, step to the neighbour closest to the point until
+     * no neighbour is closer. Consecutive queries start where the last one ended,
+     * so probing nearby points is cheap. Distances follow the minimum image
+     * convention; with weights the walk uses power distances (power cells).
+     * Along walled axes the point should lie between the walls.
+     * @param {Array<number>} p - Query point [x, y, z] (may lie outside the box
+     *        along periodic axes)
+     * @returns {{index: number, image: Array<number>, distance: number}|null} The
+     *          generator, the periodic image that contains p (the generator sits at
+     *          domain.translate(points[index], image)) and its distance to p; null
+     *          without a triangulation
+     */
+    locate(p) {
+        const { offsets, neighbors, images } = this._getDelaunayGraph();
+        
+        let current = this._lastLocated;
+        if (!(current >= 0 && current < this.numPoints && offsets[current + 1] > offsets[current])) {
+            current = this._firstGeneratorWithCell(offsets);
+            if (current < 0) return null;
+        }
+        
+        let image = this._nearestImage(p, current);
+        let best = this._queryDistance(p, current, image);
+        for (;;) {
+            let next = -1;
+            let nextImage = null;
+            for (let k = offsets[current]; k < offsets[current + 1]; k++) {
+                const j = neighbors[k];
+                const candidateImage = [image[0] + images[3 * k], image[1] + images[3 * k + 1], image[2] + images[3 * k + 2]];
+                const distance = this._queryDistance(p, j, candidateImage);
+                if (distance < best) {
+                    best = distance;
+                    next = j;
+                    nextImage = candidateImage;
+                }
+            }
+            if (next < 0) break;
+            current = next;
+            image = nextImage;
+        }
+        
+        this._lastLocated = current;
+        return {
+            index: current,
+            image,
+            distance: Math.sqrt(squaredDistance(p, this.domain.translate(this.pointsArray[current], image)))
+        };
+    }
+
+    /**
+     * The k generators nearest to a point, each with its nearest periodic image.
+     * Starts from locate(p) and grows outwards through the Delaunay graph (the
+     * next nearest generator is always a Delaunay neighbour of a nearer one), so
+     * only the neighbourhood of p is visited. With weights generators are ranked
+     * by power distance. Generators without a cell (hidden weighted points) are
+     * never returned.
+     * @param {Array<number>} p - Query point [x, y, z]
+     * @param {number} k - Number of generators (default 1)
+     * @returns {Array<{index: number, image: Array<number>, distance: number}>}
+     *          Nearest first; fewer than k if there are not enough generators
+     */
+    nearest(p, k = 1) {
+        const first = this.locate(p);
+        if (!first || k < 1) return [];
+        
+        const { offsets, neighbors, images } = this._getDelaunayGraph();
+        let numGenerators = 0;
+        for (let i = 0; i < this.numPoints; i++) {
+            if (offsets[i + 1] > offsets[i]) numGenerators++;
+        }
+        const count = Math.min(k, numGenerators);
+        
+        // Candidates sorted by decreasing distance, so the nearest is popped first;
+        // in periodic mode every image is its own candidate
+        const queue = [];
+        const seen = new Set();
+        const push = (index, image) => {
+            const key = `${index}:${image.join(',')}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            const candidate = { index, image, score: this._queryDistance(p, index, image) };
+            let lo = 0;
+            let hi = queue.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (queue[mid].score > candidate.score) lo = mid + 1; else hi = mid;
+            }
+            queue.splice(lo, 0, candidate);
+        };
+        push(first.index, first.image);
+        
+        const result = [];
+        const found = new Set();
+        while (result.length < count && queue.length > 0) {
+            const { index, image } = queue.pop();
+            // Farther images of a generator already found are only passed through
+            if (!found.has(index)) {
+                found.add(index);
+                result.push({
+                    index,
+                    image,
+                    distance: Math.sqrt(squaredDistance(p, this.domain.translate(this.pointsArray[index], image)))
+                });
+            }
+            for (let e = offsets[index]; e < offsets[index + 1]; e++) {
+                push(neighbors[e], [image[0] + images[3 * e], image[1] + images[3 * e + 1], image[2] + images[3 * e + 2]]);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Squared distance (power distance with weights) from p to an image of a generator
+     * @private
+     */
+    _queryDistance(p, index, image) {
+        const q = this.domain.translate(this.pointsArray[index], image);
+        return squaredDistance(p, q) - (this.weights ? this.weights[index] : 0);
+    }
+
+    /**
+     * Image of a generator nearest to p along the periodic axes
+     * @private
+     */
+    _nearestImage(p, index) {
+        const point = this.pointsArray[index];
+        const nearest = this.domain.minimumImage(p, point);
+        return this.domain.toFractional([nearest[0] - point[0], nearest[1] - point[1], nearest[2] - point[2]]).map(Math.round);
+    }
+
+    /**
+     * First generator that has a cell, or -1
+     * @private
+     */
+    _firstGeneratorWithCell(offsets) {
+        for (let i = 0; i < this.numPoints; i++) {
+            if (offsets[i + 1] > offsets[i]) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Delaunay graph in compressed sparse row form - CACHED. Generators i and j are
+     * neighbours when they share a tetrahedron edge; entry k of row i (offsets[i] to
+     * offsets[i + 1] - 1) is generator neighbors[k] in the image images[3k..3k+2]
+     * relative to generator i. Edges to mirror vertices are left out.
+     * @private
+     * @returns {{offsets: Int32Array, neighbors: Int32Array, images: Int32Array}}
+     */
+    _getDelaunayGraph() {
+        if (this._delaunayGraphCache) {
+            return this._delaunayGraphCache;
+        }
+        
+        const rows = Array.from({ length: this.numPoints }, () => new Map());
+        const tetrahedra = this.tetrahedra;
+        for (let t = 0; t < tetrahedra.length; t++) {
+            const tet = tetrahedra[t];
+            const positions = this._tetVertexPositions(tet, t);
+            for (let u = 0; u < 4; u++) {
+                if (this.isMirrorVertex(t, u)) continue;
+                for (let v = 0; v < 4; v++) {
+                    if (v === u || this.isMirrorVertex(t, v)) continue;
+                    // Offset of v's image from u's image, minus the offset of the points themselves
+                    const a = this.pointsArray[tet[u]];
+                    const b = this.pointsArray[tet[v]];
+                    const image = this.domain.toFractional([
+                        positions[v][0] - positions[u][0] - (b[0] - a[0]),
+                        positions[v][1] - positions[u][1] - (b[1] - a[1]),
+                        positions[v][2] - positions[u][2] - (b[2] - a[2])
+                    ]).map(Math.round);
+                    if (tet[v] === tet[u] && image.every(x => x === 0)) continue;
+                    rows[tet[u]].set(`${tet[v]}:${image.join(',')}`, [tet[v], image]);
+                }
+            }
+        }
+        
+        const offsets = new Int32Array(this.numPoints + 1);
+        let numEntries = 0;
+        rows.forEach((row, i) => {
+            offsets[i] = numEntries;
+            numEntries += row.size;
+        });
+        offsets[this.numPoints] = numEntries;
+        
+        const neighbors = new Int32Array(numEntries);
+        const images = new Int32Array(3 * numEntries);
+        rows.forEach((row, i) => {
+            let k = offsets[i];
+            for (const [j, image] of row.values()) {
+                neighbors[k] = j;
+                images.set(image, 3 * k);
+                k++;
+            }
+        });
+        
+        this._delaunayGraphCache = { offsets, neighbors, images };
+        return this._delaunayGraphCache;
+    }
+
     /**
      * Sort vertices by angle around a centroid to form a proper polygon
      * @private
@@ -557,4 +3129,51 @@ export class DelaunayComputation {
     getDelaunayTetrahedra() {
         return this.tetrahedra;
     }
+
+    /**
+     * Positions of the four vertices of a tetrahedron as one connected tetrahedron:
+     * periodic images resolved and mirror images across walls applied, so that
+     * lengths, angles and volumes can be measured directly
+     * @param {number} tetIndex - Tetrahedron index
+     * @returns {Array<Array<number>>} Four [x, y, z] positions, in the vertex order of the tetrahedron
+     */
+    getTetrahedronVertices(tetIndex) {
+        return this._tetVertexPositions(this.tetrahedra[tetIndex], tetIndex);
+    }
+
+    /**
+     * Neighbouring tetrahedron across the face opposite each vertex, as a flat
+     * Int32Array with 4 entries per tetrahedron (-1 on the convex hull and beyond
+     * the walls). Comes from the WASM triangulation when it was requested with the
+     * adjacency option; otherwise it is built here from the face keys - CACHED
+     */
+    getTetrahedronNeighbors() {
+        if (this.tetNeighbors) {
+            return this.tetNeighbors;
+        }
+        
+        const neighbors = new Int32Array(this.tetrahedronData.length).fill(-1);
+        const openFaces = new Map();
+        for (let t = 0; t < this.numTetrahedra; t++) {
+            for (let opposite = 0; opposite < 4; opposite++) {
+                const corners = [0, 1, 2, 3].filter(v => v !== opposite);
+                // Faces made only of mirror vertices lie beyond the walls
+                if (this._referenceCorner(t, corners) < 0) continue;
+                
+                const key = this._cornerKeys(t, corners).sort().join('/');
+                const face = t * 4 + opposite;
+                const match = openFaces.get(key);
+                if (match === undefined) {
+                    openFaces.set(key, face);
+                } else {
+                    neighbors[face] = Math.floor(match / 4);
+                    neighbors[match] = t;
+                    openFaces.delete(key);
+                }
+            }
+        }
+        
+        this.tetNeighbors = neighbors;
+        return neighbors;
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * DelaunayWorker.js
+ *
+ * Module Web Worker behind TriangulationWorker: owns the WASM module and runs
+ * DelaunayComputation.compute() off the main thread. Results go back as binary
+ * snapshots (DelaunayComputation.toBinary), transferred without copying.
+ *
+ * Messages in:  {type: 'INIT', distUrl}
+ *               {type: 'TRIANGULATE', jobId, points, isPeriodic, options}: options are
+ *               DelaunayComputation options (domain, voronoiVertexMode, seed, adjacency,
+ *               weights), passed on as they are
+ * Messages out: {type: 'READY'}
+ *               {type: 'PROGRESS', jobId, stage, elapsed}
+ *               {type: 'SUCCESS', jobId, snapshot, duration}
+ *               {type: 'ERROR', jobId, error}
+ */
+
+import { DelaunayComputation } from './DelaunayComputation.js';
+
+let modulePromise = null;
+
+/**
+ * Load the Emscripten module. Module workers have no importScripts(), so the classic
+ * glue script is evaluated for its PeriodicDelaunayModule factory.
+ */
+async function loadModule(distUrl) {
+    const response = await fetch(new URL('periodic_delaunay.js', distUrl));
+    if (!response.ok) {
+        throw new Error(`Cannot load the WASM module from ${distUrl}: ${response.status}`);
+    }
+    const factory = new Function(`${await response.text()}\nreturn PeriodicDelaunayModule;`)();
+    return factory({ locateFile: path => new URL(path, distUrl).href });
+}
+
+self.onmessage = async function(e) {
+    const { type, jobId } = e.data;
+    const startTime = performance.now();
+    const progress = stage => self.postMessage({ type: 'PROGRESS', jobId, stage, elapsed: performance.now() - startTime });
+
+    try {
+        switch (type) {
+            case 'INIT':
+                modulePromise = loadModule(new URL(e.data.distUrl));
+                await modulePromise;
+                self.postMessage({ type: 'READY' });
+                break;
+
+            case 'TRIANGULATE': {
+                if (!modulePromise) {
+                    throw new Error('Worker not initialized');
+                }
+                progress('loading');
+                const wasmModule = await modulePromise;
+
+                progress('triangulating');
+                const { points, isPeriodic, options } = e.data;
+                const computation = new DelaunayComputation(points, isPeriodic, options);
+                await computation.compute(wasmModule);
+
+                progress('transferring');
+                const snapshot = computation.toBinary();
+                self.postMessage({ type: 'SUCCESS', jobId, snapshot, duration: performance.now() - startTime }, [snapshot]);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown worker task type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'ERROR', jobId, error: error.message });
+    }
+};
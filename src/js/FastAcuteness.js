@@ -5,6 +5,8 @@
  * Uses JavaScript optimization techniques to achieve near-WASM performance
  */
 
+import { SeededRandom } from './SeededRandom.js';
+
 // Pre-allocate arrays to avoid garbage collection
 const vec1 = new Float32Array(3);
 const vec2 = new Float32Array(3);
@@ -360,8 +362,11 @@ export class FastAcutenessAnalyzer {
             points: computation.getPoints()
         };
         
-        // Detect which cells changed
-        const changedCells = this.detectChangedCells(computation);
+        // Cells reported as changed (e.g. affectedPoints from DelaunayComputation.updatePoints()),
+        // otherwise detect which cells changed from the point positions
+        const changedCells = options.changedCells
+            ? this.markChangedCells(computation, options.changedCells)
+            : this.detectChangedCells(computation);
         
         // Use incremental update if possible
         const cells = computation.getCells();
@@ -403,6 +408,9 @@ export class FastAcutenessAnalyzer {
             });
         }
         
+        // Placeholder scores come from the run's 'scores' stream, so seeded runs repeat
+        const random = new SeededRandom(computation.seed ?? undefined).stream('scores');
+        
         if (needsVertexScores) {
             const vertices = computation.getVertices();
             vertexScores = new Array(vertices.length);
@@ -410,7 +418,7 @@ export class FastAcutenessAnalyzer {
             // Simple vertex scoring - could be enhanced
             for (let i = 0; i < vertices.length; i++) {
                 // Placeholder - in practice would analyze tetrahedron quality
-                vertexScores[i] = Math.floor(Math.random() * 6);
+                vertexScores[i] = Math.floor(random.uniform(0, 6));
             }
         }
         
@@ -421,7 +429,7 @@ export class FastAcutenessAnalyzer {
             // Simple edge scoring
             for (let i = 0; i < edges.length; i++) {
                 // Placeholder - would analyze edge connectivity
-                edgeScores[i] = Math.floor(Math.random() * 4);
+                edgeScores[i] = Math.floor(random.uniform(0, 4));
             }
         }
         
@@ -436,6 +444,20 @@ export class FastAcutenessAnalyzer {
         };
     }
     
+    /**
+     * Use a known set of changed cells, keeping the recorded positions in sync
+     */
+    markChangedCells(computation, cellIndices) {
+        const changed = new Set(cellIndices);
+        const points = computation.getPoints();
+        
+        for (const idx of changed) {
+            this.lastPositions.set(idx, [...points[idx]]);
+        }
+        
+        return changed;
+    }
+    
     /**
      * Detect which cells have changed
      */
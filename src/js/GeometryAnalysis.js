@@ -111,6 +111,34 @@ function getDihedralAngle(face1, face2, commonEdge) {
     return Math.PI - angle;
 }
 
+/**
+ * Axes along which the computation is bounded by walls that leave the boundary
+ * cells open (all three in non-periodic mode). None when the cells are clipped at
+ * the walls (per-axis periodicity, or clip in non-periodic mode): boundary cells
+ * are then ordinary closed cells and need no special treatment.
+ */
+function getWalledAxes(computation) {
+    if (computation.domain && computation.domain.hasWalls) return [];
+    const periodicAxes = computation.periodicAxes ||
+        [computation.isPeriodic, computation.isPeriodic, computation.isPeriodic];
+    return [0, 1, 2].filter(axis => !periodicAxes[axis]);
+}
+
+/**
+ * Position of a point in units of the box (fractional coordinates)
+ */
+function toBoxFraction(computation, point) {
+    return computation.domain ? computation.domain.toFractional(point) : point;
+}
+
+/**
+ * Whether a point lies within threshold (in box units) of a wall
+ */
+function isNearWall(computation, point, walledAxes, threshold) {
+    const f = toBoxFraction(computation, point);
+    return walledAxes.some(axis => f[axis] < threshold || f[axis] > 1 - threshold);
+}
+
 /**
  * Analyze vertex acuteness in the Delaunay triangulation (FAST VERSION)
  * Counts acute angles at each vertex of each tetrahedron
@@ -120,27 +148,23 @@ export function vertexAcuteness(computation, maxScore = Infinity) {
     const points = computation.getPoints();
     const scores = [];
     
-    // In non-periodic mode, detect boundary tetrahedra
+    // Along non-periodic axes, detect boundary tetrahedra
     let boundaryTetrahedra = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0) {
         const boundaryThreshold = 0.1;
         
-        // A tetrahedron is on the boundary if any of its vertices is near the boundary
+        // A tetrahedron is on the boundary if any of its vertices is near a wall
         tetrahedra.forEach((tet, tetIdx) => {
             for (const vertIdx of tet) {
-                const point = points[vertIdx];
-                const [x, y, z] = point;
-                
-                if (x < boundaryThreshold || x > 1 - boundaryThreshold ||
-                    y < boundaryThreshold || y > 1 - boundaryThreshold ||
-                    z < boundaryThreshold || z > 1 - boundaryThreshold) {
+                if (isNearWall(computation, points[vertIdx], walledAxes, boundaryThreshold)) {
                     boundaryTetrahedra.add(tetIdx);
                     break;
                 }
             }
         });
         
-        console.log(`Detected ${boundaryTetrahedra.size} boundary tetrahedra in non-periodic mode`);
+        console.log(`Detected ${boundaryTetrahedra.size} boundary tetrahedra along non-periodic axes`);
     }
     
     for (let i = 0; i < tetrahedra.length; i++) {
@@ -148,7 +172,7 @@ export function vertexAcuteness(computation, maxScore = Infinity) {
         const vertices = tet.map(idx => points[idx]);
         
         // Check if this is a boundary tetrahedron
-        const isBoundaryTet = !computation.isPeriodic && boundaryTetrahedra.has(i);
+        const isBoundaryTet = boundaryTetrahedra.has(i);
         
         let acuteAngles = 0;
         
@@ -208,32 +232,26 @@ export function faceAcuteness(computation, maxScore = Infinity) {
     const points = computation.getPoints();
     const scores = [];
     
-    // In non-periodic mode, detect boundary faces
+    // Along non-periodic axes, detect boundary faces
     let boundaryFaces = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0) {
         const boundaryThreshold = 0.1;
         
         // A face is on the boundary if its Delaunay edge connects boundary points
         faces.forEach((face, faceIdx) => {
             const [p1Idx, p2Idx] = face.delaunayEdge;
-            const p1 = points[p1Idx];
-            const p2 = points[p2Idx];
             
-            // Check if either point is near the boundary
-            const p1Boundary = (p1[0] < boundaryThreshold || p1[0] > 1 - boundaryThreshold ||
-                               p1[1] < boundaryThreshold || p1[1] > 1 - boundaryThreshold ||
-                               p1[2] < boundaryThreshold || p1[2] > 1 - boundaryThreshold);
-            
-            const p2Boundary = (p2[0] < boundaryThreshold || p2[0] > 1 - boundaryThreshold ||
-                               p2[1] < boundaryThreshold || p2[1] > 1 - boundaryThreshold ||
-                               p2[2] < boundaryThreshold || p2[2] > 1 - boundaryThreshold);
+            // Check if either point is near a wall
+            const p1Boundary = isNearWall(computation, points[p1Idx], walledAxes, boundaryThreshold);
+            const p2Boundary = isNearWall(computation, points[p2Idx], walledAxes, boundaryThreshold);
             
             if (p1Boundary || p2Boundary) {
                 boundaryFaces.add(faceIdx);
             }
         });
         
-        console.log(`Detected ${boundaryFaces.size} boundary faces in non-periodic mode`);
+        console.log(`Detected ${boundaryFaces.size} boundary faces along non-periodic axes`);
     }
     
     for (let faceIdx = 0; faceIdx < faces.length; faceIdx++) {
@@ -246,7 +264,7 @@ export function faceAcuteness(computation, maxScore = Infinity) {
         }
         
         // Check if this is a boundary face
-        const isBoundaryFace = !computation.isPeriodic && boundaryFaces.has(faceIdx);
+        const isBoundaryFace = boundaryFaces.has(faceIdx);
         
         let acuteAngles = 0;
         
@@ -327,30 +345,28 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
     const cells = computation.getCells();
     const scores = [];
     
-    // In non-periodic mode, detect boundary cells
+    // Along non-periodic axes, detect boundary cells
     let boundaryCells = new Map(); // Map cell index to boundary info
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0) {
         // Find the convex hull of all points to identify boundary vertices
         const points = computation.getPoints();
         const boundaryThreshold = 0.1; // Distance from edge to be considered boundary
         
-        // Simple approach: vertices near the min/max bounds are likely boundary cells
+        // Simple approach: vertices near the walls are likely boundary cells
         for (const [cellIdx, point] of points.entries()) {
-            const [x, y, z] = point;
+            const f = toBoxFraction(computation, point);
             
             // Calculate how "boundary" this cell is (0 = interior, 1 = corner)
             let boundaryScore = 0;
             let numBoundaries = 0;
             
-            // Check each dimension
-            if (x < boundaryThreshold) { boundaryScore += (boundaryThreshold - x) / boundaryThreshold; numBoundaries++; }
-            else if (x > 1 - boundaryThreshold) { boundaryScore += (x - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
-            
-            if (y < boundaryThreshold) { boundaryScore += (boundaryThreshold - y) / boundaryThreshold; numBoundaries++; }
-            else if (y > 1 - boundaryThreshold) { boundaryScore += (y - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
-            
-            if (z < boundaryThreshold) { boundaryScore += (boundaryThreshold - z) / boundaryThreshold; numBoundaries++; }
-            else if (z > 1 - boundaryThreshold) { boundaryScore += (z - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
+            // Check each walled dimension
+            for (const axis of walledAxes) {
+                const x = f[axis];
+                if (x < boundaryThreshold) { boundaryScore += (boundaryThreshold - x) / boundaryThreshold; numBoundaries++; }
+                else if (x > 1 - boundaryThreshold) { boundaryScore += (x - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
+            }
             
             if (numBoundaries > 0) {
                 // Normalize boundary score (0-1 range)
@@ -362,7 +378,7 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
             }
         }
         
-        console.log(`Detected ${boundaryCells.size} boundary cells in non-periodic mode`);
+        console.log(`Detected ${boundaryCells.size} boundary cells along non-periodic axes`);
     }
     
     // For each cell, analyze the angles at each Voronoi vertex 
@@ -372,9 +388,9 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
             continue;
         }
         
-        // Check if this is a boundary cell in non-periodic mode
+        // Check if this is a boundary cell near a wall
         const boundaryInfo = boundaryCells.get(cellIdx);
-        const isBoundaryCell = !computation.isPeriodic && boundaryInfo !== undefined;
+        const isBoundaryCell = boundaryInfo !== undefined;
         
         let acuteAngles = 0;
         
@@ -512,27 +528,23 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
         return [];
     }
     
-    // In non-periodic mode, detect boundary edges
+    // Along non-periodic axes, detect boundary edges
     let boundaryEdges = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0) {
         const boundaryThreshold = 0.1;
         
-        // An edge is on the boundary if either endpoint is near the boundary
+        // An edge is on the boundary if either endpoint is near a wall
         computation.voronoiEdges.forEach((edge, edgeIdx) => {
-            const startBoundary = (edge.start[0] < boundaryThreshold || edge.start[0] > 1 - boundaryThreshold ||
-                                  edge.start[1] < boundaryThreshold || edge.start[1] > 1 - boundaryThreshold ||
-                                  edge.start[2] < boundaryThreshold || edge.start[2] > 1 - boundaryThreshold);
-            
-            const endBoundary = (edge.end[0] < boundaryThreshold || edge.end[0] > 1 - boundaryThreshold ||
-                                edge.end[1] < boundaryThreshold || edge.end[1] > 1 - boundaryThreshold ||
-                                edge.end[2] < boundaryThreshold || edge.end[2] > 1 - boundaryThreshold);
+            const startBoundary = isNearWall(computation, edge.start, walledAxes, boundaryThreshold);
+            const endBoundary = isNearWall(computation, edge.end, walledAxes, boundaryThreshold);
             
             if (startBoundary || endBoundary) {
                 boundaryEdges.add(edgeIdx);
             }
         });
         
-        console.log(`Detected ${boundaryEdges.size} boundary edges in non-periodic mode`);
+        console.log(`Detected ${boundaryEdges.size} boundary edges along non-periodic axes`);
     }
     
     // Build a map of vertex positions to connected edges
@@ -563,7 +575,7 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
         let acuteCount = 0;
         
         // Check if this is a boundary edge
-        const isBoundaryEdge = !computation.isPeriodic && boundaryEdges.has(currentIndex);
+        const isBoundaryEdge = boundaryEdges.has(currentIndex);
         
         // Check angles at both endpoints of the current edge
         ['start', 'end'].forEach(endpoint => {
@@ -626,6 +638,152 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
     return acutenessScores;
 }
 
+/**
+ * Per-cell geometric measures as flat arrays, aligned with the cell scores so
+ * they can be used wherever a per-cell quantity is expected.
+ * Unbounded cells (non-periodic convex hull) get NaN volume and area and a null centroid.
+ * @param {Object} computation - The DelaunayComputation object
+ * @returns {Object} { volumes, surfaceAreas, centroids, volumeCheck } where volumeCheck
+ *                   is the result of computation.checkCellVolumes()
+ */
+export function cellMeasures(computation) {
+    const measures = computation.getCellMeasures();
+    
+    return {
+        volumes: measures.map(measure => measure ? measure.volume : NaN),
+        surfaceAreas: measures.map(measure => measure ? measure.surfaceArea : NaN),
+        centroids: measures.map(measure => measure ? measure.centroid : null),
+        volumeCheck: computation.checkCellVolumes()
+    };
+}
+
+/**
+ * Tetrahedron quality metrics that can be used to color the tetrahedra
+ */
+export const TETRAHEDRON_QUALITY_METRICS = ['volumes', 'radiusRatios', 'minDihedralAngles', 'maxDihedralAngles', 'aspectRatios', 'isSliver'];
+
+/**
+ * Shape of one tetrahedron from its four vertex positions
+ * @returns {Object} { volume, radiusRatio, minDihedral, maxDihedral, aspectRatio, radiusEdgeRatio }
+ */
+function tetrahedronShape(vertices) {
+    const [p0, p1, p2, p3] = vertices;
+    const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+    const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    
+    const a = sub(p1, p0);
+    const b = sub(p2, p0);
+    const c = sub(p3, p0);
+    const volume = Math.abs(dot(a, cross(b, c))) / 6;
+    
+    // Edge lengths
+    let shortest = Infinity;
+    let longest = 0;
+    for (let i = 0; i < 4; i++) {
+        for (let j = i + 1; j < 4; j++) {
+            const length = Math.sqrt(calculateSquaredDistance(vertices[i], vertices[j]));
+            shortest = Math.min(shortest, length);
+            longest = Math.max(longest, length);
+        }
+    }
+    
+    // Outward normals of the faces opposite each vertex, scaled by twice the face area
+    const faces = [[1, 2, 3], [0, 2, 3], [0, 1, 3], [0, 1, 2]];
+    const normals = faces.map(([i, j, k], opposite) => {
+        const n = cross(sub(vertices[j], vertices[i]), sub(vertices[k], vertices[i]));
+        return dot(n, sub(vertices[opposite], vertices[i])) > 0 ? [-n[0], -n[1], -n[2]] : n;
+    });
+    const area = normals.reduce((sum, n) => sum + Math.sqrt(dot(n, n)) / 2, 0);
+    
+    // The dihedral angle at the edge shared by two faces is pi minus the angle between
+    // their normals; flat tetrahedra have no outside, so take the limiting angles
+    let minDihedral = volume > 0 ? Math.PI : 0;
+    let maxDihedral = volume > 0 ? 0 : Math.PI;
+    for (let k = 0; k < 4 && volume > 0; k++) {
+        for (let l = k + 1; l < 4; l++) {
+            const dihedral = Math.PI - calculateAngle(normals[k], normals[l]);
+            minDihedral = Math.min(minDihedral, dihedral);
+            maxDihedral = Math.max(maxDihedral, dihedral);
+        }
+    }
+    
+    // Circumradius |aa (b x c) + bb (c x a) + cc (a x b)| / (12 V) and inradius 3 V / area
+    const bxc = cross(b, c);
+    const cxa = cross(c, a);
+    const axb = cross(a, b);
+    const [aa, bb, cc] = [dot(a, a), dot(b, b), dot(c, c)];
+    const numerator = [0, 1, 2].map(axis => aa * bxc[axis] + bb * cxa[axis] + cc * axb[axis]);
+    const circumradius = volume > 0 ? Math.sqrt(dot(numerator, numerator)) / (12 * volume) : Infinity;
+    const inradius = area > 0 ? 3 * volume / area : 0;
+    
+    return {
+        volume,
+        // 1 for the regular tetrahedron, 0 when flat
+        radiusRatio: circumradius < Infinity ? 3 * inradius / circumradius : 0,
+        minDihedral,
+        maxDihedral,
+        // 1 for the regular tetrahedron, growing without bound when flat
+        aspectRatio: inradius > 0 ? longest / (2 * Math.sqrt(6) * inradius) : Infinity,
+        radiusEdgeRatio: shortest > 0 ? circumradius / shortest : Infinity
+    };
+}
+
+/**
+ * Mesh-quality measures of the Delaunay tetrahedra, as arrays aligned with
+ * computation.getDelaunayTetrahedra(). Periodic tetrahedra are measured in one piece
+ * (vertices in their periodic images), angles are in degrees.
+ * A sliver is a flat tetrahedron without a short edge: its radius-edge ratio
+ * (circumradius over shortest edge) is small, as for well-shaped tetrahedra, yet its
+ * smallest dihedral angle is tiny. Delaunay triangulations of well-spaced points keep
+ * every other kind of bad tetrahedron out, but not slivers.
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {Object} options - Sliver thresholds
+ * @param {number} options.sliverAngle - Largest minimum dihedral angle of a sliver in degrees (default 10)
+ * @param {number} options.maxRadiusEdgeRatio - Largest radius-edge ratio of a sliver (default 1;
+ *        0.61 for the regular tetrahedron)
+ * @returns {Object} { volumes, radiusRatios, minDihedralAngles, maxDihedralAngles, aspectRatios,
+ *                   isSliver, numSlivers }
+ */
+export function tetrahedronQuality(computation, options = {}) {
+    const { sliverAngle = 10, maxRadiusEdgeRatio = 1 } = options;
+    const tetrahedra = computation.getDelaunayTetrahedra();
+    const toDegrees = 180 / Math.PI;
+    
+    const quality = {
+        volumes: [],
+        radiusRatios: [],
+        minDihedralAngles: [],
+        maxDihedralAngles: [],
+        aspectRatios: [],
+        isSliver: [],
+        numSlivers: 0
+    };
+    
+    // Plain computations without vertex images are measured from the raw points
+    const points = computation.getPoints();
+    const unwrap = typeof computation.getTetrahedronVertices === 'function';
+    
+    tetrahedra.forEach((tet, t) => {
+        const vertices = unwrap ? computation.getTetrahedronVertices(t) : tet.map(idx => points[idx]);
+        const shape = tetrahedronShape(vertices);
+        const minDihedral = shape.minDihedral * toDegrees;
+        const sliver = minDihedral < sliverAngle && shape.radiusEdgeRatio <= maxRadiusEdgeRatio;
+        
+        quality.volumes.push(shape.volume);
+        quality.radiusRatios.push(shape.radiusRatio);
+        quality.minDihedralAngles.push(minDihedral);
+        quality.maxDihedralAngles.push(shape.maxDihedral * toDegrees);
+        quality.aspectRatios.push(shape.aspectRatio);
+        quality.isSliver.push(sliver);
+        if (sliver) quality.numSlivers++;
+    });
+    
+    console.log(`Tetrahedron quality (${tetrahedra.length} tetrahedra): ${quality.numSlivers} slivers`);
+    
+    return quality;
+}
+
 /**
  * Comprehensive acuteness analysis for all geometric features.
  * @param {Object} computation - The DelaunayComputation result
@@ -648,9 +806,17 @@ export function analyzeAcuteness(computation, options = {}) {
         vertexScores: vertexAcuteness(computation, maxScore),
         faceScores: faceAcuteness(computation, maxScore),
         cellScores: cellAcuteness(computation, maxScore, searchRadius),
-        edgeScores: edgeAcuteness(computation, maxScore)
+        edgeScores: edgeAcuteness(computation, maxScore),
+        voronoiVertexMode: computation.voronoiVertexMode || 'barycenter'
     };
     
+    // Cell volumes and surface areas, when the computation can build cell polyhedra
+    if (typeof computation.getCellMeasures === 'function') {
+        const measures = cellMeasures(computation);
+        results.cellVolumes = measures.volumes;
+        results.cellSurfaceAreas = measures.surfaceAreas;
+    }
+    
     if (includePerformance) {
         const analysisEndTime = performance.now();
         const totalDuration = analysisEndTime - analysisStartTime;
@@ -668,5 +834,61 @@ export function analyzeAcuteness(computation, options = {}) {
     return results;
 }
 
+/**
+ * Summarize a list of scores
+ * @param {Array<number>} scores - Score array
+ * @returns {Object} { count, mean, min, max }
+ */
+export function summarizeScores(scores) {
+    if (!scores || scores.length === 0) {
+        return { count: 0, mean: 0, min: 0, max: 0 };
+    }
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const score of scores) {
+        sum += score;
+        if (score < min) min = score;
+        if (score > max) max = score;
+    }
+    return { count: scores.length, mean: sum / scores.length, min, max };
+}
+
+/**
+ * Run the acuteness analysis on the barycentric and on the true (circumcentric)
+ * Voronoi diagram of the same triangulation, so results can be compared.
+ * Vertex scores only depend on the Delaunay tetrahedra and are identical in both modes.
+ * @param {Object} computation - A computed DelaunayComputation (any vertex mode)
+ * @param {Object} options - Options forwarded to analyzeAcuteness()
+ * @returns {Object} { barycenter, circumcenter, summary } where summary holds per-type
+ *                   statistics for both modes and the difference of their means
+ */
+export function compareVoronoiVertexModes(computation, options = {}) {
+    const byMode = {};
+    for (const mode of ['barycenter', 'circumcenter']) {
+        const modeComputation = computation.voronoiVertexMode === mode
+            ? computation
+            : computation.withVoronoiVertexMode(mode);
+        byMode[mode] = analyzeAcuteness(modeComputation, options);
+    }
+
+    const summary = {};
+    for (const key of ['vertexScores', 'faceScores', 'cellScores', 'edgeScores']) {
+        const barycenter = summarizeScores(byMode.barycenter[key]);
+        const circumcenter = summarizeScores(byMode.circumcenter[key]);
+        summary[key] = {
+            barycenter,
+            circumcenter,
+            meanDifference: circumcenter.mean - barycenter.mean
+        };
+    }
+
+    return {
+        barycenter: byMode.barycenter,
+        circumcenter: byMode.circumcenter,
+        summary
+    };
+}
+
 // Remove the complex spatial index class - it was causing more overhead than benefit
 // The simple sorting approach is actually faster for typical dataset sizes 
\ No newline at end of file
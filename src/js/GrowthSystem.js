@@ -3,9 +3,28 @@
  * 
  * Implements cell growth based on acuteness scores
  * Cells with more acute angles expand by moving their generator points
- * away from the cell centroid
+ * away from the cell centroid. The 'cvt_lloyd' and 'cvt_lbfgs' modes instead
+ * relax the points towards a centroidal Voronoi tessellation (see CVTRelaxation)
  */
 
+import { PeriodicDomain } from './PeriodicDomain.js';
+import { CVTRelaxation } from './CVTRelaxation.js';
+import { SeededRandom, randomSeed } from './SeededRandom.js';
+
+// Fallback for computations created before boxes were configurable
+const UNIT_DOMAIN = new PeriodicDomain();
+
+// Minimum-image distance between two positions of a point
+function domainDistance(computation, p, q) {
+    const d = (computation.domain || UNIT_DOMAIN).minimumImageVector([q[0] - p[0], q[1] - p[1], q[2] - p[2]]);
+    return Math.hypot(d[0], d[1], d[2]);
+}
+
+/**
+ * Growth modes: acuteness-driven growth and shrinkage, or CVT relaxation
+ */
+export const GROWTH_MODES = ['more_grow_only', 'more_grow_both', 'more_shrink_only', 'more_shrink_both', 'cvt_lloyd', 'cvt_lbfgs'];
+
 export class GrowthSystem {
     constructor(config = {}) {
         // Growth configuration
@@ -24,10 +43,18 @@ export class GrowthSystem {
             threshold: config.threshold || 5,
             // Power factor for non-linear growth (1 = linear, 2 = quadratic)
             growthPower: config.growthPower || 1.5,
-            // Growth mode: 'more_grow_only', 'more_grow_both', 'more_shrink_only', 'more_shrink_both'
-            mode: config.mode || 'more_grow_both'
+            // Growth mode, one of GROWTH_MODES
+            mode: config.mode || 'more_grow_both',
+            // Seed of the random directions of points sitting at their centroid
+            seed: config.seed ?? randomSeed()
         };
         
+        // Random directions, restarted by reset() so that runs can be repeated
+        this.random = new SeededRandom(this.config.seed).stream('growth');
+        
+        // CVT relaxation state (quasi-Newton memory, energy history), created on first use
+        this.relaxation = null;
+        
         // Previous deltas for momentum
         this.previousDeltas = new Map();
         
@@ -42,7 +69,9 @@ export class GrowthSystem {
     }
     
     /**
-     * Calculate the centroid of a Voronoi cell
+     * Calculate the centroid of a Voronoi cell as the average of its vertices.
+     * Biased towards densely packed vertices; only used when the computation
+     * cannot provide the volume-weighted centroid (see getCellMeasures)
      * @param {Array} cellVertices - Array of [x,y,z] vertices
      * @returns {Array} [x,y,z] centroid coordinates
      */
@@ -70,13 +99,18 @@ export class GrowthSystem {
      * @returns {Array} New points after growth
      */
     applyGrowth(points, computation, analysisResults) {
+        if (this.isRelaxation()) {
+            return this.applyRelaxation(points, computation);
+        }
         if (!analysisResults || !analysisResults.cellScores) {
             console.warn('No analysis results available for growth');
             return points;
         }
         
         const cells = computation.getCells();
+        const measures = typeof computation.getCellMeasures === 'function' ? computation.getCellMeasures() : null;
         const cellScores = analysisResults.cellScores;
+        const domain = computation.domain || UNIT_DOMAIN;
         
         // Reset stats
         this.stats = {
@@ -176,8 +210,9 @@ export class GrowthSystem {
                 continue;
             }
             
-            // Calculate cell centroid
-            const centroid = this.calculateCentroid(cellVertices);
+            // Volume-weighted cell centroid; unbounded cells fall back to the vertex average
+            const measure = measures && measures[i];
+            const centroid = measure ? measure.centroid : this.calculateCentroid(cellVertices);
             
             // Calculate growth direction 
             // For positive flux: from centroid to point (growth)
@@ -187,7 +222,7 @@ export class GrowthSystem {
             const dirZ = point[2] - centroid[2];
             
             // Handle periodic boundaries
-            const adjustedDir = this.adjustDirectionForPeriodic(dirX, dirY, dirZ);
+            const adjustedDir = this.adjustDirectionForPeriodic(dirX, dirY, dirZ, domain);
             
             // Normalize direction
             const length = Math.sqrt(
@@ -198,9 +233,9 @@ export class GrowthSystem {
             
             if (length < 1e-6) {
                 // Point is at centroid, use small random direction
-                adjustedDir[0] = (Math.random() - 0.5) * 0.01;
-                adjustedDir[1] = (Math.random() - 0.5) * 0.01;
-                adjustedDir[2] = (Math.random() - 0.5) * 0.01;
+                adjustedDir[0] = (this.random.next() - 0.5) * 0.01;
+                adjustedDir[1] = (this.random.next() - 0.5) * 0.01;
+                adjustedDir[2] = (this.random.next() - 0.5) * 0.01;
             } else {
                 adjustedDir[0] /= length;
                 adjustedDir[1] /= length;
@@ -230,8 +265,8 @@ export class GrowthSystem {
             const newY = point[1] + adjustedDir[1] * delta;
             const newZ = point[2] + adjustedDir[2] * delta;
             
-            // Wrap coordinates for periodic mode
-            const wrappedPos = this.wrapCoordinates(newX, newY, newZ);
+            // Wrap coordinates along periodic axes, keep them between the walls otherwise
+            const wrappedPos = this.wrapCoordinates(newX, newY, newZ, domain);
             newPoints.push(wrappedPos);
             
             // Update statistics
@@ -251,40 +286,72 @@ export class GrowthSystem {
         return newPoints;
     }
     
+    /**
+     * Whether the mode relaxes towards a CVT instead of following acuteness
+     */
+    isRelaxation() {
+        return this.config.mode === 'cvt_lloyd' || this.config.mode === 'cvt_lbfgs';
+    }
+    
+    /**
+     * One CVT relaxation step (Lloyd or quasi-Newton, by mode); no acuteness needed.
+     * The points stay put until the computation has caught up with the last step.
+     * @param {Array} points - Current generator points [[x,y,z], ...]
+     * @param {Object} computation - DelaunayComputation of these points
+     * @returns {Array} New points after the step
+     */
+    applyRelaxation(points, computation) {
+        const method = this.config.mode === 'cvt_lbfgs' ? 'lbfgs' : 'lloyd';
+        if (!this.relaxation || this.relaxation.config.method !== method) {
+            this.relaxation = new CVTRelaxation({ method });
+        }
+        
+        const iterations = this.relaxation.history.length;
+        const newPoints = this.relaxation.step(points, computation);
+        if (this.relaxation.history.length === iterations) {
+            return newPoints;
+        }
+        
+        const { energy, residual, maxDisplacement } = this.relaxation.getStats();
+        let totalDisplacement = 0;
+        let activePoints = 0;
+        newPoints.forEach((p, i) => {
+            const d = domainDistance(computation, points[i], p);
+            if (d > 0) {
+                activePoints++;
+                totalDisplacement += d;
+            }
+        });
+        this.stats = {
+            totalDisplacement,
+            maxDisplacement,
+            activePoints,
+            growingPoints: 0,
+            shrinkingPoints: 0,
+            energy,
+            residual
+        };
+        return newPoints;
+    }
+    
     /**
      * Adjust direction vector for periodic boundaries
      * @private
+     * @param {PeriodicDomain} domain - Box of the computation (default unit cube)
      */
-    adjustDirectionForPeriodic(dx, dy, dz) {
+    adjustDirectionForPeriodic(dx, dy, dz, domain = UNIT_DOMAIN) {
         // Apply minimum image convention
-        const adjusted = [dx, dy, dz];
-        
-        if (dx > 0.5) adjusted[0] -= 1.0;
-        else if (dx < -0.5) adjusted[0] += 1.0;
-        
-        if (dy > 0.5) adjusted[1] -= 1.0;
-        else if (dy < -0.5) adjusted[1] += 1.0;
-        
-        if (dz > 0.5) adjusted[2] -= 1.0;
-        else if (dz < -0.5) adjusted[2] += 1.0;
-        
-        return adjusted;
+        return domain.minimumImageVector([dx, dy, dz]);
     }
     
     /**
-     * Wrap coordinates to [0,1] for periodic boundaries
+     * Wrap coordinates into the box for periodic boundaries
+     * (clamped to the walls along non-periodic axes)
      * @private
+     * @param {PeriodicDomain} domain - Box of the computation (default unit cube)
      */
-    wrapCoordinates(x, y, z) {
-        const wrapped = [x, y, z];
-        
-        // Wrap each coordinate to [0,1]
-        for (let i = 0; i < 3; i++) {
-            wrapped[i] = wrapped[i] % 1;
-            if (wrapped[i] < 0) wrapped[i] += 1;
-        }
-        
-        return wrapped;
+    wrapCoordinates(x, y, z, domain = UNIT_DOMAIN) {
+        return domain.wrap([x, y, z]);
     }
     
     /**
@@ -303,6 +370,10 @@ export class GrowthSystem {
      */
     reset() {
         this.previousDeltas.clear();
+        this.random = new SeededRandom(this.config.seed).stream('growth');
+        if (this.relaxation) {
+            this.relaxation.reset();
+        }
         this.stats = {
             totalDisplacement: 0,
             maxDisplacement: 0,
@@ -317,5 +388,8 @@ export class GrowthSystem {
      */
     updateConfig(newConfig) {
         Object.assign(this.config, newConfig);
+        if (newConfig.seed !== undefined) {
+            this.random = new SeededRandom(this.config.seed).stream('growth');
+        }
     }
 } 
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Headless.js
+ *
+ * Node.js entry point for batch jobs and tests: loads the WASM triangulation from
+ * dist/ on disk and runs the pipeline of index.html without DOM, window or Three.js:
+ * - loadWasmModule(): the Geogram module, read from periodic_delaunay.js/.wasm
+ * - triangulate(): validated DelaunayComputation of a point set
+ * - grow(): growth (or CVT relaxation) steps with incremental recomputes, as in the
+ *   animation loop of index.html
+ * Runs are reproducible: pass the same seed (to generatePoints, triangulate and grow)
+ * to get the same points, jitter and growth.
+ * The analysis, import and export modules are re-exported, so a single import gives
+ * the whole pipeline:
+ *
+ *   import { loadWasmModule, triangulate, analyzeAcuteness } from 'fabric-of-space-x';
+ */
+
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DelaunayComputation, wasmModuleStatus } from './DelaunayComputation.js';
+import { analyzeAcuteness } from './GeometryAnalysis.js';
+import { GrowthSystem } from './GrowthSystem.js';
+import { randomSeed } from './SeededRandom.js';
+
+export { DelaunayComputation, VORONOI_VERTEX_MODES, WASM_BINDINGS, wasmModuleStatus } from './DelaunayComputation.js';
+export { PeriodicDomain } from './PeriodicDomain.js';
+export { analyzeAcuteness, cellMeasures, tetrahedronQuality } from './GeometryAnalysis.js';
+export { GrowthSystem, GROWTH_MODES } from './GrowthSystem.js';
+export { CVTRelaxation, CVT_METHODS } from './CVTRelaxation.js';
+export { topologyStatistics, eulerCheck } from './TopologyStatistics.js';
+export { parsePoints, detectFormat, computationFromImport, IMPORT_FORMATS } from './PointImporter.js';
+export { generatePoints, generatePoissonPoints, generateWellDistributedPoints } from './PointGeneration.js';
+export { exportCells, parseCellSelection, MESH_FORMATS } from './MeshExporter.js';
+export { exportVTU, exportPVD, VTKTimeSeries, VTU_KINDS } from './VTKExporter.js';
+export { SeededRandom, randomSeed, parseSeed, MAX_SEED } from './SeededRandom.js';
+
+// dist/ of this checkout
+export const DEFAULT_DIST_DIR = fileURLToPath(new URL('../../dist/', import.meta.url));
+
+/**
+ * Load the WASM triangulation module from disk
+ * @param {Object} options - Loading options
+ * @param {string} options.distDir - Directory of periodic_delaunay.js and
+ *        periodic_delaunay.wasm (default: dist/ of this checkout)
+ * @param {boolean} options.quiet - Silence the module's own stdout/stderr output and
+ *        the load message (stdout may carry the output of a command)
+ * @returns {Promise<Object>} The module, as window.PeriodicDelaunayModule() gives it in the browser
+ */
+export async function loadWasmModule(options = {}) {
+    const { distDir = DEFAULT_DIST_DIR, quiet = false } = options;
+    const gluePath = path.join(distDir, 'periodic_delaunay.js');
+    const wasmPath = path.join(distDir, 'periodic_delaunay.wasm');
+
+    let glue, wasmBinary;
+    try {
+        [glue, wasmBinary] = await Promise.all([readFile(gluePath, 'utf8'), readFile(wasmPath)]);
+    } catch (error) {
+        throw new Error(`Cannot load the WASM module from ${distDir} (build it with ./build.sh): ${error.message}`);
+    }
+
+    // The Emscripten glue is evaluated outside a CommonJS module scope: there Geogram
+    // mounts the host file system through NODEFS, which this build does not include
+    const factory = new Function('require', '__filename', '__dirname', `${glue}\nreturn PeriodicDelaunayModule;`)(
+        createRequire(gluePath), gluePath, distDir);
+
+    const silent = () => {};
+    const wasmModule = await factory({ wasmBinary, ...(quiet ? { print: silent, printErr: silent } : {}) });
+    if (!quiet) {
+        console.log(`WASM module loaded from ${wasmPath}`);
+    }
+    const { current, missing } = wasmModuleStatus(wasmModule);
+    if (!current) {
+        console.warn(`The WASM module in ${distDir} is stale (no ${missing.join(', ')}): rebuild it with ./build.sh`);
+    }
+    return wasmModule;
+}
+
+/**
+ * Triangulate a point set. Coincident points are jittered apart as in index.html;
+ * any other invalid input throws.
+ * @param {Object} wasmModule - Module from loadWasmModule()
+ * @param {Array|Float64Array} points - [[x, y, z], ...] or a flat array
+ * @param {Object} options - isPeriodic (boolean or per-axis [x, y, z], default true)
+ *        and any DelaunayComputation option (box, cell, clip, radii, weights,
+ *        voronoiVertexMode, seed: recorded and seeds the jitter)
+ * @returns {Promise<DelaunayComputation>} The computed tessellation
+ */
+export async function triangulate(wasmModule, points, options = {}) {
+    const { isPeriodic = true, ...computationOptions } = options;
+    const computation = new DelaunayComputation(points, isPeriodic, computationOptions);
+
+    const validation = computation.validate({ fix: 'jitter' });
+    if (!validation.ok) {
+        const errors = validation.issues.filter(issue => issue.severity === 'error');
+        throw new Error(`Invalid input points: ${errors.map(issue => issue.message).join('; ')}`);
+    }
+    if (validation.fixed.points.length > 0) {
+        console.warn(`Jittered ${validation.fixed.points.length} coincident points apart`);
+    }
+
+    await computation.compute(wasmModule);
+    if (computation.tetrahedra.length === 0) {
+        throw new Error('The triangulation produced no tetrahedra');
+    }
+    return computation;
+}
+
+/**
+ * Run growth steps: every step analyzes the acuteness (not needed by the CVT modes),
+ * moves the points with GrowthSystem.applyGrowth() and updates the triangulation
+ * incrementally
+ * @param {Object} wasmModule - Module from loadWasmModule()
+ * @param {Array|Float64Array} points - Initial points
+ * @param {Object} options - steps (default 100), growth (GrowthSystem config, or
+ *        growthSystem for an existing instance), seed (default: that of the growth
+ *        config or growthSystem, else a fresh one), analysis (analyzeAcuteness options),
+ *        onStep({step, points, computation, analysisResults, stats}) called after
+ *        every step, and the options of triangulate()
+ * @returns {Promise<{points: Array, computation: DelaunayComputation, analysisResults: Object|null,
+ *           growthSystem: GrowthSystem, steps: number, seed: number}>} Final state; steps is the
+ *           number of steps taken (growth stops early once no point moves)
+ */
+export async function grow(wasmModule, points, options = {}) {
+    const {
+        steps = 100,
+        growth = {},
+        seed = options.growthSystem ? options.growthSystem.config.seed : (growth.seed ?? randomSeed()),
+        growthSystem = new GrowthSystem({ ...growth, seed }),
+        analysis = {},
+        onStep = null,
+        ...triangulateOptions
+    } = options;
+
+    const computation = await triangulate(wasmModule, points, { ...triangulateOptions, seed });
+    const analyze = () => growthSystem.isRelaxation() ? null : analyzeAcuteness(computation, analysis);
+
+    let current = computation.pointsArray.map(p => [...p]);
+    let analysisResults = analyze();
+    let step = 0;
+    while (step < steps) {
+        const next = growthSystem.applyGrowth(current, computation, analysisResults);
+        if (next.every((p, i) => p[0] === current[i][0] && p[1] === current[i][1] && p[2] === current[i][2])) {
+            console.log(`Growth stopped after ${step} steps: no point moved`);
+            break;
+        }
+
+        await computation.updatePoints(wasmModule, null, next);
+        current = next;
+        analysisResults = analyze();
+        step++;
+        if (onStep) {
+            onStep({ step, points: current, computation, analysisResults, stats: growthSystem.getStats() });
+        }
+    }
+
+    return { points: current, computation, analysisResults, growthSystem, steps: step, seed };
+}
@@ -0,0 +1,414 @@
+/**
+ * MeshExporter.js
+ *
+ * Writes the Voronoi cells of a DelaunayComputation as meshes for Blender,
+ * slicers and other mesh tools: Wavefront OBJ, PLY (with the cell, the
+ * neighbouring cell and the acuteness scores of every face) and STL.
+ *
+ * Every cell is exported as its own closed polyhedron, built from
+ * getCellPolyhedron(). Periodic cells are either unwrapped around their generator
+ * (so they stick out of the box) or cut into the pieces that lie inside the box,
+ * which tile it exactly. Unbounded cells on the convex hull of a non-periodic
+ * diagram are skipped. The seed of the run (computation.seed) goes into the header.
+ */
+
+/**
+ * Supported mesh formats
+ */
+export const MESH_FORMATS = ['obj', 'ply', 'stl'];
+
+// Relative distance below which a vertex counts as lying on a clipping plane
+const PLANE_TOLERANCE = 1e-9;
+
+/**
+ * Shortest decimal form of a coordinate that keeps single precision
+ */
+function formatNumber(x) {
+    return String(Number(x.toPrecision(9)));
+}
+
+/**
+ * Cut a polyhedron with a plane and keep the part where value(x) <= 0.
+ * value is an affine function (the signed distance up to a factor) and normal its
+ * gradient. The cut is closed with a new face (neighbor -1) on the plane.
+ * Faces are vertex loops, counter-clockwise seen from outside.
+ * @returns {Object|null} The clipped polyhedron, or null if nothing is left
+ */
+function clipPolyhedron(polyhedron, value, normal, tolerance) {
+    const values = polyhedron.vertices.map(value);
+    if (values.every(v => v <= tolerance)) return polyhedron;
+    if (values.every(v => v >= -tolerance)) return null;
+
+    const vertices = [];
+    const kept = new Map();
+    const keep = index => {
+        if (!kept.has(index)) {
+            kept.set(index, vertices.length);
+            vertices.push(polyhedron.vertices[index]);
+        }
+        return kept.get(index);
+    };
+    // Points where edges cross the plane, shared by the two faces of the edge
+    const crossings = new Map();
+    const cross = (a, b) => {
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (!crossings.has(key)) {
+            const t = values[a] / (values[a] - values[b]);
+            const p = polyhedron.vertices[a];
+            const q = polyhedron.vertices[b];
+            crossings.set(key, vertices.length);
+            vertices.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1]), p[2] + t * (q[2] - p[2])]);
+        }
+        return crossings.get(key);
+    };
+
+    const faces = [];
+    const capVertices = new Set();
+    for (const face of polyhedron.faces) {
+        const loop = [];
+        const n = face.vertices.length;
+        for (let k = 0; k < n; k++) {
+            const a = face.vertices[k];
+            const b = face.vertices[(k + 1) % n];
+            const inside = values[a] <= tolerance;
+            if (inside) {
+                loop.push(keep(a));
+                if (values[a] >= -tolerance) capVertices.add(kept.get(a));
+            }
+            if ((values[a] < -tolerance && values[b] > tolerance) || (values[a] > tolerance && values[b] < -tolerance)) {
+                const c = cross(a, b);
+                loop.push(c);
+                capVertices.add(c);
+            }
+        }
+        if (loop.length >= 3) {
+            faces.push({ ...face, vertices: loop });
+        }
+    }
+
+    // Close the cut: the section of a convex polyhedron is a convex polygon,
+    // ordered counter-clockwise around the outward normal of the plane
+    const cap = Array.from(capVertices);
+    if (cap.length >= 3) {
+        const center = [0, 1, 2].map(axis => cap.reduce((sum, v) => sum + vertices[v][axis], 0) / cap.length);
+        const u = vertices[cap[0]].map((x, axis) => x - center[axis]);
+        const w = [
+            normal[1] * u[2] - normal[2] * u[1],
+            normal[2] * u[0] - normal[0] * u[2],
+            normal[0] * u[1] - normal[1] * u[0]
+        ];
+        const angle = v => {
+            const d = vertices[v].map((x, axis) => x - center[axis]);
+            return Math.atan2(d[0] * w[0] + d[1] * w[1] + d[2] * w[2], d[0] * u[0] + d[1] * u[1] + d[2] * u[2]);
+        };
+        cap.sort((a, b) => angle(a) - angle(b));
+        faces.push({ vertices: cap, neighbor: -1, image: [0, 0, 0], faceIndex: -1 });
+    }
+
+    return { vertices, faces };
+}
+
+/**
+ * Index of the getFaces() entry for each face of a cell polyhedron, found by the
+ * pair of generators; faces between the same pair (small periodic systems) are told
+ * apart by their centroids
+ */
+function matchFaces(computation, cell, faceLookup) {
+    const domain = computation.domain;
+    return cell.faces.map(face => {
+        if (face.neighbor < 0) return -1;
+        const key = Math.min(cell.index, face.neighbor) + '/' + Math.max(cell.index, face.neighbor);
+        const candidates = faceLookup.get(key);
+        if (!candidates) return -1;
+        if (candidates.length === 1) return candidates[0];
+
+        const centroid = polygonCenter(face.vertices.map(v => cell.vertices[v]));
+        let best = -1;
+        let bestDistance = Infinity;
+        for (const f of candidates) {
+            const distance = domain.distance(centroid, polygonCenter(computation.getFaces()[f].voronoiVertices));
+            if (distance < bestDistance) {
+                best = f;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    });
+}
+
+/**
+ * Average of some vertices
+ */
+function polygonCenter(vertices) {
+    return [0, 1, 2].map(axis => vertices.reduce((sum, v) => sum + v[axis], 0) / vertices.length);
+}
+
+/**
+ * The Voronoi cells to export, each as one or more closed polyhedra
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {Object} options - Export options
+ * @param {Array<number>|null} options.cells - Indices of the cells to export (default all)
+ * @param {string} options.periodic - How cells crossing the faces of a periodic box are
+ *        written: 'unwrapped' (whole, around their generator; default) or 'clipped' (cut
+ *        into the pieces inside the box)
+ * @param {number} options.shrink - Fraction by which every piece is shrunk towards its
+ *        center, to separate neighbouring cells (default 0)
+ * @param {Object} options.analysis - Result of analyzeAcuteness(); its faceScores and
+ *        cellScores are attached to the faces
+ * @returns {Array<Object>} Pieces {cell, vertices, faces: [{vertices, neighbor,
+ *          faceScore, cellScore}]}, faces counter-clockwise seen from outside
+ */
+export function collectCellMeshes(computation, options = {}) {
+    const { cells = null, periodic = 'unwrapped', shrink = 0, analysis = null } = options;
+    if (periodic !== 'unwrapped' && periodic !== 'clipped') {
+        throw new Error(`Unknown periodic mode '${periodic}' (expected 'unwrapped' or 'clipped')`);
+    }
+    if (!(shrink >= 0 && shrink < 1)) {
+        throw new Error(`Invalid shrink factor ${shrink}: expected a number in [0, 1)`);
+    }
+
+    const domain = computation.domain;
+    const faceScores = analysis && analysis.faceScores ? analysis.faceScores : null;
+    const cellScores = analysis && analysis.cellScores ? analysis.cellScores : null;
+
+    // Voronoi faces by generator pair, to look up face scores
+    const faceLookup = new Map();
+    if (faceScores) {
+        computation.getFaces().forEach((face, f) => {
+            const key = face.delaunayEdge.join('/');
+            if (!faceLookup.has(key)) faceLookup.set(key, []);
+            faceLookup.get(key).push(f);
+        });
+    }
+
+    // Clipping planes of the box faces, as affine functions of fractional coordinates
+    const scale = Math.cbrt(domain.getVolume());
+    const planes = [];
+    if (periodic === 'clipped') {
+        for (let axis = 0; axis < 3; axis++) {
+            const gradient = [0, 1, 2].map(row => domain.inverseCell[row][axis]);
+            const length = Math.hypot(...gradient);
+            const normal = gradient.map(x => x / length);
+            planes.push({ axis, value: p => -domain.toFractional(p)[axis] / length, normal: normal.map(x => -x) });
+            planes.push({ axis, value: p => (domain.toFractional(p)[axis] - 1) / length, normal });
+        }
+    }
+
+    const indices = cells || Array.from({ length: computation.numPoints }, (_, i) => i);
+    const pieces = [];
+    let skipped = 0;
+    for (const index of indices) {
+        const cell = computation.getCellPolyhedron(index);
+        if (!cell || !cell.closed) {
+            skipped++;
+            continue;
+        }
+
+        const matched = faceScores ? matchFaces(computation, cell, faceLookup) : cell.faces.map(() => -1);
+        let parts = [{
+            vertices: cell.vertices,
+            faces: cell.faces.map((face, f) => ({ vertices: face.vertices, neighbor: face.neighbor, image: face.image, faceIndex: matched[f] }))
+        }];
+
+        if (periodic === 'clipped') {
+            // Every periodic image of the cell that reaches into the box contributes a piece
+            const fractional = cell.vertices.map(v => domain.toFractional(v));
+            const ranges = [0, 1, 2].map(axis => {
+                if (!computation.periodicAxes[axis]) return [0];
+                const min = Math.min(...fractional.map(f => f[axis]));
+                const max = Math.max(...fractional.map(f => f[axis]));
+                const range = [];
+                for (let k = Math.ceil(min - 1); k <= Math.floor(max); k++) range.push(k);
+                return range;
+            });
+            parts = [];
+            for (const i of ranges[0]) {
+                for (const j of ranges[1]) {
+                    for (const k of ranges[2]) {
+                        let part = {
+                            vertices: cell.vertices.map(v => domain.translate(v, [-i, -j, -k])),
+                            faces: cell.faces.map((face, f) => ({ vertices: face.vertices, neighbor: face.neighbor, image: face.image, faceIndex: matched[f] }))
+                        };
+                        for (const plane of planes) {
+                            if (!part) break;
+                            part = clipPolyhedron(part, plane.value, plane.normal, PLANE_TOLERANCE * scale);
+                        }
+                        if (part && part.faces.length >= 4) parts.push(part);
+                    }
+                }
+            }
+        }
+
+        for (const part of parts) {
+            let vertices = part.vertices;
+            if (shrink > 0) {
+                const center = polygonCenter(vertices);
+                vertices = vertices.map(v => v.map((x, axis) => center[axis] + (1 - shrink) * (x - center[axis])));
+            }
+            pieces.push({
+                cell: index,
+                vertices,
+                faces: part.faces.map(face => ({
+                    vertices: face.vertices,
+                    neighbor: face.neighbor,
+                    faceScore: faceScores && face.faceIndex >= 0 ? faceScores[face.faceIndex] : null,
+                    cellScore: cellScores ? cellScores[index] : null
+                }))
+            });
+        }
+    }
+
+    console.log(`Collected ${pieces.length} mesh pieces from ${indices.length - skipped} cells` +
+        (skipped > 0 ? ` (${skipped} unbounded cells skipped)` : ''));
+    return pieces;
+}
+
+/**
+ * Header comment with the seed of the run, when the computation has one
+ */
+function seedComment(computation, prefix) {
+    return computation.seed === null || computation.seed === undefined ? [] : [`${prefix}seed ${computation.seed}`];
+}
+
+/**
+ * Voronoi cells as a Wavefront OBJ file: one object per cell piece, polygon faces
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {Object} options - See collectCellMeshes()
+ * @returns {string} OBJ text
+ */
+export function exportOBJ(computation, options = {}) {
+    const pieces = collectCellMeshes(computation, options);
+    const lines = [`# Voronoi cells: ${pieces.length} pieces`, ...seedComment(computation, '# ')];
+    const seen = new Map();
+    let offset = 1;
+    for (const piece of pieces) {
+        const count = seen.get(piece.cell) || 0;
+        seen.set(piece.cell, count + 1);
+        lines.push(`o cell_${piece.cell}${count > 0 ? `_${count}` : ''}`);
+        for (const v of piece.vertices) {
+            lines.push(`v ${formatNumber(v[0])} ${formatNumber(v[1])} ${formatNumber(v[2])}`);
+        }
+        for (const face of piece.faces) {
+            lines.push('f ' + face.vertices.map(v => v + offset).join(' '));
+        }
+        offset += piece.vertices.length;
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Voronoi cells as an ASCII PLY file. Every face carries the cell it belongs to,
+ * the neighbouring cell (-1 on walls and box cuts) and, with options.analysis, the
+ * face and cell acuteness scores (-1 where a face has no score).
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {Object} options - See collectCellMeshes()
+ * @returns {string} PLY text
+ */
+export function exportPLY(computation, options = {}) {
+    const pieces = collectCellMeshes(computation, options);
+    const scored = Boolean(options.analysis);
+    const numVertices = pieces.reduce((sum, piece) => sum + piece.vertices.length, 0);
+    const numFaces = pieces.reduce((sum, piece) => sum + piece.faces.length, 0);
+
+    const lines = [
+        'ply',
+        'format ascii 1.0',
+        'comment Voronoi cells',
+        ...seedComment(computation, 'comment '),
+        `element vertex ${numVertices}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        `element face ${numFaces}`,
+        'property list uchar int vertex_indices',
+        'property int cell',
+        'property int neighbor',
+        ...(scored ? ['property float face_score', 'property float cell_score'] : []),
+        'end_header'
+    ];
+    for (const piece of pieces) {
+        for (const v of piece.vertices) {
+            lines.push(`${formatNumber(v[0])} ${formatNumber(v[1])} ${formatNumber(v[2])}`);
+        }
+    }
+    let offset = 0;
+    for (const piece of pieces) {
+        for (const face of piece.faces) {
+            const fields = [face.vertices.length, ...face.vertices.map(v => v + offset), piece.cell, face.neighbor];
+            if (scored) {
+                fields.push(face.faceScore ?? -1, face.cellScore ?? -1);
+            }
+            lines.push(fields.join(' '));
+        }
+        offset += piece.vertices.length;
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Voronoi cells as an ASCII STL file (faces split into triangle fans)
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {Object} options - See collectCellMeshes()
+ * @returns {string} STL text
+ */
+export function exportSTL(computation, options = {}) {
+    const pieces = collectCellMeshes(computation, options);
+    // STL has no comments: the seed goes into the solid's name
+    const name = computation.seed !== null && computation.seed !== undefined ? `voronoi_seed_${computation.seed}` : 'voronoi';
+    const lines = [`solid ${name}`];
+    const vertexLine = v => `      vertex ${formatNumber(v[0])} ${formatNumber(v[1])} ${formatNumber(v[2])}`;
+    for (const piece of pieces) {
+        for (const face of piece.faces) {
+            const loop = face.vertices.map(v => piece.vertices[v]);
+            for (let k = 1; k + 1 < loop.length; k++) {
+                const [a, b, c] = [loop[0], loop[k], loop[k + 1]];
+                const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+                const w = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+                const n = [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+                const length = Math.hypot(...n) || 1;
+                lines.push(`  facet normal ${n.map(x => formatNumber(x / length)).join(' ')}`);
+                lines.push('    outer loop', vertexLine(a), vertexLine(b), vertexLine(c), '    endloop', '  endfacet');
+            }
+        }
+    }
+    lines.push(`endsolid ${name}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Voronoi cells in one of MESH_FORMATS
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {string} format - 'obj', 'ply' or 'stl'
+ * @param {Object} options - See collectCellMeshes()
+ * @returns {string} File contents
+ */
+export function exportCells(computation, format, options = {}) {
+    switch (format) {
+        case 'obj': return exportOBJ(computation, options);
+        case 'ply': return exportPLY(computation, options);
+        case 'stl': return exportSTL(computation, options);
+        default:
+            throw new Error(`Unknown mesh format '${format}' (expected one of: ${MESH_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Cell indices from a selection such as "0-9, 42" (the cells option of the exporters)
+ * @param {string} text - Comma-separated indices and ranges
+ * @param {number} numCells - Number of cells; ranges are cut off at the last cell
+ * @returns {Array<number>|null} Sorted indices, null (all cells) when empty
+ */
+export function parseCellSelection(text, numCells) {
+    if (!text.trim()) return null;
+    const cells = new Set();
+    for (const part of text.split(',')) {
+        const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cell selection '${part.trim()}'`);
+        }
+        const first = parseInt(match[1], 10);
+        const last = Math.min(match[2] !== undefined ? parseInt(match[2], 10) : first, numCells - 1);
+        for (let i = first; i <= last; i++) cells.add(i);
+    }
+    return Array.from(cells).sort((a, b) => a - b);
+}
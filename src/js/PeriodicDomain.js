@@ -0,0 +1,411 @@
+/**
+ * PeriodicDomain.js
+ *
+ * Geometry of the periodic simulation box. Every minimum-image, wrapping and
+ * ghost-image routine goes through this class so that the box dimensions are
+ * defined in exactly one place.
+ *
+ * The domain is either an orthorhombic box [Lx, Ly, Lz] or a triclinic cell
+ * spanned by three lattice vectors. Cell matrices store the lattice vectors as
+ * rows, so a point with fractional coordinates f sits at f[0]*a + f[1]*b + f[2]*c.
+ *
+ * Each lattice axis is either periodic or bounded by a pair of walls (the cell
+ * faces at fractional coordinate 0 and 1). Minimum images, wrapping and ghost
+ * images only act along the periodic axes. Voronoi cells are clipped at the
+ * walls when some axes are periodic; a domain without any periodic axis only
+ * clips them on request, otherwise the cells on the convex hull are unbounded.
+ */
+
+const UNIT_BOX = [1, 1, 1];
+const ALL_PERIODIC = [true, true, true];
+
+/**
+ * Inverse of a 3x3 matrix, or null if it is singular
+ */
+function invert3x3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h;
+    const B = f * g - d * i;
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (!Number.isFinite(det) || det === 0) return null;
+
+    return [
+        [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+export class PeriodicDomain {
+    /**
+     * @param {Object} options - Domain options
+     * @param {Array<number>} options.box - Box edge lengths [Lx, Ly, Lz] (default unit cube)
+     * @param {Array<Array<number>>} options.cell - Lattice vectors [a, b, c] as rows of a
+     *        3x3 matrix; takes precedence over box
+     * @param {boolean|Array<boolean>} options.periodic - Periodicity of each lattice axis
+     *        [px, py, pz], or one flag for all three (default fully periodic)
+     * @param {boolean} options.clip - Without any periodic axis, clip the Voronoi cells
+     *        at the walls (default false: cells on the convex hull are unbounded)
+     */
+    constructor(options = {}) {
+        const { box = UNIT_BOX, cell = null, periodic = ALL_PERIODIC, clip = false } = options;
+
+        if (cell) {
+            if (!Array.isArray(cell) || cell.length !== 3 ||
+                !cell.every(row => Array.isArray(row) && row.length === 3 && row.every(Number.isFinite))) {
+                throw new Error(`Invalid cell ${JSON.stringify(cell)}: expected three lattice vectors [[ax, ay, az], [bx, by, bz], [cx, cy, cz]]`);
+            }
+            this.cell = cell.map(row => row.map(Number));
+        } else {
+            if (!Array.isArray(box) || box.length !== 3 ||
+                !box.every(length => Number.isFinite(length) && length > 0)) {
+                throw new Error(`Invalid box ${JSON.stringify(box)}: expected three positive lengths [Lx, Ly, Lz]`);
+            }
+            this.cell = [[box[0], 0, 0], [0, box[1], 0], [0, 0, box[2]]].map(row => row.map(Number));
+        }
+
+        this.inverseCell = invert3x3(this.cell);
+        if (!this.inverseCell) {
+            throw new Error(`Invalid cell ${JSON.stringify(this.cell)}: lattice vectors are linearly dependent`);
+        }
+
+        this.isOrthorhombic = this.cell.every((row, i) => row.every((value, j) => i === j || value === 0));
+        if (this.isOrthorhombic && !this.cell.every((row, i) => row[i] > 0)) {
+            throw new Error(`Invalid cell ${JSON.stringify(this.cell)}: box lengths must be positive`);
+        }
+
+        // Diagonal of the cell: the box lengths, or Lx, Ly, Lz of a LAMMPS-style triclinic cell
+        this.box = [this.cell[0][0], this.cell[1][1], this.cell[2][2]];
+        this.halfBox = this.box.map(length => length / 2);
+
+        if (Array.isArray(periodic)) {
+            if (periodic.length !== 3) {
+                throw new Error(`Invalid periodic flags ${JSON.stringify(periodic)}: expected one flag per axis [px, py, pz]`);
+            }
+            this.periodic = periodic.map(Boolean);
+        } else {
+            this.periodic = [0, 1, 2].map(() => Boolean(periodic));
+        }
+        this.isFullyPeriodic = this.periodic.every(Boolean);
+        this.isMixed = !this.isFullyPeriodic && this.periodic.some(Boolean);
+        this.clip = !this.isFullyPeriodic && !this.isMixed && Boolean(clip);
+        // Whether the cells are clipped at the walls of the non-periodic axes
+        this.hasWalls = this.isMixed || this.clip;
+
+        // Walls are mirror planes for clipping the cells; that needs the walled lattice
+        // vector to be perpendicular to the two vectors spanning its walls
+        if (this.hasWalls) {
+            for (let axis = 0; axis < 3; axis++) {
+                if (this.periodic[axis]) continue;
+                const v = this.cell[axis];
+                for (let other = 0; other < 3; other++) {
+                    if (other === axis) continue;
+                    const w = this.cell[other];
+                    const cosine = (v[0] * w[0] + v[1] * w[1] + v[2] * w[2]) / (Math.hypot(...v) * Math.hypot(...w));
+                    if (Math.abs(cosine) > 1e-12) {
+                        throw new Error(`Invalid cell ${JSON.stringify(this.cell)}: non-periodic axis ${'xyz'[axis]} must be perpendicular to the other lattice vectors`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Domain from the serialized form produced by toJSON()
+     * (used to hand the domain to Web Workers)
+     */
+    static fromJSON(json) {
+        return new PeriodicDomain(json || {});
+    }
+
+    /**
+     * Plain-object form that survives structured cloning
+     */
+    toJSON() {
+        const json = this.isOrthorhombic ? { box: [...this.box] } : { cell: this.cell.map(row => [...row]) };
+        if (!this.isFullyPeriodic) {
+            json.periodic = [...this.periodic];
+        }
+        if (this.clip) {
+            json.clip = true;
+        }
+        return json;
+    }
+
+    /**
+     * Whether this is the historical [0,1)^3 domain
+     */
+    isUnitCube() {
+        return this.isOrthorhombic && this.box.every(length => length === 1);
+    }
+
+    /**
+     * Whether the domain is an orthorhombic box with three equal edges
+     */
+    isCubic() {
+        return this.isOrthorhombic && this.box[0] === this.box[1] && this.box[1] === this.box[2];
+    }
+
+    /**
+     * Cell volume
+     */
+    getVolume() {
+        const [a, b, c] = this.cell;
+        return Math.abs(
+            a[0] * (b[1] * c[2] - b[2] * c[1]) -
+            a[1] * (b[0] * c[2] - b[2] * c[0]) +
+            a[2] * (b[0] * c[1] - b[1] * c[0])
+        );
+    }
+
+    /**
+     * Fractional (lattice) coordinates of a Cartesian point or vector
+     */
+    toFractional(point) {
+        const m = this.inverseCell;
+        return [
+            point[0] * m[0][0] + point[1] * m[1][0] + point[2] * m[2][0],
+            point[0] * m[0][1] + point[1] * m[1][1] + point[2] * m[2][1],
+            point[0] * m[0][2] + point[1] * m[1][2] + point[2] * m[2][2]
+        ];
+    }
+
+    /**
+     * Cartesian position of fractional coordinates
+     */
+    toCartesian(fractional) {
+        const m = this.cell;
+        return [
+            fractional[0] * m[0][0] + fractional[1] * m[1][0] + fractional[2] * m[2][0],
+            fractional[0] * m[0][1] + fractional[1] * m[1][1] + fractional[2] * m[2][1],
+            fractional[0] * m[0][2] + fractional[1] * m[1][2] + fractional[2] * m[2][2]
+        ];
+    }
+
+    /**
+     * Offsets -1..1 along the periodic axes and 0 along the walled ones
+     * @private
+     */
+    _axisOffsets(axis) {
+        return this.periodic[axis] ? [-1, 0, 1] : [0];
+    }
+
+    /**
+     * Shortest periodic image of a displacement vector
+     * @param {Array<number>} delta - Displacement [dx, dy, dz]
+     * @returns {Array<number>} The lattice translate of delta with the smallest length
+     *          (translated along periodic axes only)
+     */
+    minimumImageVector(delta) {
+        const result = [delta[0], delta[1], delta[2]];
+
+        if (this.isOrthorhombic) {
+            for (let i = 0; i < 3; i++) {
+                if (this.periodic[i] && Math.abs(result[i]) > this.halfBox[i]) {
+                    result[i] -= this.box[i] * Math.round(result[i] / this.box[i]);
+                }
+            }
+            return result;
+        }
+
+        // Round in fractional space, then check the neighbouring translates:
+        // for sheared cells the rounded image is not always the shortest one
+        const f = this.toFractional(delta);
+        const rounded = f.map((x, axis) => this.periodic[axis] ? Math.round(x) : 0);
+        let best = null;
+        let bestLengthSq = Infinity;
+        for (const i of this._axisOffsets(0)) {
+            for (const j of this._axisOffsets(1)) {
+                for (const k of this._axisOffsets(2)) {
+                    const t = this.imageTranslation([rounded[0] + i, rounded[1] + j, rounded[2] + k]);
+                    const candidate = [result[0] - t[0], result[1] - t[1], result[2] - t[2]];
+                    const lengthSq = candidate[0] * candidate[0] + candidate[1] * candidate[1] + candidate[2] * candidate[2];
+                    if (lengthSq < bestLengthSq) {
+                        bestLengthSq = lengthSq;
+                        best = candidate;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Periodic image of p2 that is closest to p1
+     * @param {Array<number>} p1 - Reference point [x, y, z]
+     * @param {Array<number>} p2 - Point to move [x, y, z]
+     * @returns {Array<number>} Corrected p2 position
+     */
+    minimumImage(p1, p2) {
+        const delta = this.minimumImageVector([p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]]);
+        return [p1[0] + delta[0], p1[1] + delta[1], p1[2] + delta[2]];
+    }
+
+    /**
+     * Minimum image distance between two points
+     */
+    distance(p1, p2) {
+        const delta = this.minimumImageVector([p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]]);
+        return Math.sqrt(delta[0] * delta[0] + delta[1] * delta[1] + delta[2] * delta[2]);
+    }
+
+    /**
+     * Whether the straight segment p1-p2 is not the minimum image of the pair,
+     * i.e. the minimum image crosses a periodic boundary
+     */
+    crossesBoundary(p1, p2) {
+        if (this.isOrthorhombic) {
+            for (let i = 0; i < 3; i++) {
+                if (this.periodic[i] && Math.abs(p2[i] - p1[i]) > this.halfBox[i]) return true;
+            }
+            return false;
+        }
+
+        const delta = [p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]];
+        const shortest = this.minimumImageVector(delta);
+        const lengthSq = v => v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+        return lengthSq(shortest) < lengthSq(delta) * (1 - 1e-12);
+    }
+
+    /**
+     * Wrap a point into the primary cell: periodic axes wrap around,
+     * walled axes are clamped between the walls
+     * @param {Array<number>} point - Point [x, y, z]
+     * @returns {Array<number>} Wrapped copy of the point
+     */
+    wrap(point) {
+        if (this.isOrthorhombic) {
+            const wrapped = [point[0], point[1], point[2]];
+            for (let i = 0; i < 3; i++) {
+                if (!this.periodic[i]) {
+                    wrapped[i] = Math.min(Math.max(wrapped[i], 0), this.box[i]);
+                    continue;
+                }
+                wrapped[i] -= this.box[i] * Math.floor(wrapped[i] / this.box[i]);
+                // Guard against rounding up to exactly L
+                if (wrapped[i] >= this.box[i]) wrapped[i] = 0;
+            }
+            return wrapped;
+        }
+
+        const f = this.toFractional(point);
+        for (let i = 0; i < 3; i++) {
+            if (!this.periodic[i]) {
+                f[i] = Math.min(Math.max(f[i], 0), 1);
+                continue;
+            }
+            f[i] -= Math.floor(f[i]);
+            if (f[i] >= 1) f[i] = 0;
+        }
+        return this.toCartesian(f);
+    }
+
+    /**
+     * Whether a point lies inside the primary cell (boundary included)
+     */
+    contains(point) {
+        if (this.isOrthorhombic) {
+            for (let i = 0; i < 3; i++) {
+                if (!(point[i] >= 0 && point[i] <= this.box[i])) return false;
+            }
+            return true;
+        }
+
+        // Fractional coordinates carry rounding error from the matrix product
+        const f = this.toFractional(point);
+        return f.every(x => x >= -1e-12 && x <= 1 + 1e-12);
+    }
+
+    /**
+     * Cartesian translation of an integer image offset
+     * @param {Array<number>} image - Image offset [i, j, k] in lattice vectors
+     * @returns {Array<number>} Translation vector
+     */
+    imageTranslation(image) {
+        return this.toCartesian(image);
+    }
+
+    /**
+     * Translate a point by an integer image offset
+     */
+    translate(point, image) {
+        const t = this.imageTranslation(image);
+        return [point[0] + t[0], point[1] + t[1], point[2] + t[2]];
+    }
+
+    /**
+     * Image of a point under an offset that translates along periodic axes and
+     * mirrors across the walls of walled axes: along a walled axis, -1 is the
+     * reflection across the lower wall and +1 the reflection across the upper one.
+     * For fully periodic domains this is the same as translate().
+     * @param {Array<number>} point - Point [x, y, z] inside the walls
+     * @param {Array<number>} image - Offset [i, j, k]
+     * @returns {Array<number>} Image of the point
+     */
+    applyImage(point, image) {
+        if (this.isFullyPeriodic) return this.translate(point, image);
+
+        // Walled lattice vectors are perpendicular to their walls, so mirroring is
+        // a reflection of the fractional coordinate
+        const f = this.toFractional(point);
+        for (let i = 0; i < 3; i++) {
+            if (this.periodic[i]) {
+                f[i] += image[i];
+            } else if (image[i] === -1) {
+                f[i] = -f[i];
+            } else if (image[i] === 1) {
+                f[i] = 2 - f[i];
+            }
+        }
+        return this.toCartesian(f);
+    }
+
+    /**
+     * Whether an image offset (see applyImage) mirrors the point across a wall
+     */
+    isMirrorImage(image) {
+        for (let i = 0; i < 3; i++) {
+            if (!this.periodic[i] && image[i] !== 0) return true;
+        }
+        return false;
+    }
+
+    /**
+     * The eight corners of the primary cell, indexed by the bits (i, j, k)
+     * of their fractional coordinates: corner[i + 2j + 4k]
+     */
+    corners() {
+        const corners = [];
+        for (let k = 0; k <= 1; k++) {
+            for (let j = 0; j <= 1; j++) {
+                for (let i = 0; i <= 1; i++) {
+                    corners.push(this.toCartesian([i, j, k]));
+                }
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Integer offsets of the periodic images surrounding the primary box
+     * (26 when fully periodic; only periodic axes are tiled)
+     * @param {boolean} includeWalls - Also return offsets along walled axes,
+     *        which applyImage() treats as mirror images
+     * @returns {Array<Array<number>>} [[i, j, k], ...] excluding [0, 0, 0]
+     */
+    neighborImages(includeWalls = false) {
+        const offsets = axis => includeWalls ? [-1, 0, 1] : this._axisOffsets(axis);
+        const images = [];
+        for (const x of offsets(0)) {
+            for (const y of offsets(1)) {
+                for (const z of offsets(2)) {
+                    if (x !== 0 || y !== 0 || z !== 0) {
+                        images.push([x, y, z]);
+                    }
+                }
+            }
+        }
+        return images;
+    }
+}
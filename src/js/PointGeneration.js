@@ -0,0 +1,108 @@
+/**
+ * PointGeneration.js
+ *
+ * Random generator points for a periodic domain, shared by index.html and the
+ * headless tools. Points are sampled in fractional coordinates so that sheared
+ * (triclinic) cells are filled uniformly, and rejected when closer than a minimum
+ * distance to an accepted point. The same seed gives the same points.
+ */
+
+import { PeriodicDomain } from './PeriodicDomain.js';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * Whether a point is closer than minDistance to any of the points
+ */
+function isTooClose(newPoint, points, minDistance) {
+    for (const point of points) {
+        const dx = newPoint[0] - point[0];
+        const dy = newPoint[1] - point[1];
+        const dz = newPoint[2] - point[2];
+        const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
+        if (dist < minDistance) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Generate well-distributed points using Poisson disk sampling (dart throwing)
+ * @param {PeriodicDomain} domain - Box or cell to fill
+ * @param {number} targetCount - Number of points wanted
+ * @param {number} minDistance - Minimum distance between points
+ * @param {SeededRandom} random - Random numbers (default: freshly seeded)
+ * @returns {Array} [[x, y, z], ...], fewer than targetCount when the box is full
+ */
+export function generatePoissonPoints(domain, targetCount, minDistance, random = new SeededRandom()) {
+    console.log(`Generating ~${targetCount} points with min distance ${minDistance}...`);
+
+    // For now, use a simpler approach that works better
+    const points = [];
+    const maxAttempts = targetCount * 100;
+    let attempts = 0;
+
+    // Add small margin to keep points away from boundaries
+    const margin = 0.01;
+    const box = domain.box;
+
+    while (points.length < targetCount && attempts < maxAttempts) {
+        attempts++;
+        const newPoint = domain.toCartesian([
+            (margin + random.next() * (box[0] - 2 * margin)) / box[0],
+            (margin + random.next() * (box[1] - 2 * margin)) / box[1],
+            (margin + random.next() * (box[2] - 2 * margin)) / box[2]
+        ]);
+
+        if (!isTooClose(newPoint, points, minDistance)) {
+            points.push(newPoint);
+        }
+    }
+
+    console.log(`Generated ${points.length} points with minimum distance checking`);
+    return points;
+}
+
+/**
+ * Legacy generator (uniform in the whole cell, no margin), kept for comparison
+ * @param {PeriodicDomain} domain - Box or cell to fill
+ * @param {number} count - Number of points wanted
+ * @param {number} minDist - Minimum distance between points
+ * @param {SeededRandom} random - Random numbers (default: freshly seeded)
+ * @returns {Array} [[x, y, z], ...]
+ */
+export function generateWellDistributedPoints(domain, count, minDist, random = new SeededRandom()) {
+    const points = [];
+    let attempts = 0;
+    const maxAttempts = count * 1000;
+
+    while (points.length < count && attempts < maxAttempts) {
+        attempts++;
+        const newPoint = domain.toCartesian([random.next(), random.next(), random.next()]);
+
+        if (!isTooClose(newPoint, points, minDist)) {
+            points.push(newPoint);
+        }
+    }
+
+    return points;
+}
+
+/**
+ * Points as index.html generates them from its Points controls
+ * @param {PeriodicDomain|Object} domain - Domain, or PeriodicDomain options ({box} or {cell})
+ * @param {Object} options - numPoints (default 250), minDistance (default 0.05),
+ *        poissonSampling (default true) and seed (default: a fresh one, logged); the
+ *        points come from the seed's 'points' stream
+ * @returns {Array} [[x, y, z], ...]
+ */
+export function generatePoints(domain, options = {}) {
+    const { numPoints = 250, minDistance = 0.05, poissonSampling = true } = options;
+    const periodicDomain = domain instanceof PeriodicDomain ? domain : new PeriodicDomain(domain);
+    const seeded = new SeededRandom(options.seed ?? undefined);
+    console.log(`Generating points with seed ${seeded.seed}`);
+    const random = seeded.stream('points');
+    return poissonSampling
+        ? generatePoissonPoints(periodicDomain, numPoints, minDistance, random)
+        : generateWellDistributedPoints(periodicDomain, numPoints, minDistance, random);
+}
@@ -0,0 +1,444 @@
+/**
+ * PointImporter.js
+ *
+ * Reads point sets from files so they can be triangulated instead of generated:
+ * - CSV (or other delimited text): columns named x, y, z (and optionally radius),
+ *   or the first three columns when there is no header
+ * - XYZ and extended XYZ: with a Lattice="..." (and pbc="...") comment line the
+ *   lattice becomes the periodic domain
+ * - LAMMPS dump files (ITEM: ATOMS with x y z, xu yu zu or scaled xs ys zs):
+ *   the box bounds (orthogonal or triclinic, with their pp/ff/ss flags) become the
+ *   periodic domain
+ *
+ * Boxes are moved to the origin and brought into the LAMMPS convention used by
+ * PeriodicDomain (a along x, b in the xy plane). Points outside the box are
+ * wrapped back along periodic axes; rows that cannot be used are reported, with
+ * their line number and the reason, rather than silently dropped. Files written by
+ * the fabric tool also carry the seed of their run (seed= in extended XYZ, a
+ * '# seed' comment in CSV).
+ */
+
+import { PeriodicDomain } from './PeriodicDomain.js';
+import { DelaunayComputation } from './DelaunayComputation.js';
+import { parseSeed } from './SeededRandom.js';
+
+/**
+ * Supported input formats
+ */
+export const IMPORT_FORMATS = ['csv', 'xyz', 'lammps'];
+
+/**
+ * Guess the format from the file name, then from the contents
+ * @param {string} text - File contents
+ * @param {string} filename - File name (optional)
+ * @returns {string} One of IMPORT_FORMATS
+ */
+export function detectFormat(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (['csv', 'tsv'].includes(extension)) return 'csv';
+    if (['xyz', 'extxyz'].includes(extension)) return 'xyz';
+    if (['dump', 'lammpstrj'].includes(extension)) return 'lammps';
+
+    if (/^\s*ITEM:\s*TIMESTEP/m.test(text)) return 'lammps';
+    const firstLine = text.split('\n').find(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    return firstLine && /^\s*\d+\s*$/.test(firstLine) ? 'xyz' : 'csv';
+}
+
+/**
+ * Seed recorded in a file, or null when there is none (or it is not a valid seed)
+ */
+function recordedSeed(value) {
+    if (value === undefined || value === null) return null;
+    try {
+        return parseSeed(value);
+    } catch (error) {
+        console.warn(`Ignoring recorded seed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Fields of a line, split at the delimiter (commas, semicolons, tabs or spaces)
+ */
+function splitFields(line, delimiter) {
+    return (delimiter ? line.split(delimiter) : line.trim().split(/\s+/)).map(field => field.trim());
+}
+
+/**
+ * Rows of a delimited text file
+ */
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/);
+    const rows = [];
+    const rejected = [];
+    let columns = null;
+    let delimiter = undefined;
+    let seed = null;
+
+    lines.forEach((line, k) => {
+        const trimmed = line.trim();
+        const seedComment = /^#\s*seed\s+(\S+)$/i.exec(trimmed);
+        if (seedComment) {
+            seed = recordedSeed(seedComment[1]);
+        }
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+        if (delimiter === undefined) {
+            delimiter = [',', ';', '\t'].find(d => trimmed.includes(d)) || null;
+        }
+        const fields = splitFields(trimmed, delimiter);
+
+        // The first line names the columns unless it is all numbers
+        if (!columns) {
+            if (fields.every(field => field !== '' && Number.isFinite(Number(field)))) {
+                columns = { x: 0, y: 1, z: 2, radius: -1 };
+            } else {
+                const names = fields.map(field => field.toLowerCase().replace(/^"|"$/g, ''));
+                const find = (...candidates) => names.findIndex(name => candidates.includes(name));
+                columns = { x: find('x'), y: find('y'), z: find('z'), radius: find('radius', 'r') };
+                if (columns.x < 0 || columns.y < 0 || columns.z < 0) {
+                    throw new Error(`CSV header '${trimmed}' has no x, y and z columns`);
+                }
+                return;
+            }
+        }
+
+        const position = [columns.x, columns.y, columns.z].map(c => Number(fields[c]));
+        if (fields.length <= Math.max(columns.x, columns.y, columns.z)) {
+            rejected.push({ line: k + 1, text: trimmed, reason: 'too few columns' });
+        } else if (!position.every(Number.isFinite)) {
+            rejected.push({ line: k + 1, text: trimmed, reason: 'coordinates are not numbers' });
+        } else {
+            rows.push({ line: k + 1, text: trimmed, position, radius: columns.radius >= 0 ? Number(fields[columns.radius]) : null });
+        }
+    });
+
+    return { rows, rejected, cell: null, origin: [0, 0, 0], periodic: null, fractional: false, seed };
+}
+
+/**
+ * Key="value" pairs of an extended XYZ comment line
+ */
+function parseExtendedComment(line) {
+    const pairs = {};
+    const pattern = /(\w+)\s*=\s*(?:"([^"]*)"|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        pairs[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return pairs;
+}
+
+/**
+ * One frame of an (extended) XYZ file
+ */
+function parseXYZ(text, frame) {
+    const lines = text.split(/\r?\n/);
+    const frames = [];
+    for (let k = 0; k < lines.length;) {
+        if (lines[k].trim() === '') {
+            k++;
+            continue;
+        }
+        const count = parseInt(lines[k], 10);
+        if (!(count >= 0)) {
+            throw new Error(`XYZ line ${k + 1}: expected the number of atoms, got '${lines[k].trim()}'`);
+        }
+        frames.push(k);
+        k += count + 2;
+    }
+    const start = selectFrame(frames, frame);
+    const count = parseInt(lines[start], 10);
+    const comment = lines[start + 1] || '';
+    const properties = parseExtendedComment(comment);
+
+    // Columns of the positions (and radii) from Properties=name:type:count:...
+    let positionColumn = 1;
+    let radiusColumn = -1;
+    if (properties.properties) {
+        const parts = properties.properties.split(':');
+        let column = 0;
+        for (let p = 0; p + 2 < parts.length; p += 3) {
+            const name = parts[p].toLowerCase();
+            if (name === 'pos') positionColumn = column;
+            if (name === 'radius') radiusColumn = column;
+            column += parseInt(parts[p + 2], 10);
+        }
+    }
+
+    let cell = null;
+    let periodic = null;
+    if (properties.lattice) {
+        const values = properties.lattice.trim().split(/\s+/).map(Number);
+        if (values.length !== 9 || !values.every(Number.isFinite)) {
+            throw new Error(`XYZ line ${start + 2}: invalid Lattice "${properties.lattice}"`);
+        }
+        cell = [values.slice(0, 3), values.slice(3, 6), values.slice(6, 9)];
+        // The extended XYZ default is periodic along every lattice vector
+        periodic = properties.pbc
+            ? properties.pbc.trim().split(/\s+/).map(flag => /^(t|true|1)$/i.test(flag))
+            : [true, true, true];
+    }
+    const origin = properties.origin ? properties.origin.trim().split(/\s+/).map(Number) : [0, 0, 0];
+
+    const rows = [];
+    const rejected = [];
+    for (let k = start + 2; k < start + 2 + count && k < lines.length; k++) {
+        const trimmed = lines[k].trim();
+        const fields = trimmed.split(/\s+/);
+        // Plain XYZ rows may lack the element column
+        const offset = !properties.properties && fields.length === 3 ? 0 : positionColumn;
+        const position = fields.slice(offset, offset + 3).map(Number);
+        if (position.length < 3 || !position.every(Number.isFinite)) {
+            rejected.push({ line: k + 1, text: trimmed, reason: 'coordinates are not numbers' });
+        } else {
+            rows.push({ line: k + 1, text: trimmed, position, radius: radiusColumn >= 0 ? Number(fields[radiusColumn]) : null });
+        }
+    }
+    if (start + 2 + count > lines.length) {
+        rejected.push({ line: lines.length, text: '', reason: `file ends before the ${count} atoms of the frame` });
+    }
+
+    return { rows, rejected, cell, origin, periodic, fractional: false, seed: recordedSeed(properties.seed) };
+}
+
+/**
+ * One frame of a LAMMPS dump file
+ */
+function parseLammpsDump(text, frame) {
+    const lines = text.split(/\r?\n/);
+    const frames = [];
+    lines.forEach((line, k) => {
+        if (/^ITEM:\s*TIMESTEP/.test(line.trim())) frames.push(k);
+    });
+    if (frames.length === 0) {
+        throw new Error('LAMMPS dump without ITEM: TIMESTEP');
+    }
+    const start = selectFrame(frames, frame);
+    const end = frames[frames.indexOf(start) + 1] ?? lines.length;
+
+    let count = 0;
+    let cell = null;
+    let origin = [0, 0, 0];
+    let periodic = null;
+    let columns = null;
+    let atomsLine = -1;
+    for (let k = start; k < end; k++) {
+        const line = lines[k].trim();
+        if (/^ITEM:\s*NUMBER OF ATOMS/.test(line)) {
+            count = parseInt(lines[k + 1], 10);
+        } else if (/^ITEM:\s*BOX BOUNDS/.test(line)) {
+            const flags = line.replace(/^ITEM:\s*BOX BOUNDS\s*/, '').split(/\s+/).filter(Boolean);
+            const triclinic = flags[0] === 'xy';
+            const boundaryFlags = triclinic ? flags.slice(3) : flags;
+            periodic = [0, 1, 2].map(axis => (boundaryFlags[axis] || 'pp') === 'pp');
+            const bounds = [1, 2, 3].map(d => lines[k + d].trim().split(/\s+/).map(Number));
+            if (!bounds.every(b => b.length >= (triclinic ? 3 : 2) && b.every(Number.isFinite))) {
+                throw new Error(`LAMMPS dump line ${k + 2}: invalid box bounds`);
+            }
+            let [[xlo, xhi], [ylo, yhi], [zlo, zhi]] = bounds;
+            let [xy, xz, yz] = [0, 0, 0];
+            if (triclinic) {
+                // Triclinic bounds enclose the tilted cell; undo that
+                [xy, xz, yz] = [bounds[0][2], bounds[1][2], bounds[2][2]];
+                xlo -= Math.min(0, xy, xz, xy + xz);
+                xhi -= Math.max(0, xy, xz, xy + xz);
+                ylo -= Math.min(0, yz);
+                yhi -= Math.max(0, yz);
+            }
+            cell = [[xhi - xlo, 0, 0], [xy, yhi - ylo, 0], [xz, yz, zhi - zlo]];
+            origin = [xlo, ylo, zlo];
+        } else if (/^ITEM:\s*ATOMS/.test(line)) {
+            const names = line.replace(/^ITEM:\s*ATOMS\s*/, '').split(/\s+/).filter(Boolean);
+            const find = name => names.indexOf(name);
+            // Wrapped, unwrapped, scaled and scaled unwrapped coordinates, in that preference
+            for (const [suffix, fractional] of [['', false], ['u', false], ['s', true], ['su', true]]) {
+                const [x, y, z] = ['x', 'y', 'z'].map(axis => find(axis + suffix));
+                if (x >= 0 && y >= 0 && z >= 0) {
+                    columns = { x, y, z, fractional };
+                    break;
+                }
+            }
+            if (!columns) {
+                throw new Error(`LAMMPS dump line ${k + 1}: no x y z, xu yu zu or xs ys zs columns`);
+            }
+            columns.id = find('id');
+            columns.radius = find('radius');
+            columns.diameter = find('diameter');
+            atomsLine = k;
+            break;
+        }
+    }
+    if (atomsLine < 0) {
+        throw new Error('LAMMPS dump frame without ITEM: ATOMS');
+    }
+
+    const rows = [];
+    const rejected = [];
+    for (let k = atomsLine + 1; k < Math.min(atomsLine + 1 + count, end); k++) {
+        const trimmed = lines[k].trim();
+        const fields = trimmed.split(/\s+/);
+        const position = [columns.x, columns.y, columns.z].map(c => Number(fields[c]));
+        if (!position.every(Number.isFinite)) {
+            rejected.push({ line: k + 1, text: trimmed, reason: 'coordinates are not numbers' });
+            continue;
+        }
+        const radius = columns.radius >= 0 ? Number(fields[columns.radius])
+            : (columns.diameter >= 0 ? Number(fields[columns.diameter]) / 2 : null);
+        rows.push({ line: k + 1, text: trimmed, position, radius, id: columns.id >= 0 ? Number(fields[columns.id]) : rows.length });
+    }
+    if (rows.length + rejected.length < count) {
+        rejected.push({ line: end, text: '', reason: `frame ends before its ${count} atoms` });
+    }
+    // Dumps list atoms in no particular order
+    rows.sort((a, b) => a.id - b.id);
+
+    return { rows, rejected, cell, origin, periodic, fractional: columns.fractional };
+}
+
+/**
+ * Start of the requested frame; negative numbers count from the end
+ */
+function selectFrame(frames, frame) {
+    const index = frame < 0 ? frames.length + frame : frame;
+    if (!(index >= 0 && index < frames.length)) {
+        throw new Error(`Frame ${frame} does not exist (the file has ${frames.length} frames)`);
+    }
+    return frames[index];
+}
+
+/**
+ * The same lattice in the LAMMPS convention: a along x, b in the xy plane
+ * (lower-triangular rows). Left-handed lattices come out mirrored.
+ */
+function toLammpsCell(cell) {
+    const [a, b, c] = cell;
+    const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    const lx = Math.sqrt(dot(a, a));
+    const xy = dot(b, a) / lx;
+    const ly = Math.sqrt(Math.max(dot(b, b) - xy * xy, 0));
+    const xz = dot(c, a) / lx;
+    const yz = (dot(b, c) - xy * xz) / ly;
+    const lz = Math.sqrt(Math.max(dot(c, c) - xz * xz - yz * yz, 0));
+    // Rounding noise in the tilts would make a rotated box look triclinic
+    const tilt = value => Math.abs(value) < 1e-12 * lx ? 0 : value;
+    return [[lx, 0, 0], [tilt(xy), ly, 0], [tilt(xz), tilt(yz), lz]];
+}
+
+/**
+ * Read a point set
+ * @param {string} text - File contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - One of IMPORT_FORMATS (default: detected)
+ * @param {string} options.filename - File name, used to detect the format
+ * @param {number} options.frame - Frame of a multi-frame XYZ or dump file (default 0;
+ *        negative numbers count from the end)
+ * @param {number} options.scale - Unit conversion factor for coordinates and box (default 1)
+ * @param {Object} options.fit - Domain options ({box} or {cell}) to fit files without a
+ *        box into: the points are scaled uniformly and centered, half a mean spacing
+ *        away from the faces (default: keep the coordinates)
+ * @returns {Object} {format, points, radii, domain, rejected, numRows, seed}: points as
+ *          [[x, y, z], ...]; radii per point or null; domain as DelaunayComputation
+ *          options ({box} or {cell}, plus periodic flags) or null when the file has
+ *          no box; rejected as [{line, text, reason}]; seed recorded in the file or null
+ */
+export function parsePoints(text, options = {}) {
+    const { filename = '', frame = 0, scale = 1, fit = null } = options;
+    const format = options.format || detectFormat(text, filename);
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown import format '${format}' (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+    }
+    if (!(scale > 0)) {
+        throw new Error(`Invalid scale ${scale}: expected a positive number`);
+    }
+
+    const parsed = format === 'csv' ? parseCSV(text) : (format === 'xyz' ? parseXYZ(text, frame) : parseLammpsDump(text, frame));
+    const { rows, rejected } = parsed;
+
+    let domain = null;
+    let points;
+    if (parsed.cell) {
+        // Fractional coordinates are kept; the lattice is rescaled and brought into LAMMPS form
+        const original = new PeriodicDomain({ cell: parsed.cell });
+        const cell = toLammpsCell(parsed.cell).map(row => row.map(x => x * scale));
+        const target = new PeriodicDomain({ cell, periodic: parsed.periodic });
+        domain = target.isOrthorhombic ? { box: [...target.box] } : { cell };
+        domain.periodic = [...target.periodic];
+
+        points = [];
+        const kept = [];
+        for (const row of rows) {
+            const f = parsed.fractional ? row.position : original.toFractional(row.position.map((x, axis) => x - parsed.origin[axis]));
+            const p = target.toCartesian(f);
+            if ([0, 1, 2].some(axis => !target.periodic[axis] && (f[axis] < -1e-9 || f[axis] > 1 + 1e-9))) {
+                rejected.push({ line: row.line, text: row.text, reason: 'outside the box along a non-periodic axis' });
+                continue;
+            }
+            points.push(target.wrap(p));
+            kept.push(row);
+        }
+        rows.length = 0;
+        rows.push(...kept);
+    } else {
+        points = rows.map(row => row.position.map(x => x * scale));
+        if (fit && points.length > 0) {
+            points = fitIntoDomain(points, new PeriodicDomain(fit));
+        }
+    }
+
+    const radii = rows.some(row => row.radius !== null && row.radius !== undefined)
+        ? rows.map(row => (Number.isFinite(row.radius) ? row.radius : 0) * scale)
+        : null;
+
+    rejected.sort((a, b) => a.line - b.line);
+    console.log(`Imported ${points.length} points (${format})` +
+        (domain ? ` with ${domain.box ? 'box ' + JSON.stringify(domain.box) : 'triclinic cell'}` : '') +
+        (rejected.length > 0 ? `, rejected ${rejected.length} rows` : ''));
+
+    return { format, points, radii, domain, rejected, numRows: points.length + rejected.length, seed: parsed.seed ?? null };
+}
+
+/**
+ * Scale points uniformly and center them in a domain, keeping half a mean spacing
+ * between the points and the faces
+ */
+function fitIntoDomain(points, domain) {
+    const fractional = points.map(p => domain.toFractional(p));
+    // A loop rather than Math.min(...): spreading a large file overflows the stack
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const f of fractional) {
+        for (let axis = 0; axis < 3; axis++) {
+            if (f[axis] < min[axis]) min[axis] = f[axis];
+            if (f[axis] > max[axis]) max[axis] = f[axis];
+        }
+    }
+    const margin = 0.5 / Math.cbrt(points.length);
+    const extent = Math.max(...[0, 1, 2].map(axis => max[axis] - min[axis]));
+    const factor = extent > 0 ? (1 - 2 * margin) / extent : 0;
+    return fractional.map(f => domain.toCartesian([0, 1, 2].map(axis =>
+        0.5 + (f[axis] - (min[axis] + max[axis]) / 2) * factor)));
+}
+
+/**
+ * A DelaunayComputation for imported points: the file's box (if any) sets the
+ * domain and periodicity (a box without periodic axes clips the cells), radii make
+ * a power diagram when options.useRadii is set; a seed recorded in the file is kept
+ * unless options.seed is given
+ * @param {Object} imported - Result of parsePoints()
+ * @param {Object} options - DelaunayComputation options, plus isPeriodic (used when the
+ *        file has no box; default true) and useRadii (default false)
+ * @returns {DelaunayComputation} Not yet computed
+ */
+export function computationFromImport(imported, options = {}) {
+    const { isPeriodic = true, useRadii = false, ...computationOptions } = options;
+    const { periodic = isPeriodic, ...domain } = imported.domain || {};
+    // A box with only fixed boundaries still bounds the cells
+    const clip = Boolean(imported.domain) && !periodic.some(Boolean);
+    return new DelaunayComputation(imported.points, periodic, {
+        clip,
+        seed: imported.seed ?? null,
+        ...computationOptions,
+        ...domain,
+        ...(useRadii && imported.radii ? { radii: imported.radii } : {})
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * SeededRandom.js
+ *
+ * Reproducible random numbers for everything random in a run: point generation,
+ * initial velocities, the fallback directions of growth and the jitter of
+ * coincident points. A run has one seed (an unsigned 32-bit integer); each of
+ * these uses its own named stream derived from it, so drawing more numbers in one
+ * (e.g. generating more points) does not change the others.
+ *
+ * Usage:
+ *   const random = new SeededRandom(seed);
+ *   const points = random.stream('points');
+ *   points.next(); // in [0, 1)
+ */
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * A fresh seed for runs without one (recorded like any other seed)
+ * @returns {number} Integer in [0, MAX_SEED]
+ */
+export function randomSeed() {
+    if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Check a seed given as a number or text (a form field, a command-line argument)
+ * @param {number|string} value - Seed
+ * @returns {number} The seed as an integer in [0, MAX_SEED]
+ */
+export function parseSeed(value) {
+    const seed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        throw new Error(`Invalid seed '${value}' (expected an integer from 0 to ${MAX_SEED})`);
+    }
+    return seed;
+}
+
+/**
+ * Seed of a named stream: FNV-1a hash of the name, mixed with the parent seed
+ */
+function streamSeed(seed, name) {
+    let hash = 0x811c9dc5 ^ seed;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    return (hash ^ (hash >>> 13)) >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed (default: a fresh randomSeed())
+     */
+    constructor(seed = randomSeed()) {
+        this.seed = parseSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number (Mulberry32 generator)
+     * @returns {number} Uniform in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound (excluded)
+     * @returns {number} Uniform in [min, max)
+     */
+    uniform(min = 0, max = 1) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Independent generator for one use of the seed, e.g. stream('points')
+     * @param {string} name - Stream name
+     * @returns {SeededRandom} Generator that starts from the same state for the same seed and name
+     */
+    stream(name) {
+        return new SeededRandom(streamSeed(this.seed, name));
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * TopologyStatistics.js
+ *
+ * Classic topological statistics of the Voronoi tessellation, as used for foams
+ * and grain structures:
+ * - distribution of the number of faces per cell, its mean and variance
+ * - distribution of the number of edges per face
+ * - Aboav-Weaire law: mean face count m(F) of the neighbours of F-faced cells,
+ *   fitted as F m(F) = (<F> - a) F + <F> a + mu2
+ * - Lewis law: mean volume of F-faced cells relative to the mean cell volume,
+ *   fitted as a straight line in F
+ * - Euler characteristic V - E + F - C of the tessellation (0 with any periodic
+ *   axis, 1 for cells clipped to the box) and V - E + F = 2 for every cell
+ *
+ * Cells are the closed polyhedra of DelaunayComputation.getCellPolyhedron, so cells
+ * across the periodic boundary are counted once and in one piece, and faces on the
+ * walls of non-periodic axes count as faces of their cells. Unbounded cells (the
+ * convex hull in non-periodic mode without clipping) are left out.
+ * Everything is returned as plain data.
+ */
+
+/**
+ * Least-squares straight line y = slope x + intercept through weighted points
+ * @returns {{slope: number, intercept: number, rSquared: number}} NaN when the x are all equal
+ */
+function linearFit(xs, ys, weights) {
+    let sw = 0, sx = 0, sy = 0;
+    xs.forEach((x, k) => {
+        sw += weights[k];
+        sx += weights[k] * x;
+        sy += weights[k] * ys[k];
+    });
+    const mx = sx / sw;
+    const my = sy / sw;
+    let sxx = 0, sxy = 0, syy = 0;
+    xs.forEach((x, k) => {
+        sxx += weights[k] * (x - mx) * (x - mx);
+        sxy += weights[k] * (x - mx) * (ys[k] - my);
+        syy += weights[k] * (ys[k] - my) * (ys[k] - my);
+    });
+    if (!(sxx > 0)) {
+        return { slope: NaN, intercept: NaN, rSquared: NaN };
+    }
+    const slope = sxy / sxx;
+    return { slope, intercept: my - slope * mx, rSquared: syy > 0 ? sxy * sxy / (sxx * syy) : 1 };
+}
+
+/**
+ * Histogram of integer values as [{value, count, fraction}], sorted by value
+ */
+function histogram(values, weights = null) {
+    const counts = new Map();
+    let total = 0;
+    values.forEach((value, k) => {
+        const weight = weights ? weights[k] : 1;
+        counts.set(value, (counts.get(value) || 0) + weight);
+        total += weight;
+    });
+    return [...counts.keys()].sort((a, b) => a - b).map(value => ({
+        value,
+        count: counts.get(value),
+        fraction: counts.get(value) / total
+    }));
+}
+
+/**
+ * Global ids of the cell vertices: vertices of different cells that coincide (in
+ * the periodic sense) get the same id. Vertices are binned on a fine grid in
+ * fractional coordinates, wrapping around periodic axes.
+ * @returns {Array<Array<number>>} Per cell, the id of each of its vertices
+ */
+function globalVertexIds(computation, cells, tolerance) {
+    const domain = computation.domain;
+    const bins = 1 << 20;
+    const grid = new Map();
+    const representatives = [];
+
+    const binOf = (f, axis) => {
+        const bin = Math.floor(f * bins);
+        return domain.periodic[axis] ? ((bin % bins) + bins) % bins : bin;
+    };
+
+    return cells.map(cell => {
+        if (!cell) return null;
+        return cell.vertices.map(vertex => {
+            const f = domain.toFractional(vertex);
+            const bin = [0, 1, 2].map(axis => binOf(f[axis], axis));
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    for (let dk = -1; dk <= 1; dk++) {
+                        const neighbor = [bin[0] + di, bin[1] + dj, bin[2] + dk].map((b, axis) =>
+                            domain.periodic[axis] ? ((b % bins) + bins) % bins : b);
+                        for (const id of grid.get(neighbor.join(',')) || []) {
+                            const p = representatives[id];
+                            const d = domain.minimumImageVector([vertex[0] - p[0], vertex[1] - p[1], vertex[2] - p[2]]);
+                            if (Math.hypot(d[0], d[1], d[2]) <= tolerance) return id;
+                        }
+                    }
+                }
+            }
+            const id = representatives.length;
+            representatives.push(vertex);
+            const key = bin.join(',');
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(id);
+            return id;
+        });
+    });
+}
+
+/**
+ * Closed cell polyhedra, null for cells that are left out
+ */
+function closedCells(computation) {
+    const cells = [];
+    for (let i = 0; i < computation.numPoints; i++) {
+        const cell = computation.getCellPolyhedron(i);
+        cells.push(cell && cell.closed ? cell : null);
+    }
+    return cells;
+}
+
+/**
+ * Euler characteristic of the tessellation and of every cell
+ * @param {Object} computation - A computed DelaunayComputation
+ * @param {Object} options - Check options
+ * @param {number} options.tolerance - Distance below which vertices of different cells
+ *        are the same vertex (default computation.getLengthTolerance())
+ * @returns {Object} { vertices, edges, faces, cells, characteristic, expected, ok, invalidCells }:
+ *          expected is 0 with any periodic axis, 1 for cells clipped to the box and null
+ *          in non-periodic mode without clipping (the bounded cells do not tile a fixed
+ *          region); invalidCells lists the cells whose own V - E + F is not 2
+ */
+export function eulerCheck(computation, options = {}) {
+    const { tolerance = computation.getLengthTolerance() } = options;
+    return eulerCheckOfCells(computation, closedCells(computation), tolerance);
+}
+
+function eulerCheckOfCells(computation, cells, tolerance) {
+    const ids = globalVertexIds(computation, cells, tolerance);
+    const vertices = new Set();
+    const edges = new Set();
+    const faces = new Set();
+    const invalidCells = [];
+    let numCells = 0;
+
+    cells.forEach((cell, i) => {
+        if (!cell) return;
+        numCells++;
+        const cellVertices = new Set();
+        const cellEdges = new Set();
+        for (const face of cell.faces) {
+            const loop = face.vertices.map(v => ids[i][v]);
+            loop.forEach((id, k) => {
+                const next = loop[(k + 1) % loop.length];
+                const key = id < next ? `${id}-${next}` : `${next}-${id}`;
+                cellVertices.add(id);
+                cellEdges.add(key);
+                vertices.add(id);
+                edges.add(key);
+            });
+            faces.add([...loop].sort((a, b) => a - b).join(','));
+        }
+        if (cellVertices.size - cellEdges.size + cell.faces.length !== 2) {
+            invalidCells.push(i);
+        }
+    });
+
+    const domain = computation.domain;
+    const expected = domain.periodic.some(Boolean) ? 0 : (domain.hasWalls ? 1 : null);
+    const characteristic = vertices.size - edges.size + faces.size - numCells;
+    const ok = invalidCells.length === 0 && (expected === null || characteristic === expected);
+    if (!ok) {
+        console.warn(`Euler check failed: V - E + F - C = ${characteristic} (expected ${expected}), ${invalidCells.length} cells with V - E + F != 2`);
+    }
+
+    return {
+        vertices: vertices.size,
+        edges: edges.size,
+        faces: faces.size,
+        cells: numCells,
+        characteristic,
+        expected,
+        ok,
+        invalidCells
+    };
+}
+
+/**
+ * Topological statistics of the tessellation
+ * @param {Object} computation - A computed DelaunayComputation (circumcenter mode gives
+ *        the true Voronoi cells; barycentric cells have the same topology)
+ * @param {Object} options - Statistics options: tolerance (see eulerCheck())
+ * @returns {Object} {
+ *     numCells,                 closed cells taken into account
+ *     faceCounts,               faces per cell, null for cells left out
+ *     facesPerCell: {distribution: [{faces, count, fraction}], mean, variance},
+ *     edgesPerFace: {distribution: [{edges, count, fraction}], mean},
+ *     aboavWeaire: {byFaceCount: [{faces, count, meanNeighborFaces}], slope, intercept, a, rSquared},
+ *     lewis: {byFaceCount: [{faces, count, meanVolume, relativeVolume}], slope, intercept, f0, rSquared},
+ *     euler                     see eulerCheck()
+ * }
+ */
+export function topologyStatistics(computation, options = {}) {
+    const { tolerance = computation.getLengthTolerance() } = options;
+    const cells = closedCells(computation);
+    const measures = computation.getCellMeasures();
+
+    // Faces per cell
+    const faceCounts = cells.map(cell => cell ? cell.faces.length : null);
+    const counted = faceCounts.filter(count => count !== null);
+    const numCells = counted.length;
+    const meanFaces = numCells > 0 ? counted.reduce((a, b) => a + b, 0) / numCells : NaN;
+    const variance = numCells > 0 ? counted.reduce((sum, f) => sum + (f - meanFaces) ** 2, 0) / numCells : NaN;
+
+    // Edges per face: every face once. Faces between two counted cells are seen from
+    // both sides and weigh 1/2 each time; wall faces and faces towards left-out cells weigh 1
+    const edgeCounts = [];
+    const edgeWeights = [];
+    cells.forEach(cell => {
+        if (!cell) return;
+        for (const face of cell.faces) {
+            edgeCounts.push(face.vertices.length);
+            edgeWeights.push(face.neighbor >= 0 && cells[face.neighbor] ? 0.5 : 1);
+        }
+    });
+    const totalFaceWeight = edgeWeights.reduce((a, b) => a + b, 0);
+    const meanEdges = totalFaceWeight > 0
+        ? edgeCounts.reduce((sum, n, k) => sum + n * edgeWeights[k], 0) / totalFaceWeight
+        : NaN;
+
+    // Aboav-Weaire: face counts of the neighbours across every face (walls excluded)
+    const neighborSums = new Map();
+    const neighborCounts = new Map();
+    const classSizes = new Map();
+    const volumeSums = new Map();
+    cells.forEach((cell, i) => {
+        if (!cell) return;
+        const f = faceCounts[i];
+        classSizes.set(f, (classSizes.get(f) || 0) + 1);
+        volumeSums.set(f, (volumeSums.get(f) || 0) + measures[i].volume);
+        for (const face of cell.faces) {
+            if (face.neighbor < 0 || !cells[face.neighbor]) continue;
+            neighborSums.set(f, (neighborSums.get(f) || 0) + faceCounts[face.neighbor]);
+            neighborCounts.set(f, (neighborCounts.get(f) || 0) + 1);
+        }
+    });
+    const faceClasses = [...classSizes.keys()].sort((a, b) => a - b);
+
+    const aboavClasses = faceClasses
+        .filter(f => neighborCounts.get(f) > 0)
+        .map(f => ({ faces: f, count: classSizes.get(f), meanNeighborFaces: neighborSums.get(f) / neighborCounts.get(f) }));
+    const aboavFit = linearFit(
+        aboavClasses.map(c => c.faces),
+        aboavClasses.map(c => c.faces * c.meanNeighborFaces),
+        aboavClasses.map(c => c.count)
+    );
+
+    // Lewis law: relative volume against face count
+    const meanVolume = numCells > 0 ? [...volumeSums.values()].reduce((a, b) => a + b, 0) / numCells : NaN;
+    const lewisClasses = faceClasses.map(f => {
+        const classVolume = volumeSums.get(f) / classSizes.get(f);
+        return { faces: f, count: classSizes.get(f), meanVolume: classVolume, relativeVolume: classVolume / meanVolume };
+    });
+    const lewisFit = linearFit(
+        lewisClasses.map(c => c.faces),
+        lewisClasses.map(c => c.relativeVolume),
+        lewisClasses.map(c => c.count)
+    );
+
+    const statistics = {
+        numCells,
+        faceCounts,
+        facesPerCell: {
+            distribution: histogram(counted).map(({ value, count, fraction }) => ({ faces: value, count, fraction })),
+            mean: meanFaces,
+            variance
+        },
+        edgesPerFace: {
+            distribution: histogram(edgeCounts, edgeWeights).map(({ value, count, fraction }) => ({ edges: value, count, fraction })),
+            mean: meanEdges
+        },
+        aboavWeaire: {
+            byFaceCount: aboavClasses,
+            ...aboavFit,
+            a: meanFaces - aboavFit.slope
+        },
+        lewis: {
+            byFaceCount: lewisClasses,
+            ...lewisFit,
+            // Face count of a vanishing cell
+            f0: -lewisFit.intercept / lewisFit.slope
+        },
+        euler: eulerCheckOfCells(computation, cells, tolerance)
+    };
+
+    console.log(`Topology of ${numCells} cells: <F> = ${meanFaces.toFixed(3)}, mu2 = ${variance.toFixed(3)}, ` +
+        `<n> = ${meanEdges.toFixed(3)}, Euler characteristic ${statistics.euler.characteristic}`);
+
+    return statistics;
+}
@@ -0,0 +1,297 @@
+/**
+ * TriangulationWorker.js
+ *
+ * Runs DelaunayComputation.compute() in a dedicated Web Worker (DelaunayWorker.js)
+ * that owns its own WASM module, so large point sets do not freeze the page.
+ * - Points go to the worker as transferred buffers, results come back as binary
+ *   snapshots and are restored with DelaunayComputation.fromBinary()
+ * - One job runs at a time. A new job supersedes the one waiting for its turn, so
+ *   during live updates only the newest points are triangulated next
+ * - Jobs can be cancelled (cancel(), or an AbortSignal). The WASM call itself cannot
+ *   be interrupted: a cancelled running job is only discarded, unless the worker is
+ *   terminated and restarted ({terminate: true})
+ * Cancelled and superseded jobs reject with an error named 'AbortError'.
+ */
+
+import { DelaunayComputation } from './DelaunayComputation.js';
+
+/**
+ * Error of a job that was cancelled or superseded
+ */
+function abortError(message) {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+export class TriangulationWorker {
+    /**
+     * @param {Object} options - Worker options
+     * @param {string|URL} options.workerUrl - Worker script (default DelaunayWorker.js next to this module)
+     * @param {string|URL} options.distUrl - Directory of periodic_delaunay.js/.wasm (default dist/)
+     */
+    constructor(options = {}) {
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Workers are not available here; call computation.compute(Module) instead');
+        }
+        this.workerUrl = options.workerUrl || new URL('./DelaunayWorker.js', import.meta.url);
+        this.distUrl = String(options.distUrl || new URL('../../dist/', import.meta.url));
+
+        this.worker = null;
+        this.isReady = false;
+        // Set when the worker script itself failed; jobs are rejected from then on
+        this.error = null;
+        // Job in the worker, and the job waiting for it
+        this.runningJob = null;
+        this.queuedJob = null;
+        this.nextJobId = 1;
+
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            cancelled: 0,
+            superseded: 0,
+            lastDuration: 0
+        };
+
+        this._startWorker();
+    }
+
+    /**
+     * Create the worker and load its WASM module
+     * @private
+     */
+    _startWorker() {
+        this.isReady = false;
+        this.error = null;
+        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        this.worker.onmessage = (e) => this._handleMessage(e.data);
+        this.worker.onerror = (error) => {
+            error.preventDefault?.();
+            this.error = new Error(`Triangulation worker failed: ${error.message || 'could not start the worker'}`);
+            this._failAll(this.error);
+        };
+        this.worker.postMessage({ type: 'INIT', distUrl: this.distUrl });
+    }
+
+    /**
+     * Messages from DelaunayWorker.js
+     * @private
+     */
+    _handleMessage(message) {
+        const { type, jobId } = message;
+        if (type === 'READY') {
+            this.isReady = true;
+            console.log('Triangulation worker ready');
+            return;
+        }
+        if (type === 'ERROR' && jobId === undefined) {
+            // INIT failed: later jobs are rejected at once, as after onerror
+            this.error = new Error(`Triangulation worker failed: ${message.error}`);
+            this._failAll(this.error);
+            return;
+        }
+
+        const job = this.runningJob;
+        if (!job || job.jobId !== jobId) return;
+        if (job.cancelled) {
+            // Late result of a job cancelled while running: the worker is free again
+            if (type !== 'PROGRESS') {
+                this.runningJob = null;
+                this._dispatch();
+            }
+            return;
+        }
+
+        if (type === 'PROGRESS') {
+            if (job.onProgress) job.onProgress({ jobId, stage: message.stage, elapsed: message.elapsed });
+            return;
+        }
+
+        this.runningJob = null;
+        job.detach();
+        if (type === 'SUCCESS') {
+            this.stats.completed++;
+            this.stats.lastDuration = message.duration;
+            console.log(`Triangulation job ${jobId} finished in ${message.duration.toFixed(1)}ms`);
+            try {
+                job.resolve(DelaunayComputation.fromBinary(message.snapshot));
+            } catch (error) {
+                job.reject(error);
+            }
+        } else {
+            this.stats.failed++;
+            job.reject(new Error(message.error));
+        }
+        this._dispatch();
+    }
+
+    /**
+     * Send the queued job when the worker is free
+     * @private
+     */
+    _dispatch() {
+        if (this.runningJob || !this.queuedJob) return;
+        const job = this.queuedJob;
+        this.queuedJob = null;
+        this.runningJob = job;
+        if (job.onProgress) job.onProgress({ jobId: job.jobId, stage: 'started', elapsed: 0 });
+        this.worker.postMessage(job.message, [job.message.points.buffer]);
+    }
+
+    /**
+     * Reject every job, e.g. when the worker could not start
+     * @private
+     */
+    _failAll(error) {
+        console.error(error.message);
+        for (const job of [this.runningJob, this.queuedJob]) {
+            if (job) {
+                this.stats.failed++;
+                job.detach();
+                job.reject(error);
+            }
+        }
+        this.runningJob = null;
+        this.queuedJob = null;
+    }
+
+    /**
+     * Triangulate off the main thread
+     * @param {DelaunayComputation} computation - Points, domain and options to compute;
+     *        it is not modified (its points are copied)
+     * @param {Object} options - Job options
+     * @param {AbortSignal} options.signal - Cancels the job when aborted
+     * @param {Function} options.onProgress - Called with {jobId, stage, elapsed}; stages are
+     *        'started', 'loading', 'triangulating' and 'transferring'
+     * @returns {Promise<DelaunayComputation>} The computed tessellation; rejects with an
+     *          'AbortError' when the job is cancelled or superseded
+     */
+    compute(computation, options = {}) {
+        const { signal = null, onProgress = null } = options;
+        const jobId = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            if (this.error) {
+                reject(this.error);
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(abortError(`Triangulation job ${jobId} cancelled`));
+                return;
+            }
+
+            const onAbort = () => this.cancel(jobId);
+            const job = {
+                jobId,
+                resolve,
+                reject,
+                onProgress,
+                detach: () => signal && signal.removeEventListener('abort', onAbort),
+                message: {
+                    type: 'TRIANGULATE',
+                    jobId,
+                    points: computation.points.slice(),
+                    isPeriodic: computation.periodicAxes,
+                    options: {
+                        ...computation.domain.toJSON(),
+                        voronoiVertexMode: computation.voronoiVertexMode,
+                        seed: computation.seed,
+                        adjacency: computation.requestAdjacency,
+                        ...(computation.weights ? { weights: computation.weights } : {})
+                    }
+                }
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            if (this.queuedJob) {
+                this.stats.superseded++;
+                this.queuedJob.detach();
+                this.queuedJob.reject(abortError(`Triangulation job ${this.queuedJob.jobId} superseded by job ${jobId}`));
+            }
+            this.queuedJob = job;
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Cancel a job. A running job keeps the worker busy until its WASM call returns,
+     * unless options.terminate restarts the worker (reloading the WASM module)
+     * @param {number} jobId - Job to cancel
+     * @param {Object} options - {terminate: boolean}
+     * @returns {boolean} Whether the job was still queued or running
+     */
+    cancel(jobId, options = {}) {
+        let job = null;
+        if (this.queuedJob && this.queuedJob.jobId === jobId) {
+            job = this.queuedJob;
+            this.queuedJob = null;
+        } else if (this.runningJob && this.runningJob.jobId === jobId && !this.runningJob.cancelled) {
+            job = this.runningJob;
+            if (options.terminate) {
+                this.runningJob = null;
+                this.worker.terminate();
+                this._startWorker();
+            } else {
+                // The worker stays busy; its result is dropped when it arrives
+                this.runningJob = { jobId, cancelled: true };
+            }
+        }
+        if (!job) return false;
+
+        this.stats.cancelled++;
+        job.detach();
+        job.reject(abortError(`Triangulation job ${jobId} cancelled`));
+        this._dispatch();
+        return true;
+    }
+
+    /**
+     * Cancel the running and the queued job
+     * @param {Object} options - See cancel()
+     */
+    cancelAll(options = {}) {
+        if (this.queuedJob) this.cancel(this.queuedJob.jobId);
+        if (this.runningJob && !this.runningJob.cancelled) this.cancel(this.runningJob.jobId, options);
+    }
+
+    /**
+     * Whether a job is running or waiting
+     */
+    isBusy() {
+        return Boolean(this.runningJob || this.queuedJob);
+    }
+
+    /**
+     * Get worker status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            isReady: this.isReady,
+            error: this.error ? this.error.message : null,
+            runningJob: this.runningJob ? this.runningJob.jobId : null,
+            queuedJob: this.queuedJob ? this.queuedJob.jobId : null,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Stop the worker; pending jobs are cancelled
+     */
+    terminate() {
+        if (this.queuedJob) this.cancel(this.queuedJob.jobId);
+        if (this.runningJob && !this.runningJob.cancelled) {
+            const job = this.runningJob;
+            this.stats.cancelled++;
+            job.detach();
+            job.reject(abortError(`Triangulation job ${job.jobId} cancelled`));
+        }
+        this.runningJob = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        console.log('Triangulation worker terminated');
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * VTKExporter.js
+ *
+ * Writes the current state as VTK XML unstructured grids (.vtu) for ParaView,
+ * with the acuteness scores of analyzeAcuteness() as cell data:
+ * - 'tetrahedra': the Delaunay tetrahedra with vertexScores
+ * - 'cells':      the Voronoi cells as polyhedra with cellScores (and volumes)
+ * - 'faces':      the Voronoi faces as polygons with faceScores
+ * - 'edges':      the Voronoi edges as lines with edgeScores
+ * Growth runs are written as a time series: one .vtu file per step and kind,
+ * tied together by a ParaView collection (.pvd) file (see VTKTimeSeries).
+ *
+ * Periodic geometry is unwrapped: every tetrahedron, cell, face and edge is
+ * written as one connected piece, so pieces may stick out of the box. The seed of
+ * the run (computation.seed) is kept as field data.
+ */
+
+import { collectCellMeshes } from './MeshExporter.js';
+
+/**
+ * Kinds of grids that can be exported
+ */
+export const VTU_KINDS = ['tetrahedra', 'cells', 'faces', 'edges'];
+
+// VTK cell types
+const VTK_LINE = 3;
+const VTK_POLYGON = 7;
+const VTK_TETRA = 10;
+const VTK_POLYHEDRON = 42;
+
+/**
+ * One <DataArray> element with ascii data
+ */
+function dataArray(type, name, values, components = 1, tuples = null) {
+    const nameAttribute = name ? ` Name="${name}"` : '';
+    const componentAttribute = components > 1 ? ` NumberOfComponents="${components}"` : '';
+    const tupleAttribute = tuples !== null ? ` NumberOfTuples="${tuples}"` : '';
+    const text = Array.from(values, value => Number.isFinite(value) ? String(value) : 'nan').join(' ');
+    return `        <DataArray type="${type}"${nameAttribute}${componentAttribute}${tupleAttribute} format="ascii">${text}</DataArray>`;
+}
+
+/**
+ * A complete .vtu file with one piece
+ * @param {Object} grid - {points: flat coordinates, connectivity, offsets, types,
+ *        faces, faceOffsets (polyhedra only), fieldData, pointData, cellData}; the
+ *        data are lists of {name, type, values}, field data arrays also give tuples
+ */
+function unstructuredGrid(grid) {
+    const { points, connectivity, offsets, types, faces = null, faceOffsets = null, fieldData = [], pointData = [], cellData = [] } = grid;
+    const section = (tag, arrays) => arrays.length === 0 ? [] : [
+        `      <${tag}>`,
+        ...arrays.map(array => dataArray(array.type, array.name, array.values, 1, array.tuples ?? null)),
+        `      </${tag}>`
+    ];
+
+    return [
+        '<?xml version="1.0"?>',
+        '<VTKFile type="UnstructuredGrid" version="1.0" byte_order="LittleEndian" header_type="UInt64">',
+        '  <UnstructuredGrid>',
+        // Field data belongs to the whole grid, one level up from the piece data
+        ...section('FieldData', fieldData).map(line => line.slice(2)),
+        `    <Piece NumberOfPoints="${points.length / 3}" NumberOfCells="${types.length}">`,
+        ...section('PointData', pointData),
+        ...section('CellData', cellData),
+        '      <Points>',
+        dataArray('Float64', null, points, 3),
+        '      </Points>',
+        '      <Cells>',
+        dataArray('Int64', 'connectivity', connectivity),
+        dataArray('Int64', 'offsets', offsets),
+        dataArray('UInt8', 'types', types),
+        ...(faces ? [dataArray('Int64', 'faces', faces), dataArray('Int64', 'faceoffsets', faceOffsets)] : []),
+        '      </Cells>',
+        '    </Piece>',
+        '  </UnstructuredGrid>',
+        '</VTKFile>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Scores of the analysis as a cell data array, when present
+ */
+function scoreData(analysis, name, indices) {
+    if (!analysis || !analysis[name]) return [];
+    const scores = analysis[name];
+    return [{ name, type: 'Float64', values: indices.map(i => i < scores.length ? scores[i] : NaN) }];
+}
+
+/**
+ * Seed of the run as a field data array, when known
+ */
+function seedData(computation) {
+    return computation.seed === null || computation.seed === undefined ? [] : [{ name: 'seed', type: 'UInt32', values: [computation.seed], tuples: 1 }];
+}
+
+/**
+ * Delaunay tetrahedra with their vertex acuteness scores. Tetrahedra reaching
+ * across a wall (mirror vertices) are left out.
+ */
+function tetrahedraGrid(computation, analysis) {
+    const points = [];
+    const generators = [];
+    const tetIndices = [];
+    computation.getDelaunayTetrahedra().forEach((tet, t) => {
+        if ([0, 1, 2, 3].some(v => computation.isMirrorVertex(t, v))) return;
+        computation.getTetrahedronVertices(t).forEach(p => points.push(p[0], p[1], p[2]));
+        generators.push(...tet);
+        tetIndices.push(t);
+    });
+
+    const count = tetIndices.length;
+    return unstructuredGrid({
+        fieldData: seedData(computation),
+        points,
+        connectivity: Array.from({ length: 4 * count }, (_, k) => k),
+        offsets: Array.from({ length: count }, (_, k) => 4 * (k + 1)),
+        types: new Array(count).fill(VTK_TETRA),
+        pointData: [{ name: 'generator', type: 'Int32', values: generators }],
+        cellData: [
+            { name: 'tetrahedron', type: 'Int32', values: tetIndices },
+            ...scoreData(analysis, 'vertexScores', tetIndices)
+        ]
+    });
+}
+
+/**
+ * Voronoi cells as polyhedra with their acuteness scores and volumes
+ */
+function cellsGrid(computation, analysis, options) {
+    const pieces = collectCellMeshes(computation, { ...options, analysis: null });
+    const points = [];
+    const connectivity = [];
+    const offsets = [];
+    const faces = [];
+    const faceOffsets = [];
+    let numPoints = 0;
+    for (const piece of pieces) {
+        piece.vertices.forEach((v, k) => {
+            points.push(v[0], v[1], v[2]);
+            connectivity.push(numPoints + k);
+        });
+        offsets.push(connectivity.length);
+        faces.push(piece.faces.length);
+        for (const face of piece.faces) {
+            faces.push(face.vertices.length, ...face.vertices.map(v => v + numPoints));
+        }
+        faceOffsets.push(faces.length);
+        numPoints += piece.vertices.length;
+    }
+
+    const cells = pieces.map(piece => piece.cell);
+    const measures = computation.getCellMeasures();
+    return unstructuredGrid({
+        fieldData: seedData(computation),
+        points,
+        connectivity,
+        offsets,
+        types: new Array(pieces.length).fill(VTK_POLYHEDRON),
+        faces,
+        faceOffsets,
+        cellData: [
+            { name: 'cell', type: 'Int32', values: cells },
+            { name: 'volume', type: 'Float64', values: cells.map(i => measures[i] ? measures[i].volume : NaN) },
+            ...scoreData(analysis, 'cellScores', cells)
+        ]
+    });
+}
+
+/**
+ * Voronoi faces as polygons with their acuteness scores
+ */
+function facesGrid(computation, analysis) {
+    const voronoiFaces = computation.getFaces();
+    const points = [];
+    const connectivity = [];
+    const offsets = [];
+    voronoiFaces.forEach(face => {
+        for (const v of face.voronoiVertices) {
+            connectivity.push(points.length / 3);
+            points.push(v[0], v[1], v[2]);
+        }
+        offsets.push(connectivity.length);
+    });
+
+    const indices = voronoiFaces.map((face, f) => f);
+    return unstructuredGrid({
+        fieldData: seedData(computation),
+        points,
+        connectivity,
+        offsets,
+        types: new Array(voronoiFaces.length).fill(VTK_POLYGON),
+        cellData: [
+            { name: 'generator0', type: 'Int32', values: voronoiFaces.map(face => face.delaunayEdge[0]) },
+            { name: 'generator1', type: 'Int32', values: voronoiFaces.map(face => face.delaunayEdge[1]) },
+            ...scoreData(analysis, 'faceScores', indices)
+        ]
+    });
+}
+
+/**
+ * Voronoi edges as lines with their acuteness scores. Edges that cross a
+ * periodic boundary end at the image of their end point nearest to the start.
+ */
+function edgesGrid(computation, analysis) {
+    const edges = computation.voronoiEdges;
+    const points = [];
+    edges.forEach(edge => {
+        const end = edge.isPeriodic ? computation.domain.minimumImage(edge.start, edge.end) : edge.end;
+        points.push(edge.start[0], edge.start[1], edge.start[2], end[0], end[1], end[2]);
+    });
+
+    const indices = edges.map((edge, e) => e);
+    return unstructuredGrid({
+        fieldData: seedData(computation),
+        points,
+        connectivity: Array.from({ length: 2 * edges.length }, (_, k) => k),
+        offsets: indices.map(e => 2 * (e + 1)),
+        types: new Array(edges.length).fill(VTK_LINE),
+        cellData: [
+            { name: 'periodic', type: 'UInt8', values: edges.map(edge => edge.isPeriodic ? 1 : 0) },
+            ...scoreData(analysis, 'edgeScores', indices)
+        ]
+    });
+}
+
+/**
+ * One kind of grid as a .vtu file
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {string} kind - One of VTU_KINDS
+ * @param {Object} options - Export options
+ * @param {Object} options.analysis - Result of analyzeAcuteness(); its scores become cell data
+ * @param {Array<number>|null} options.cells - 'cells' only: cells to export (default all)
+ * @param {string} options.periodic - 'cells' only: 'unwrapped' (default) or 'clipped'
+ *        to the box (see collectCellMeshes)
+ * @param {number} options.shrink - 'cells' only: shrink factor (default 0)
+ * @returns {string} VTU (XML) text
+ */
+export function exportVTU(computation, kind, options = {}) {
+    const { analysis = null, ...meshOptions } = options;
+    switch (kind) {
+        case 'tetrahedra': return tetrahedraGrid(computation, analysis);
+        case 'cells': return cellsGrid(computation, analysis, meshOptions);
+        case 'faces': return facesGrid(computation, analysis);
+        case 'edges': return edgesGrid(computation, analysis);
+        default:
+            throw new Error(`Unknown VTU kind '${kind}' (expected one of: ${VTU_KINDS.join(', ')})`);
+    }
+}
+
+/**
+ * A ParaView collection file (.pvd) listing datasets over time
+ * @param {Array<{time: number, file: string, part: number}>} datasets - Files and their
+ *        time steps; datasets of the same step are told apart by part (default 0)
+ * @returns {string} PVD (XML) text
+ */
+export function exportPVD(datasets) {
+    return [
+        '<?xml version="1.0"?>',
+        '<VTKFile type="Collection" version="0.1" byte_order="LittleEndian">',
+        '  <Collection>',
+        ...datasets.map(({ time, file, part = 0 }) => `    <DataSet timestep="${time}" part="${part}" file="${file}"/>`),
+        '  </Collection>',
+        '</VTKFile>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Time series of a growth run for ParaView. Every step produces one .vtu file
+ * per kind; the .pvd collection lists them all, so ParaView can animate the run.
+ * Writing the files is left to the caller (a download, or fs.writeFileSync in Node).
+ *
+ * Usage:
+ *   const series = new VTKTimeSeries('growth', { kinds: ['cells', 'edges'] });
+ *   for each step: for (const { filename, content } of series.addStep(computation, step, analysis)) save(filename, content);
+ *   const { filename, content } = series.toPVD();
+ */
+export class VTKTimeSeries {
+    /**
+     * @param {string} basename - Prefix of the file names
+     * @param {Object} options - Options of exportVTU(), plus kinds (default ['cells'])
+     */
+    constructor(basename = 'growth', options = {}) {
+        const { kinds = ['cells'], ...vtuOptions } = options;
+        for (const kind of kinds) {
+            if (!VTU_KINDS.includes(kind)) {
+                throw new Error(`Unknown VTU kind '${kind}' (expected one of: ${VTU_KINDS.join(', ')})`);
+            }
+        }
+        this.basename = basename;
+        this.kinds = kinds;
+        this.vtuOptions = vtuOptions;
+        this.datasets = [];
+        this.numSteps = 0;
+    }
+
+    /**
+     * Export one step
+     * @param {DelaunayComputation} computation - State at this step
+     * @param {number} time - Time value shown in ParaView (default: the step number)
+     * @param {Object} analysis - analyzeAcuteness() result for this step
+     * @returns {Array<{filename: string, content: string}>} The .vtu files of the step
+     */
+    addStep(computation, time = this.numSteps, analysis = null) {
+        const step = String(this.numSteps).padStart(5, '0');
+        const files = this.kinds.map((kind, part) => {
+            const filename = `${this.basename}_${kind}_${step}.vtu`;
+            this.datasets.push({ time, file: filename, part });
+            return { filename, content: exportVTU(computation, kind, { ...this.vtuOptions, analysis }) };
+        });
+        this.numSteps++;
+        return files;
+    }
+
+    /**
+     * The collection file of all steps so far
+     * @returns {{filename: string, content: string}}
+     */
+    toPVD() {
+        return { filename: `${this.basename}.pvd`, content: exportPVD(this.datasets) };
+    }
+}
@@ -5,6 +5,11 @@
  * This module handles the mapping of analysis scores to colors and applies them to geometry.
  */
 
+import { PeriodicDomain } from './PeriodicDomain.js';
+
+// Fallback for computations created before boxes were configurable
+const UNIT_DOMAIN = new PeriodicDomain();
+
 // THREE.js objects will be injected from the main application
 let THREE = null;
 let ConvexGeometry = null;
@@ -36,21 +41,11 @@ function isInitialized() {
  * Apply minimum image convention for periodic boundaries
  * @param {Array} p1 - First point [x, y, z]
  * @param {Array} p2 - Second point [x, y, z]
+ * @param {PeriodicDomain} domain - Box of the computation (default unit cube)
  * @returns {Array} Corrected p2 position
  */
-function getMinimumImage(p1, p2) {
-    const corrected = [p2[0], p2[1], p2[2]];
-    
-    for (let i = 0; i < 3; i++) {
-        const delta = p2[i] - p1[i];
-        if (delta > 0.5) {
-            corrected[i] -= 1.0;
-        } else if (delta < -0.5) {
-            corrected[i] += 1.0;
-        }
-    }
-    
-    return corrected;
+function getMinimumImage(p1, p2, domain = UNIT_DOMAIN) {
+    return domain.minimumImage(p1, p2);
 }
 
 /**
@@ -64,9 +59,10 @@ function mapValueToColor(value, analysisType = '') {
     // Clamp value to [0, 1]
     const normalizedValue = Math.max(0, Math.min(1, value));
     
-    // Check if custom colors are defined for this analysis type
+    // Check if custom colors are defined for this analysis type (set by the legend in
+    // the browser; globalThis so that the colors also work headless)
     const customColorsKey = analysisType ? `legendCustomColors_${analysisType}` : 'legendCustomColors';
-    const customColors = window[customColorsKey] || window.legendCustomColors;
+    const customColors = globalThis[customColorsKey] || globalThis.legendCustomColors;
     
     if (customColors && customColors.length > 0) {
         // Use custom colors
@@ -444,7 +440,7 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
                         }
                         
                         // Apply MIC to bring vertex to same periodic image as reference
-                        const corrected = getMinimumImage(reference, v);
+                        const corrected = getMinimumImage(reference, v, computation.domain);
                         return new THREE.Vector3(corrected[0], corrected[1], corrected[2]);
                     });
                 } else {
@@ -694,7 +690,7 @@ export function applyEdgeColoring(scene, voronoiEdgesGroup, analysisScores, comp
             // Apply minimum image convention
             const p1 = edge.start;
             const p2 = edge.end;
-            const p2_corrected = getMinimumImage(p1, p2);
+            const p2_corrected = getMinimumImage(p1, p2, computation.domain);
             
             positions = new Float32Array([
                 p1[0], p1[1], p1[2],
@@ -728,6 +724,39 @@ export function applyEdgeColoring(scene, voronoiEdgesGroup, analysisScores, comp
     console.log(`Applied edge coloring to ${computation.voronoiEdges.length} Voronoi edges`);
 }
 
+/**
+ * Colors of the tetrahedra by one quality metric (see GeometryAnalysis.tetrahedronQuality),
+ * on the same gradient as the analysis coloring: the smallest value is blue, the largest
+ * red. Slivers are red, all other tetrahedra blue. Infinite values (flat tetrahedra) get
+ * the color of the largest finite value.
+ * @param {Object} quality - Result of tetrahedronQuality()
+ * @param {string} metric - One of TETRAHEDRON_QUALITY_METRICS
+ * @returns {{colors: Array<number>, min: number, max: number}} One hex color per tetrahedron
+ *          and the range of the metric
+ */
+export function tetrahedronColors(quality, metric) {
+    const values = quality[metric];
+    if (!values) {
+        throw new Error(`Unknown tetrahedron quality metric '${metric}'`);
+    }
+    if (metric === 'isSliver') {
+        return { colors: values.map(sliver => mapValueToColor(sliver ? 1 : 0)), min: 0, max: 1 };
+    }
+    
+    const finite = values.filter(Number.isFinite);
+    // Reduce rather than spread: there are far more tetrahedra than cells
+    const min = finite.length > 0 ? finite.reduce((a, b) => Math.min(a, b)) : 0;
+    const max = finite.length > 0 ? finite.reduce((a, b) => Math.max(a, b)) : 0;
+    const range = max - min;
+    const colors = values.map(value => {
+        const normalized = Number.isFinite(value) ? (range > 0 ? (value - min) / range : 0) : 1;
+        return mapValueToColor(normalized);
+    });
+    
+    console.log(`Tetrahedron ${metric} range: ${min} to ${max}`);
+    return { colors, min, max };
+}
+
 /**
  * Main function to apply analysis coloring based on mode
  * @param {Object} scene - Three.js scene object
@@ -7,7 +7,8 @@
 
 export class WorkerManager {
     constructor(maxWorkers = 4) {
-        this.maxWorkers = Math.min(maxWorkers, navigator.hardwareConcurrency || 4);
+        const hardwareConcurrency = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+        this.maxWorkers = Math.min(maxWorkers, hardwareConcurrency || 4);
         this.workers = [];
         this.taskQueue = [];
         this.activeTasksCount = 0;
@@ -20,6 +21,9 @@ export class WorkerManager {
      */
     async initialize() {
         if (this.isInitialized) return;
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Workers are not available here; use analyzeAcuteness() from GeometryAnalysis.js instead');
+        }
         
         console.log(`Initializing ${this.maxWorkers} Web Workers for acuteness computation...`);
         
@@ -234,6 +238,12 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
         const faces = computation.getFaces();
         const tetrahedra = computation.getDelaunayTetrahedra();
         const points = computation.getPoints();
+        // Workers apply the minimum image convention themselves
+        const lattice = computation.isPeriodic && computation.domain ? {
+            cell: computation.domain.cell,
+            inverseCell: computation.domain.inverseCell,
+            periodic: computation.domain.periodic
+        } : null;
         
         // Create chunks for parallel processing
         const cellChunks = chunkArray(
@@ -254,7 +264,8 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             workerManager.addTask('CELL_ACUTENESS', {
                 cellChunk: chunk,
                 maxScore,
-                searchRadius
+                searchRadius,
+                lattice
             }, `cell-${index}`);
         });
         
@@ -271,7 +282,8 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             workerManager.addTask('VERTEX_ACUTENESS', {
                 tetraChunk: chunk,
                 points,
-                maxScore
+                maxScore,
+                lattice
             }, `vertex-${index}`);
         });
         
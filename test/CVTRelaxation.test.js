@@ -0,0 +1,168 @@
+/**
+ * CVTRelaxation.test.js
+ *
+ * Unit tests for the CVTRelaxation module
+ * A Lloyd step on a hand-built triangulation (no WASM needed), and the energy and
+ * convergence of Lloyd and L-BFGS relaxations of small periodic point sets
+ * (triangulated by the WASM module)
+ */
+
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { CVTRelaxation, measureCVT } from '../src/js/CVTRelaxation.js';
+import { generatePoints } from '../src/js/PointGeneration.js';
+import { mirrorGridTriangulation } from './DelaunayComputation.test.js';
+import { runTests } from './runTests.js';
+
+const TOLERANCE = 1e-9;
+
+/**
+ * A single point clipped to the unit box: its cell is the box, so one Lloyd step
+ * moves it to the center; the energy is the second moment of the box about the point
+ */
+function testLloydStep() {
+    console.log('Testing a Lloyd step...');
+
+    const { tetrahedra, images } = mirrorGridTriangulation();
+    const point = [0.3, 0.4, 0.45];
+    const computation = new DelaunayComputation([point], false, { clip: true, voronoiVertexMode: 'circumcenter' });
+    computation.compute({ compute_delaunay_ex: () => ({ tetrahedra, images }) });
+
+    // 3 / 12 about the center, plus the squared distance of the point from it
+    const energy = 0.25 + 0.2 * 0.2 + 0.1 * 0.1 + 0.05 * 0.05;
+    const measured = measureCVT(computation);
+    if (Math.abs(measured.energy - energy) > TOLERANCE || measured.numFixed !== 0) {
+        throw new Error(`Expected CVT energy ${energy}, got ${measured.energy}`);
+    }
+    // dE/dp = 2 m (p - c)
+    const gradient = [2 * (0.3 - 0.5), 2 * (0.4 - 0.5), 2 * (0.45 - 0.5)];
+    if (gradient.some((g, axis) => Math.abs(measured.gradient[axis] - g) > TOLERANCE)) {
+        throw new Error(`Expected gradient [${gradient}], got [${Array.from(measured.gradient)}]`);
+    }
+
+    for (const method of ['lloyd', 'lbfgs']) {
+        const relaxation = new CVTRelaxation({ method });
+        const [moved] = relaxation.step([point], computation);
+        if ([0, 1, 2].some(axis => Math.abs(moved[axis] - 0.5) > TOLERANCE)) {
+            throw new Error(`The first ${method} step should move the point to the center, got [${moved}]`);
+        }
+        const stats = relaxation.getStats();
+        if (stats.step !== method || Math.abs(stats.energy - energy) > TOLERANCE) {
+            throw new Error(`Wrong ${method} step record: ${JSON.stringify(stats)}`);
+        }
+
+        // Points the computation was not built for are not moved
+        const [stale] = relaxation.step([[0.1, 0.1, 0.1]], computation);
+        if (stale.join(',') !== '0.1,0.1,0.1' || relaxation.history.length !== 1) {
+            throw new Error('A stale computation should leave the points and the history alone');
+        }
+    }
+
+    // Unbounded cells have no centroid
+    const unbounded = new DelaunayComputation([point], false, { voronoiVertexMode: 'circumcenter' });
+    const [kept] = new CVTRelaxation().step([point], unbounded);
+    if (kept.join(',') !== point.join(',')) {
+        throw new Error('Unbounded cells should not be relaxed');
+    }
+
+    return true;
+}
+
+/**
+ * Relax a small periodic point set
+ */
+async function relaxSmallSet(wasmModule, method, options) {
+    const points = generatePoints({}, { numPoints: 16, minDistance: 0, seed: 5 });
+    return new CVTRelaxation({ method }).relax(wasmModule, points, true, options);
+}
+
+/**
+ * The CVT energy never increases over Lloyd steps and over the accepted L-BFGS steps
+ * (a rejected quasi-Newton step is replaced by a Lloyd step from where it started)
+ */
+async function testEnergyDecreases(wasmModule) {
+    console.log('Testing that the CVT energy decreases...');
+
+    for (const method of ['lloyd', 'lbfgs']) {
+        const { history } = await relaxSmallSet(wasmModule, method, { maxIterations: 30, tolerance: 0 });
+        if (history.length !== 31) {
+            throw new Error(`${method}: expected 31 recorded steps, got ${history.length}`);
+        }
+        if (method === 'lloyd' && history.some(entry => entry.step !== 'lloyd')) {
+            throw new Error('Lloyd relaxations should only take Lloyd steps');
+        }
+        const accepted = history.filter(entry => entry.step !== 'rejected');
+        for (let k = 1; k < accepted.length; k++) {
+            if (accepted[k].energy > accepted[k - 1].energy * (1 + 1e-12)) {
+                throw new Error(`${method}: energy rose from ${accepted[k - 1].energy} to ${accepted[k].energy} at step ${accepted[k].iteration}`);
+            }
+        }
+        if (!(history[history.length - 1].energy < history[0].energy)) {
+            throw new Error(`${method}: the energy should decrease overall`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Both methods converge on a small periodic set: every generator ends up at the
+ * centroid of its cell, L-BFGS in fewer steps than Lloyd
+ */
+async function testConvergence(wasmModule) {
+    console.log('Testing CVT convergence...');
+
+    const steps = {};
+    for (const method of ['lloyd', 'lbfgs']) {
+        const tolerance = 1e-3;
+        const { points, computation, history, converged } = await relaxSmallSet(wasmModule, method, { maxIterations: 200, tolerance });
+        if (!converged) {
+            throw new Error(`${method}: no convergence in 200 steps (residual ${history[history.length - 1].residual})`);
+        }
+        steps[method] = history.length;
+
+        // The final tessellation belongs to the returned points, all at their centroids
+        const spacing = Math.cbrt(1 / points.length);
+        const { offsets, numFixed } = measureCVT(computation);
+        const residual = Math.sqrt(offsets.reduce((sum, x) => sum + x * x, 0) / points.length) / spacing;
+        if (numFixed !== 0 || residual > tolerance || computation.pointsArray.some((p, i) => p.some((x, axis) => x !== points[i][axis]))) {
+            throw new Error(`${method}: the relaxed points should sit at their centroids (residual ${residual})`);
+        }
+        if (!computation.checkCellVolumes(1e-9).ok) {
+            throw new Error(`${method}: the relaxed cells should tile the box`);
+        }
+    }
+    if (!(steps.lbfgs < steps.lloyd)) {
+        throw new Error(`L-BFGS should need fewer steps than Lloyd (${steps.lbfgs} vs ${steps.lloyd})`);
+    }
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export function runCVTRelaxationTests() {
+    const tests = [
+        ['Lloyd step', testLloydStep]
+    ];
+
+    return runTests('CVTRelaxation', tests);
+}
+
+/**
+ * Runner of the relaxations triangulated by the WASM module (in Node, test/run.js
+ * loads it from dist/)
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export async function runCVTRelaxationWasmTests(wasmModule) {
+    // Bindings a test needs beyond the legacy compute_delaunay; without them it is skipped
+    const tests = [
+        ['Energy decreases', testEnergyDecreases, []],
+        ['Convergence', testConvergence, []]
+    ];
+
+    return runTests('CVTRelaxation WASM', tests, wasmModule);
+}
+
+// Export for module usage
+export { testLloydStep, testEnergyDecreases, testConvergence };
@@ -0,0 +1,188 @@
+/**
+ * CommandLine.test.js
+ *
+ * Tests of the fabric command-line tool (Node.js only)
+ * Runs bin/fabric.js as a subprocess and checks its exit codes, error messages
+ * and outputs; commands that triangulate load the WASM module from dist/
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DelaunayComputation, wasmModuleStatus } from '../src/js/DelaunayComputation.js';
+import { generatePoints } from '../src/js/PointGeneration.js';
+import { createComputation } from './DelaunayComputation.test.js';
+import { runTests } from './runTests.js';
+
+const FABRIC = fileURLToPath(new URL('../bin/fabric.js', import.meta.url));
+
+/**
+ * Run the fabric tool
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function fabric(...args) {
+    const result = spawnSync(process.execPath, [FABRIC, ...args], { encoding: 'utf8', timeout: 120000 });
+    if (result.error) {
+        throw result.error;
+    }
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function assertExit(result, status, pattern, message) {
+    if (result.status !== status || !pattern.test(result.stderr)) {
+        throw new Error(`${message}: expected exit code ${status} and ${pattern}, got ${result.status}: ${result.stderr.trim()}`);
+    }
+}
+
+/**
+ * Run fn with a scratch directory that is removed afterwards
+ */
+function withScratchDirectory(fn) {
+    const directory = mkdtempSync(path.join(os.tmpdir(), 'fabric-test-'));
+    try {
+        return fn(directory);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Usage errors (unknown commands, options, values and formats) exit with code 2,
+ * --help with 0; nothing is written to stdout but the help
+ */
+function testArgumentValidation() {
+    console.log('Testing argument validation...');
+
+    const help = fabric('--help');
+    if (help.status !== 0 || !help.stdout.startsWith('Usage: fabric') || help.stderr !== '') {
+        throw new Error(`--help should print the usage to stdout and exit with 0, got ${help.status}`);
+    }
+
+    const cases = [
+        [[], /^Usage: fabric/, 'No command'],
+        [['frobnicate'], /Unknown command 'frobnicate'/, 'Unknown command'],
+        [['triangulate', '--bogus'], /Unknown option --bogus/, 'Unknown option'],
+        [['triangulate', '--num-points', '2'], /--num-points: expected a number >= 4/, 'Value below the minimum'],
+        [['grow', '--growth-mode', 'shrink_all'], /--growth-mode/, 'Unknown choice'],
+        [['analyze', '--format', 'xyz'], /Unknown format 'xyz' for analyze/, 'Format of another command']
+    ];
+    for (const [args, pattern, name] of cases) {
+        const result = fabric(...args);
+        assertExit(result, 2, pattern, name);
+        if (result.stdout !== '') {
+            throw new Error(`${name}: usage errors should not write to stdout`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Inputs that cannot be used exit with code 1 and say why
+ */
+function testInvalidInput() {
+    console.log('Testing invalid input...');
+
+    withScratchDirectory(directory => {
+        const file = name => path.join(directory, name);
+        writeFileSync(file('other.json'), JSON.stringify({ format: 'something else' }));
+        writeFileSync(file('broken.json'), '{"format": ');
+        writeFileSync(file('few.csv'), 'x,y,z\n0.1,0.2,0.3\n0.4,0.5,0.6\n');
+        writeFileSync(file('config.json'), JSON.stringify({ numPoints: 'many' }));
+
+        assertExit(fabric('analyze', file('missing.csv')), 1, /Cannot read .*missing\.csv/, 'Missing file');
+        assertExit(fabric('triangulate', file('other.json')), 1, /is not a snapshot written by fabric triangulate/, 'Foreign JSON');
+        assertExit(fabric('triangulate', file('broken.json')), 1, /is not valid JSON/, 'Broken JSON');
+        assertExit(fabric('triangulate', file('few.csv')), 1, /has 2 usable points \(at least 4 needed\)/, 'Too few points');
+        // Config files hold settings, so their errors are usage errors
+        assertExit(fabric('triangulate', '--config', file('config.json')), 2, /numPoints/, 'Invalid config value');
+    });
+
+    return true;
+}
+
+/**
+ * A seeded triangulation is written as a snapshot, to a file or to stdout, and
+ * records its seed; the snapshot is exported without triangulating again
+ */
+function testSnapshotRoundTrip() {
+    console.log('Testing snapshots on the command line...');
+
+    withScratchDirectory(directory => {
+        const snapshot = path.join(directory, 'run.json');
+        const args = ['triangulate', '--num-points', '40', '--seed', '11', '--voronoi-vertex-mode', 'circumcenter'];
+        const first = fabric(...args, '--output', snapshot);
+        if (first.status !== 0 || first.stdout !== '') {
+            throw new Error(`triangulate --output should write the file only, got ${first.status}: ${first.stderr.trim()}`);
+        }
+        const second = fabric(...args);
+        if (second.status !== 0) {
+            throw new Error(`triangulate should write the snapshot to stdout, got ${second.status}: ${second.stderr.trim()}`);
+        }
+        const computation = DelaunayComputation.fromJSON(second.stdout);
+        if (computation.seed !== 11 || computation.numPoints !== 40 || !computation.checkCellVolumes(1e-9).ok) {
+            throw new Error('The snapshot should hold the seed and the tessellation of the 40 points');
+        }
+
+        const exported = fabric('export', snapshot, '--format', 'obj');
+        if (exported.status !== 0 || !exported.stdout.startsWith('# Voronoi cells: 40 pieces\n# seed 11\n')) {
+            throw new Error(`export of a snapshot should write the OBJ with the seed, got ${exported.status}: ${exported.stderr.trim()}`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Growing from a snapshot of a power diagram keeps its weights: with a current
+ * module the growth differs from that of the same points without weights, a stale
+ * one (no weighted triangulation) fails instead of silently dropping them
+ */
+function testGrowKeepsWeights(wasmModule) {
+    console.log('Testing growth from a weighted snapshot...');
+
+    const points = generatePoints({}, { numPoints: 30, minDistance: 0.05, seed: 3 });
+    const snapshot = (options) => JSON.stringify(createComputation(points, [], true, 'circumcenter', { seed: 3, ...options }));
+
+    withScratchDirectory(directory => {
+        const plain = path.join(directory, 'plain.json');
+        const weighted = path.join(directory, 'weighted.json');
+        writeFileSync(plain, snapshot({}));
+        writeFileSync(weighted, snapshot({ weights: points.map((p, i) => 0.002 * (i % 3)) }));
+
+        const args = ['--steps', '2', '--format', 'csv'];
+        const unweightedRun = fabric('grow', plain, ...args);
+        if (unweightedRun.status !== 0) {
+            throw new Error(`grow from a snapshot failed: ${unweightedRun.stderr.trim()}`);
+        }
+        const weightedRun = fabric('grow', weighted, ...args);
+        if (wasmModuleStatus(wasmModule).missing.includes('compute_delaunay_ex')) {
+            assertExit(weightedRun, 1, /stale: it has no compute_delaunay_ex, which weighted points need/, 'Weighted growth with a stale module');
+        } else if (weightedRun.status !== 0 || weightedRun.stdout === unweightedRun.stdout) {
+            throw new Error(`grow should use the weights of the snapshot (exit code ${weightedRun.status}: ${weightedRun.stderr.trim()})`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Runner of the command-line tests (in Node, test/run.js loads the WASM module from
+ * dist/; the tool loads its own copy)
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export async function runCommandLineTests(wasmModule) {
+    const tests = [
+        ['Argument validation', testArgumentValidation],
+        ['Invalid input', testInvalidInput],
+        ['Snapshot round trip', testSnapshotRoundTrip],
+        ['Grow keeps weights', testGrowKeepsWeights]
+    ];
+
+    return runTests('CommandLine', tests, wasmModule);
+}
+
+// Export for module usage
+export { testArgumentValidation, testInvalidInput, testSnapshotRoundTrip, testGrowKeepsWeights };
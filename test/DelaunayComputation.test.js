@@ -0,0 +1,1231 @@
+/**
+ * DelaunayComputation.test.js
+ *
+ * Unit tests for the DelaunayComputation module
+ * Tests Voronoi vertex placement on hand-built tetrahedra (no WASM needed)
+ */
+
+import { DelaunayComputation, SNAPSHOT_VERSION, wasmModuleStatus } from '../src/js/DelaunayComputation.js';
+import { topologyStatistics, eulerCheck } from '../src/js/TopologyStatistics.js';
+import { generatePoints } from '../src/js/PointGeneration.js';
+import { exportOBJ } from '../src/js/MeshExporter.js';
+import { FastAcutenessAnalyzer } from '../src/js/FastAcuteness.js';
+import { runTests } from './runTests.js';
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Build a computation from explicit tetrahedra, bypassing the WASM triangulation
+ */
+function createComputation(points, tetrahedra, isPeriodic, voronoiVertexMode, options = {}) {
+    const computation = new DelaunayComputation(points, isPeriodic, { voronoiVertexMode, ...options });
+    computation.tetrahedra = tetrahedra;
+    computation._computeVoronoi();
+    return computation;
+}
+
+function distance(p1, p2) {
+    return Math.hypot(p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]);
+}
+
+function assertClose(actual, expected, message) {
+    for (let i = 0; i < 3; i++) {
+        if (Math.abs(actual[i] - expected[i]) > TOLERANCE) {
+            throw new Error(`${message}: expected [${expected}], got [${actual}]`);
+        }
+    }
+}
+
+/**
+ * The circumcenter is equidistant from all four vertices, the barycenter generally is not
+ */
+function testCircumcenterIsEquidistant() {
+    console.log('Testing circumcenter equidistance...');
+
+    const points = [[0.1, 0.1, 0.1], [0.7, 0.2, 0.1], [0.2, 0.6, 0.2], [0.3, 0.3, 0.8]];
+    const computation = createComputation(points, [[0, 1, 2, 3]], false, 'circumcenter');
+    const center = computation.getVertices()[0];
+
+    const radii = points.map(p => distance(center, p));
+    const spread = Math.max(...radii) - Math.min(...radii);
+    if (spread > TOLERANCE) {
+        throw new Error(`Circumcenter is not equidistant (spread ${spread})`);
+    }
+
+    const barycentric = computation.withVoronoiVertexMode('barycenter');
+    assertClose(barycentric.getVertices()[0], [0.325, 0.3, 0.3], 'Barycenter');
+    if (JSON.stringify(barycentric.tetrahedra) !== JSON.stringify(computation.tetrahedra)) {
+        throw new Error('withVoronoiVertexMode() should copy the triangulation');
+    }
+    if (barycentric.tetrahedronData === computation.tetrahedronData) {
+        throw new Error('withVoronoiVertexMode() should not share the triangulation arrays');
+    }
+
+    return true;
+}
+
+/**
+ * A tetrahedron straddling the periodic boundary must be unwrapped before
+ * its circumcenter is taken, and the result wrapped back into the unit cube
+ */
+function testPeriodicCircumcenter() {
+    console.log('Testing periodic circumcenter...');
+
+    // Unit right-corner tetrahedron at the origin, shifted across the x = 0 boundary
+    const s = 0.1;
+    const points = [[0.95, 0.5, 0.5], [0.95 + s - 1, 0.5, 0.5], [0.95, 0.5 + s, 0.5], [0.95, 0.5, 0.5 + s]];
+    const computation = createComputation(points, [[0, 1, 2, 3]], true, 'circumcenter');
+
+    // Circumcenter of the corner tetrahedron is the corner plus half the edge in each axis
+    assertClose(computation.getVertices()[0], [0.0, 0.55, 0.55], 'Periodic circumcenter');
+    // The tetrahedron is measured in one piece, with the wrapped vertex unwrapped
+    assertClose(computation.getTetrahedronVertices(0)[1], [1.05, 0.5, 0.5], 'Unwrapped tetrahedron vertex');
+
+    // The Voronoi vertex reaches every cell through the cells map
+    const cells = computation.getCells();
+    if (cells.size !== 4) {
+        throw new Error(`Expected 4 cells, got ${cells.size}`);
+    }
+
+    return true;
+}
+
+/**
+ * Four co-circular points form a flat sliver; the fallback must land on the circle center
+ */
+function testSliverFallback() {
+    console.log('Testing sliver fallback...');
+
+    const points = [[0.7, 0.5, 0.5], [0.5, 0.7, 0.5], [0.3, 0.5, 0.5], [0.5, 0.3, 0.5 + 1e-14]];
+    const computation = createComputation(points, [[0, 1, 2, 3]], false, 'circumcenter');
+
+    if (computation.numDegenerateTetrahedra !== 1) {
+        throw new Error(`Expected 1 degenerate tetrahedron, got ${computation.numDegenerateTetrahedra}`);
+    }
+    const center = computation.getVertices()[0];
+    if (distance(center, [0.5, 0.5, 0.5]) > 1e-6) {
+        throw new Error(`Sliver fallback should be the circle center, got [${center}]`);
+    }
+
+    return true;
+}
+
+/**
+ * Minimum images and wrapping follow the box lengths, not the unit cube
+ */
+function testOrthorhombicBox() {
+    console.log('Testing orthorhombic box...');
+
+    const box = [2, 1, 0.5];
+
+    // 0.9 apart along x is a direct neighbour in a box of length 2, but 0.1 apart along y
+    const probe = new DelaunayComputation([[0, 0, 0]], true, { box });
+    const dx = probe.getPeriodicDistance([0.05, 0.5, 0.25], [0.95, 0.5, 0.25]);
+    const dy = probe.getPeriodicDistance([0.5, 0.05, 0.25], [0.5, 0.95, 0.25]);
+    if (Math.abs(dx - 0.9) > TOLERANCE || Math.abs(dy - 0.1) > TOLERANCE) {
+        throw new Error(`Wrong minimum image distances: dx=${dx}, dy=${dy}`);
+    }
+
+    // Corner tetrahedron straddling the z = 0 face of the box
+    const s = 0.2;
+    const points = [[1.0, 0.5, 0.45], [1.0 + s, 0.5, 0.45], [1.0, 0.5 + s, 0.45], [1.0, 0.5, 0.45 + s - 0.5]];
+    const computation = createComputation(points, [[0, 1, 2, 3]], true, 'circumcenter', { box });
+    assertClose(computation.getVertices()[0], [1.1, 0.6, 0.05], 'Box circumcenter');
+
+    // Boxes are validated up front
+    let threw = false;
+    try {
+        new DelaunayComputation(points, true, { box: [1, 0, 1] });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('A zero-length box should be rejected');
+    }
+
+    return true;
+}
+
+/**
+ * Sheared cells: minimum images and wrapping follow the lattice vectors, and
+ * vertex images from the triangulation take precedence over minimum images
+ */
+function testTriclinicCell() {
+    console.log('Testing triclinic cell...');
+
+    const cell = [[1, 0, 0], [0.5, 1, 0], [0, 0, 1]];
+
+    // Corner tetrahedron at q0 whose second vertex sits one lattice vector b away
+    const q0 = [0.6, 0.95, 0.5];
+    const points = [q0, [0.8, 0.95, 0.5], [0.1, 0.15, 0.5], [0.6, 0.95, 0.7]];
+    const expected = [0.2, 0.05, 0.6];
+
+    const byMinimumImage = createComputation(points, [[0, 1, 2, 3]], true, 'circumcenter', { cell });
+    assertClose(byMinimumImage.getVertices()[0], expected, 'Triclinic circumcenter (minimum image)');
+
+    const computation = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter', cell });
+    computation.tetrahedra = [[0, 1, 2, 3]];
+    computation.tetImages = [[[0, 0, 0], [0, 0, 0], [0, 1, 0], [0, 0, 0]]];
+    computation._computeVoronoi();
+    assertClose(computation.getVertices()[0], expected, 'Triclinic circumcenter (vertex images)');
+
+    // The straight segment is long, its sheared minimum image is not
+    const distance = computation.getPeriodicDistance(q0, points[2]);
+    if (Math.abs(distance - 0.2) > TOLERANCE) {
+        throw new Error(`Wrong triclinic minimum image distance: ${distance}`);
+    }
+    if (computation.domain.getVolume() !== 1) {
+        throw new Error(`Shear should preserve the cell volume, got ${computation.domain.getVolume()}`);
+    }
+
+    return true;
+}
+
+/**
+ * Per-axis periodicity: minimum images and wrapping only act along periodic axes,
+ * and mirror vertices clip the cells at the walls
+ */
+function testMixedPeriodicity() {
+    console.log('Testing mixed periodicity...');
+
+    // Thin film: periodic in x and y, walls at z = 0 and z = 1
+    const periodic = [true, true, false];
+    const probe = new DelaunayComputation([[0, 0, 0]], periodic);
+    const dx = probe.getPeriodicDistance([0.05, 0.5, 0.05], [0.95, 0.5, 0.05]);
+    const dz = probe.getPeriodicDistance([0.5, 0.5, 0.05], [0.5, 0.5, 0.95]);
+    if (Math.abs(dx - 0.1) > TOLERANCE || Math.abs(dz - 0.9) > TOLERANCE) {
+        throw new Error(`Wrong mixed minimum image distances: dx=${dx}, dz=${dz}`);
+    }
+    assertClose(probe.domain.wrap([1.2, -0.1, 1.3]), [0.2, 0.9, 1], 'Wrap with walls');
+
+    // Point 0 and its mirror image across the z = 0 wall: the Voronoi vertex lies on the wall
+    const points = [[0.5, 0.5, 0.1], [0.7, 0.5, 0.1], [0.5, 0.7, 0.1]];
+    const computation = new DelaunayComputation(points, periodic, { voronoiVertexMode: 'circumcenter' });
+    computation.tetrahedra = [[0, 1, 2, 0]];
+    computation.tetImages = [[[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, -1]]];
+    computation._computeVoronoi();
+    assertClose(computation.getVertices()[0], [0.6, 0.6, 0], 'Wall vertex');
+
+    // The mirror vertex has no cell of its own
+    const cells = computation.getCells();
+    if (cells.size !== 3 || cells.get(0).length !== 1) {
+        throw new Error(`Mirror vertices should not add cell vertices (cell 0 has ${cells.get(0).length})`);
+    }
+
+    // Walls must be perpendicular to their lattice vector
+    let threw = false;
+    try {
+        new DelaunayComputation(points, periodic, { cell: [[1, 0, 0], [0, 1, 0], [0.2, 0, 1]] });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('A wall that is not perpendicular to its lattice vector should be rejected');
+    }
+
+    return true;
+}
+
+/**
+ * Weighted points place the Voronoi vertex at the power center
+ */
+function testPowerCenter() {
+    console.log('Testing power center...');
+
+    // Corner tetrahedron with edge 0.4; a weight of 0.08 on the x vertex moves
+    // the x bisector from 0.2 to (0.4^2 - 0.08) / (2 * 0.4) = 0.1 from the corner
+    const base = [0.1, 0.1, 0.1];
+    const points = [[0, 0, 0], [0.4, 0, 0], [0, 0.4, 0], [0, 0, 0.4]].map(p => p.map((x, i) => x + base[i]));
+    const weights = [0, 0.08, 0, 0];
+    const computation = new DelaunayComputation(points, false, { weights });
+    computation.tetrahedra = [[0, 1, 2, 3]];
+    computation._computeVoronoi();
+
+    if (computation.voronoiVertexMode !== 'circumcenter') {
+        throw new Error(`Weighted computations should default to circumcenter mode, got ${computation.voronoiVertexMode}`);
+    }
+    const center = computation.getVertices()[0];
+    assertClose(center, [0.2, 0.3, 0.3], 'Power center');
+
+    // Equal power from all four weighted points
+    const powers = points.map((p, i) => distance(center, p) ** 2 - weights[i]);
+    if (Math.max(...powers) - Math.min(...powers) > TOLERANCE) {
+        throw new Error(`Power center does not have equal power: ${powers}`);
+    }
+
+    // Equal radii shift every bisector equally and give back the circumcenter
+    const equal = createComputation(points, [[0, 1, 2, 3]], false, 'circumcenter', { radii: [0.1, 0.1, 0.1, 0.1] });
+    assertClose(equal.getVertices()[0], [0.3, 0.3, 0.3], 'Equal radii');
+
+    let threw = false;
+    try {
+        new DelaunayComputation(points, false, { weights: [0, 1] });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Weights of the wrong length should be rejected');
+    }
+
+    return true;
+}
+
+/**
+ * A point inside a cube of eight others has an octahedral cell; the corners have
+ * unbounded cells
+ */
+function testCellPolyhedron() {
+    console.log('Testing cell polyhedron...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+
+    // Cone every cube face, split along a diagonal, to the center point
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter');
+
+    // The two tetrahedra on each square share their circumcenter, 0.75 out from the center
+    const cell = computation.getCellPolyhedron(8);
+    if (!cell.closed || cell.vertices.length !== 6 || cell.faces.length !== 8) {
+        throw new Error(`Expected a closed octahedron, got ${cell.vertices.length} vertices and ${cell.faces.length} faces`);
+    }
+
+    let volume = 0;
+    for (const face of cell.faces) {
+        if (face.vertices.length !== 3 || face.neighbor < 0 || face.neighbor > 7 || face.image.some(x => x !== 0)) {
+            throw new Error(`Unexpected face ${JSON.stringify(face)}`);
+        }
+        const [a, b, c] = face.vertices.map(v => cell.vertices[v]);
+        volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+    }
+
+    // Outward loops give a positive volume of 4/3 * 0.75^3
+    if (Math.abs(volume - 0.5625) > TOLERANCE) {
+        throw new Error(`Octahedron volume should be 0.5625, got ${volume}`);
+    }
+
+    if (computation.getCellPolyhedron(0).closed) {
+        throw new Error('Cells on the convex hull should not be closed');
+    }
+
+    return true;
+}
+
+/**
+ * Volume, surface area, centroid and second moment of the octahedral cell of testCellPolyhedron
+ */
+function testCellMeasures() {
+    console.log('Testing cell measures...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter');
+
+    const measures = computation.getCellMeasures();
+    if (measures.length !== 9 || measures[0] !== null) {
+        throw new Error('Unbounded cells should have no measures');
+    }
+
+    // Regular octahedron with edge 0.75 * sqrt(2): area 2 * sqrt(3) * edge^2, and
+    // integral of |x - center|^2 equal to 3 / 10 * volume * 0.75^2
+    const { volume, surfaceArea, centroid, secondMoment } = measures[8];
+    if (Math.abs(volume - 0.5625) > TOLERANCE || Math.abs(surfaceArea - 2 * Math.sqrt(3) * 1.125) > TOLERANCE ||
+        Math.abs(secondMoment - 0.3 * 0.5625 * 0.5625) > TOLERANCE) {
+        throw new Error(`Wrong octahedron measures: volume ${volume}, area ${surfaceArea}, second moment ${secondMoment}`);
+    }
+    assertClose(centroid, [0.5, 0.5, 0.5], 'Octahedron centroid');
+
+    const check = computation.checkCellVolumes();
+    if (check.expectedVolume !== null || Math.abs(check.totalVolume - 0.5625) > TOLERANCE) {
+        throw new Error(`Non-periodic volume check should only sum the bounded cells: ${JSON.stringify(check)}`);
+    }
+
+    return true;
+}
+
+/**
+ * Adjacency of the octahedral cell of testCellPolyhedron
+ */
+function testNeighborGraph() {
+    console.log('Testing neighbor graph...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter');
+
+    const graph = computation.getNeighborGraph();
+    if (!(graph.offsets instanceof Int32Array) || graph.offsets.length !== 10 || graph.images.length !== 3 * graph.neighbors.length) {
+        throw new Error('Neighbor graph should be stored as CSR typed arrays');
+    }
+    if (computation.getNeighborGraph() !== graph) {
+        throw new Error('Neighbor graph should be cached');
+    }
+
+    // The center touches every corner through an equilateral triangle with edge 0.75 * sqrt(2)
+    const triangleArea = Math.sqrt(3) / 4 * 1.125;
+    const center = computation.getNeighbors(8);
+    const sorted = Array.from(center.neighbors).sort((a, b) => a - b);
+    if (sorted.join(',') !== '0,1,2,3,4,5,6,7') {
+        throw new Error(`Wrong neighbors of the center: ${sorted}`);
+    }
+    if (center.areas.some(area => Math.abs(area - triangleArea) > TOLERANCE) || center.images.some(x => x !== 0)) {
+        throw new Error(`Wrong faces of the center: ${center.areas}`);
+    }
+
+    // A corner sees the center through the same face, and its other faces are unbounded
+    const corner = computation.getNeighbors(0);
+    const toCenter = Array.from(corner.neighbors).indexOf(8);
+    if (toCenter < 0 || Math.abs(corner.areas[toCenter] - triangleArea) > TOLERANCE) {
+        throw new Error('Adjacency should be symmetric with equal face areas');
+    }
+    if (!Array.from(corner.areas).some(area => area === Infinity)) {
+        throw new Error('Faces of unbounded cells should have infinite area');
+    }
+
+    return true;
+}
+
+/**
+ * Vertex images from the triangulation decide edge periodicity, not distances
+ */
+function testVertexImages() {
+    console.log('Testing vertex images...');
+
+    // Point 1 is used through its image on the other side of the x boundary
+    const points = [[0.05, 0.5, 0.5], [0.95, 0.5, 0.5], [0.05, 0.6, 0.5], [0.05, 0.5, 0.6]];
+    const computation = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter' });
+    computation.tetrahedra = [[0, 1, 2, 3]];
+    computation.tetImages = [[[0, 0, 0], [-1, 0, 0], [0, 0, 0], [0, 0, 0]]];
+    computation._computeVoronoi();
+
+    // Points 0 and 1 are 0.1 apart through the boundary, so the circumcenter sits on it
+    assertClose(computation.getVertices()[0], [0, 0.55, 0.55], 'Circumcenter from images');
+
+    if (!computation.isPeriodicTetEdge(0, 0, 1) || computation.isPeriodicTetEdge(0, 0, 2)) {
+        throw new Error('Edge periodicity should follow the vertex images');
+    }
+
+    // The same points as one tetrahedron inside the box: nothing crosses the boundary
+    computation.tetImages = [[[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]]];
+    if (computation.isPeriodicTetEdge(0, 0, 1)) {
+        throw new Error('Long edges within one image are not periodic');
+    }
+
+    return true;
+}
+
+/**
+ * The typed-array binding reads the points from the WASM heap and returns flat
+ * tetrahedra, which are stored flat and expanded on demand
+ */
+function testTypedTransport() {
+    console.log('Testing typed-array transport...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+
+    // Stand-in for the WASM module: a small heap and the typed binding
+    const adjacency = new Int32Array(48).fill(-1);
+    const heap = { received: null, freed: [] };
+    const wasmModule = {
+        HEAPF64: new Float64Array(64),
+        _malloc: () => 64,
+        _free: pointer => heap.freed.push(pointer),
+        compute_delaunay_typed(pointer, numPoints, options) {
+            heap.received = Array.from(wasmModule.HEAPF64.subarray(pointer / 8, pointer / 8 + numPoints * 3));
+            return {
+                tetrahedra: Int32Array.from(tetrahedra.flat()),
+                ...(options.adjacency ? { adjacency } : {})
+            };
+        }
+    };
+
+    const computation = new DelaunayComputation(points, false, { voronoiVertexMode: 'circumcenter' });
+    computation.compute(wasmModule);
+    if (computation.transport !== 'typed' || computation.getStats().transport !== 'typed') {
+        throw new Error(`Modules with compute_delaunay_typed should be called through it, not '${computation.transport}'`);
+    }
+    if (heap.received.join(',') !== points.flat().join(',') || heap.freed.join(',') !== '64') {
+        throw new Error('Points should be passed through the WASM heap and freed afterwards');
+    }
+    if (!(computation.tetrahedronData instanceof Int32Array) || computation.numTetrahedra !== 12) {
+        throw new Error('Tetrahedra should be stored as a flat Int32Array');
+    }
+    if (JSON.stringify(computation.tetrahedra) !== JSON.stringify(tetrahedra) || computation.getCellMeasures()[8] === null) {
+        throw new Error('Nested tetrahedra and cells should be available from the flat storage');
+    }
+
+    // Without native adjacency it is built from the faces: one hull face per tetrahedron
+    const neighbors = computation.getTetrahedronNeighbors();
+    if (neighbors.filter(t => t < 0).length !== 12) {
+        throw new Error('Each tetrahedron should have exactly one face on the convex hull');
+    }
+    for (let t = 0; t < 12; t++) {
+        for (let v = 0; v < 4; v++) {
+            const other = neighbors[t * 4 + v];
+            if (other >= 0 && !neighbors.subarray(other * 4, other * 4 + 4).includes(t)) {
+                throw new Error(`Adjacency of tetrahedra ${t} and ${other} is not symmetric`);
+            }
+        }
+    }
+
+    const withAdjacency = new DelaunayComputation(points, false, { adjacency: true });
+    withAdjacency.compute(wasmModule);
+    if (withAdjacency.getTetrahedronNeighbors() !== adjacency) {
+        throw new Error('Adjacency returned by the WASM module should be used as is');
+    }
+
+    return true;
+}
+
+/**
+ * Moving an interior point flips the triangulation locally (here a 3-2 flip)
+ * instead of rebuilding it, and matches the triangulation of the new positions.
+ */
+async function testIncrementalUpdate() {
+    console.log('Testing incremental point updates...');
+
+    const points = [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1], [0.1, 0.2, 0.25], [0.2, 0.3, 0.2], [0.3, 0.15, 0.35]];
+    const tetrahedra = [[6, 3, 0, 1], [4, 5, 2, 3], [4, 0, 3, 2], [5, 1, 0, 2], [6, 5, 1, 0], [6, 1, 2, 3],
+        [6, 5, 3, 2], [6, 1, 5, 2], [4, 2, 5, 0], [4, 6, 0, 5], [4, 0, 6, 3], [4, 3, 6, 5]];
+    // Delaunay triangulation with point 4 at [0.2, 0.15, 0.3]
+    const expected = [[0, 1, 2, 5], [0, 1, 3, 6], [0, 1, 5, 6], [0, 2, 3, 5], [0, 3, 4, 5], [0, 3, 4, 6],
+        [0, 4, 5, 6], [1, 2, 3, 6], [1, 2, 5, 6], [2, 3, 5, 6], [3, 4, 5, 6]];
+
+    let calls = 0;
+    const wasmModule = {
+        compute_delaunay: () => {
+            calls++;
+            return tetrahedra;
+        }
+    };
+    const computation = new DelaunayComputation(points, false, { voronoiVertexMode: 'circumcenter' });
+    computation.compute(wasmModule);
+    const barycentric = computation.withVoronoiVertexMode('barycenter');
+    computation.updatePoints(wasmModule, [4], [[0.2, 0.15, 0.3]]);
+
+    if (calls !== 1) {
+        throw new Error('A small move should not rebuild the triangulation');
+    }
+    const sorted = computation.tetrahedra.map(tet => [...tet].sort()).sort();
+    if (JSON.stringify(sorted) !== JSON.stringify(expected)) {
+        throw new Error(`Unexpected tetrahedra after the update: ${JSON.stringify(sorted)}`);
+    }
+    // The copy made before the update keeps the old points and triangulation
+    if (JSON.stringify(barycentric.tetrahedra) !== JSON.stringify(tetrahedra) || barycentric.pointsArray[4][0] !== 0.1) {
+        throw new Error('Updating a computation should leave its withVoronoiVertexMode() copy alone');
+    }
+
+    // Every Voronoi vertex is the circumcenter of its (possibly new) tetrahedron
+    computation.tetrahedra.forEach((tet, t) => {
+        const center = computation.voronoiVertices[t];
+        const radius = distance(center, computation.pointsArray[tet[0]]);
+        for (const idx of tet) {
+            assertClose(distance(center, computation.pointsArray[idx]), radius, `Circumcenter of tetrahedron ${t}`);
+        }
+    });
+
+    // One Voronoi edge per interior face, between neighboring tetrahedra
+    const neighbors = computation.getTetrahedronNeighbors();
+    const interiorFaces = neighbors.filter(t => t >= 0).length / 2;
+    if (computation.voronoiEdges.length !== interiorFaces) {
+        throw new Error(`Expected ${interiorFaces} Voronoi edges, got ${computation.voronoiEdges.length}`);
+    }
+    for (const edge of computation.voronoiEdges) {
+        const [t1, t2] = edge.tetraIndices;
+        if (!neighbors.subarray(t1 * 4, t1 * 4 + 4).includes(t2) || edge.start !== computation.voronoiVertices[t1]) {
+            throw new Error(`Voronoi edge between ${t1} and ${t2} does not match the triangulation`);
+        }
+    }
+
+    // A bad index, position or count rejects the whole update before any point moves
+    const before = Array.from(computation.points).join();
+    const invalid = [
+        [[0, 9], [[0.05, 0, 0], [0, 0, 0]]],
+        [[0, 1], [[0.05, 0, 0], [1, NaN, 0]]],
+        [[0, 1], [[0.05, 0, 0]]],
+        [[0, 1], [0.05, 0, 0]]
+    ];
+    for (const [indices, positions] of invalid) {
+        let rejection = null;
+        try {
+            await computation.updatePoints(wasmModule, indices, positions);
+        } catch (error) {
+            rejection = error;
+        }
+        if (!rejection || rejection instanceof TypeError || Array.from(computation.points).join() !== before) {
+            throw new Error(`Invalid update ${JSON.stringify(positions)} should be rejected up front, got: ${rejection}`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Triangulation of a single point clipped to the box: the point and its mirror images
+ * across the walls form a rectilinear grid; each of the eight grid boxes around the
+ * point is split into six tetrahedra along its diagonal (vertex images are mirror
+ * offsets, see PeriodicDomain.applyImage)
+ */
+function mirrorGridTriangulation() {
+    const tetrahedra = [];
+    const images = [];
+    const permutations = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+    for (const sx of [-1, 1]) {
+        for (const sy of [-1, 1]) {
+            for (const sz of [-1, 1]) {
+                for (const order of permutations) {
+                    const image = [0, 0, 0];
+                    const path = [[...image]];
+                    for (const axis of order) {
+                        image[axis] = [sx, sy, sz][axis];
+                        path.push([...image]);
+                    }
+                    tetrahedra.push([0, 0, 0, 0]);
+                    images.push(path);
+                }
+            }
+        }
+    }
+    return { tetrahedra, images };
+}
+
+/**
+ * Non-periodic cells clipped to the box: a single point's cell is the whole box
+ */
+function testClippedCells() {
+    console.log('Testing cells clipped to the box...');
+
+    const { tetrahedra, images } = mirrorGridTriangulation();
+    let receivedClip = null;
+    const wasmModule = {
+        compute_delaunay_ex(points, numPoints, options) {
+            receivedClip = options.clip;
+            return { tetrahedra, images };
+        }
+    };
+
+    const unclipped = new DelaunayComputation([[0.3, 0.4, 0.45]], false);
+    if (unclipped.domain.hasWalls || unclipped.getStats().isClipped) {
+        throw new Error('Non-periodic cells should only be clipped on request');
+    }
+
+    const computation = new DelaunayComputation([[0.3, 0.4, 0.45]], false, { clip: true, voronoiVertexMode: 'circumcenter' });
+    computation.compute(wasmModule);
+    if (receivedClip !== true) {
+        throw new Error('The clip option should be passed to the WASM triangulation');
+    }
+    // Every axis has walls: all vertices but the point itself (image 0) are mirror images
+    computation.tetImages.forEach((tetImages, t) => tetImages.forEach((image, v) => {
+        if (computation.isMirrorVertex(t, v) !== image.some(Boolean)) {
+            throw new Error(`Vertex ${v} of tetrahedron ${t} (image [${image}]) is wrongly classified as ${computation.isMirrorVertex(t, v) ? 'a mirror' : 'the point'}`);
+        }
+    }));
+
+    const cell = computation.getCellPolyhedron(0);
+    if (!cell.closed || cell.faces.length !== 6 || cell.faces.some(face => face.neighbor !== -1)) {
+        throw new Error(`The cell should be closed by six wall faces (closed: ${cell.closed}, ${cell.faces.length} faces)`);
+    }
+    const measure = computation.getCellMeasures()[0];
+    assertClose(measure.volume, 1, 'Clipped cell volume');
+    assertClose(measure.surfaceArea, 6, 'Clipped cell surface area');
+    assertClose(measure.centroid, [0.5, 0.5, 0.5], 'Clipped cell centroid');
+    if (!computation.checkCellVolumes().ok) {
+        throw new Error('Clipped cells should tile the box');
+    }
+
+    // Barycentric cells are closed by the rings around the edges to the mirror images
+    const barycentric = computation.withVoronoiVertexMode('barycenter');
+    const barycentricCell = barycentric.getCellPolyhedron(0);
+    if (!barycentricCell.closed || barycentric.getCellMeasures()[0] === null) {
+        throw new Error('Clipped barycentric cells should be closed');
+    }
+
+    // Walls must be perpendicular to their lattice vector
+    let threw = false;
+    try {
+        new DelaunayComputation([[0.3, 0.4, 0.45]], false, { clip: true, cell: [[1, 0, 0], [0.2, 1, 0], [0, 0, 1]] });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Clipping needs walls perpendicular to their lattice vectors');
+    }
+
+    return true;
+}
+
+/**
+ * Face statistics and Euler characteristic of the octahedral cell and the clipped cube
+ */
+function testTopologyStatistics() {
+    console.log('Testing topology statistics...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const octahedron = topologyStatistics(createComputation(points, tetrahedra, false, 'circumcenter'));
+
+    // Only the octahedron is bounded; its faces all border unbounded cells
+    if (octahedron.numCells !== 1 || octahedron.faceCounts[0] !== null || octahedron.faceCounts[8] !== 8 ||
+        octahedron.edgesPerFace.mean !== 3 || octahedron.aboavWeaire.byFaceCount.length !== 0) {
+        throw new Error(`Wrong octahedron statistics: ${JSON.stringify(octahedron.facesPerCell)}`);
+    }
+    const { vertices, edges, faces, characteristic, expected, ok } = octahedron.euler;
+    if (vertices !== 6 || edges !== 12 || faces !== 8 || characteristic !== 1 || expected !== null || !ok) {
+        throw new Error(`Wrong octahedron Euler check: ${JSON.stringify(octahedron.euler)}`);
+    }
+
+    const { tetrahedra: gridTetrahedra, images } = mirrorGridTriangulation();
+    const computation = new DelaunayComputation([[0.3, 0.4, 0.45]], false, { clip: true, voronoiVertexMode: 'circumcenter' });
+    computation.compute({ compute_delaunay_ex: () => ({ tetrahedra: gridTetrahedra, images }) });
+    const cube = topologyStatistics(computation);
+    if (cube.facesPerCell.distribution.length !== 1 || cube.facesPerCell.distribution[0].faces !== 6 ||
+        cube.edgesPerFace.mean !== 4 || Math.abs(cube.lewis.byFaceCount[0].relativeVolume - 1) > TOLERANCE) {
+        throw new Error(`Wrong clipped cube statistics: ${JSON.stringify(cube.facesPerCell)}`);
+    }
+    const euler = eulerCheck(computation);
+    if (euler.vertices !== 8 || euler.edges !== 12 || euler.faces !== 6 || euler.expected !== 1 || !euler.ok) {
+        throw new Error(`Clipped cells should tile the box with Euler characteristic 1: ${JSON.stringify(euler)}`);
+    }
+
+    return true;
+}
+
+/**
+ * locate() and nearest() walk the Delaunay graph to the same answers as a linear scan
+ */
+function testPointLocation() {
+    console.log('Testing point location...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter');
+
+    const queries = [[0.1, 0.2, 0.15], [0.9, 0.95, 0.8], [0.45, 0.55, 0.6], [0.2, 0.9, 0.1], [1.3, -0.2, 0.4]];
+    for (const p of queries) {
+        const byDistance = points.map((q, index) => ({ index, distance: distance(p, q) }))
+            .sort((a, b) => a.distance - b.distance);
+
+        const located = computation.locate(p);
+        if (located.index !== byDistance[0].index || located.image.some(x => x !== 0) ||
+            Math.abs(located.distance - byDistance[0].distance) > TOLERANCE) {
+            throw new Error(`locate([${p}]) gave ${located.index}, expected ${byDistance[0].index}`);
+        }
+
+        const nearest = computation.nearest(p, 4);
+        if (nearest.length !== 4 || nearest.some((hit, i) => Math.abs(hit.distance - byDistance[i].distance) > TOLERANCE)) {
+            throw new Error(`nearest([${p}], 4) gave ${nearest.map(hit => hit.index)}`);
+        }
+    }
+
+    if (computation.nearest([0.5, 0.5, 0.5], 20).length !== points.length) {
+        throw new Error('nearest() should stop after every generator');
+    }
+
+    return true;
+}
+
+/**
+ * validate() reports bad input with codes, and can merge or jitter coincident points
+ */
+function testValidation() {
+    console.log('Testing input validation...');
+
+    const points = [[0.1, 0.2, 0.3], [0.6, 0.1, 0.8], [0.3, 0.7, 0.2], [0.9, 0.9, 0.5],
+        [0.6, 0.1, 0.8], [0.1 + 1e-9, 0.2, 0.3], [NaN, 0.5, 0.5], [1.2, 0.5, 0.5], [0.0, 0.7, 0.2]];
+    const codes = report => report.issues.map(issue => `${issue.code}:${issue.points.join('/')}`).sort().join(' ');
+
+    const computation = new DelaunayComputation(points, true);
+    const report = computation.validate();
+    if (report.ok || report.errors !== 3 || report.warnings !== 1 ||
+        codes(report) !== 'DUPLICATE:4 NEAR_COINCIDENT:5 NON_FINITE:6 OUT_OF_DOMAIN:7') {
+        throw new Error(`Unexpected report: ${codes(report)}`);
+    }
+    const duplicate = report.issues.find(issue => issue.code === 'DUPLICATE');
+    if (duplicate.pairs.length !== 1 || duplicate.pairs[0].join() !== '1,4') {
+        throw new Error(`Duplicates should be paired with the earlier point: ${JSON.stringify(duplicate.pairs)}`);
+    }
+
+    // A point on the upper x face is an image of one on the lower face
+    const wrapped = new DelaunayComputation([points[8], points[3], [1.0, 0.7, 0.2]], true).validate();
+    if (codes(wrapped) !== 'DUPLICATE:2') {
+        throw new Error(`Periodic images should be duplicates: ${codes(wrapped)}`);
+    }
+
+    const clean = points.filter((p, i) => i !== 6 && i !== 7);
+    const merged = new DelaunayComputation(clean, true, { weights: clean.map((p, i) => i) });
+    const mergeReport = merged.validate({ fix: 'merge' });
+    if (!mergeReport.ok || merged.numPoints !== 5 || mergeReport.fixed.points.join() !== '4,5' ||
+        Array.from(mergeReport.fixed.indexMap).join() !== '0,1,2,3,1,0,4' || Array.from(merged.weights).join() !== '0,1,2,3,6') {
+        throw new Error(`Merging failed: ${JSON.stringify(mergeReport.fixed)}`);
+    }
+
+    const jittered = new DelaunayComputation(clean, true);
+    const jitterReport = jittered.validate({ fix: 'jitter' });
+    if (!jitterReport.ok || jittered.numPoints !== 7 || jitterReport.fixed.points.join() !== '4,5' ||
+        jitterReport.issues.length > 0 || !jittered.pointsArray.every(p => jittered.domain.contains(p))) {
+        throw new Error(`Jittering failed: ${codes(jitterReport)}`);
+    }
+
+    if (codes(new DelaunayComputation([[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0]], false).validate()) !== 'COPLANAR:0/1/2/3') {
+        throw new Error('Coplanar non-periodic points should be reported');
+    }
+
+    // After compute(), a triangulation that leaves out a point is reported
+    const tetrahedra = [[0, 1, 2, 3], [0, 1, 2, 9]];
+    const triangulated = new DelaunayComputation(clean.slice(0, 4).concat([[0.5, 0.5, 0.5]]), false, { voronoiVertexMode: 'circumcenter' });
+    triangulated.compute({ compute_delaunay: () => tetrahedra });
+    if (codes(triangulated.validate()) !== 'DROPPED_TETRAHEDRA: MISSING_POINT:4') {
+        throw new Error(`Unexpected report after compute: ${codes(triangulated.validate())}`);
+    }
+
+    return true;
+}
+
+/**
+ * JSON and binary snapshots restore the triangulation and diagram without WASM
+ */
+function testSnapshot() {
+    console.log('Testing snapshots...');
+
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter', { box: [1, 1, 1] });
+    computation.compute({ compute_delaunay: () => tetrahedra });
+
+    const json = JSON.parse(JSON.stringify(computation));
+    if (json.version !== SNAPSHOT_VERSION || json.tetrahedra.length !== 48 || json.voronoiVertices.length !== 36) {
+        throw new Error('Snapshot should carry its version, the tetrahedra and the Voronoi vertices');
+    }
+
+    const expected = JSON.stringify(computation.getCellMeasures());
+    for (const restored of [DelaunayComputation.fromJSON(json), DelaunayComputation.fromBinary(computation.toBinary())]) {
+        if (restored.numPoints !== 9 || restored.isPeriodic || restored.voronoiVertexMode !== 'circumcenter' ||
+            restored.transport !== computation.transport ||
+            restored.voronoiEdges.length !== computation.voronoiEdges.length ||
+            restored.voronoiEdges[0].start !== restored.voronoiVertices[restored.voronoiEdges[0].tetraIndices[0]]) {
+            throw new Error('Restored computation differs from the original');
+        }
+        if (JSON.stringify(restored.getCellMeasures()) !== expected) {
+            throw new Error('Analysis of the restored computation differs from the original');
+        }
+    }
+
+    // Snapshots without the diagram rebuild it from the tetrahedra
+    const { voronoiVertices, ...bare } = json;
+    const rebuilt = DelaunayComputation.fromJSON(bare);
+    assertClose(rebuilt.voronoiVertices[0], computation.voronoiVertices[0], 'Rebuilt Voronoi vertex');
+
+    let rejected = false;
+    try {
+        DelaunayComputation.fromJSON({ ...json, version: SNAPSHOT_VERSION + 1 });
+    } catch (error) {
+        rejected = true;
+    }
+    if (!rejected) {
+        throw new Error('Snapshots from a newer version should be rejected');
+    }
+
+    return true;
+}
+
+/**
+ * The same seed gives the same points and jitter, and the seed survives snapshots and exports
+ */
+function testSeededRuns() {
+    console.log('Testing seeded runs...');
+
+    const options = { numPoints: 20, minDistance: 0.05, seed: 12345 };
+    const first = generatePoints({ box: [2, 1, 1] }, options);
+    if (JSON.stringify(first) !== JSON.stringify(generatePoints({ box: [2, 1, 1] }, options)) || first.length !== 20) {
+        throw new Error('The same seed should generate the same points');
+    }
+    if (JSON.stringify(first) === JSON.stringify(generatePoints({ box: [2, 1, 1] }, { ...options, seed: 54321 }))) {
+        throw new Error('Different seeds should generate different points');
+    }
+
+    const duplicated = [...first.slice(0, 10), first[3], first[7]];
+    const jittered = [1, 2].map(() => {
+        const computation = new DelaunayComputation(duplicated, true, { box: [2, 1, 1], seed: 12345 });
+        computation.validate({ fix: 'jitter' });
+        return JSON.stringify(computation.pointsArray);
+    });
+    if (jittered[0] !== jittered[1] || jittered[0] === JSON.stringify(duplicated)) {
+        throw new Error('Jitter should move the points, the same way for the same seed');
+    }
+
+    const points = [[0.1, 0.1, 0.1], [0.9, 0.1, 0.1], [0.1, 0.9, 0.1], [0.1, 0.1, 0.9], [0.5, 0.5, 0.5]];
+    const tetrahedra = [[0, 1, 2, 4], [0, 1, 3, 4], [0, 2, 3, 4], [1, 2, 3, 4], [0, 1, 2, 3]];
+    const computation = createComputation(points, tetrahedra, false, 'circumcenter', { seed: 4294967295 });
+    for (const restored of [DelaunayComputation.fromJSON(JSON.stringify(computation)), DelaunayComputation.fromBinary(computation.toBinary())]) {
+        if (restored.seed !== 4294967295) {
+            throw new Error(`Snapshot should keep the seed, got ${restored.seed}`);
+        }
+    }
+    if (!exportOBJ(computation).split('\n').includes('# seed 4294967295')) {
+        throw new Error('OBJ export should record the seed');
+    }
+
+    // Seeded computations do not depend on the order the triangulation comes back in
+    const reordered = [[4, 3, 2, 1], [3, 2, 1, 0], [4, 1, 0, 3], [2, 0, 4, 3], [1, 2, 0, 4]];
+    const [ordered, shuffled] = [tetrahedra, reordered].map(tets => {
+        const seeded = new DelaunayComputation(points, false, { voronoiVertexMode: 'circumcenter', seed: 1 });
+        seeded.compute({ compute_delaunay: () => tets });
+        return seeded;
+    });
+    if (JSON.stringify(ordered.tetrahedra) !== JSON.stringify(shuffled.tetrahedra) ||
+        JSON.stringify(ordered.voronoiVertices) !== JSON.stringify(shuffled.voronoiVertices)) {
+        throw new Error('Seeded triangulations should be put in a canonical order');
+    }
+
+    // The fast analyzer's placeholder scores come from the seed as well
+    const [fastFirst, fastSecond] = [1, 2].map(() => new FastAcutenessAnalyzer().analyze(ordered));
+    if (fastFirst.vertexScores.length !== 5 || JSON.stringify(fastFirst.vertexScores) !== JSON.stringify(fastSecond.vertexScores) ||
+        JSON.stringify(fastFirst.edgeScores) !== JSON.stringify(fastSecond.edgeScores)) {
+        throw new Error('Fast acuteness scores should repeat for the same seed');
+    }
+
+    // ... nor on the lattice translate periodic tetrahedra come back in
+    const zero = [[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const translated = [[[1, 0, 0], [1, 0, 0], [1, 0, 0], [1, 0, 0]], zero, [[0, -1, 2], [0, -1, 2], [0, -1, 2], [0, -1, 2]], zero, zero];
+    const [primary, shifted] = [[tetrahedra, tetrahedra.map(() => zero)], [reordered, translated]].map(([tets, images]) => {
+        const seeded = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter', seed: 1 });
+        seeded.compute({ compute_delaunay_ex: () => ({ tetrahedra: tets, images }) });
+        return seeded;
+    });
+    if (JSON.stringify(primary.tetrahedra) !== JSON.stringify(shifted.tetrahedra) ||
+        JSON.stringify(primary.tetImages) !== JSON.stringify(shifted.tetImages)) {
+        throw new Error('Seeded periodic triangulations should be shifted to a canonical translate');
+    }
+
+    return true;
+}
+
+/**
+ * A module built from older C++ sources is reported as stale, and features that need
+ * the newer bindings say so instead of failing somewhere inside
+ */
+function testStaleWasmModule() {
+    console.log('Testing stale WASM modules...');
+
+    const legacy = { compute_delaunay: () => [] };
+    const status = wasmModuleStatus(legacy);
+    if (status.current || status.missing.join() !== 'compute_delaunay_ex,compute_delaunay_typed') {
+        throw new Error(`Wrong status of a legacy module: ${JSON.stringify(status)}`);
+    }
+    const current = { compute_delaunay: () => [], compute_delaunay_ex: () => null, compute_delaunay_typed: () => null };
+    if (!wasmModuleStatus(current).current) {
+        throw new Error('A module with every binding should be current');
+    }
+
+    const points = [[0.1, 0.1, 0.1], [0.7, 0.2, 0.1], [0.2, 0.6, 0.2], [0.3, 0.3, 0.8]];
+    const weighted = new DelaunayComputation(points, true, { weights: [0, 0.01, 0, 0.01] });
+    let message = null;
+    try {
+        weighted._triangulate(legacy);
+    } catch (error) {
+        message = error.message;
+    }
+    if (!message || !message.includes('stale') || !message.includes('build.sh')) {
+        throw new Error(`Weighted points on a stale module should ask for a rebuild, got: ${message}`);
+    }
+
+    return true;
+}
+
+/**
+ * Small periodic point sets triangulated by the WASM module: every cell is closed and
+ * the cells tile the unit cube (whichever binding the module provides)
+ */
+async function testPeriodicTiling(wasmModule) {
+    console.log('Testing periodic tiling of small point sets...');
+
+    for (const numPoints of [40, 60, 100]) {
+        const points = generatePoints({}, { numPoints, minDistance: 0.05, seed: 7 });
+        const computation = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter', seed: 7 });
+        await computation.compute(wasmModule);
+
+        const open = computation.getCellMeasures().filter(measure => measure === null).length;
+        if (open > 0) {
+            throw new Error(`${numPoints} points: ${open} of ${numPoints} cells are not closed`);
+        }
+        const { totalVolume, ok } = computation.checkCellVolumes(1e-9);
+        if (!ok) {
+            throw new Error(`${numPoints} points: cell volumes add up to ${totalVolume} instead of 1`);
+        }
+        const euler = eulerCheck(computation);
+        if (!euler.ok) {
+            throw new Error(`${numPoints} points: Euler check failed: ${JSON.stringify(euler)}`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export function runDelaunayComputationTests() {
+    const tests = [
+        ['Circumcenter equidistance', testCircumcenterIsEquidistant],
+        ['Periodic circumcenter', testPeriodicCircumcenter],
+        ['Sliver fallback', testSliverFallback],
+        ['Orthorhombic box', testOrthorhombicBox],
+        ['Triclinic cell', testTriclinicCell],
+        ['Mixed periodicity', testMixedPeriodicity],
+        ['Power center', testPowerCenter],
+        ['Cell polyhedron', testCellPolyhedron],
+        ['Cell measures', testCellMeasures],
+        ['Neighbor graph', testNeighborGraph],
+        ['Vertex images', testVertexImages],
+        ['Typed-array transport', testTypedTransport],
+        ['Incremental update', testIncrementalUpdate],
+        ['Clipped cells', testClippedCells],
+        ['Topology statistics', testTopologyStatistics],
+        ['Point location', testPointLocation],
+        ['Input validation', testValidation],
+        ['Snapshots', testSnapshot],
+        ['Seeded runs', testSeededRuns],
+        ['Stale WASM modules', testStaleWasmModule]
+    ];
+
+    return runTests('DelaunayComputation', tests);
+}
+
+/**
+ * Topology of two crystal structures with known Voronoi cells (2 x 2 x 2 conventional
+ * cells each): BCC gives truncated octahedra only; A15 gives pentagonal dodecahedra and
+ * 14-hedra (12 pentagons and 2 hexagons) in a 1:3 ratio, whose dodecahedra only touch
+ * 14-hedra and whose 14-hedra touch 4 dodecahedra and 10 14-hedra
+ */
+async function testKnownTopology(wasmModule) {
+    console.log('Testing topology of BCC and A15 structures...');
+
+    const crystal = async (basis) => {
+        const points = [];
+        for (let i = 0; i < 2; i++) {
+            for (let j = 0; j < 2; j++) {
+                for (let k = 0; k < 2; k++) {
+                    for (const p of basis) {
+                        points.push([(p[0] + i) / 2 + 0.01, (p[1] + j) / 2 + 0.01, (p[2] + k) / 2 + 0.01]);
+                    }
+                }
+            }
+        }
+        const computation = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter' });
+        await computation.compute(wasmModule);
+        return computation;
+    };
+    const close = (actual, expected) => Math.abs(actual - expected) <= 1e-9;
+
+    const bccComputation = await crystal([[0, 0, 0], [0.5, 0.5, 0.5]]);
+    const bcc = topologyStatistics(bccComputation);
+    const bccFaces = bcc.facesPerCell.distribution;
+    if (bcc.numCells !== 16 || bccFaces.length !== 1 || bccFaces[0].faces !== 14 || bcc.facesPerCell.variance !== 0) {
+        throw new Error(`BCC cells should all be truncated octahedra: ${JSON.stringify(bcc.facesPerCell)}`);
+    }
+    // 6 squares and 8 hexagons
+    if (!close(bcc.edgesPerFace.mean, 72 / 14) || bcc.edgesPerFace.distribution.map(d => d.edges).join() !== '4,6') {
+        throw new Error(`Wrong BCC edges per face: ${JSON.stringify(bcc.edgesPerFace)}`);
+    }
+    if (bcc.aboavWeaire.byFaceCount[0].meanNeighborFaces !== 14 || !Number.isNaN(bcc.aboavWeaire.slope) ||
+        bcc.lewis.byFaceCount[0].relativeVolume !== 1) {
+        throw new Error('A single BCC face class has m(14) = 14, relative volume 1 and no fit');
+    }
+    // Per conventional cell: 12 vertices, 24 edges, 14 faces, 2 cells
+    const { vertices, edges, faces, cells, characteristic, ok, invalidCells } = bcc.euler;
+    if (vertices !== 96 || edges !== 192 || faces !== 112 || cells !== 16 || characteristic !== 0 || !ok || invalidCells.length > 0) {
+        throw new Error(`Wrong BCC Euler check: ${JSON.stringify(bcc.euler)}`);
+    }
+    // Without a tolerance no two cells share a vertex: 24 per truncated octahedron
+    const unmerged = eulerCheck(bccComputation, { tolerance: -1 });
+    if (unmerged.vertices !== 16 * 24 || unmerged.ok) {
+        throw new Error(`The tolerance option should decide which vertices are the same: ${JSON.stringify(unmerged)}`);
+    }
+
+    const a15 = topologyStatistics(await crystal([
+        [0, 0, 0], [0.5, 0.5, 0.5],
+        [0.25, 0, 0.5], [0.75, 0, 0.5], [0.5, 0.25, 0], [0.5, 0.75, 0], [0, 0.5, 0.25], [0, 0.5, 0.75]
+    ]));
+    const classes = a15.facesPerCell.distribution.map(({ faces, count }) => `${faces}:${count}`).join();
+    if (classes !== '12:16,14:48' || a15.facesPerCell.mean !== 13.5 || !close(a15.facesPerCell.variance, 0.75)) {
+        throw new Error(`Wrong A15 faces per cell: ${JSON.stringify(a15.facesPerCell)}`);
+    }
+    // Aboav-Weaire: 12 m(12) = 168 and 14 m(14) = 188 lie on F m(F) = 10 F + 48, so a = 3.5
+    const [dodecahedra, tetrakaidecahedra] = a15.aboavWeaire.byFaceCount;
+    if (dodecahedra.meanNeighborFaces !== 14 || !close(tetrakaidecahedra.meanNeighborFaces, 188 / 14) ||
+        !close(a15.aboavWeaire.slope, 10) || !close(a15.aboavWeaire.intercept, 48) || !close(a15.aboavWeaire.a, 3.5)) {
+        throw new Error(`Wrong A15 Aboav-Weaire fit: ${JSON.stringify(a15.aboavWeaire)}`);
+    }
+    // Lewis: the dodecahedra hold 125/128 and the 14-hedra 129/128 of the mean volume
+    const [small, large] = a15.lewis.byFaceCount;
+    if (!close(small.relativeVolume, 125 / 128) || !close(large.relativeVolume, 129 / 128) || !close(a15.lewis.slope, 1 / 64)) {
+        throw new Error(`Wrong A15 Lewis fit: ${JSON.stringify(a15.lewis)}`);
+    }
+    // Per conventional cell: 46 vertices, 92 edges, 54 faces, 8 cells
+    if (a15.euler.vertices !== 368 || a15.euler.edges !== 736 || a15.euler.faces !== 432 || !a15.euler.ok) {
+        throw new Error(`Wrong A15 Euler check: ${JSON.stringify(a15.euler)}`);
+    }
+
+    return true;
+}
+
+/**
+ * Weighted points give a power diagram whose cells differ from the Voronoi cells of
+ * the same points, and still tile the box
+ */
+async function testWeightedTiling(wasmModule) {
+    console.log('Testing weighted (power) tiling...');
+
+    const points = generatePoints({}, { numPoints: 60, minDistance: 0.05, seed: 3 });
+    const weights = points.map((p, i) => 0.002 * (i % 3));
+    const voronoi = new DelaunayComputation(points, true, { voronoiVertexMode: 'circumcenter', seed: 3 });
+    const power = new DelaunayComputation(points, true, { weights, seed: 3 });
+    await voronoi.compute(wasmModule);
+    await power.compute(wasmModule);
+
+    const volumes = power.getCellMeasures().map(measure => measure ? measure.volume : null);
+    if (volumes.includes(null)) {
+        throw new Error(`${volumes.filter(v => v === null).length} power cells are not closed`);
+    }
+    const { totalVolume, ok } = power.checkCellVolumes(1e-9);
+    if (!ok) {
+        throw new Error(`Power cell volumes add up to ${totalVolume} instead of 1`);
+    }
+
+    const voronoiVolumes = voronoi.getCellMeasures().map(measure => measure.volume);
+    const changed = volumes.filter((v, i) => Math.abs(v - voronoiVolumes[i]) > 1e-6).length;
+    if (changed === 0) {
+        throw new Error('Weighted cells should differ from the unweighted Voronoi cells');
+    }
+
+    return true;
+}
+
+/**
+ * The typed-array binding gives the same triangulation as compute_delaunay_ex, and the
+ * same cells as the image triangulation of legacy builds; compute() reports which one
+ * it went through
+ */
+async function testTransportsAgree(wasmModule) {
+    console.log('Testing typed, extended and image transports...');
+
+    const box = [2, 1, 1];
+    const points = generatePoints({ box }, { numPoints: 80, minDistance: 0.05, seed: 11 });
+    const run = async (module) => {
+        const computation = new DelaunayComputation(points, true, { box, voronoiVertexMode: 'circumcenter', seed: 11 });
+        await computation.compute(module);
+        return computation;
+    };
+    const typed = await run(wasmModule);
+    const extended = await run({ ...wasmModule, compute_delaunay_typed: undefined });
+    const images = await run({ compute_delaunay: wasmModule.compute_delaunay });
+
+    const transports = [typed, extended, images].map(computation => computation.transport);
+    if (transports.join() !== 'typed,extended,images') {
+        throw new Error(`Wrong transports: ${transports}`);
+    }
+    if (typed.tetrahedronData.join() !== extended.tetrahedronData.join() ||
+        typed.tetImageData.join() !== extended.tetImageData.join()) {
+        throw new Error('Typed and extended transports should give the same tetrahedra and images');
+    }
+    const volumes = computation => computation.getCellMeasures().map(measure => measure.volume);
+    const imageVolumes = volumes(images);
+    volumes(typed).forEach((volume, i) => {
+        if (Math.abs(volume - imageVolumes[i]) > 1e-9) {
+            throw new Error(`Cell ${i} has volume ${volume} (typed) but ${imageVolumes[i]} (images)`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Runner of the tests that triangulate with the WASM module (in Node, test/run.js
+ * loads it from dist/)
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export async function runDelaunayComputationWasmTests(wasmModule) {
+    // Bindings a test needs beyond the legacy compute_delaunay; without them it is skipped
+    const tests = [
+        ['Periodic tiling', testPeriodicTiling, []],
+        ['Known topology', testKnownTopology, []],
+        ['Weighted tiling', testWeightedTiling, ['compute_delaunay_ex']],
+        ['Transports agree', testTransportsAgree, ['compute_delaunay_ex', 'compute_delaunay_typed']]
+    ];
+
+    return runTests('DelaunayComputation WASM', tests, wasmModule);
+}
+
+// Export for module usage
+export { testCircumcenterIsEquidistant, testPeriodicCircumcenter, testSliverFallback, testOrthorhombicBox,
+    testTriclinicCell, testMixedPeriodicity, testPowerCenter, testCellPolyhedron,
+    testCellMeasures, testNeighborGraph, testVertexImages, testTypedTransport,
+    testIncrementalUpdate, testClippedCells, testTopologyStatistics, testPointLocation,
+    testValidation, testSnapshot, testSeededRuns, testStaleWasmModule, testPeriodicTiling,
+    testKnownTopology, testWeightedTiling, testTransportsAgree };
+
+// Fixtures shared with the exporter tests
+export { createComputation, mirrorGridTriangulation };
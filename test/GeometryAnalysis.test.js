@@ -5,7 +5,10 @@
  * Tests acuteness analysis functions with known geometric shapes
  */
 
-import { vertexAcuteness, faceAcuteness, cellAcuteness } from '../src/js/GeometryAnalysis.js';
+import { vertexAcuteness, faceAcuteness, cellAcuteness, tetrahedronQuality } from '../src/js/GeometryAnalysis.js';
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
 
 /**
  * Mock DelaunayComputation class for testing
@@ -53,39 +56,45 @@ class MockDelaunayComputation {
     }
     
     getFaces() {
-        const faces = [];
-        const faceToTetraMap = new Map();
+        // One Voronoi face per Delaunay edge, as DelaunayComputation.getFaces() builds
+        // them: the barycenters of the tetrahedra around the edge, in order around it
+        const edgeToTetraMap = new Map();
+        this.tetrahedra.forEach((tetra, index) => {
+            for (let a = 0; a < 4; a++) {
+                for (let b = a + 1; b < 4; b++) {
+                    const key = [tetra[a], tetra[b]].sort((x, y) => x - y).join('-');
+                    if (!edgeToTetraMap.has(key)) {
+                        edgeToTetraMap.set(key, []);
+                    }
+                    edgeToTetraMap.get(key).push(index);
+                }
+            }
+        });
         
-        for (let i = 0; i < this.tetrahedra.length; i++) {
-            const tetra = this.tetrahedra[i];
-            const tetraFaces = [
-                [tetra[0], tetra[1], tetra[2]],
-                [tetra[0], tetra[1], tetra[3]],
-                [tetra[0], tetra[2], tetra[3]],
-                [tetra[1], tetra[2], tetra[3]]
-            ];
+        const faces = [];
+        for (const [edgeKey, tetraIndices] of edgeToTetraMap.entries()) {
+            if (tetraIndices.length < 3) continue;
             
-            tetraFaces.forEach(face => {
-                const key = face.slice().sort((a, b) => a - b).join('-');
-                if (!faceToTetraMap.has(key)) {
-                    faceToTetraMap.set(key, []);
-                }
-                faceToTetraMap.get(key).push(i);
+            const delaunayEdge = edgeKey.split('-').map(Number);
+            const [p, q] = delaunayEdge.map(idx => this.pointsArray[idx]);
+            const axis = [0, 1, 2].map(k => q[k] - p[k]);
+            // Two directions across the edge, to sort the vertices by angle
+            const helper = Math.abs(axis[0]) < Math.abs(axis[1]) ? [1, 0, 0] : [0, 1, 0];
+            const u = cross(axis, helper);
+            const v = cross(axis, u);
+            const angle = vertex => {
+                const d = [0, 1, 2].map(k => vertex[k] - p[k]);
+                return Math.atan2(dot(d, v), dot(d, u));
+            };
+            const voronoiVertices = tetraIndices.map(idx => this.barycenters[idx])
+                .sort((a, b) => angle(a) - angle(b));
+            faces.push({
+                delaunayEdge: delaunayEdge,
+                voronoiVertices: voronoiVertices,
+                tetraIndices: tetraIndices
             });
         }
         
-        for (const [faceKey, tetraIndices] of faceToTetraMap.entries()) {
-            if (tetraIndices.length === 2) {
-                const vertices = faceKey.split('-').map(Number);
-                const voronoiVertices = tetraIndices.map(idx => this.barycenters[idx]);
-                faces.push({
-                    delaunayFace: vertices,
-                    voronoiVertices: voronoiVertices,
-                    tetraIndices: tetraIndices
-                });
-            }
-        }
-        
         return faces;
     }
 }
@@ -255,6 +264,38 @@ function validateResults(results, testName) {
     return true;
 }
 
+/**
+ * Quality metrics of a regular tetrahedron, a sliver (a unit square with one corner
+ * lifted slightly) and a cap (a low apex above the center of a triangle)
+ */
+function testTetrahedronQuality() {
+    console.log('Testing tetrahedron quality metrics...');
+    
+    const points = [
+        [1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1],
+        [0, 0, 0], [1, 0, 0], [1, 1, 0.05], [0, 1, 0],
+        [0, 0, 0], [1, 0, 0], [0.5, Math.sqrt(3) / 2, 0], [0.5, Math.sqrt(3) / 6, 0.05]
+    ];
+    const computation = new MockDelaunayComputation(points, [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9, 10, 11]]);
+    const quality = tetrahedronQuality(computation);
+    
+    const regularDihedral = Math.acos(1 / 3) * 180 / Math.PI;
+    if (Math.abs(quality.volumes[0] - 8 / 3) > 1e-9 ||
+        Math.abs(quality.radiusRatios[0] - 1) > 1e-9 || Math.abs(quality.aspectRatios[0] - 1) > 1e-9 ||
+        Math.abs(quality.minDihedralAngles[0] - regularDihedral) > 1e-9 ||
+        Math.abs(quality.maxDihedralAngles[0] - regularDihedral) > 1e-9) {
+        throw new Error(`Wrong metrics for the regular tetrahedron: ${JSON.stringify(quality)}`);
+    }
+    if (quality.radiusRatios[1] > 0.1 || quality.minDihedralAngles[1] > 5 || quality.maxDihedralAngles[1] < 170) {
+        throw new Error('The sliver should be flat');
+    }
+    if (quality.isSliver.join() !== 'false,true,false' || quality.numSlivers !== 1) {
+        throw new Error(`Only the second tetrahedron is a sliver, got ${quality.isSliver}`);
+    }
+    
+    return true;
+}
+
 /**
  * Main test runner
  */
@@ -298,6 +339,16 @@ export function runGeometryAnalysisTests() {
         console.error('❌ Triangular prism test failed:', error);
     }
     
+    // Test tetrahedron quality metrics
+    totalTests++;
+    try {
+        if (testTetrahedronQuality()) {
+            passedTests++;
+        }
+    } catch (error) {
+        console.error('❌ Tetrahedron quality test failed:', error);
+    }
+    
     // Summary
     console.log('\n=====================================');
     console.log(`🏁 Test Results: ${passedTests}/${totalTests} tests passed`);
@@ -318,4 +369,4 @@ if (typeof window !== 'undefined' && window.location) {
 }
 
 // Export for module usage
-export { testCubeGeometry, testRegularTetrahedronGeometry, testTriangularPrism, validateResults }; 
\ No newline at end of file
+export { testCubeGeometry, testRegularTetrahedronGeometry, testTriangularPrism, testTetrahedronQuality, validateResults }; 
\ No newline at end of file
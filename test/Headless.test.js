@@ -0,0 +1,122 @@
+/**
+ * Headless.test.js
+ *
+ * Unit tests for the Headless module (Node.js only)
+ * Loads the WASM module from dist/ and runs the pipeline without any browser
+ * globals
+ */
+
+import { loadWasmModule, triangulate, grow, eulerCheck } from '../src/js/Headless.js';
+import { runTests } from './runTests.js';
+
+// Globals of the browser (and of workers) that the pipeline must not touch
+const BROWSER_GLOBALS = ['window', 'navigator', 'document', 'self'];
+
+/**
+ * Run fn with getters in place of the browser globals that record every access
+ * @returns {Promise<Array<string>>} Names of the globals that were accessed
+ */
+async function withoutBrowserGlobals(fn) {
+    const accessed = [];
+    const saved = BROWSER_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    for (const name of BROWSER_GLOBALS) {
+        Object.defineProperty(globalThis, name, {
+            configurable: true,
+            get() {
+                accessed.push(name);
+                return undefined;
+            }
+        });
+    }
+    try {
+        await fn();
+    } finally {
+        for (const [name, descriptor] of saved) {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        }
+    }
+    return accessed;
+}
+
+/**
+ * A quiet load writes nothing to stdout; a missing build says how to make one
+ */
+async function testQuietLoading() {
+    console.log('Testing quiet WASM loading...');
+
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args.join(' '));
+    try {
+        await loadWasmModule({ quiet: true });
+    } finally {
+        console.log = log;
+    }
+    if (logged.length > 0) {
+        throw new Error(`A quiet load should not log to stdout: ${logged.join('; ')}`);
+    }
+
+    let message = null;
+    try {
+        await loadWasmModule({ distDir: '/nonexistent/dist', quiet: true });
+    } catch (error) {
+        message = error.message;
+    }
+    if (!message || !message.includes('build.sh')) {
+        throw new Error(`A missing build should point to build.sh: ${message}`);
+    }
+
+    return true;
+}
+
+/**
+ * triangulate() and grow() run without window, navigator, document or self
+ */
+async function testWithoutBrowserGlobals(wasmModule) {
+    console.log('Testing the headless pipeline without browser globals...');
+
+    // A jittered 3 x 3 x 3 grid
+    const points = [];
+    for (let n = 0; n < 27; n++) {
+        const index = [n % 3, Math.floor(n / 3) % 3, Math.floor(n / 9)];
+        points.push(index.map((i, axis) => (i + 0.5 + 0.2 * Math.sin(7 * n + 3 * axis)) / 3));
+    }
+    let computation = null;
+    let grown = null;
+    const accessed = await withoutBrowserGlobals(async () => {
+        computation = await triangulate(wasmModule, points, { voronoiVertexMode: 'circumcenter', seed: 9 });
+        grown = await grow(wasmModule, points, { steps: 2, growth: { mode: 'cvt_lloyd' }, voronoiVertexMode: 'circumcenter', seed: 9 });
+    });
+    if (accessed.length > 0) {
+        throw new Error(`The headless pipeline touched browser globals: ${[...new Set(accessed)].join(', ')}`);
+    }
+
+    if (computation.seed !== 9 || !computation.checkCellVolumes(1e-9).ok || !eulerCheck(computation).ok) {
+        throw new Error('The headless triangulation should tile the box');
+    }
+    if (grown.steps !== 2 || grown.points.length !== 27 || grown.seed !== 9) {
+        throw new Error(`Expected 2 growth steps of 27 points, got ${grown.steps} steps of ${grown.points.length}`);
+    }
+
+    return true;
+}
+
+/**
+ * Runner of the Headless tests (in Node, test/run.js loads the WASM module from dist/)
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export async function runHeadlessTests(wasmModule) {
+    const tests = [
+        ['Quiet loading', testQuietLoading],
+        ['No browser globals', testWithoutBrowserGlobals]
+    ];
+
+    return runTests('Headless', tests, wasmModule);
+}
+
+// Export for module usage
+export { testQuietLoading, testWithoutBrowserGlobals };
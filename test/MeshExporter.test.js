@@ -0,0 +1,331 @@
+/**
+ * MeshExporter.test.js
+ *
+ * Unit tests for the MeshExporter module
+ * Exports hand-built triangulations (no WASM needed) and checks the counts,
+ * headers and face orientation of the OBJ, PLY and STL files
+ */
+
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { exportOBJ, exportPLY, exportSTL, exportCells, parseCellSelection } from '../src/js/MeshExporter.js';
+import { createComputation, mirrorGridTriangulation } from './DelaunayComputation.test.js';
+import { runTests } from './runTests.js';
+
+const TOLERANCE = 1e-6;
+
+/**
+ * The single point at [0.3, 0.4, 0.45], clipped to the unit box (one cube cell),
+ * or in a periodic unit box (one cube cell around the point, crossing three box faces)
+ */
+function cubeComputation(isPeriodic) {
+    const { tetrahedra, images } = mirrorGridTriangulation();
+    const options = isPeriodic ? { voronoiVertexMode: 'circumcenter' } : { clip: true, voronoiVertexMode: 'circumcenter' };
+    const computation = new DelaunayComputation([[0.3, 0.4, 0.45]], isPeriodic, options);
+    computation.compute({ compute_delaunay_ex: () => ({ tetrahedra, images }) });
+    return computation;
+}
+
+/**
+ * The center of the unit cube among its corners: only the center has a bounded
+ * cell, an octahedron (6 vertices, 8 triangles)
+ */
+function octahedronComputation() {
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    return createComputation(points, tetrahedra, false, 'circumcenter');
+}
+
+/**
+ * Objects of an OBJ file, with their vertices and faces (indices into the
+ * object's own vertices)
+ */
+function parseOBJ(text) {
+    const objects = [];
+    const vertices = [];
+    for (const line of text.split('\n')) {
+        const [tag, ...fields] = line.split(' ');
+        if (tag === 'o') {
+            objects.push({ name: fields[0], first: vertices.length, vertices: [], faces: [] });
+        } else if (tag === 'v') {
+            const v = fields.map(Number);
+            vertices.push(v);
+            objects[objects.length - 1].vertices.push(v);
+        } else if (tag === 'f') {
+            const object = objects[objects.length - 1];
+            object.faces.push(fields.map(i => Number(i) - 1 - object.first));
+        }
+    }
+    return objects;
+}
+
+/**
+ * Volume enclosed by a mesh (divergence theorem); positive when the faces are
+ * counter-clockwise seen from outside
+ */
+function signedVolume(vertices, faces) {
+    let volume = 0;
+    for (const face of faces) {
+        const a = vertices[face[0]];
+        for (let k = 1; k + 1 < face.length; k++) {
+            const b = vertices[face[k]];
+            const c = vertices[face[k + 1]];
+            volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+        }
+    }
+    return volume;
+}
+
+/**
+ * Facets of an STL file: {normal, vertices}
+ */
+function parseSTL(text) {
+    const facets = [];
+    for (const line of text.split('\n').map(l => l.trim())) {
+        const fields = line.split(' ');
+        if (fields[0] === 'facet') {
+            facets.push({ normal: fields.slice(2).map(Number), vertices: [] });
+        } else if (fields[0] === 'vertex') {
+            facets[facets.length - 1].vertices.push(fields.slice(1).map(Number));
+        }
+    }
+    return facets;
+}
+
+/**
+ * OBJ objects, vertices and faces of the clipped cube, the periodic cube cut into
+ * its pieces inside the box, and the octahedron
+ */
+function testOBJCounts() {
+    console.log('Testing OBJ export...');
+
+    const cases = [
+        ['clipped cube', cubeComputation(false), {}, 1, 8, 6, 1],
+        ['periodic cube, clipped to the box', cubeComputation(true), { periodic: 'clipped' }, 8, 8, 6, 1],
+        ['periodic cube, unwrapped', cubeComputation(true), {}, 1, 8, 6, 1],
+        ['octahedron', octahedronComputation(), {}, 1, 6, 8, 0.5625]
+    ];
+    for (const [name, computation, options, numObjects, numVertices, numFaces, volume] of cases) {
+        const text = exportOBJ(computation, options);
+        const objects = parseOBJ(text);
+        if (objects.length !== numObjects) {
+            throw new Error(`${name}: expected ${numObjects} objects, got ${objects.length}`);
+        }
+        const vertexLines = text.split('\n').filter(line => line.startsWith('v ')).length;
+        const faceLines = text.split('\n').filter(line => line.startsWith('f ')).length;
+        if (vertexLines !== numObjects * numVertices || faceLines !== numObjects * numFaces) {
+            throw new Error(`${name}: expected ${numObjects * numVertices} vertices and ${numObjects * numFaces} faces, got ${vertexLines} and ${faceLines}`);
+        }
+        // Every piece is a closed, outward-oriented polyhedron; the pieces add up to the cell
+        let total = 0;
+        for (const object of objects) {
+            const pieceVolume = signedVolume(object.vertices, object.faces);
+            if (!(pieceVolume > 0)) {
+                throw new Error(`${name}: ${object.name} has faces oriented inwards (volume ${pieceVolume})`);
+            }
+            total += pieceVolume;
+        }
+        if (Math.abs(total - volume) > TOLERANCE) {
+            throw new Error(`${name}: expected volume ${volume}, got ${total}`);
+        }
+    }
+
+    // The periodic pieces lie inside the box and are named after their cell
+    const pieces = parseOBJ(exportOBJ(cubeComputation(true), { periodic: 'clipped' }));
+    if (pieces.some(piece => piece.vertices.some(v => v.some(x => x < -TOLERANCE || x > 1 + TOLERANCE)))) {
+        throw new Error('Clipped periodic pieces should lie inside the box');
+    }
+    const names = pieces.map(piece => piece.name);
+    if (names[0] !== 'cell_0' || names[7] !== 'cell_0_7' || new Set(names).size !== 8) {
+        throw new Error(`Pieces of one cell should get numbered names: ${names.join(', ')}`);
+    }
+
+    return true;
+}
+
+/**
+ * PLY header: element counts match the body, and the per-face score properties
+ * appear (with the matching number of fields) only with an analysis
+ */
+function testPLYHeader() {
+    console.log('Testing PLY export...');
+
+    const computation = octahedronComputation();
+    const numFaces = computation.getFaces().length;
+    const analysis = {
+        faceScores: Array.from({ length: numFaces }, (_, f) => f / numFaces),
+        cellScores: computation.points.map((p, i) => i === 8 ? 0.25 : 0)
+    };
+
+    for (const scored of [false, true]) {
+        const text = exportPLY(computation, scored ? { analysis } : {});
+        const lines = text.trimEnd().split('\n');
+        const end = lines.indexOf('end_header');
+        const header = lines.slice(0, end);
+        const expected = [
+            'ply',
+            'format ascii 1.0',
+            'comment Voronoi cells',
+            'element vertex 6',
+            'property float x',
+            'property float y',
+            'property float z',
+            'element face 8',
+            'property list uchar int vertex_indices',
+            'property int cell',
+            'property int neighbor',
+            ...(scored ? ['property float face_score', 'property float cell_score'] : [])
+        ];
+        if (header.join('\n') !== expected.join('\n')) {
+            throw new Error(`Wrong PLY header${scored ? ' with scores' : ''}:\n${header.join('\n')}`);
+        }
+
+        const body = lines.slice(end + 1);
+        if (body.length !== 6 + 8) {
+            throw new Error(`Expected 6 vertex and 8 face lines, got ${body.length} lines`);
+        }
+        for (const line of body.slice(6)) {
+            const fields = line.split(' ').map(Number);
+            const n = fields[0];
+            if (n !== 3 || fields.length !== 1 + n + 2 + (scored ? 2 : 0)) {
+                throw new Error(`Wrong face line '${line}'`);
+            }
+            const [cell, neighbor, faceScore, cellScore] = fields.slice(1 + n);
+            if (cell !== 8 || neighbor < 0 || neighbor > 7) {
+                throw new Error(`Face '${line}' should belong to cell 8 and border a corner cell`);
+            }
+            if (scored) {
+                // The face score is the one of the getFaces() entry between the same cells
+                const f = computation.getFaces().findIndex(face => face.delaunayEdge.includes(8) && face.delaunayEdge.includes(neighbor));
+                if (Math.abs(faceScore - analysis.faceScores[f]) > TOLERANCE || cellScore !== 0.25) {
+                    throw new Error(`Face '${line}' should carry face score ${analysis.faceScores[f]} and cell score 0.25`);
+                }
+            }
+        }
+    }
+
+    // Wall faces of clipped cells have no neighbour and no face score
+    const wallFaces = exportPLY(cubeComputation(false), { analysis: { faceScores: [], cellScores: [0.5] } })
+        .trimEnd().split('\n').filter(line => /^4 /.test(line));
+    if (wallFaces.length !== 6 || wallFaces.some(line => !line.endsWith(' 0 -1 -1 0.5'))) {
+        throw new Error(`Wall faces should have neighbour -1 and face score -1:\n${wallFaces.join('\n')}`);
+    }
+
+    return true;
+}
+
+/**
+ * STL facets: quads are split into two triangles, and every normal points out of
+ * the cell and agrees with the winding of its triangle
+ */
+function testSTLNormals() {
+    console.log('Testing STL export...');
+
+    const cases = [
+        ['clipped cube', cubeComputation(false), {}, 12, [0.5, 0.5, 0.5]],
+        ['periodic cube', cubeComputation(true), {}, 12, [0.3, 0.4, 0.45]],
+        ['octahedron', octahedronComputation(), {}, 8, [0.5, 0.5, 0.5]]
+    ];
+    for (const [name, computation, options, numFacets, center] of cases) {
+        const text = exportSTL(computation, options);
+        if (!text.startsWith('solid voronoi\n') || !text.endsWith('endsolid voronoi\n')) {
+            throw new Error(`${name}: wrong solid name`);
+        }
+        const facets = parseSTL(text);
+        if (facets.length !== numFacets) {
+            throw new Error(`${name}: expected ${numFacets} facets, got ${facets.length}`);
+        }
+        for (const { normal, vertices } of facets) {
+            const [a, b, c] = vertices;
+            const u = [0, 1, 2].map(axis => b[axis] - a[axis]);
+            const w = [0, 1, 2].map(axis => c[axis] - a[axis]);
+            const cross = [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+            const outward = [0, 1, 2].map(axis => (a[axis] + b[axis] + c[axis]) / 3 - center[axis]);
+            const dot = (p, q) => p[0] * q[0] + p[1] * q[1] + p[2] * q[2];
+            if (Math.abs(Math.hypot(...normal) - 1) > TOLERANCE) {
+                throw new Error(`${name}: facet normal [${normal}] is not a unit vector`);
+            }
+            if (!(dot(normal, outward) > 0)) {
+                throw new Error(`${name}: facet normal [${normal}] points into the cell`);
+            }
+            if (!(dot(normal, cross) > 0)) {
+                throw new Error(`${name}: facet normal [${normal}] disagrees with the vertex order`);
+            }
+        }
+    }
+
+    const seeded = cubeComputation(false);
+    seeded.seed = 42;
+    const text = exportSTL(seeded);
+    if (!text.startsWith('solid voronoi_seed_42\n') || !text.endsWith('endsolid voronoi_seed_42\n')) {
+        throw new Error('The seed should go into the solid name');
+    }
+
+    return true;
+}
+
+/**
+ * exportCells() dispatch, cell selections and option validation
+ */
+function testOptions() {
+    console.log('Testing export options...');
+
+    const computation = octahedronComputation();
+    if (exportCells(computation, 'obj') !== exportOBJ(computation)) {
+        throw new Error("exportCells(..., 'obj') should match exportOBJ()");
+    }
+    // Unbounded cells are skipped, selected or not
+    if (parseOBJ(exportOBJ(computation, { cells: [0, 1, 2] })).length !== 0) {
+        throw new Error('Unbounded cells should be skipped');
+    }
+
+    const selection = parseCellSelection('8, 0-2, 5-20', 10);
+    if (selection.join(',') !== '0,1,2,5,6,7,8,9' || parseCellSelection(' ', 10) !== null) {
+        throw new Error(`Wrong cell selection: ${selection}`);
+    }
+
+    const invalid = [
+        () => exportCells(computation, 'stp'),
+        () => exportOBJ(computation, { periodic: 'wrapped' }),
+        () => exportOBJ(computation, { shrink: 1 }),
+        () => parseCellSelection('1, x', 10)
+    ];
+    invalid.forEach((call, k) => {
+        let threw = false;
+        try {
+            call();
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) {
+            throw new Error(`Invalid call ${k} should throw`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export function runMeshExporterTests() {
+    const tests = [
+        ['OBJ counts', testOBJCounts],
+        ['PLY header', testPLYHeader],
+        ['STL normals', testSTLNormals],
+        ['Export options', testOptions]
+    ];
+
+    return runTests('MeshExporter', tests);
+}
+
+// Export for module usage
+export { testOBJCounts, testPLYHeader, testSTLNormals, testOptions };
@@ -0,0 +1,248 @@
+/**
+ * PointImporter.test.js
+ *
+ * Unit tests for the PointImporter module
+ * Parses small CSV, XYZ, extended XYZ and LAMMPS dump files and checks the
+ * points, the domain taken from the file and the rows that are rejected
+ */
+
+import { parsePoints, detectFormat, computationFromImport } from '../src/js/PointImporter.js';
+import { runTests } from './runTests.js';
+
+const TOLERANCE = 1e-9;
+
+function assertPoints(actual, expected, message) {
+    if (actual.length !== expected.length) {
+        throw new Error(`${message}: expected ${expected.length} points, got ${actual.length}`);
+    }
+    actual.forEach((p, i) => {
+        if ([0, 1, 2].some(axis => Math.abs(p[axis] - expected[i][axis]) > TOLERANCE)) {
+            throw new Error(`${message}: point ${i} should be [${expected[i]}], got [${p}]`);
+        }
+    });
+}
+
+function assertRejected(rejected, expected, message) {
+    const lines = rejected.map(row => `${row.line}: ${row.reason}`);
+    if (lines.join('\n') !== expected.join('\n')) {
+        throw new Error(`${message}: wrong rejected rows:\n${lines.join('\n')}`);
+    }
+}
+
+/**
+ * CSV: named columns in any order, radii, the recorded seed, headerless files and
+ * rows that cannot be used
+ */
+function testCSV() {
+    console.log('Testing CSV import...');
+
+    const text = [
+        '# seed 42',
+        'id,z,y,x,radius',
+        '0,0.3,0.2,0.1,0.05',
+        '1,0.6,0.5,0.4,0.1',
+        '2,a,0.5,0.4,0.1',
+        '3,0.6',
+        '',
+        '4,0.9,0.8,0.7,0.2'
+    ].join('\n');
+    const imported = parsePoints(text, { filename: 'points.csv', scale: 2 });
+    assertPoints(imported.points, [[0.2, 0.4, 0.6], [0.8, 1, 1.2], [1.4, 1.6, 1.8]], 'CSV');
+    if (imported.format !== 'csv' || imported.domain !== null || imported.seed !== 42 || imported.numRows !== 5) {
+        throw new Error(`Wrong CSV import: ${JSON.stringify({ ...imported, points: undefined })}`);
+    }
+    if (imported.radii.join(',') !== '0.1,0.2,0.4') {
+        throw new Error(`Radii should be read and scaled: ${imported.radii}`);
+    }
+    assertRejected(imported.rejected, ['5: coordinates are not numbers', '6: too few columns'], 'CSV');
+
+    // Without a header the first three columns are the coordinates
+    const plain = parsePoints('1,2,3\n4 5 6\n', { format: 'csv' });
+    if (plain.points.length !== 1 || plain.radii !== null || plain.rejected.length !== 1) {
+        throw new Error('Headerless rows should be split at the delimiter of the first row');
+    }
+    assertPoints(parsePoints('1 2 3\n4 5 6\n').points, [[1, 2, 3], [4, 5, 6]], 'Headerless CSV');
+
+    let threw = false;
+    try {
+        parsePoints('a,b,c\n1,2,3\n', { format: 'csv' });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('A header without x, y and z columns should throw');
+    }
+
+    return true;
+}
+
+/**
+ * Plain XYZ (with or without element column, several frames) and extended XYZ
+ * with a lattice, pbc flags, Properties columns and a seed
+ */
+function testXYZ() {
+    console.log('Testing XYZ import...');
+
+    const frames = ['2', 'first frame', 'H 0 0 0', 'H 1 1 1', '2', 'second frame', '2 2 2', '3 3 3'].join('\n');
+    if (detectFormat(frames) !== 'xyz' || detectFormat('', 'atoms.extxyz') !== 'xyz') {
+        throw new Error('XYZ files should be detected by their atom count line and extension');
+    }
+    assertPoints(parsePoints(frames).points, [[0, 0, 0], [1, 1, 1]], 'First XYZ frame');
+    assertPoints(parsePoints(frames, { frame: -1 }).points, [[2, 2, 2], [3, 3, 3]], 'Last XYZ frame');
+
+    // Periodic along x and y only; the radius column comes after the positions
+    const extended = [
+        '4',
+        'Lattice="2 0 0 0 2 0 0 0 2" pbc="T T F" Properties=species:S:1:pos:R:3:radius:R:1 seed=7',
+        'Si 0.5 0.5 0.5 0.1',
+        'Si 2.5 -0.5 1.5 0.2',
+        'Si 1 1 2.5 0.3',
+        'Si x 1 1 0.4'
+    ].join('\n');
+    const imported = parsePoints(extended);
+    assertPoints(imported.points, [[0.5, 0.5, 0.5], [0.5, 1.5, 1.5]], 'Extended XYZ');
+    if (JSON.stringify(imported.domain) !== JSON.stringify({ box: [2, 2, 2], periodic: [true, true, false] })) {
+        throw new Error(`Wrong extended XYZ domain: ${JSON.stringify(imported.domain)}`);
+    }
+    if (imported.seed !== 7 || imported.radii.join(',') !== '0.1,0.2') {
+        throw new Error(`Wrong extended XYZ seed or radii: ${imported.seed}, ${imported.radii}`);
+    }
+    assertRejected(imported.rejected, ['5: outside the box along a non-periodic axis', '6: coordinates are not numbers'], 'Extended XYZ');
+
+    // A rotated lattice is brought into LAMMPS form; fractional positions are kept
+    const rotated = parsePoints(['1', 'Lattice="0 2 0 -2 0 0 0 0 2"', 'C 0.5 1 1'].join('\n'), { format: 'xyz' });
+    assertPoints(rotated.points, [[1, 1.5, 1]], 'Rotated lattice');
+    if (JSON.stringify(rotated.domain) !== JSON.stringify({ box: [2, 2, 2], periodic: [true, true, true] })) {
+        throw new Error(`Wrong rotated lattice domain: ${JSON.stringify(rotated.domain)}`);
+    }
+
+    const truncated = parsePoints('3\n\n0 0 0\n1 1 1', { format: 'xyz' });
+    if (truncated.points.length !== 2 || truncated.rejected.length !== 1 || !/file ends before the 3 atoms/.test(truncated.rejected[0].reason)) {
+        throw new Error('A truncated frame should be reported');
+    }
+
+    return true;
+}
+
+/**
+ * LAMMPS dumps: orthogonal boxes with scaled coordinates and fixed z boundaries,
+ * and triclinic boxes (xy xz yz), whose bounds enclose the tilted cell
+ */
+function testLammpsDump() {
+    console.log('Testing LAMMPS dump import...');
+
+    // Fixed z boundaries: atoms above the box are rejected rather than wrapped
+    const orthogonal = [
+        'ITEM: TIMESTEP', '0',
+        'ITEM: NUMBER OF ATOMS', '3',
+        'ITEM: BOX BOUNDS pp pp ff', '-1 1', '0 4', '0 2',
+        'ITEM: ATOMS id type xs ys zs diameter',
+        '2 1 0.5 0.5 0.5 0.4',
+        '1 1 0.25 1.25 0.5 0.2',
+        '3 1 0.5 0.5 1.5 0.2'
+    ].join('\n');
+    const scaled = parsePoints(orthogonal);
+    // Dumps are sorted by atom id; ys = 1.25 wraps to 0.25
+    assertPoints(scaled.points, [[0.5, 1, 1], [1, 2, 1]], 'Scaled coordinates');
+    if (scaled.format !== 'lammps' || JSON.stringify(scaled.domain) !== JSON.stringify({ box: [2, 4, 2], periodic: [true, true, false] }) ||
+        scaled.radii.join(',') !== '0.1,0.2') {
+        throw new Error(`Wrong orthogonal dump: ${JSON.stringify(scaled.domain)}, radii ${scaled.radii}`);
+    }
+    assertRejected(scaled.rejected, ['12: outside the box along a non-periodic axis'], 'Orthogonal dump');
+    const computation = computationFromImport(scaled);
+    if (computation.periodicAxes.join(',') !== 'true,true,false' || computation.numPoints !== 2) {
+        throw new Error('The computation should take the domain of the dump');
+    }
+
+    // Cell a = (2, 0, 0), b = (-0.5, 2, 0), c = (0.3, 0.4, 2) at origin (1, 1, 1): the
+    // x bounds grow by min(0, xy, xz, xy + xz) = -0.5 and max(...) = 0.3, y by 0.4
+    const triclinic = [
+        'ITEM: TIMESTEP', '100',
+        'ITEM: NUMBER OF ATOMS', '4',
+        'ITEM: BOX BOUNDS xy xz yz pp pp pp', '0.5 3.3 -0.5', '1 3.4 0.3', '1 3 0.4',
+        'ITEM: ATOMS id type x y z',
+        '1 1 1.4 2.2 2',
+        '2 1 3.4 2.2 2',
+        '3 1 1.7 2.6 4',
+        '4 1 nan 2.2 2'
+    ].join('\n');
+    const imported = parsePoints(triclinic, { filename: 'run.lammpstrj', scale: 0.5 });
+    const cell = [[1, 0, 0], [-0.25, 1, 0], [0.15, 0.2, 1]];
+    if (!imported.domain.cell || imported.domain.cell.some((row, i) => row.some((x, j) => Math.abs(x - cell[i][j]) > TOLERANCE)) ||
+        imported.domain.periodic.join(',') !== 'true,true,true') {
+        throw new Error(`Wrong triclinic domain: ${JSON.stringify(imported.domain)}`);
+    }
+    // Atoms 2 and 3 are atom 1 shifted by a and by c, wrapped back into the cell
+    assertPoints(imported.points, [[0.2, 0.6, 0.5], [0.2, 0.6, 0.5], [0.2, 0.6, 0.5]], 'Triclinic dump');
+    assertRejected(imported.rejected, ['13: coordinates are not numbers'], 'Triclinic dump');
+
+    let threw = false;
+    try {
+        parsePoints(triclinic, { format: 'lammps', frame: 1 });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Missing frames should throw');
+    }
+
+    return true;
+}
+
+/**
+ * Files without a box are scaled uniformly and centered in the fit domain, half a
+ * mean spacing away from its faces, however many points they have
+ */
+function testFitIntoDomain() {
+    console.log('Testing fitting points into a domain...');
+
+    const corners = [];
+    for (const z of [0, 5]) {
+        for (const y of [0, 5]) {
+            for (const x of [0, 10]) {
+                corners.push(`${x},${y},${z}`);
+            }
+        }
+    }
+    // 8 points: margin 0.25 of the box on both sides of the longest (x) extent
+    const fitted = parsePoints(['x,y,z', ...corners].join('\n'), { fit: { box: [2, 2, 2] } });
+    const expected = corners.map(row => row.split(',').map(Number)).map(([x, y, z]) =>
+        [0.5 + x / 10, 0.75 + y / 10, 0.75 + z / 10]);
+    assertPoints(fitted.points, expected, 'Fitted corners');
+    if (fitted.domain !== null) {
+        throw new Error('Fitting should not turn the fit domain into a file domain');
+    }
+
+    // Far more points than a function call takes arguments
+    const count = 300000;
+    const rows = new Array(count);
+    for (let i = 0; i < count; i++) {
+        rows[i] = `${i} ${(i * 7) % 13} ${(i * 11) % 17}`;
+    }
+    const large = parsePoints(rows.join('\n'), { format: 'csv', fit: { box: [1, 1, 1] } });
+    const margin = 0.5 / Math.cbrt(count);
+    const first = large.points[0];
+    const last = large.points[count - 1];
+    if (large.points.length !== count || Math.abs(first[0] - margin) > TOLERANCE || Math.abs(last[0] - (1 - margin)) > TOLERANCE) {
+        throw new Error(`Large point sets should span the box along x up to the margin: [${first}] ... [${last}]`);
+    }
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export function runPointImporterTests() {
+    const tests = [
+        ['CSV import', testCSV],
+        ['XYZ import', testXYZ],
+        ['LAMMPS dump import', testLammpsDump],
+        ['Fit into domain', testFitIntoDomain]
+    ];
+
+    return runTests('PointImporter', tests);
+}
+
+// Export for module usage
+export { testCSV, testXYZ, testLammpsDump, testFitIntoDomain };
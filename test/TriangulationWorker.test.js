@@ -0,0 +1,254 @@
+/**
+ * TriangulationWorker.test.js
+ *
+ * Unit tests for the TriangulationWorker module
+ * Replaces the Web Worker by a fake that records the posted jobs and answers them
+ * the way DelaunayWorker.js does (no WASM or real worker needed)
+ */
+
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { TriangulationWorker } from '../src/js/TriangulationWorker.js';
+import { mirrorGridTriangulation } from './DelaunayComputation.test.js';
+import { runTests } from './runTests.js';
+
+/**
+ * Stand-in for Worker: keeps the posted messages, replies on request
+ */
+class FakeWorker {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.posted = [];
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Last TRIANGULATE message
+     */
+    lastJob() {
+        return this.posted.filter(message => message.type === 'TRIANGULATE').pop();
+    }
+
+    /**
+     * Answer a job as DelaunayWorker.js does, triangulating the single clipped point
+     */
+    succeed(message) {
+        const { jobId, points, isPeriodic, options } = message;
+        const computation = new DelaunayComputation(points, isPeriodic, options);
+        const { tetrahedra, images } = mirrorGridTriangulation();
+        computation.compute({ compute_delaunay_ex: () => ({ tetrahedra, images }) });
+        this.onmessage({ data: { type: 'SUCCESS', jobId, snapshot: computation.toBinary(), duration: 1 } });
+    }
+}
+
+/**
+ * Run fn with FakeWorker as the global Worker
+ */
+async function withFakeWorker(fn) {
+    const saved = Object.getOwnPropertyDescriptor(globalThis, 'Worker');
+    globalThis.Worker = FakeWorker;
+    try {
+        return await fn();
+    } finally {
+        if (saved) {
+            Object.defineProperty(globalThis, 'Worker', saved);
+        } else {
+            delete globalThis.Worker;
+        }
+    }
+}
+
+function clippedPoint(options = {}) {
+    return new DelaunayComputation([[0.3, 0.4, 0.45]], false, { clip: true, voronoiVertexMode: 'circumcenter', seed: 5, ...options });
+}
+
+/**
+ * Outcome of a promise that has settled: {value} or {error}
+ */
+async function settled(promise) {
+    try {
+        return { value: await promise };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * The job message carries every option the worker needs to rebuild the computation,
+ * adjacency included, and the result comes back with them and the WASM transport used
+ */
+async function testJobOptions() {
+    console.log('Testing worker job options...');
+
+    await withFakeWorker(async () => {
+        const worker = new TriangulationWorker({ distUrl: 'https://example.org/dist/' });
+        const fake = worker.worker;
+        if (fake.options.type !== 'module' || fake.posted[0].type !== 'INIT' || fake.posted[0].distUrl !== 'https://example.org/dist/') {
+            throw new Error('The worker should be a module worker initialized with the dist URL');
+        }
+
+        for (const adjacency of [true, false]) {
+            const promise = worker.compute(clippedPoint({ adjacency }));
+            const message = fake.lastJob();
+            if (message.options.adjacency !== adjacency || message.options.seed !== 5 || message.options.clip !== true ||
+                message.options.voronoiVertexMode !== 'circumcenter') {
+                throw new Error(`Wrong job options: ${JSON.stringify(message.options)}`);
+            }
+            fake.succeed(message);
+            const result = await promise;
+            if (result.requestAdjacency !== adjacency || result.seed !== 5 || result.transport !== 'extended' ||
+                result.getCellMeasures()[0].volume !== 1) {
+                throw new Error(`The result should keep the job options (adjacency ${result.requestAdjacency})`);
+            }
+        }
+    });
+
+    return true;
+}
+
+/**
+ * While a job runs, a new job supersedes the queued one (AbortError); late replies
+ * for jobs that are no longer running are ignored
+ */
+async function testSupersede() {
+    console.log('Testing superseded jobs...');
+
+    await withFakeWorker(async () => {
+        const worker = new TriangulationWorker();
+        const fake = worker.worker;
+
+        const first = worker.compute(clippedPoint());
+        const second = settled(worker.compute(clippedPoint()));
+        const third = worker.compute(clippedPoint());
+        const running = fake.lastJob();
+        if (running.jobId !== 1 || worker.getStatus().runningJob !== 1 || worker.getStatus().queuedJob !== 3) {
+            throw new Error(`Job 1 should run with job 3 queued: ${JSON.stringify(worker.getStatus())}`);
+        }
+
+        const { error } = await second;
+        if (!error || error.name !== 'AbortError' || !/job 2 superseded by job 3/.test(error.message) || worker.stats.superseded !== 1) {
+            throw new Error(`Job 2 should be superseded by job 3: ${error && error.message}`);
+        }
+
+        // A reply for the superseded job changes nothing
+        fake.onmessage({ data: { type: 'ERROR', jobId: 2, error: 'late' } });
+        if (worker.getStatus().runningJob !== 1 || worker.stats.failed !== 0) {
+            throw new Error('Replies for superseded jobs should be ignored');
+        }
+
+        // Finishing job 1 sends job 3
+        fake.succeed(running);
+        await first;
+        const next = fake.lastJob();
+        if (next.jobId !== 3 || fake.posted.filter(message => message.type === 'TRIANGULATE').length !== 2) {
+            throw new Error(`Job 3 should be sent after job 1, got job ${next.jobId}`);
+        }
+        fake.succeed(next);
+        await third;
+        if (worker.isBusy() || worker.stats.completed !== 2) {
+            throw new Error(`Both remaining jobs should complete: ${JSON.stringify(worker.getStatus())}`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Cancelling the running job drops its result and frees the worker for the next;
+ * with terminate the worker is restarted at once
+ */
+async function testCancel() {
+    console.log('Testing cancelled jobs...');
+
+    await withFakeWorker(async () => {
+        const worker = new TriangulationWorker();
+        const fake = worker.worker;
+
+        const controller = new AbortController();
+        const cancelled = settled(worker.compute(clippedPoint(), { signal: controller.signal }));
+        const running = fake.lastJob();
+        const queued = worker.compute(clippedPoint());
+        controller.abort();
+        const { error } = await cancelled;
+        if (!error || error.name !== 'AbortError' || worker.stats.cancelled !== 1) {
+            throw new Error('Aborting the signal should cancel the running job');
+        }
+        if (fake.lastJob() !== running) {
+            throw new Error('The next job should wait until the cancelled one returns');
+        }
+
+        // The late result of the cancelled job is dropped and the queued job is sent
+        fake.succeed(running);
+        const next = fake.lastJob();
+        if (next.jobId !== 2 || worker.stats.completed !== 0) {
+            throw new Error('The late result of a cancelled job should only free the worker');
+        }
+        fake.succeed(next);
+        await queued;
+
+        const restarted = settled(worker.compute(clippedPoint()));
+        worker.cancel(3, { terminate: true });
+        if (!fake.terminated || worker.worker === fake || worker.worker.posted[0].type !== 'INIT' || !(await restarted).error) {
+            throw new Error('Cancelling with terminate should restart the worker');
+        }
+        worker.terminate();
+    });
+
+    return true;
+}
+
+/**
+ * A worker whose WASM module fails to load fails the waiting job and rejects later
+ * ones at once
+ */
+async function testFailedStart() {
+    console.log('Testing a worker that fails to start...');
+
+    await withFakeWorker(async () => {
+        const worker = new TriangulationWorker();
+        const fake = worker.worker;
+
+        const waiting = settled(worker.compute(clippedPoint()));
+        fake.onmessage({ data: { type: 'ERROR', error: 'dist/ not found' } });
+        if (!/dist\/ not found/.test(((await waiting).error || {}).message)) {
+            throw new Error('The waiting job should fail with the INIT error');
+        }
+        const later = settled(worker.compute(clippedPoint()));
+        if (fake.posted.filter(message => message.type === 'TRIANGULATE').length !== 1) {
+            throw new Error('Jobs after a failed start should not reach the worker');
+        }
+        const { error } = await later;
+        if (!error || worker.getStatus().error !== error.message) {
+            throw new Error('Jobs after a failed start should be rejected with the INIT error');
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export async function runTriangulationWorkerTests() {
+    const tests = [
+        ['Job options', testJobOptions],
+        ['Superseded jobs', testSupersede],
+        ['Cancelled jobs', testCancel],
+        ['Failed start', testFailedStart]
+    ];
+
+    return runTests('TriangulationWorker', tests);
+}
+
+// Export for module usage
+export { testJobOptions, testSupersede, testCancel, testFailedStart };
@@ -0,0 +1,261 @@
+/**
+ * VTKExporter.test.js
+ *
+ * Unit tests for the VTKExporter module
+ * Exports hand-built triangulations (no WASM needed) and checks that the
+ * polyhedron arrays of the .vtu files are consistent and that time series list
+ * every step in their .pvd collection
+ */
+
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { exportVTU, exportPVD, VTKTimeSeries, VTU_KINDS } from '../src/js/VTKExporter.js';
+import { createComputation, mirrorGridTriangulation } from './DelaunayComputation.test.js';
+import { runTests } from './runTests.js';
+
+/**
+ * The single point at [0.3, 0.4, 0.45] in a periodic unit box: one cube cell,
+ * cut into eight pieces by the box faces when clipped
+ */
+function periodicCubeComputation() {
+    const { tetrahedra, images } = mirrorGridTriangulation();
+    const computation = new DelaunayComputation([[0.3, 0.4, 0.45]], true, { voronoiVertexMode: 'circumcenter' });
+    computation.compute({ compute_delaunay_ex: () => ({ tetrahedra, images }) });
+    return computation;
+}
+
+/**
+ * The center of the unit cube among its corners: one bounded octahedral cell
+ */
+function octahedronComputation() {
+    const points = [];
+    for (let k = 0; k <= 1; k++) {
+        for (let j = 0; j <= 1; j++) {
+            for (let i = 0; i <= 1; i++) {
+                points.push([i, j, k]);
+            }
+        }
+    }
+    points.push([0.5, 0.5, 0.5]);
+    const squares = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+    const tetrahedra = squares.flatMap(([a, b, c, d]) => [[8, a, b, c], [8, a, c, d]]);
+    return createComputation(points, tetrahedra, false, 'circumcenter');
+}
+
+/**
+ * Piece attributes and data arrays of a .vtu file, by name ('points' for the
+ * unnamed coordinates)
+ */
+function parseVTU(text) {
+    const piece = text.match(/<Piece NumberOfPoints="(\d+)" NumberOfCells="(\d+)">/);
+    if (!piece) {
+        throw new Error('The .vtu file has no <Piece>');
+    }
+    const arrays = {};
+    for (const match of text.matchAll(/<DataArray type="\w+"(?: Name="(\w+)")?[^>]*>([^<]*)<\/DataArray>/g)) {
+        arrays[match[1] || 'points'] = match[2].trim() ? match[2].trim().split(' ').map(Number) : [];
+    }
+    return { numPoints: Number(piece[1]), numCells: Number(piece[2]), arrays };
+}
+
+/**
+ * Polyhedra of a 'cells' grid: faces/faceoffsets describe every cell with exactly
+ * the points connectivity/offsets assign to it
+ */
+function checkPolyhedra(name, grid) {
+    const { numPoints, numCells, arrays } = grid;
+    const { connectivity, offsets, types, faces, faceoffsets: faceOffsets } = arrays;
+    if (!faces || !faceOffsets) {
+        throw new Error(`${name}: polyhedra need faces and faceoffsets arrays`);
+    }
+    if (offsets.length !== numCells || types.length !== numCells || faceOffsets.length !== numCells) {
+        throw new Error(`${name}: offsets, types and faceoffsets should have one entry per cell`);
+    }
+    if (arrays.points.length !== 3 * numPoints || offsets[numCells - 1] !== connectivity.length ||
+        faceOffsets[numCells - 1] !== faces.length) {
+        throw new Error(`${name}: the arrays do not end where the last offsets say`);
+    }
+    if (types.some(type => type !== 42) || connectivity.some(id => id < 0 || id >= numPoints)) {
+        throw new Error(`${name}: cells should be polyhedra (type 42) of existing points`);
+    }
+
+    for (let c = 0; c < numCells; c++) {
+        const points = connectivity.slice(c > 0 ? offsets[c - 1] : 0, offsets[c]);
+        const stream = faces.slice(c > 0 ? faceOffsets[c - 1] : 0, faceOffsets[c]);
+        const numFaces = stream[0];
+        const used = new Set();
+        let k = 1;
+        for (let f = 0; f < numFaces; f++) {
+            const n = stream[k];
+            if (!(n >= 3)) {
+                throw new Error(`${name}: face ${f} of cell ${c} has ${n} points`);
+            }
+            stream.slice(k + 1, k + 1 + n).forEach(id => used.add(id));
+            k += 1 + n;
+        }
+        if (k !== stream.length) {
+            throw new Error(`${name}: the face stream of cell ${c} has ${stream.length - k} trailing values`);
+        }
+        if (used.size !== points.length || points.some(id => !used.has(id))) {
+            throw new Error(`${name}: the faces of cell ${c} use points [${[...used]}], its connectivity is [${points}]`);
+        }
+    }
+}
+
+/**
+ * 'cells' grids: polyhedron arrays match the connectivity, for whole cells and for
+ * periodic cells cut into their pieces inside the box
+ */
+function testVTUPolyhedra() {
+    console.log('Testing VTU polyhedra...');
+
+    const cases = [
+        ['octahedron', octahedronComputation(), {}, 1, 6, 8],
+        ['periodic cube, unwrapped', periodicCubeComputation(), {}, 1, 8, 6],
+        ['periodic cube, clipped to the box', periodicCubeComputation(), { periodic: 'clipped' }, 8, 8, 6]
+    ];
+    for (const [name, computation, options, numCells, pointsPerCell, facesPerCell] of cases) {
+        const grid = parseVTU(exportVTU(computation, 'cells', options));
+        if (grid.numCells !== numCells || grid.numPoints !== numCells * pointsPerCell) {
+            throw new Error(`${name}: expected ${numCells} cells of ${pointsPerCell} points, got ${grid.numCells} cells and ${grid.numPoints} points`);
+        }
+        checkPolyhedra(name, grid);
+        const { faces, faceoffsets: faceOffsets } = grid.arrays;
+        for (let c = 0; c < numCells; c++) {
+            if (faces[c > 0 ? faceOffsets[c - 1] : 0] !== facesPerCell) {
+                throw new Error(`${name}: cell ${c} should have ${facesPerCell} faces`);
+            }
+        }
+        if (grid.arrays.cell.length !== numCells || grid.arrays.volume.length !== numCells) {
+            throw new Error(`${name}: cell and volume data should have one value per cell`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * The other kinds: tetrahedra (four points each, none across walls), faces
+ * (polygons) and edges (lines), each with its score array
+ */
+function testVTUKinds() {
+    console.log('Testing VTU kinds...');
+
+    const computation = octahedronComputation();
+    const numFaces = computation.getFaces().length;
+    const numEdges = computation.voronoiEdges.length;
+    const analysis = {
+        vertexScores: new Array(12).fill(0.5),
+        faceScores: new Array(numFaces).fill(0.25),
+        edgeScores: new Array(numEdges).fill(0.75),
+        cellScores: new Array(9).fill(1)
+    };
+
+    const tetrahedra = parseVTU(exportVTU(computation, 'tetrahedra', { analysis }));
+    if (tetrahedra.numCells !== 12 || tetrahedra.numPoints !== 48 ||
+        tetrahedra.arrays.types.some(type => type !== 10) || tetrahedra.arrays.vertexScores.length !== 12) {
+        throw new Error(`Expected 12 tetrahedra with scores, got ${tetrahedra.numCells}`);
+    }
+
+    const faces = parseVTU(exportVTU(computation, 'faces', { analysis }));
+    const { connectivity, offsets, types, faceScores } = faces.arrays;
+    if (faces.numCells !== numFaces || types.some(type => type !== 7) || offsets[numFaces - 1] !== connectivity.length ||
+        faceScores.some(score => score !== 0.25)) {
+        throw new Error(`Expected ${numFaces} polygons with scores, got ${faces.numCells}`);
+    }
+
+    const edges = parseVTU(exportVTU(computation, 'edges', { analysis }));
+    if (edges.numCells !== numEdges || edges.numPoints !== 2 * numEdges || edges.arrays.types.some(type => type !== 3) ||
+        edges.arrays.edgeScores.length !== numEdges) {
+        throw new Error(`Expected ${numEdges} lines with scores, got ${edges.numCells}`);
+    }
+
+    // Mirror tetrahedra of clipped cells are left out; the seed becomes field data
+    const { tetrahedra: gridTetrahedra, images } = mirrorGridTriangulation();
+    const clipped = new DelaunayComputation([[0.3, 0.4, 0.45]], false, { clip: true, voronoiVertexMode: 'circumcenter' });
+    clipped.compute({ compute_delaunay_ex: () => ({ tetrahedra: gridTetrahedra, images }) });
+    clipped.seed = 7;
+    const text = exportVTU(clipped, 'tetrahedra');
+    if (parseVTU(text).numCells !== 0 || !/<FieldData>\s*<DataArray type="UInt32" Name="seed" NumberOfTuples="1" format="ascii">7</.test(text)) {
+        throw new Error('Clipped tetrahedra should all be left out, with the seed kept as field data');
+    }
+
+    let threw = false;
+    try {
+        exportVTU(computation, 'vertices');
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Unknown VTU kinds should throw');
+    }
+
+    return true;
+}
+
+/**
+ * Time series: one .vtu file per step and kind, each listed once in the .pvd
+ * collection with its time and its kind as the part
+ */
+function testPVDTimeSeries() {
+    console.log('Testing PVD time series...');
+
+    const computation = octahedronComputation();
+    const series = new VTKTimeSeries('run', { kinds: ['cells', 'edges'] });
+    const written = [];
+    for (const time of [0, 0.5, 1.5]) {
+        const files = series.addStep(computation, time);
+        if (files.length !== 2 || files.some(file => !file.content.startsWith('<?xml'))) {
+            throw new Error(`Step ${time} should write one .vtu file per kind`);
+        }
+        written.push(...files.map(file => file.filename));
+    }
+    // The default time is the step number
+    written.push(...series.addStep(computation).map(file => file.filename));
+
+    const { filename, content } = series.toPVD();
+    if (filename !== 'run.pvd') {
+        throw new Error(`Wrong collection file name ${filename}`);
+    }
+    const entries = Array.from(content.matchAll(/<DataSet timestep="([^"]+)" part="(\d+)" file="([^"]+)"\/>/g),
+        match => ({ time: Number(match[1]), part: Number(match[2]), file: match[3] }));
+    const expected = [0, 0.5, 1.5, 3].flatMap((time, step) => ['cells', 'edges'].map((kind, part) => ({
+        time, part, file: `run_${kind}_${String(step).padStart(5, '0')}.vtu`
+    })));
+    if (JSON.stringify(entries) !== JSON.stringify(expected)) {
+        throw new Error(`Wrong collection entries: ${JSON.stringify(entries)}`);
+    }
+    if (JSON.stringify(written) !== JSON.stringify(expected.map(entry => entry.file))) {
+        throw new Error(`The collection should list the written files: ${written.join(', ')}`);
+    }
+    if (!content.includes('<VTKFile type="Collection"') || exportPVD([]).includes('<DataSet')) {
+        throw new Error('Wrong collection file');
+    }
+
+    let threw = false;
+    try {
+        new VTKTimeSeries('run', { kinds: [...VTU_KINDS, 'points'] });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Unknown kinds of a time series should throw');
+    }
+
+    return true;
+}
+
+/**
+ * Main test runner
+ */
+export function runVTKExporterTests() {
+    const tests = [
+        ['VTU polyhedra', testVTUPolyhedra],
+        ['VTU kinds', testVTUKinds],
+        ['PVD time series', testPVDTimeSeries]
+    ];
+
+    return runTests('VTKExporter', tests);
+}
+
+// Export for module usage
+export { testVTUPolyhedra, testVTUKinds, testPVDTimeSeries };
@@ -0,0 +1,49 @@
+/**
+ * run.js
+ *
+ * Runs the test suites in Node.js (npm test). The suites that need the WASM module
+ * get it from dist/ (build it with build.sh first); the rest run without it, as
+ * they do from the Run Tests button of index.html.
+ * Exits with status 1 when a suite fails, or, when CI is set, when the module is
+ * stale.
+ */
+
+import { loadWasmModule } from '../src/js/Headless.js';
+import { wasmModuleStatus } from '../src/js/DelaunayComputation.js';
+import { runHeadlessTests } from './Headless.test.js';
+import { runCommandLineTests } from './CommandLine.test.js';
+import { runSuites } from './runTests.js';
+import { suites, wasmSuites } from './suites.js';
+
+// Node.js-only suites on top of those of the Run Unit Tests button
+const nodeWasmSuites = [
+    ...wasmSuites,
+    ['Headless (WASM)', runHeadlessTests],
+    ['CommandLine (WASM)', runCommandLineTests]
+];
+
+const failed = await runSuites(suites);
+
+let wasmModule = null;
+try {
+    wasmModule = await loadWasmModule({ quiet: true });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+}
+if (wasmModule && process.env.CI) {
+    // CI has just built the module, so it must have every binding
+    const { current, missing } = wasmModuleStatus(wasmModule);
+    if (!current) {
+        console.error(`❌ The WASM module is stale (no ${missing.join(', ')}); rebuild it with build.sh`);
+        failed.push('WASM module');
+    }
+}
+failed.push(...(wasmModule ? await runSuites(nodeWasmSuites, wasmModule) : nodeWasmSuites.map(([name]) => name)));
+
+console.log('\n=====================================');
+if (failed.length > 0) {
+    console.log(`❌ Failed suites: ${failed.join(', ')}`);
+    process.exitCode = 1;
+} else {
+    console.log('🎉 All test suites passed');
+}
@@ -0,0 +1,71 @@
+/**
+ * runTests.js
+ *
+ * Runs the tables of tests of the suites in test/ and prints their results, for
+ * npm test (test/run.js) and the Run Unit Tests button of index.html alike.
+ */
+
+import { wasmModuleStatus } from '../src/js/DelaunayComputation.js';
+
+// CI builds the WASM module from the current sources, so there a test that lacks
+// its bindings fails instead of being skipped
+const STRICT = typeof process !== 'undefined' && Boolean(process.env.CI);
+
+/**
+ * Run the tests of one suite
+ * @param {string} title - Name of the suite, e.g. 'MeshExporter'
+ * @param {Array} tests - [name, test, bindings] entries: test may be async and gets the
+ *   WASM module; bindings lists the WASM bindings it needs beyond the legacy
+ *   compute_delaunay, without which it is skipped (fails when CI is set)
+ * @param {Object} [wasmModule] - The loaded WASM module, for suites that triangulate
+ * @returns {Promise<boolean>} Whether every test passed or was skipped
+ */
+export async function runTests(title, tests, wasmModule) {
+    console.log(`🧪 Running ${title} tests...`);
+    console.log('=====================================');
+
+    const missing = wasmModule ? wasmModuleStatus(wasmModule).missing : [];
+    let passedTests = 0;
+    let skippedTests = 0;
+    for (const [name, test, bindings = []] of tests) {
+        const unavailable = bindings.filter(binding => missing.includes(binding));
+        if (unavailable.length > 0) {
+            const reason = `the WASM module is stale (no ${unavailable.join(', ')})`;
+            if (STRICT) {
+                console.error(`❌ ${name} failed: ${reason}`);
+            } else {
+                console.warn(`⏭️  ${name} skipped: ${reason}`);
+                skippedTests++;
+            }
+            continue;
+        }
+        try {
+            await test(wasmModule);
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name} failed:`, error);
+        }
+    }
+
+    // Summary
+    console.log('\n=====================================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed${skippedTests ? `, ${skippedTests} skipped` : ''}`);
+
+    return passedTests + skippedTests === tests.length;
+}
+
+/**
+ * Run suites one after the other
+ * @param {Array} suites - [name, run] entries, where run gets the WASM module and
+ *   resolves to whether its tests passed
+ * @param {Object} [wasmModule] - The loaded WASM module
+ * @returns {Promise<string[]>} Names of the suites that failed
+ */
+export async function runSuites(suites, wasmModule) {
+    const failed = [];
+    for (const [name, run] of suites) {
+        if (!(await run(wasmModule))) failed.push(name);
+    }
+    return failed;
+}
@@ -0,0 +1,31 @@
+/**
+ * suites.js
+ *
+ * The test suites that run in the browser as well as in Node.js, shared by the Run
+ * Unit Tests button of index.html and npm test (test/run.js).
+ */
+
+import { runGeometryAnalysisTests } from './GeometryAnalysis.test.js';
+import { runDelaunayComputationTests, runDelaunayComputationWasmTests } from './DelaunayComputation.test.js';
+import { runMeshExporterTests } from './MeshExporter.test.js';
+import { runVTKExporterTests } from './VTKExporter.test.js';
+import { runPointImporterTests } from './PointImporter.test.js';
+import { runCVTRelaxationTests, runCVTRelaxationWasmTests } from './CVTRelaxation.test.js';
+import { runTriangulationWorkerTests } from './TriangulationWorker.test.js';
+
+/** Suites that run without the WASM module, as [name, run] entries */
+export const suites = [
+    ['GeometryAnalysis', runGeometryAnalysisTests],
+    ['DelaunayComputation', runDelaunayComputationTests],
+    ['MeshExporter', runMeshExporterTests],
+    ['VTKExporter', runVTKExporterTests],
+    ['PointImporter', runPointImporterTests],
+    ['CVTRelaxation', runCVTRelaxationTests],
+    ['TriangulationWorker', runTriangulationWorkerTests]
+];
+
+/** Suites that triangulate with the WASM module, which their runners get */
+export const wasmSuites = [
+    ['DelaunayComputation (WASM)', runDelaunayComputationWasmTests],
+    ['CVTRelaxation (WASM)', runCVTRelaxationWasmTests]
+];